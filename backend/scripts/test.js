@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Run the Test Suite
+ *
+ * Runs every *.test.js file under test/ with Node's built-in test runner,
+ * against the in-memory storage adapter and recorded YouTube/TMDB/OMDb
+ * responses (test/fixtures). No database, network or real API keys needed.
+ *
+ * Usage:
+ *   node scripts/test.js [test-file...]
+ *
+ * Examples:
+ *   npm test                                   # Run every test file
+ *   node scripts/test.js test/curation.test.js # Run one file
+ *   RECORD_FIXTURES=true YOUTUBE_API_KEY=... npm test  # Record missing fixtures
+ */
+
+import { spawnSync } from 'child_process'
+import { readdirSync } from 'fs'
+import { join, dirname, relative } from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+const rootDir = join(__dirname, '..')
+const testDir = join(rootDir, 'test')
+
+/**
+ * Find test files (recursively), skipping helpers and fixtures
+ */
+function findTestFiles(dir) {
+    return readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const path = join(dir, entry.name)
+
+            if (entry.isDirectory()) {
+                return ['helpers', 'fixtures'].includes(entry.name) ? [] : findTestFiles(path)
+            }
+
+            return entry.name.endsWith('.test.js') ? [relative(rootDir, path)] : []
+        })
+        .sort()
+}
+
+const files = process.argv.length > 2 ? process.argv.slice(2) : findTestFiles(testDir)
+
+// Each file runs in its own process, so every service singleton starts fresh
+const env = {
+    ...process.env,
+    NODE_ENV: 'test',
+    STORAGE_ADAPTER: 'memory',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    PORT: '0',
+    CURATION_WORKER_ENABLED: 'false',
+    ADMIN_API_KEY: 'test-admin-key',
+    YOUTUBE_API_KEY: process.env.YOUTUBE_API_KEY || 'test-youtube-key',
+    YOUTUBE_API_KEY_SECONDARY: '',
+    TMDB_API_KEY: process.env.TMDB_API_KEY || 'test-tmdb-key',
+    OMDB_API_KEY: process.env.OMDB_API_KEY || 'test-omdb-key'
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], {
+    cwd: rootDir,
+    env,
+    stdio: 'inherit'
+})
+
+if (result.error) {
+    console.error(`❌ Failed to start the test runner: ${result.error.message}`)
+    process.exit(1)
+}
+
+process.exit(result.status ?? 1)
@@ -1,29 +1,47 @@
 import { createClient } from '@supabase/supabase-js'
 import { logger } from '../utils/logger.js'
+import { assertRepository, GROUP_VERSION_FIELDS } from '../storage/repository.js'
+import { escapeLike } from '../storage/likePattern.js'
+import { MemoryRepository } from '../storage/memoryRepository.js'
+import { createOfflineClient } from '../storage/offlineClient.js'
+
+// Storage adapter: 'supabase' (default) or 'memory' (offline, nothing persisted)
+export const storageAdapter = process.env.STORAGE_ADAPTER === 'memory' ? 'memory' : 'supabase'
+
+// Backing store when running offline
+export const memoryRepository = storageAdapter === 'memory' ? new MemoryRepository() : null
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY
 
-if (!supabaseUrl || !supabaseServiceKey) {
+if (storageAdapter === 'supabase' && (!supabaseUrl || !supabaseServiceKey)) {
     logger.error('Missing required Supabase environment variables')
     process.exit(1)
 }
 
 // Service client (for backend operations)
-export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-    auth: {
-        autoRefreshToken: false,
-        persistSession: false
-    }
-})
+export const supabase = memoryRepository
+    ? createOfflineClient(memoryRepository)
+    : createClient(supabaseUrl, supabaseServiceKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    })
 
 // Public client (for user-facing operations)
-export const supabasePublic = createClient(supabaseUrl, supabaseAnonKey)
+export const supabasePublic = memoryRepository
+    ? supabase
+    : createClient(supabaseUrl, supabaseAnonKey)
 
 // Database connection test
 export const testDatabaseConnection = async () => {
+    if (memoryRepository) {
+        return memoryRepository.ping()
+    }
+
     try {
         logger.info(`Testing database connection to: ${supabaseUrl}`)
 
@@ -56,8 +74,21 @@ export const testDatabaseConnection = async () => {
     }
 }
 
-// Common database operations
-export const dbOperations = {
+// Common database operations (Supabase implementation of storage/repository.js)
+const supabaseRepository = {
+    async ping() {
+        const { error } = await supabase
+            .from('movies')
+            .select('id')
+            .limit(1)
+
+        if (error) {
+            throw error
+        }
+
+        return true
+    },
+
     // Movies
     async getMovies(filters = {}, limit = 20, offset = 0) {
         let query = supabase
@@ -66,12 +97,13 @@ export const dbOperations = {
                 *,
                 channels(id, title, thumbnail_url),
                 movie_genres(genres(id, name))
-            `)
+            `, { count: 'exact' })
             .eq('is_available', true)
 
         // Apply filters
+        // Any of the movie's categories, not just the primary one
         if (filters.category) {
-            query = query.eq('category', filters.category)
+            query = query.contains('categories', [filters.category])
         }
 
         if (filters.featured) {
@@ -184,6 +216,37 @@ export const dbOperations = {
         }
     },
 
+    async getMoviesByIds(ids) {
+        if (!ids || ids.length === 0) {
+            return []
+        }
+
+        const { data, error } = await supabase
+            .from('movies')
+            .select(`
+                *,
+                channels(id, title, thumbnail_url),
+                movie_genres(genres(id, name))
+            `)
+            .in('id', ids)
+            .eq('is_available', true)
+
+        if (error) {
+            throw error
+        }
+
+        // Transform data to flatten nested structures for iOS compatibility
+        return (data || []).map(movie => {
+            const { channels, movie_genres, ...movieData } = movie
+            return {
+                ...movieData,
+                channel_title: channels?.title || null,
+                channel_thumbnail: channels?.thumbnail_url || null,
+                genres: movie_genres?.map(mg => mg.genres) || []
+            }
+        })
+    },
+
     async createMovie(movieData) {
         const { data, error} = await supabase
             .from('movies')
@@ -236,6 +299,263 @@ export const dbOperations = {
         return data
     },
 
+    /**
+     * Movies to re-clean with the title rules (TitleFixer)
+     *
+     * @param {Object} options
+     * @param {string} options.channelId - Only this channel's movies
+     * @param {number} options.limit - Max rows
+     * @param {number} options.belowVersion - Only rows never cleaned or cleaned by an older rule version
+     */
+    async getMoviesForTitleCleaning({ channelId = null, limit = null, belowVersion = null } = {}) {
+        let query = supabase
+            .from('movies')
+            .select('id, title, original_title, channel_id, title_rules_version, locked_fields')
+
+        if (channelId) {
+            query = query.eq('channel_id', channelId)
+        }
+
+        if (belowVersion) {
+            query = query.or(`title_rules_version.is.null,title_rules_version.lt.${belowVersion}`)
+        }
+
+        if (limit) {
+            query = query.limit(limit)
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async getMoviesForRecategorization({ channelId = null, afterId = null, limit = 200 } = {}) {
+        let query = supabase
+            .from('movies')
+            .select(`
+                id, title, description, category, categories, category_source,
+                omdb_genres, release_date, published_at, locked_fields,
+                movie_genres(genres(id, name))
+            `)
+            .order('id', { ascending: true })
+            .limit(limit)
+
+        if (channelId) {
+            query = query.eq('channel_id', channelId)
+        }
+
+        // Keyset paging, so a resumed job continues after the last movie it saw
+        if (afterId) {
+            query = query.gt('id', afterId)
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return (data || []).map(({ movie_genres, ...movie }) => ({
+            ...movie,
+            genres: movie_genres?.map(mg => mg.genres).filter(Boolean) || []
+        }))
+    },
+
+    /**
+     * Movies a bulk enrichment job still has to match, in id order
+     *
+     * @param {Object} options
+     * @param {string} options.source - 'tmdb': no tmdb_id yet; 'omdb': neither tmdb_id nor imdb_id
+     * @param {string} options.channelId - Only this channel's movies
+     * @param {string} options.afterId - Keyset cursor (last movie ID of the previous batch)
+     * @param {number} options.limit - Batch size
+     */
+    async getMoviesForEnrichment({ source = 'tmdb', channelId = null, afterId = null, limit = 50 } = {}) {
+        let query = supabase
+            .from('movies')
+            .select('*')
+            .is('tmdb_id', null)
+            .order('id', { ascending: true })
+            .limit(limit)
+
+        if (source === 'omdb') {
+            query = query.is('imdb_id', null)
+        }
+
+        if (channelId) {
+            query = query.eq('channel_id', channelId)
+        }
+
+        if (afterId) {
+            query = query.gt('id', afterId)
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async getTopRatedMovies(minVotes = 10, limit = 50, offset = 0) {
+        const { data, error, count } = await supabase
+            .from('movies')
+            .select(`
+                *,
+                channels(id, title, thumbnail_url),
+                movie_genres(genres(id, name))
+            `, { count: 'exact' })
+            .eq('is_available', true)
+            .not('vote_average', 'is', null)
+            .gte('vote_count', minVotes)
+            .order('vote_average', { ascending: false })
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        // Transform data to flatten nested structures for iOS compatibility
+        const movies = (data || []).map(movie => {
+            const { channels, movie_genres, ...movieData } = movie
+            return {
+                ...movieData,
+                channel_title: channels?.title || null,
+                channel_thumbnail: channels?.thumbnail_url || null,
+                genres: movie_genres?.map(mg => mg.genres) || []
+            }
+        })
+
+        return {
+            movies,
+            total: count,
+            limit,
+            offset
+        }
+    },
+
+    async updateMovies(movieIds, updateData) {
+        const { error } = await supabase
+            .from('movies')
+            .update({
+                ...updateData,
+                updated_at: new Date().toISOString()
+            })
+            .in('id', movieIds)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    /**
+     * IDs of movies linked to any of the genres, once per matching genre (so
+     * movies sharing more genres appear more often)
+     */
+    async getMovieIdsByGenres(genreIds, limit = 2000) {
+        const { data, error } = await supabase
+            .from('movie_genres')
+            .select('movie_id')
+            .in('genre_id', genreIds)
+            .limit(limit)
+
+        if (error) {
+            throw error
+        }
+
+        return (data || []).map(row => row.movie_id)
+    },
+
+    /**
+     * IDs of available movies whose director or actors field names any of the people
+     *
+     * @param {Array<string>} directors - Names matched against movies.director
+     * @param {Array<string>} actors - Names matched against movies.actors
+     * @param {number} limit - Max rows
+     */
+    async getMovieIdsByPeople(directors, actors, limit = 200) {
+        // Characters that would break the or() filter syntax
+        const sanitize = name => name.replace(/[,()*"\\]/g, ' ').trim()
+
+        const filters = [
+            ...directors.map(name => `director.ilike.*${sanitize(name)}*`),
+            ...actors.map(name => `actors.ilike.*${sanitize(name)}*`)
+        ]
+
+        if (filters.length === 0) return []
+
+        const { data, error } = await supabase
+            .from('movies')
+            .select('id')
+            .eq('is_available', true)
+            .or(filters.join(','))
+            .limit(limit)
+
+        if (error) {
+            throw error
+        }
+
+        return (data || []).map(row => row.id)
+    },
+
+    async getCatalogCounts() {
+        const count = async (table, filter = query => query) => {
+            const { count: rows, error } = await filter(supabase.from(table).select('*', { count: 'exact', head: true }))
+
+            if (error) {
+                throw error
+            }
+
+            return rows || 0
+        }
+
+        const [total, available, featured, channels] = await Promise.all([
+            count('movies'),
+            count('movies', query => query.eq('is_available', true)),
+            count('movies', query => query.eq('featured', true)),
+            count('channels')
+        ])
+
+        return {
+            movies: { total, available, featured },
+            channels
+        }
+    },
+
+    /**
+     * Available movies to re-check on YouTube, least recently validated first
+     * (never validated ones before all others)
+     *
+     * @param {number} limit - Max rows
+     * @param {string} validatedBefore - Only movies not validated since this ISO time
+     */
+    async getMoviesForValidation(limit = 9000, validatedBefore = null) {
+        let query = supabase
+            .from('movies')
+            .select('id, youtube_video_id, title, movie_group_id, is_primary, last_validated')
+            .eq('is_available', true)
+            .order('last_validated', { ascending: true, nullsFirst: true })
+            .limit(limit)
+
+        if (validatedBefore) {
+            query = query.or(`last_validated.is.null,last_validated.lt."${validatedBefore}"`)
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
     // Channels
     async getChannels(limit = 50, offset = 0) {
         const { data, error } = await supabase
@@ -251,6 +571,63 @@ export const dbOperations = {
         return data || []
     },
 
+    async getChannelsWithCounts(limit = 50, offset = 0, sortBy = 'subscriber_count', sortOrder = 'desc') {
+        const { data, error, count } = await supabase
+            .from('channels')
+            .select(`
+                *,
+                movies(count)
+            `, { count: 'exact' })
+            .eq('movies.is_available', true)
+            .order(sortBy, { ascending: sortOrder === 'asc' })
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        // Transform to include movie_count
+        const channels = (data || []).map(channel => {
+            const { movies, ...channelData } = channel
+            return {
+                ...channelData,
+                movie_count: movies?.[0]?.count || 0
+            }
+        })
+
+        return {
+            channels,
+            total: count,
+            limit,
+            offset
+        }
+    },
+
+    async getChannelWithMovieCount(channelId) {
+        const { data, error } = await supabase
+            .from('channels')
+            .select(`
+                *,
+                movies(count)
+            `)
+            .eq('id', channelId)
+            .eq('movies.is_available', true)
+            .single()
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return null // Not found
+            }
+            throw error
+        }
+
+        const { movies, ...channelData } = data
+        return {
+            ...channelData,
+            movie_count: movies?.[0]?.count || 0
+        }
+    },
+
     async getChannelById(channelId) {
         const { data, error } = await supabase
             .from('channels')
@@ -296,6 +673,32 @@ export const dbOperations = {
 
         return data
     },
+    /**
+     * Delete a channel and all its movies
+     *
+     * @returns {Promise<number>} Number of movies deleted
+     */
+    async deleteChannel(channelId) {
+        const { count, error: moviesError } = await supabase
+            .from('movies')
+            .delete({ count: 'exact' })
+            .eq('channel_id', channelId)
+
+        if (moviesError) {
+            throw moviesError
+        }
+
+        const { error } = await supabase
+            .from('channels')
+            .delete()
+            .eq('id', channelId)
+
+        if (error) {
+            throw error
+        }
+
+        return count || 0
+    },
 
     // Genres
     async getGenres() {
@@ -408,46 +811,1076 @@ export const dbOperations = {
         }
     },
 
-    // User operations
-    async getUserProfile(userId) {
+    async upsertGenres(genres) {
+        if (!genres || genres.length === 0) return []
+
+        const { data, error } = await supabase
+            .from('genres')
+            .upsert(genres.map(genre => ({ id: genre.id, name: genre.name })))
+            .select()
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async addMovieGenres(movieId, genreIds) {
+        if (!genreIds || genreIds.length === 0) return
+
+        const { error } = await supabase
+            .from('movie_genres')
+            .upsert(
+                genreIds.map(genreId => ({ movie_id: movieId, genre_id: genreId })),
+                { onConflict: 'movie_id,genre_id' }
+            )
+
+        if (error) {
+            throw error
+        }
+    },
+
+    // Movie groups (duplicate uploads of the same film)
+    /**
+     * Movie groups, most recently changed first, each with its versions
+     * (GROUP_VERSION_FIELDS of every movie in the group)
+     *
+     * @param {Object} options - { limit, offset, search (part of the canonical title) }
+     * @returns {Promise<{groups: Array, total: number}>}
+     */
+    async getMovieGroups({ limit = 20, offset = 0, search = null } = {}) {
+        let query = supabase
+            .from('movie_groups')
+            // movie_groups.pinned_primary_id also points at movies, so name the FK
+            .select(`*, movies!movie_group_id(${GROUP_VERSION_FIELDS.join(', ')})`, { count: 'exact' })
+            .order('updated_at', { ascending: false })
+            .range(offset, offset + limit - 1)
+
+        if (search) {
+            query = query.ilike('canonical_title', `%${escapeLike(search)}%`)
+        }
+
+        const { data, error, count } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return {
+            groups: (data || []).map(({ movies, ...group }) => ({ ...group, versions: movies || [] })),
+            total: count || 0
+        }
+    },
+
+    async getMovieGroupById(groupId) {
+        const { data, error } = await supabase
+            .from('movie_groups')
+            .select('*')
+            .eq('id', groupId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async getMovieGroupByTmdbId(tmdbId) {
+        const { data, error } = await supabase
+            .from('movie_groups')
+            .select('*')
+            .eq('tmdb_id', tmdbId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async createMovieGroup(groupData) {
+        const { data, error } = await supabase
+            .from('movie_groups')
+            .insert(groupData)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async updateMovieGroup(groupId, updateData) {
+        const { data, error } = await supabase
+            .from('movie_groups')
+            .update(updateData)
+            .eq('id', groupId)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async deleteMovieGroup(groupId) {
+        const { error } = await supabase
+            .from('movie_groups')
+            .delete()
+            .eq('id', groupId)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    /**
+     * Point failover events and admin alerts at another group (both
+     * cascade-delete with their group)
+     */
+    async reassignMovieGroupReferences(fromGroupId, toGroupId) {
+        for (const table of ['failover_events', 'admin_alerts']) {
+            const { error } = await supabase
+                .from(table)
+                .update({ movie_group_id: toGroupId })
+                .eq('movie_group_id', fromGroupId)
+
+            if (error) {
+                throw error
+            }
+        }
+    },
+
+    async findSimilarMovieGroups({ title, year = null, yearTolerance = 1, threshold = 0.7 }) {
+        const { data, error } = await supabase
+            .rpc('find_similar_movie_groups', {
+                search_title: title,
+                search_year: year,
+                year_tolerance: yearTolerance,
+                similarity_threshold: threshold
+            })
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async getMovieGroupCandidates(year = null, yearTolerance = 1, limit = 1000, offset = 0) {
+        let query = supabase
+            .from('movie_groups')
+            .select('id, tmdb_id, canonical_title, normalized_title, release_year, created_at, updated_at')
+            .order('created_at', { ascending: true })
+            .range(offset, offset + limit - 1)
+
+        if (year) {
+            query = query.or(
+                `release_year.is.null,and(release_year.gte.${year - yearTolerance},release_year.lte.${year + yearTolerance})`
+            )
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async getMovieVersions(groupId) {
+        const { data, error } = await supabase
+            .from('movies')
+            .select('*')
+            .eq('movie_group_id', groupId)
+            .order('is_primary', { ascending: false })
+            .order('quality_score', { ascending: false })
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async getPrimaryMovie(groupId) {
+        const { data, error } = await supabase
+            .from('movies')
+            .select('id, quality_score')
+            .eq('movie_group_id', groupId)
+            .eq('is_primary', true)
+            .order('quality_score', { ascending: false })
+            .limit(1)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+    /**
+     * Audit entries where the group was the target or the related group,
+     * newest first
+     *
+     * Two eq() queries instead of one or() filter string, so the group ID is
+     * never parsed as PostgREST syntax.
+     */
+    async getMovieGroupAuditLog(groupId, limit = 50) {
+        const results = await Promise.all(['movie_group_id', 'related_group_id'].map(column =>
+            supabase
+                .from('movie_group_audit_log')
+                .select('*')
+                .eq(column, groupId)
+                .order('created_at', { ascending: false })
+                .limit(limit)
+        ))
+
+        const failed = results.find(result => result.error)
+        if (failed) {
+            throw failed.error
+        }
+
+        const entries = new Map(results.flatMap(result => result.data || []).map(entry => [entry.id, entry]))
+
+        return [...entries.values()]
+            .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+            .slice(0, limit)
+    },
+
+    async addMovieGroupAuditEntry(entry) {
+        const { data, error } = await supabase
+            .from('movie_group_audit_log')
+            .insert(entry)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Link validation and failover
+    async logValidationFailure(failure) {
+        const { error } = await supabase
+            .from('validation_failures')
+            .insert(failure)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async logFailoverEvent(event) {
+        const { error } = await supabase
+            .from('failover_events')
+            .insert(event)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async getFailoverEvents(groupId, limit = 20) {
+        const { data, error } = await supabase
+            .from('failover_events')
+            .select('*')
+            .eq('movie_group_id', groupId)
+            .order('triggered_at', { ascending: false })
+            .limit(limit)
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async createAdminAlert(alert) {
+        const { error } = await supabase
+            .from('admin_alerts')
+            .insert(alert)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async logValidationRun(run) {
+        const { error } = await supabase
+            .from('validation_runs')
+            .insert(run)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async getValidationRuns(limit = 30) {
+        const { data, error } = await supabase
+            .from('validation_runs')
+            .select('*')
+            .order('run_date', { ascending: false })
+            .limit(limit)
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    /**
+     * Delete validation failures and runs created before a time, and alerts
+     * resolved before another
+     *
+     * @returns {Promise<{failuresDeleted: number, runsDeleted: number, alertsDeleted: number}>}
+     */
+    async purgeValidationHistory(createdBefore, resolvedBefore) {
+        const purge = async (table, filter) => {
+            const { count, error } = await filter(supabase.from(table).delete({ count: 'exact' }))
+
+            if (error) {
+                throw error
+            }
+
+            return count || 0
+        }
+
+        return {
+            failuresDeleted: await purge('validation_failures', query => query.lt('created_at', createdBefore)),
+            runsDeleted: await purge('validation_runs', query => query.lt('created_at', createdBefore)),
+            alertsDeleted: await purge('admin_alerts', query => query.eq('resolved', true).lt('resolved_at', resolvedBefore))
+        }
+    },
+
+    /**
+     * A channel's movie count, and the failure reasons and failovers (its
+     * movie was the failed primary) since a time
+     *
+     * @returns {Promise<{movies: number, failureReasons: Array<string>, failovers: number}>}
+     */
+    async getChannelValidationStats(channelId, since) {
+        const [moviesResult, failuresResult, failoversResult] = await Promise.all([
+            supabase
+                .from('movies')
+                .select('id', { count: 'exact', head: true })
+                .eq('channel_id', channelId),
+
+            supabase
+                .from('validation_failures')
+                .select('failure_reason, movies!inner(channel_id)')
+                .eq('movies.channel_id', channelId)
+                .gte('detected_at', since),
+
+            supabase
+                .from('failover_events')
+                .select('id, old_primary:movies!old_primary_id!inner(channel_id)', { count: 'exact', head: true })
+                .eq('old_primary.channel_id', channelId)
+                .gte('triggered_at', since)
+        ])
+
+        for (const result of [moviesResult, failuresResult, failoversResult]) {
+            if (result.error) throw result.error
+        }
+
+        return {
+            movies: moviesResult.count || 0,
+            failureReasons: (failuresResult.data || []).map(failure => failure.failure_reason),
+            failovers: failoversResult.count || 0
+        }
+    },
+
+    // Favorites (content: movie_id or series_id, by content type)
+    /**
+     * A user's favorites and their total
+     *
+     * @param {string} userId
+     * @param {Object} options
+     * @param {number} options.limit
+     * @param {number} options.offset
+     * @param {string} options.contentType - Only 'movie' or 'series' favorites
+     * @param {string} options.orderBy - 'priority' (the user's order, then newest) or 'added_at' (newest first)
+     * @returns {Promise<{favorites: Array, total: number}>}
+     */
+    async getUserFavorites(userId, { limit = 100, offset = 0, contentType = null, orderBy = 'priority' } = {}) {
+        let query = supabase
+            .from('user_favorites')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+
+        if (contentType) {
+            query = query.eq('content_type', contentType)
+        }
+
+        if (orderBy === 'priority') {
+            query = query.order('priority', { ascending: true })
+        }
+
+        const { data, error, count } = await query
+            .order('added_at', { ascending: false })
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        return { favorites: data || [], total: count || 0 }
+    },
+
+    async getFavorite(userId, contentType, contentId) {
+        const { data, error } = await supabase
+            .from('user_favorites')
+            .select('*')
+            .eq('user_id', userId)
+            .eq(`${contentType}_id`, contentId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async addToFavorites(favoriteData) {
+        const { data, error } = await supabase
+            .from('user_favorites')
+            .insert(favoriteData)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Scoped to the user, so nobody can change someone else's favorites; null if not theirs
+    async updateFavorite(userId, favoriteId, updateData) {
+        const { data, error } = await supabase
+            .from('user_favorites')
+            .update(updateData)
+            .eq('id', favoriteId)
+            .eq('user_id', userId)
+            .select()
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async removeFromFavorites(userId, contentType, contentId) {
+        const { error } = await supabase
+            .from('user_favorites')
+            .delete()
+            .eq('user_id', userId)
+            .eq(`${contentType}_id`, contentId)
+
+        if (error) {
+            throw error
+        }
+
+        return true
+    },
+
+    // Watch history (content: movie_id or episode_id, by content type)
+    /**
+     * A user's watch history, most recently watched first, and its total
+     *
+     * @param {string} userId
+     * @param {Object} options
+     * @param {number} options.limit
+     * @param {number} options.offset
+     * @param {string} options.since - Only entries watched at or after this ISO time
+     * @param {string} options.contentType - Only 'movie' or 'episode' entries
+     * @returns {Promise<{history: Array, total: number}>}
+     */
+    async getWatchHistory(userId, { limit = 100, offset = 0, since = null, contentType = null } = {}) {
+        let query = supabase
+            .from('watch_history')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('last_watched_at', { ascending: false })
+
+        if (since) {
+            query = query.gte('last_watched_at', since)
+        }
+
+        if (contentType) {
+            query = query.eq('content_type', contentType)
+        }
+
+        const { data, error, count } = await query
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        return { history: data || [], total: count || 0 }
+    },
+
+    async getWatchHistoryItem(userId, contentType, contentId) {
+        const { data, error } = await supabase
+            .from('watch_history')
+            .select('*')
+            .eq('user_id', userId)
+            .eq(`${contentType}_id`, contentId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Unfinished entries with a saved position, most recently watched first
+    async getContinueWatching(userId, limit = 20) {
+        const { data, error } = await supabase
+            .from('watch_history')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('is_finished', false)
+            .gt('position_seconds', 0)
+            .order('last_watched_at', { ascending: false })
+            .limit(limit)
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    async addToWatchHistory(historyData) {
+        const { data, error } = await supabase
+            .from('watch_history')
+            .insert(historyData)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async updateWatchHistory(historyId, updateData) {
+        const { data, error } = await supabase
+            .from('watch_history')
+            .update(updateData)
+            .eq('id', historyId)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async removeFromWatchHistory(userId, contentType, contentId) {
+        const { error } = await supabase
+            .from('watch_history')
+            .delete()
+            .eq('user_id', userId)
+            .eq(`${contentType}_id`, contentId)
+
+        if (error) {
+            throw error
+        }
+
+        return true
+    },
+
+    /**
+     * Delete a user's whole watch history
+     *
+     * @returns {Promise<Array>} The deleted entries (content_type, movie_id, episode_id)
+     */
+    async clearWatchHistory(userId) {
+        const { data, error } = await supabase
+            .from('watch_history')
+            .delete()
+            .eq('user_id', userId)
+            .select('content_type, movie_id, episode_id')
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    // Library sync (tombstones and per-device cursors)
+    /**
+     * Favorites, history and tombstones written after a cursor, oldest first
+     *
+     * @param {string} userId
+     * @param {string|null} since - Server write time (updated_at) cursor; null for everything
+     * @param {number} limit - Max rows per list
+     * @returns {Promise<{favorites: Array, history: Array, tombstones: Array}>}
+     */
+    async getLibraryChanges(userId, since, limit) {
+        const changed = (table, columns) => {
+            let query = supabase
+                .from(table)
+                .select(columns)
+                .eq('user_id', userId)
+                .order('updated_at', { ascending: true })
+                .limit(limit)
+
+            return since ? query.gt('updated_at', since) : query
+        }
+
+        const [favorites, history, tombstones] = await Promise.all([
+            changed('user_favorites', '*'),
+            changed('watch_history', '*'),
+            changed('library_tombstones', 'entity, content_type, content_id, deleted_at, updated_at')
+        ])
+
+        for (const result of [favorites, history, tombstones]) {
+            if (result.error) throw result.error
+        }
+
+        return {
+            favorites: favorites.data || [],
+            history: history.data || [],
+            tombstones: tombstones.data || []
+        }
+    },
+
+    async getLibraryTombstone(userId, entity, contentType, contentId) {
+        const { data, error } = await supabase
+            .from('library_tombstones')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('entity', entity)
+            .eq('content_type', contentType)
+            .eq('content_id', contentId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async upsertLibraryTombstones(tombstones) {
+        const { error } = await supabase
+            .from('library_tombstones')
+            .upsert(tombstones, { onConflict: 'user_id,entity,content_type,content_id' })
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async deleteLibraryTombstone(userId, entity, contentType, contentId) {
+        const { error } = await supabase
+            .from('library_tombstones')
+            .delete()
+            .eq('user_id', userId)
+            .eq('entity', entity)
+            .eq('content_type', contentType)
+            .eq('content_id', contentId)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async getSyncDevice(userId, deviceId) {
+        const { data, error } = await supabase
+            .from('user_sync_devices')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('device_id', deviceId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async upsertSyncDevice(device) {
+        const { error } = await supabase
+            .from('user_sync_devices')
+            .upsert(device, { onConflict: 'user_id,device_id' })
+
+        if (error) {
+            throw error
+        }
+    },
+
+    // API usage tracking
+    async logApiUsage(service, endpoint, method, quotaCost = 1, responseStatus = 200, responseTime = 0, error = null, cacheHit = false) {
+        const { data, error: logError } = await supabase
+            .from('api_usage')
+            .insert([{
+                service,
+                endpoint,
+                method,
+                quota_cost: quotaCost,
+                response_status: responseStatus,
+                response_time_ms: responseTime,
+                error_message: error,
+                cache_hit: cacheHit
+            }])
+
+        if (logError) {
+            logger.error('Failed to log API usage:', logError)
+        }
+
+        return data
+    },
+
+    async incrementApiQuotaUsage(date, apiKeyId, operation, units) {
+        const { data, error } = await supabase
+            .rpc('increment_api_quota_usage', {
+                p_date: date,
+                p_api_key_id: apiKeyId,
+                p_operation: operation,
+                p_units: units
+            })
+
+        if (error) throw error
+        return data
+    },
+
+    async getApiQuotaUsage(date) {
+        const { data, error } = await supabase
+            .from('api_quota_usage')
+            .select('api_key_id, operation, units')
+            .eq('date', date)
+
+        if (error) throw error
+        return data || []
+    },
+
+    // API response cache (TMDB/OMDb)
+    // The cached entry for a key, unless it has expired
+    async getApiCacheEntry(cacheKey) {
+        const { data, error } = await supabase
+            .from('api_response_cache')
+            .select('response, expires_at')
+            .eq('cache_key', cacheKey)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async setApiCacheEntry(entry) {
+        const { error } = await supabase
+            .from('api_response_cache')
+            .upsert(entry, { onConflict: 'cache_key' })
+
+        if (error) {
+            throw error
+        }
+    },
+
+    /**
+     * Cache entries and API requests of one service
+     *
+     * @param {string} service - 'tmdb' or 'omdb'
+     * @param {string} since - Count api_usage requests from this ISO time
+     * @returns {Promise<{entries: number, expired: number, requests: number, cacheHits: number}>}
+     */
+    async getApiCacheStats(service, since) {
+        const now = new Date().toISOString()
+
+        const count = async (table, filter) => {
+            const { count: rows, error } = await filter(supabase.from(table).select('*', { count: 'exact', head: true }))
+
+            if (error) {
+                throw error
+            }
+
+            return rows || 0
+        }
+
+        const [entries, expired, requests, cacheHits] = await Promise.all([
+            count('api_response_cache', query => query.eq('service', service)),
+            count('api_response_cache', query => query.eq('service', service).lte('expires_at', now)),
+            count('api_usage', query => query.eq('service', service).gte('created_at', since)),
+            count('api_usage', query => query.eq('service', service).gte('created_at', since).eq('cache_hit', true))
+        ])
+
+        return { entries, expired, requests, cacheHits }
+    },
+
+    /**
+     * Keys of cache entries matching a case-insensitive LIKE pattern
+     *
+     * @param {string} pattern - LIKE pattern (escape literal % and _ with storage/likePattern.js)
+     * @param {Object} options - { service, expired (only expired entries) }
+     * @returns {Promise<Array<string>>}
+     */
+    async findApiCacheKeys(pattern, { service = null, expired = false } = {}) {
+        let query = supabase
+            .from('api_response_cache')
+            .select('cache_key')
+            .ilike('cache_key', pattern)
+
+        if (service) {
+            query = query.eq('service', service)
+        }
+
+        if (expired) {
+            query = query.lte('expires_at', new Date().toISOString())
+        }
+
+        const { data, error } = await query
+
+        if (error) {
+            throw error
+        }
+
+        return (data || []).map(row => row.cache_key)
+    },
+
+    async deleteApiCacheEntries(cacheKeys) {
+        // Keep the in() list short enough for a URL
+        for (let i = 0; i < cacheKeys.length; i += 100) {
+            const { error } = await supabase
+                .from('api_response_cache')
+                .delete()
+                .in('cache_key', cacheKeys.slice(i, i + 100))
+
+            if (error) {
+                throw error
+            }
+        }
+    },
+
+    // Enrichment review queue
+    async createReviewQueueItem(entry) {
+        const { data, error } = await supabase
+            .from('enrichment_review_queue')
+            .insert({ ...entry, status: 'pending' })
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async updateReviewQueueItem(itemId, updateData) {
+        const { data, error } = await supabase
+            .from('enrichment_review_queue')
+            .update({
+                ...updateData,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', itemId)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Items with a status, oldest first, and their total
+    async getReviewQueueItems({ status = 'pending', limit = 20, offset = 0 } = {}) {
+        const { data, error, count } = await supabase
+            .from('enrichment_review_queue')
+            .select('*', { count: 'exact' })
+            .eq('status', status)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        return { items: data || [], total: count || 0 }
+    },
+
+    async getReviewQueueItem(itemId) {
+        const { data, error } = await supabase
+            .from('enrichment_review_queue')
+            .select('*')
+            .eq('id', itemId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async getPendingReviewQueueItem(movieId) {
+        const { data, error } = await supabase
+            .from('enrichment_review_queue')
+            .select('*')
+            .eq('movie_id', movieId)
+            .eq('status', 'pending')
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Bulk enrichment reports (one row per job and movie)
+    async saveEnrichmentChanges(rows) {
+        const { error } = await supabase
+            .from('enrichment_job_changes')
+            .upsert(rows, { onConflict: 'job_id,movie_id' })
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async getEnrichmentChanges(jobId) {
+        const { data, error } = await supabase
+            .from('enrichment_job_changes')
+            .select('*')
+            .eq('job_id', jobId)
+            .order('movie_id', { ascending: true })
+
+        if (error) {
+            throw error
+        }
+
+        return data || []
+    },
+
+    // Admin movie edits
+    async addMovieEditHistory(entries) {
+        const { error } = await supabase
+            .from('movie_edit_history')
+            .insert(entries)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async getMovieEditHistory(movieId, limit = 50) {
         const { data, error } = await supabase
-            .from('user_profiles')
+            .from('movie_edit_history')
             .select('*')
-            .eq('id', userId)
-            .single()
+            .eq('movie_id', movieId)
+            .order('created_at', { ascending: false })
+            .limit(limit)
 
         if (error) {
             throw error
         }
 
-        return data
+        return data || []
+    },
+
+    // TV series
+    async getSeriesList(limit = 20, offset = 0) {
+        const { data, error, count } = await supabase
+            .from('tv_series')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1)
+
+        if (error) {
+            throw error
+        }
+
+        return { series: data || [], total: count || 0 }
     },
 
-    async getUserFavorites(userId, limit = 50) {
+    async getSeriesById(seriesId) {
         const { data, error } = await supabase
-            .from('user_favorites')
+            .from('tv_series')
             .select(`
                 *,
-                movies(*)
+                series_genres(genres(id, name)),
+                seasons(id, season_number, title, episode_count, poster_path)
             `)
-            .eq('user_id', userId)
-            .order('added_at', { ascending: false })
-            .limit(limit)
+            .eq('id', seriesId)
+            .single()
 
         if (error) {
             throw error
         }
 
-        return data || []
+        // Transform data to flatten nested structures for iOS compatibility
+        const { series_genres, seasons, ...seriesData } = data
+        return {
+            ...seriesData,
+            genres: series_genres?.map(sg => sg.genres) || [],
+            seasons: (seasons || []).sort((a, b) => a.season_number - b.season_number)
+        }
     },
 
-    async addToFavorites(userId, movieId) {
+    async getSeriesByTmdbId(tmdbId) {
         const { data, error } = await supabase
-            .from('user_favorites')
-            .insert([{
-                user_id: userId,
-                movie_id: movieId
-            }])
+            .from('tv_series')
+            .select('*')
+            .eq('tmdb_id', tmdbId)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async createSeries(seriesData) {
+        const { data, error } = await supabase
+            .from('tv_series')
+            .insert(seriesData)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async updateSeries(seriesId, updateData) {
+        const { data, error } = await supabase
+            .from('tv_series')
+            .update(updateData)
+            .eq('id', seriesId)
             .select()
             .single()
 
@@ -458,29 +1891,49 @@ export const dbOperations = {
         return data
     },
 
-    async removeFromFavorites(userId, movieId) {
+    // Creates missing genres; links that already exist are kept
+    async addSeriesGenres(seriesId, genres) {
+        if (!genres || genres.length === 0) return
+
+        const { error: genresError } = await supabase
+            .from('genres')
+            .upsert(genres.map(genre => ({ id: genre.id, name: genre.name })), { onConflict: 'id', ignoreDuplicates: true })
+
+        if (genresError) {
+            throw genresError
+        }
+
         const { error } = await supabase
-            .from('user_favorites')
-            .delete()
-            .eq('user_id', userId)
-            .eq('movie_id', movieId)
+            .from('series_genres')
+            .upsert(
+                genres.map(genre => ({ series_id: seriesId, genre_id: genre.id })),
+                { onConflict: 'series_id,genre_id', ignoreDuplicates: true }
+            )
 
         if (error) {
             throw error
         }
+    },
 
-        return true
+    async getSeason(seriesId, seasonNumber) {
+        const { data, error } = await supabase
+            .from('seasons')
+            .select('*')
+            .eq('series_id', seriesId)
+            .eq('season_number', seasonNumber)
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
     },
 
-    // Watch history
-    async updateWatchHistory(userId, movieId, progressData) {
+    async createSeason(seasonData) {
         const { data, error } = await supabase
-            .from('watch_history')
-            .upsert({
-                user_id: userId,
-                movie_id: movieId,
-                ...progressData
-            })
+            .from('seasons')
+            .insert(seasonData)
             .select()
             .single()
 
@@ -491,16 +1944,29 @@ export const dbOperations = {
         return data
     },
 
-    async getWatchHistory(userId, limit = 50) {
-        const { data, error } = await supabase
-            .from('watch_history')
-            .select(`
-                *,
-                movies(*)
-            `)
-            .eq('user_id', userId)
-            .order('last_watched_at', { ascending: false })
-            .limit(limit)
+    /**
+     * Episodes of a series in season/episode order
+     *
+     * @param {string} seriesId
+     * @param {Object} options - { unlinkedOnly (no YouTube video yet), limit }
+     */
+    async getEpisodes(seriesId, { unlinkedOnly = false, limit = null } = {}) {
+        let query = supabase
+            .from('episodes')
+            .select('*')
+            .eq('series_id', seriesId)
+            .order('season_number', { ascending: true })
+            .order('episode_number', { ascending: true })
+
+        if (unlinkedOnly) {
+            query = query.is('youtube_video_id', null)
+        }
+
+        if (limit) {
+            query = query.limit(limit)
+        }
+
+        const { data, error } = await query
 
         if (error) {
             throw error
@@ -509,46 +1975,63 @@ export const dbOperations = {
         return data || []
     },
 
-    // API usage tracking
-    async logApiUsage(service, endpoint, method, quotaCost = 1, responseStatus = 200, responseTime = 0, error = null) {
-        const { data, error: logError } = await supabase
-            .from('api_usage')
-            .insert([{
-                service,
-                endpoint,
-                method,
-                quota_cost: quotaCost,
-                response_status: responseStatus,
-                response_time_ms: responseTime,
-                error_message: error
-            }])
+    async getEpisode(seriesId, seasonNumber, episodeNumber) {
+        const { data, error } = await supabase
+            .from('episodes')
+            .select('*')
+            .eq('series_id', seriesId)
+            .eq('season_number', seasonNumber)
+            .eq('episode_number', episodeNumber)
+            .maybeSingle()
 
-        if (logError) {
-            logger.error('Failed to log API usage:', logError)
+        if (error) {
+            throw error
         }
 
         return data
     },
 
-    // Collections
-    async getCollections(isPublic = true) {
+    async getEpisodeByYouTubeId(youtubeVideoId) {
         const { data, error } = await supabase
-            .from('movie_collections')
-            .select(`
-                *,
-                collection_movies(
-                    sort_order,
-                    movies(*)
-                )
-            `)
-            .eq('is_public', isPublic)
-            .order('sort_order')
+            .from('episodes')
+            .select('*')
+            .eq('youtube_video_id', youtubeVideoId)
+            .maybeSingle()
 
         if (error) {
             throw error
         }
 
-        return data || []
+        return data
+    },
+
+    async createEpisode(episodeData) {
+        const { data, error } = await supabase
+            .from('episodes')
+            .insert(episodeData)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async updateEpisode(episodeId, updateData) {
+        const { data, error } = await supabase
+            .from('episodes')
+            .update(updateData)
+            .eq('id', episodeId)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
     },
 
     // Curation Jobs
@@ -564,7 +2047,10 @@ export const dbOperations = {
                 successful_items: 0,
                 failed_items: 0,
                 result_summary: jobData.resultSummary || {},
-                error_log: []
+                error_log: [],
+                job_options: jobData.options || {},
+                max_attempts: jobData.maxAttempts || 3,
+                run_after: new Date().toISOString()
             }])
             .select()
             .single()
@@ -641,12 +2127,20 @@ export const dbOperations = {
         return data
     },
 
-    async startCurationJob(jobId) {
+    async completeCurationJob(jobId, results) {
         const { data, error } = await supabase
             .from('curation_jobs')
             .update({
-                status: 'running',
-                started_at: new Date().toISOString()
+                status: results.errors && results.errors.length > 0 ? 'completed' : 'completed',
+                completed_at: new Date().toISOString(),
+                total_items: results.moviesFound || 0,
+                processed_items: results.moviesFound || 0,
+                successful_items: results.moviesAdded || 0,
+                failed_items: (results.moviesFound || 0) - (results.moviesAdded || 0),
+                result_summary: results,
+                error_log: results.errors || [],
+                locked_by: null,
+                locked_until: null
             })
             .eq('id', jobId)
             .select()
@@ -659,18 +2153,15 @@ export const dbOperations = {
         return data
     },
 
-    async completeCurationJob(jobId, results) {
+    async failCurationJob(jobId, errorMessage) {
         const { data, error } = await supabase
             .from('curation_jobs')
             .update({
-                status: results.errors && results.errors.length > 0 ? 'completed' : 'completed',
+                status: 'failed',
                 completed_at: new Date().toISOString(),
-                total_items: results.moviesFound || 0,
-                processed_items: results.moviesFound || 0,
-                successful_items: results.moviesAdded || 0,
-                failed_items: (results.moviesFound || 0) - (results.moviesAdded || 0),
-                result_summary: results,
-                error_log: results.errors || []
+                error_log: [errorMessage],
+                locked_by: null,
+                locked_until: null
             })
             .eq('id', jobId)
             .select()
@@ -683,13 +2174,83 @@ export const dbOperations = {
         return data
     },
 
-    async failCurationJob(jobId, errorMessage) {
+    async updateCurationJobProgress(jobId, progress) {
+        const updateData = {
+            processed_items: progress.processed || 0,
+            successful_items: progress.successful || 0,
+            failed_items: progress.failed || 0
+        }
+
+        if (progress.total !== undefined) {
+            updateData.total_items = progress.total
+        }
+
+        // Resume point for the job queue
+        if (progress.checkpoint) {
+            updateData.checkpoint = progress.checkpoint
+        }
+
+        const { data, error } = await supabase
+            .from('curation_jobs')
+            .update(updateData)
+            .eq('id', jobId)
+            .select()
+            .single()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    // Curation job queue (leasing, retries, cancellation)
+    async claimCurationJob(workerId, leaseSeconds) {
+        const { data, error } = await supabase
+            .rpc('claim_curation_job', {
+                worker_id: workerId,
+                lease_seconds: leaseSeconds
+            })
+
+        if (error) {
+            throw error
+        }
+
+        return data?.[0] || null
+    },
+
+    async heartbeatCurationJob(jobId, workerId, leaseSeconds) {
+        const now = new Date()
+
+        // Only the lease holder can extend it; null means the lease was lost
         const { data, error } = await supabase
             .from('curation_jobs')
             .update({
-                status: 'failed',
-                completed_at: new Date().toISOString(),
-                error_log: [errorMessage]
+                heartbeat_at: now.toISOString(),
+                locked_until: new Date(now.getTime() + leaseSeconds * 1000).toISOString()
+            })
+            .eq('id', jobId)
+            .eq('locked_by', workerId)
+            .eq('status', 'running')
+            .select('id, cancel_requested')
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async retryCurationJob(jobId, errorLog, runAfter) {
+        const { data, error } = await supabase
+            .from('curation_jobs')
+            .update({
+                status: 'pending',
+                run_after: runAfter,
+                error_log: errorLog,
+                locked_by: null,
+                locked_until: null
             })
             .eq('id', jobId)
             .select()
@@ -702,13 +2263,76 @@ export const dbOperations = {
         return data
     },
 
-    async updateCurationJobProgress(jobId, progress) {
+    async releaseCurationJob(jobId, workerId, attempts) {
+        // Hand a job back to the queue on shutdown without counting the attempt
+        const { error } = await supabase
+            .from('curation_jobs')
+            .update({
+                status: 'pending',
+                attempts: Math.max(attempts - 1, 0),
+                run_after: new Date().toISOString(),
+                locked_by: null,
+                locked_until: null
+            })
+            .eq('id', jobId)
+            .eq('locked_by', workerId)
+
+        if (error) {
+            throw error
+        }
+    },
+
+    async requestCurationJobCancel(jobId) {
+        const now = new Date().toISOString()
+
+        // Jobs no worker is holding (pending, or running with an expired lease) cancel immediately
+        const { data: cancelled, error: cancelError } = await supabase
+            .from('curation_jobs')
+            .update({
+                status: 'cancelled',
+                cancel_requested: true,
+                completed_at: now,
+                locked_by: null,
+                locked_until: null
+            })
+            .eq('id', jobId)
+            .or(`status.eq.pending,and(status.eq.running,locked_until.lt."${now}"),and(status.eq.running,locked_until.is.null)`)
+            .select()
+            .maybeSingle()
+
+        if (cancelError) {
+            throw cancelError
+        }
+
+        if (cancelled) {
+            return cancelled
+        }
+
+        // Running jobs stop at the worker's next cancellation check
+        const { data, error } = await supabase
+            .from('curation_jobs')
+            .update({ cancel_requested: true })
+            .eq('id', jobId)
+            .eq('status', 'running')
+            .select()
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
+        return data
+    },
+
+    async cancelCurationJob(jobId, results) {
         const { data, error } = await supabase
             .from('curation_jobs')
             .update({
-                processed_items: progress.processed || 0,
-                successful_items: progress.successful || 0,
-                failed_items: progress.failed || 0
+                status: 'cancelled',
+                completed_at: new Date().toISOString(),
+                result_summary: results,
+                locked_by: null,
+                locked_until: null
             })
             .eq('id', jobId)
             .select()
@@ -718,10 +2342,41 @@ export const dbOperations = {
             throw error
         }
 
+        return data
+    },
+
+    async resumeCurationJob(jobId) {
+        // Keeps the checkpoint so the worker continues after the last processed video
+        const { data, error } = await supabase
+            .from('curation_jobs')
+            .update({
+                status: 'pending',
+                cancel_requested: false,
+                attempts: 0,
+                run_after: new Date().toISOString(),
+                completed_at: null,
+                locked_by: null,
+                locked_until: null
+            })
+            .eq('id', jobId)
+            .in('status', ['failed', 'cancelled'])
+            .select()
+            .maybeSingle()
+
+        if (error) {
+            throw error
+        }
+
         return data
     }
 }
 
+export const dbOperations = assertRepository(memoryRepository || supabaseRepository, storageAdapter)
+
+if (memoryRepository) {
+    logger.warn('Using in-memory storage (STORAGE_ADAPTER=memory); data is lost on restart')
+}
+
 // Alias for backwards compatibility with health.js
 export const testConnection = testDatabaseConnection
 
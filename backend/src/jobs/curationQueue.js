@@ -0,0 +1,259 @@
+import os from 'os'
+import crypto from 'crypto'
+import { dbOperations } from '../config/database.js'
+import { movieCurator } from '../services/movieCurator.js'
+import { movieRecategorizer } from '../scripts/recategorizeMovies.js'
+import { bulkEnricher } from '../scripts/bulkEnrichMovies.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Curation Job Queue Worker
+ *
+ * Runs curation_jobs rows from the database instead of inside the request
+ * that created them:
+ * - Leasing: a job is claimed atomically (claim_curation_job) with a lease
+ *   that heartbeats extend; if the container dies the lease expires and any
+ *   worker reclaims the job
+ * - Resume: handlers checkpoint the last processed video, so a reclaimed or
+ *   resumed job continues where it stopped
+ * - Retry: failed attempts go back to pending with exponential backoff until
+ *   max_attempts is reached
+ * - Cancellation: cancel_requested is picked up on the next heartbeat and the
+ *   handler stops before its next video
+ */
+class CurationQueue {
+    constructor() {
+        this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`
+
+        this.POLL_INTERVAL_MS = 5000
+        this.LEASE_SECONDS = 120
+        this.HEARTBEAT_INTERVAL_MS = 30000
+        this.RETRY_BASE_DELAY_MS = 60 * 1000 // 1 min, 2 min, 4 min...
+        this.RETRY_MAX_DELAY_MS = 30 * 60 * 1000
+
+        this.handlers = {
+            // Full imports and re-enrichment rescan the back catalog; other scans
+            // only fetch uploads after the channel watermark
+            channel_scan: (job, context) => movieCurator.curateChannelMovies(job.channel_id, {
+                forceReenrich: job.job_options?.forceReenrich || false,
+                maxResults: job.job_options?.maxResults || 500,
+                crawlMode: job.job_options?.fullImport || job.job_options?.forceReenrich ? 'full' : 'auto',
+                job: context
+            }),
+            recategorize: (job, context) => movieRecategorizer.recategorizeAll({
+                dryRun: job.job_options?.dryRun || false,
+                limit: job.job_options?.limit || null,
+                channelId: job.channel_id || null,
+                job: context
+            }),
+            enrich_tmdb: (job, context) => this.runEnrichment('tmdb', job, context),
+            enrich_omdb: (job, context) => this.runEnrichment('omdb', job, context)
+        }
+
+        this.running = false
+        this.busy = false
+        this.timer = null
+        this.currentJob = null
+    }
+
+    /**
+     * Start polling for jobs
+     */
+    start() {
+        if (this.running) return
+
+        this.running = true
+        logger.info(`📥 Curation queue worker started (${this.workerId})`)
+        this.schedule(0)
+    }
+
+    /**
+     * Stop polling and hand the current job back to the queue
+     */
+    async stop() {
+        this.running = false
+        clearTimeout(this.timer)
+
+        if (this.currentJob) {
+            const job = this.currentJob
+            this.currentJob.released = true
+
+            try {
+                await dbOperations.releaseCurationJob(job.id, this.workerId, job.attempts)
+                logger.info(`📤 Released curation job ${job.id} back to the queue`)
+            } catch (error) {
+                logger.error(`Failed to release curation job ${job.id}:`, error.message)
+            }
+        }
+    }
+
+    /**
+     * Poll right away (e.g. after an admin enqueues a job)
+     */
+    wake() {
+        if (this.running && !this.busy) {
+            this.schedule(0)
+        }
+    }
+
+    schedule(delayMs) {
+        clearTimeout(this.timer)
+        this.timer = setTimeout(() => this.tick(), delayMs)
+    }
+
+    async tick() {
+        if (!this.running || this.busy) return
+
+        this.busy = true
+        let claimed = null
+
+        try {
+            claimed = await dbOperations.claimCurationJob(this.workerId, this.LEASE_SECONDS)
+
+            if (claimed) {
+                await this.processJob(claimed)
+            }
+        } catch (error) {
+            logger.error('Curation queue poll failed:', error.message)
+        } finally {
+            this.busy = false
+
+            if (this.running) {
+                // Drain back-to-back while there is work
+                this.schedule(claimed ? 0 : this.POLL_INTERVAL_MS)
+            }
+        }
+    }
+
+    /**
+     * Run one claimed job under its lease
+     *
+     * @param {Object} job - curation_jobs row returned by the claim
+     */
+    async processJob(job) {
+        const handler = this.handlers[job.job_type]
+
+        if (!handler) {
+            await dbOperations.failCurationJob(job.id, `No handler for job type: ${job.job_type}`)
+            return
+        }
+
+        if (job.attempts > job.max_attempts) {
+            logger.warn(`Curation job ${job.id} exceeded ${job.max_attempts} attempts`)
+            await dbOperations.failCurationJob(job.id, `Exceeded max attempts (${job.max_attempts})`)
+            return
+        }
+
+        const state = { cancelRequested: job.cancel_requested, leaseLost: false }
+        this.currentJob = job
+
+        const heartbeat = setInterval(async () => {
+            try {
+                const lease = await dbOperations.heartbeatCurationJob(job.id, this.workerId, this.LEASE_SECONDS)
+
+                if (!lease) {
+                    logger.warn(`Lost lease on curation job ${job.id}, stopping`)
+                    state.leaseLost = true
+                } else {
+                    state.cancelRequested = lease.cancel_requested
+                }
+            } catch (error) {
+                logger.warn(`Heartbeat failed for curation job ${job.id}:`, error.message)
+            }
+        }, this.HEARTBEAT_INTERVAL_MS)
+
+        const context = {
+            id: job.id,
+            checkpoint: job.checkpoint || {},
+            saveProgress: progress => dbOperations.updateCurationJobProgress(job.id, progress),
+            isCancelled: () => state.cancelRequested || state.leaseLost || Boolean(job.released)
+        }
+
+        logger.info(`▶️ Running curation job ${job.id} (${job.job_type}, attempt ${job.attempts}/${job.max_attempts})`)
+
+        try {
+            const results = await handler(job, context)
+
+            // Someone else owns the job now (lease expired or shutdown release)
+            if (state.leaseLost || job.released) {
+                return
+            }
+
+            const summary = { ...job.result_summary, ...results }
+
+            if (results.cancelled) {
+                await dbOperations.cancelCurationJob(job.id, summary)
+                logger.info(`🛑 Curation job ${job.id} cancelled`)
+            } else {
+                await dbOperations.completeCurationJob(job.id, summary)
+                const outcome = job.job_type === 'channel_scan'
+                    ? `${results.moviesAdded} added, ${results.moviesUpdated || 0} updated`
+                    : `${results.updated ?? results.enriched ?? 0} updated`
+                logger.info(`✅ Curation job ${job.id} completed: ${outcome}`)
+            }
+        } catch (error) {
+            if (state.leaseLost || job.released) {
+                return
+            }
+
+            await this.handleFailure(job, error)
+        } finally {
+            clearInterval(heartbeat)
+            this.currentJob = null
+        }
+    }
+
+    runEnrichment(source, job, context) {
+        return bulkEnricher.enrichAll({
+            source,
+            dryRun: job.job_options?.dryRun || false,
+            limit: job.job_options?.limit || null,
+            channelId: job.channel_id || null,
+            job: context
+        })
+    }
+
+    /**
+     * Retry with exponential backoff, or fail once attempts are used up
+     */
+    async handleFailure(job, error) {
+        logger.error(`Curation job ${job.id} attempt ${job.attempts} failed:`, error.message)
+
+        if (job.attempts >= job.max_attempts) {
+            await dbOperations.failCurationJob(job.id, error.message)
+            return
+        }
+
+        const delay = Math.min(
+            this.RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1),
+            this.RETRY_MAX_DELAY_MS
+        )
+        const runAfter = new Date(Date.now() + delay).toISOString()
+
+        // error_log is TEXT[]
+        const errorLog = [
+            ...(job.error_log || []),
+            `Attempt ${job.attempts} failed at ${new Date().toISOString()}: ${error.message}`
+        ]
+
+        await dbOperations.retryCurationJob(job.id, errorLog, runAfter)
+        logger.info(`🔁 Curation job ${job.id} will retry after ${runAfter}`)
+    }
+
+    /**
+     * Get worker status
+     *
+     * @returns {Object} Worker ID, state and current job
+     */
+    getStatus() {
+        return {
+            workerId: this.workerId,
+            running: this.running,
+            busy: this.busy,
+            currentJobId: this.currentJob?.id || null
+        }
+    }
+}
+
+// Export singleton instance
+export default new CurationQueue()
@@ -1,5 +1,6 @@
 import cron from 'node-cron'
 import linkValidatorService from '../services/linkValidatorService.js'
+import channelReputationService from '../services/channelReputationService.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -7,6 +8,7 @@ import { logger } from '../utils/logger.js'
  *
  * Manages all scheduled background jobs:
  * - Daily link validation (3 AM UTC)
+ * - Daily channel reputation recompute (4 AM UTC, after validation)
  * - Weekly cleanup tasks (Sunday 2 AM UTC)
  * - Monthly analytics (1st of month, 1 AM UTC)
  */
@@ -44,6 +46,26 @@ class JobScheduler {
             timezone: 'UTC'
         })
 
+        // Daily channel reputation at 4 AM UTC (uses the fresh validation results)
+        this.jobs.channelReputation = cron.schedule('0 4 * * *', async () => {
+            logger.info('⭐ Running scheduled channel reputation recompute')
+
+            try {
+                const result = await channelReputationService.recomputeAll()
+
+                logger.info('✅ Channel reputation recompute completed:', {
+                    updated: result.updated,
+                    failed: result.failed
+                })
+
+            } catch (error) {
+                logger.error('❌ Channel reputation recompute failed:', error)
+            }
+        }, {
+            scheduled: true,
+            timezone: 'UTC'
+        })
+
         // Weekly cleanup: Remove old validation failures (Sunday 2 AM UTC)
         this.jobs.weeklyCleanup = cron.schedule('0 2 * * 0', async () => {
             logger.info('🧹 Running weekly cleanup')
@@ -77,6 +99,7 @@ class JobScheduler {
 
         logger.info('✅ Scheduler started:', {
             daily_validation: '3:00 AM UTC',
+            channel_reputation: '4:00 AM UTC',
             weekly_cleanup: 'Sunday 2:00 AM UTC',
             monthly_stats: '1st of month 1:00 AM UTC'
         })
@@ -111,6 +134,9 @@ class JobScheduler {
             case 'dailyValidation':
                 return await linkValidatorService.runDailyValidation()
 
+            case 'channelReputation':
+                return await channelReputationService.recomputeAll()
+
             case 'weeklyCleanup':
                 return await this.cleanupOldData()
 
@@ -135,51 +161,16 @@ class JobScheduler {
         const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
 
         try {
-            // Import supabase from database config
-            const { supabase } = await import('../config/database.js')
-
-            // Delete old validation failures
-            const { error: failuresError, count: failuresDeleted } = await supabase
-                .from('validation_failures')
-                .delete({ count: 'exact' })
-                .lt('created_at', ninetyDaysAgo)
-
-            if (failuresError) {
-                logger.error('Error deleting old validation failures:', failuresError)
-            } else {
-                logger.info(`Deleted ${failuresDeleted || 0} old validation failures`)
-            }
+            // Import dbOperations from database config
+            const { dbOperations } = await import('../config/database.js')
 
-            // Delete old validation runs
-            const { error: runsError, count: runsDeleted } = await supabase
-                .from('validation_runs')
-                .delete({ count: 'exact' })
-                .lt('created_at', ninetyDaysAgo)
+            const deleted = await dbOperations.purgeValidationHistory(ninetyDaysAgo, thirtyDaysAgo)
 
-            if (runsError) {
-                logger.error('Error deleting old validation runs:', runsError)
-            } else {
-                logger.info(`Deleted ${runsDeleted || 0} old validation runs`)
-            }
-
-            // Delete resolved admin alerts older than 30 days
-            const { error: alertsError, count: alertsDeleted } = await supabase
-                .from('admin_alerts')
-                .delete({ count: 'exact' })
-                .eq('resolved', true)
-                .lt('resolved_at', thirtyDaysAgo)
-
-            if (alertsError) {
-                logger.error('Error deleting old admin alerts:', alertsError)
-            } else {
-                logger.info(`Deleted ${alertsDeleted || 0} old admin alerts`)
-            }
+            logger.info(`Deleted ${deleted.failuresDeleted} old validation failures`)
+            logger.info(`Deleted ${deleted.runsDeleted} old validation runs`)
+            logger.info(`Deleted ${deleted.alertsDeleted} old admin alerts`)
 
-            return {
-                failuresDeleted: failuresDeleted || 0,
-                runsDeleted: runsDeleted || 0,
-                alertsDeleted: alertsDeleted || 0
-            }
+            return deleted
 
         } catch (error) {
             logger.error('Error during cleanup:', error)
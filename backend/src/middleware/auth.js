@@ -1,12 +1,6 @@
-import { createClient } from '@supabase/supabase-js'
+import { supabase } from '../config/database.js'
 import { logger } from '../utils/logger.js'
 
-// Initialize Supabase client for JWT verification
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-)
-
 /**
  * Authentication middleware for protecting user-specific routes
  * Validates Supabase JWT tokens and extracts user_id
@@ -1,8 +1,8 @@
 export const validateRequest = (schema) => {
     return (req, res, next) => {
-        // Validate query parameters, body, or params based on request
-        const dataToValidate = req.method === 'GET' ? req.query :
-                              req.params.id ? req.params : req.body
+        // Validate route params (/:id), query parameters, or body based on request
+        const dataToValidate = req.params.id ? req.params :
+                              req.method === 'GET' ? req.query : req.body
 
         const { error, value } = schema.validate(dataToValidate, {
             allowUnknown: false,
@@ -22,10 +22,10 @@ export const validateRequest = (schema) => {
         }
 
         // Replace original data with validated data
-        if (req.method === 'GET') {
-            req.query = value
-        } else if (req.params.id) {
+        if (req.params.id) {
             req.params = value
+        } else if (req.method === 'GET') {
+            req.query = value
         } else {
             req.body = value
         }
@@ -4,8 +4,16 @@ import { seriesCurator } from '../services/seriesCurator.js'
 import { youtubeService } from '../services/youtubeService.js'
 import { channelPatternDetector } from '../services/channelPatternDetector.js'
 import { titleFixer } from '../scripts/fixMovieTitles.js'
-import { dbOperations, supabase } from '../config/database.js'
+import { bulkEnricher } from '../scripts/bulkEnrichMovies.js'
+import { titleCleaner } from '../utils/titleCleaner.js'
+import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import curationQueue from '../jobs/curationQueue.js'
+import channelReputationService from '../services/channelReputationService.js'
+import movieGroupService, { MovieGroupError } from '../services/movieGroupService.js'
+import reviewQueueService, { ReviewQueueError } from '../services/reviewQueueService.js'
+import movieEditService, { MovieEditError } from '../services/movieEditService.js'
+import { apiCache } from '../services/apiCacheService.js'
 
 const router = express.Router()
 
@@ -211,10 +219,11 @@ router.post('/channels/import', async (req, res, next) => {
             // Continue with import even if pattern detection fails
         }
 
-        // Step 5: Create curation job
+        // Step 5: Queue curation job
         const job = await dbOperations.createCurationJob({
             jobType: 'channel_scan',
             channelId: channelId,
+            options: { forceReenrich },
             resultSummary: {
                 channelTitle: channelInfo.title,
                 channelUrl: channelInfo.customUrl,
@@ -226,20 +235,10 @@ router.post('/channels/import', async (req, res, next) => {
             }
         })
 
-        logger.info(`Created curation job: ${job.id} for channel: ${channelInfo.title}`)
+        logger.info(`Queued curation job: ${job.id} for channel: ${channelInfo.title}`)
 
-        // Step 5: Start import process asynchronously
-        // (Run in background, don't wait for completion)
-        movieCurator.curateChannelMovies(channelId, { jobId: job.id, forceReenrich })
-            .then(results => {
-                const summary = forceReenrich
-                    ? `${results.moviesAdded} added, ${results.moviesUpdated} updated`
-                    : `${results.moviesAdded} movies added`
-                logger.info(`Channel import completed for ${channelInfo.title}: ${summary}`)
-            })
-            .catch(error => {
-                logger.error(`Channel import failed for ${channelInfo.title}:`, error.message)
-            })
+        // The queue worker picks the job up; nudge it so it starts right away
+        curationQueue.wake()
 
         // Step 6: Return job info immediately
         res.json({
@@ -256,7 +255,7 @@ router.post('/channels/import', async (req, res, next) => {
                     createdAt: job.created_at
                 }
             },
-            message: `Channel import started: ${channelInfo.title}. Use GET /api/admin/jobs/${job.id} to check progress.`
+            message: `Channel import queued: ${channelInfo.title}. Use GET /api/admin/jobs/${job.id} to check progress.`
         })
 
     } catch (error) {
@@ -349,10 +348,12 @@ router.post('/channels/import-all', async (req, res, next) => {
             })
         }
 
-        // Step 4: Create curation job
+        // Step 4: Queue curation job
+        // Safety limit: 20 pages × 50 results = 1000 videos max
         const job = await dbOperations.createCurationJob({
             jobType: 'channel_scan',
             channelId: channelId,
+            options: { fullImport: true, maxResults: 1000 },
             resultSummary: {
                 channelTitle: channelInfo.title,
                 channelUrl: channelInfo.customUrl,
@@ -360,147 +361,10 @@ router.post('/channels/import-all', async (req, res, next) => {
             }
         })
 
-        logger.info(`Created FULL curation job: ${job.id} for channel: ${channelInfo.title}`);
-
-        // Step 5: Start FULL import process with pagination (run in background)
-        (async () => {
-            try {
-                await dbOperations.startCurationJob(job.id)
-
-                const results = {
-                    moviesFound: 0,
-                    moviesAdded: 0,
-                    moviesSkipped: 0,
-                    errors: [],
-                    channelInfo: channelInfo,
-                    pagesFetched: 0
-                }
-
-                let pageToken = null
-                const maxPages = 20 // Safety limit: 20 pages × 50 results = 1000 videos max
-
-                do {
-                    try {
-                        logger.info(`Fetching page ${results.pagesFetched + 1} for channel ${channelInfo.title}`)
-
-                        // Fetch videos with pagination
-                        const searchParams = {
-                            part: ['snippet'],
-                            channelId: channelId,
-                            type: 'video',
-                            order: 'date',
-                            maxResults: 50
-                        }
-
-                        if (pageToken) {
-                            searchParams.pageToken = pageToken
-                        }
-
-                        const searchResponse = await youtubeService.youtube.search.list(searchParams)
-                        youtubeService.updateQuotaUsage(100)
-
-                        if (!searchResponse.data.items || searchResponse.data.items.length === 0) {
-                            break
-                        }
-
-                        // Get video IDs for detailed info
-                        const videoIds = searchResponse.data.items.map(item => item.id.videoId)
-
-                        // Get detailed video information
-                        const videosResponse = await youtubeService.youtube.videos.list({
-                            part: ['snippet', 'contentDetails', 'status', 'statistics'],
-                            id: videoIds
-                        })
-                        youtubeService.updateQuotaUsage(1)
-
-                        const videos = videosResponse.data.items.map(video => ({
-                            id: video.id,
-                            title: video.snippet.title,
-                            description: video.snippet.description,
-                            channelId: video.snippet.channelId,
-                            channelTitle: video.snippet.channelTitle,
-                            publishedAt: video.snippet.publishedAt,
-                            thumbnails: video.snippet.thumbnails,
-                            duration: video.contentDetails.duration,
-                            embeddable: video.status.embeddable,
-                            uploadStatus: video.status.uploadStatus,
-                            privacyStatus: video.status.privacyStatus,
-                            viewCount: parseInt(video.statistics.viewCount) || 0,
-                            likeCount: parseInt(video.statistics.likeCount) || 0,
-                            commentCount: parseInt(video.statistics.commentCount) || 0
-                        }))
-
-                        // Process each video
-                        for (const video of videos) {
-                            try {
-                                if (movieCurator.isLikelyMovie(video)) {
-                                    results.moviesFound++
-
-                                    // Check if movie already exists
-                                    try {
-                                        await dbOperations.getMovieByYouTubeId(video.id)
-                                        results.moviesSkipped++
-                                        continue
-                                    } catch (error) {
-                                        // Movie doesn't exist, continue processing
-                                    }
-
-                                    // Process and add movie
-                                    const success = await movieCurator.processMovie(video)
-                                    if (success) {
-                                        results.moviesAdded++
-                                        logger.info(`✅ [${results.moviesAdded}] Added: ${video.title}`)
-                                    } else {
-                                        results.errors.push({
-                                            videoId: video.id,
-                                            title: video.title,
-                                            error: 'Failed to process movie'
-                                        })
-                                    }
-                                }
-                            } catch (error) {
-                                logger.error(`Error processing video ${video.id}:`, error.message)
-                                results.errors.push({
-                                    videoId: video.id,
-                                    title: video.title,
-                                    error: error.message
-                                })
-                            }
-                        }
-
-                        // Update job progress
-                        await dbOperations.updateCurationJobProgress(job.id, {
-                            processed: results.moviesFound,
-                            successful: results.moviesAdded,
-                            failed: results.errors.length
-                        })
-
-                        results.pagesFetched++
-                        pageToken = searchResponse.data.nextPageToken
-
-                        // Small delay to respect rate limits
-                        await new Promise(resolve => setTimeout(resolve, 1000))
-
-                    } catch (error) {
-                        logger.error(`Error fetching page for channel ${channelInfo.title}:`, error.message)
-                        results.errors.push({
-                            page: results.pagesFetched + 1,
-                            error: error.message
-                        })
-                        break
-                    }
-
-                } while (pageToken && results.pagesFetched < maxPages)
+        logger.info(`Queued FULL curation job: ${job.id} for channel: ${channelInfo.title}`)
 
-                logger.info(`✅ FULL import completed for ${channelInfo.title}: ${results.moviesAdded} movies added from ${results.pagesFetched} pages`)
-
-                await dbOperations.completeCurationJob(job.id, results)
-
-            } catch (error) {
-                logger.error(`FULL import failed for ${channelInfo.title}:`, error.message)
-                await dbOperations.failCurationJob(job.id, error.message)
-            }
-        })()
+        // Step 5: Nudge the queue worker so the import starts right away
+        curationQueue.wake()
 
         // Step 6: Return job info immediately
         res.json({
@@ -518,7 +382,7 @@ router.post('/channels/import-all', async (req, res, next) => {
                     fullImport: true
                 }
             },
-            message: `FULL channel import started: ${channelInfo.title}. This will fetch ALL videos using pagination. Use GET /api/admin/jobs/${job.id} to check progress.`
+            message: `FULL channel import queued: ${channelInfo.title}. This will fetch ALL videos using pagination. Use GET /api/admin/jobs/${job.id} to check progress.`
         })
 
     } catch (error) {
@@ -575,6 +439,17 @@ router.get('/jobs/:jobId', async (req, res, next) => {
                             ? Math.round((new Date(job.completed_at) - new Date(job.started_at)) / 1000)
                             : null
                     },
+                    queue: {
+                        attempts: job.attempts,
+                        maxAttempts: job.max_attempts,
+                        runAfter: job.run_after,
+                        lockedBy: job.locked_by,
+                        lockedUntil: job.locked_until,
+                        heartbeatAt: job.heartbeat_at,
+                        cancelRequested: job.cancel_requested,
+                        lastProcessedVideoId: job.checkpoint?.lastVideoId || null
+                    },
+                    options: job.job_options,
                     results: job.result_summary,
                     errors: job.error_log
                 }
@@ -587,6 +462,85 @@ router.get('/jobs/:jobId', async (req, res, next) => {
     }
 })
 
+// =============================================================================
+// POST /api/admin/jobs/:jobId/cancel
+// Cancel a queued or running curation job
+// Pending jobs cancel immediately; running jobs stop before their next video
+// =============================================================================
+router.post('/jobs/:jobId/cancel', async (req, res, next) => {
+    try {
+        const { jobId } = req.params
+
+        logger.info(`Admin requested job cancellation: ${jobId}`)
+
+        const job = await dbOperations.requestCurationJobCancel(jobId)
+
+        if (!job) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job Not Cancellable',
+                message: `Curation job ${jobId} does not exist or has already finished`
+            })
+        }
+
+        res.json({
+            success: true,
+            data: {
+                job: {
+                    id: job.id,
+                    status: job.status,
+                    cancelRequested: job.cancel_requested
+                }
+            },
+            message: job.status === 'cancelled'
+                ? 'Job cancelled'
+                : 'Cancellation requested; the worker will stop at the next video'
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/jobs/:jobId/resume
+// Re-queue a failed or cancelled job; it continues after the last processed video
+// =============================================================================
+router.post('/jobs/:jobId/resume', async (req, res, next) => {
+    try {
+        const { jobId } = req.params
+
+        logger.info(`Admin requested job resume: ${jobId}`)
+
+        const job = await dbOperations.resumeCurationJob(jobId)
+
+        if (!job) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job Not Resumable',
+                message: `Curation job ${jobId} does not exist or is not failed/cancelled`
+            })
+        }
+
+        curationQueue.wake()
+
+        res.json({
+            success: true,
+            data: {
+                job: {
+                    id: job.id,
+                    status: job.status,
+                    lastProcessedVideoId: job.checkpoint?.lastVideoId || null
+                }
+            },
+            message: 'Job re-queued'
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
 // =============================================================================
 // GET /api/admin/jobs
 // List all curation jobs
@@ -636,216 +590,113 @@ router.get('/jobs', async (req, res, next) => {
 
 // =============================================================================
 // POST /api/admin/enrich-tmdb
-// Enrich existing movies with TMDB metadata (posters, ratings, etc.)
+// POST /api/admin/enrich-omdb
+// Queue a job that enriches the whole catalog: movies without TMDB data
+// (enrich-tmdb), or without TMDB and IMDb IDs (enrich-omdb). Poll
+// GET /api/admin/jobs/:jobId; download the diff from
+// GET /api/admin/jobs/:jobId/changes?format=csv
+// Body:
+//   - dryRun: boolean (default: false) - Record the proposed changes without saving them
+//   - limit: number (optional) - Stop after this many movies
+//   - channelId: string (optional) - Only movies from this channel
 // =============================================================================
-router.post('/enrich-tmdb', async (req, res, next) => {
-    try {
-        const limit = parseInt(req.query.limit) || 50
-
-        logger.info(`Admin triggered TMDB enrichment (limit: ${limit})`)
-
-        // Get movies without TMDB data
-        const { data: movies, error } = await supabase
-            .from('movies')
-            .select('id, title, original_title, tmdb_id')
-            .is('tmdb_id', null)
-            .limit(limit)
-
-        if (error) {
-            throw new Error(`Failed to fetch movies: ${error.message}`)
-        }
-
-        logger.info(`Found ${movies.length} movies without TMDB data`)
-
-        let enriched = 0
-        let failed = 0
-        const results = []
-
-        for (const movie of movies) {
-            try {
-                // Try to enrich with TMDB
-                const tmdbData = await movieCurator.enrichWithTMDB(movie.title || movie.original_title)
-
-                if (tmdbData) {
-                    // Extract genres before updating movie (genres go in separate table)
-                    const { genres, ...movieUpdateData } = tmdbData
-
-                    // Update movie with TMDB data (without genres)
-                    await dbOperations.updateMovie(movie.id, movieUpdateData)
-
-                    // Add genres if present
-                    if (genres && genres.length > 0) {
-                        await movieCurator.addMovieGenres(movie.id, genres)
-                    }
-
-                    enriched++
-                    results.push({
-                        id: movie.id,
-                        title: movie.title,
-                        status: 'enriched',
-                        tmdb_id: tmdbData.tmdb_id,
-                        has_poster: !!tmdbData.poster_path
-                    })
-
-                    logger.info(`✅ Enriched: ${movie.title} (TMDB ID: ${tmdbData.tmdb_id})`)
-                } else {
-                    failed++
-                    results.push({
-                        id: movie.id,
-                        title: movie.title,
-                        status: 'not_found'
-                    })
-
-                    logger.warn(`❌ No TMDB match: ${movie.title}`)
-                }
-
-                // Small delay to respect rate limits
-                await new Promise(resolve => setTimeout(resolve, 300))
-
-            } catch (error) {
-                failed++
-                results.push({
-                    id: movie.id,
-                    title: movie.title,
-                    status: 'error',
-                    error: error.message
-                })
-
-                logger.error(`❌ Error enriching ${movie.title}:`, error.message)
+const queueEnrichmentJob = async (source, req, res) => {
+    const {
+        dryRun = false,
+        limit = req.query.limit || null,
+        channelId = null
+    } = req.body
+
+    logger.info(`Admin queued ${source.toUpperCase()} enrichment:`, { dryRun, limit, channelId })
+
+    const job = await dbOperations.createCurationJob({
+        jobType: `enrich_${source}`,
+        channelId,
+        options: { dryRun, limit: limit ? parseInt(limit) : null },
+        resultSummary: { source, dryRun }
+    })
+
+    curationQueue.wake()
+
+    res.json({
+        success: true,
+        data: {
+            job: {
+                id: job.id,
+                type: job.job_type,
+                status: job.status,
+                channelId,
+                dryRun,
+                createdAt: job.created_at
             }
-        }
+        },
+        message: `${source.toUpperCase()} enrichment queued${dryRun ? ' (dry run)' : ''}. Use GET /api/admin/jobs/${job.id} for progress and GET /api/admin/jobs/${job.id}/changes?format=csv for the diff.`
+    })
+}
 
-        res.json({
-            success: true,
-            data: {
-                total: movies.length,
-                enriched,
-                failed,
-                results
-            },
-            message: `TMDB enrichment completed: ${enriched} enriched, ${failed} failed`
-        })
+router.post('/enrich-tmdb', async (req, res, next) => {
+    try {
+        await queueEnrichmentJob('tmdb', req, res)
+    } catch (error) {
+        next(error)
+    }
+})
 
+router.post('/enrich-omdb', async (req, res, next) => {
+    try {
+        await queueEnrichmentJob('omdb', req, res)
     } catch (error) {
         next(error)
     }
 })
 
 // =============================================================================
-// POST /api/admin/enrich-omdb
-// Re-enrich movies that failed TMDB using OMDb (IMDB database)
+// GET /api/admin/jobs/:jobId/changes
+// Per-movie outcomes and field changes of an enrichment job (proposed ones for
+// a dry run)
+// Query params:
+//   - format: json (default) or csv (downloaded as enrichment-<jobId>.csv,
+//     one line per changed field)
+//   - changedOnly: boolean (default: false) - Skip movies without changes
 // =============================================================================
-router.post('/enrich-omdb', async (req, res, next) => {
+router.get('/jobs/:jobId/changes', async (req, res, next) => {
     try {
-        const { limit = 100 } = req.body
-
-        logger.info(`Admin triggered OMDb enrichment (limit: ${limit})`)
-
-        // Find movies without TMDB or OMDb data
-        // Order by updated_at DESC to prioritize recently cleaned titles
-        const { data: movies, error: queryError } = await supabase
-            .from('movies')
-            .select('id, title, original_title, tmdb_id, imdb_id, updated_at')
-            .is('tmdb_id', null)
-            .is('imdb_id', null)
-            .order('updated_at', { ascending: false })
-            .limit(limit)
-
-        if (queryError) {
-            throw new Error(`Database query failed: ${queryError.message}`)
-        }
+        const { jobId } = req.params
+        const format = req.query.format || 'json'
 
-        if (!movies || movies.length === 0) {
-            return res.json({
-                success: true,
-                data: {
-                    total: 0,
-                    enriched: 0,
-                    failed: 0,
-                    results: []
-                },
-                message: 'No movies found to enrich'
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'format must be json or csv'
             })
         }
 
-        let enriched = 0
-        let failed = 0
-        const results = []
-
-        for (const movie of movies) {
-            try {
-                // Try OMDb enrichment
-                const omdbData = await movieCurator.enrichWithOMDb(
-                    movie.title || movie.original_title
-                )
-
-                if (omdbData) {
-                    // Update movie with OMDb data
-                    const { error: updateError } = await supabase
-                        .from('movies')
-                        .update({
-                            imdb_id: omdbData.imdb_id,
-                            poster_path: omdbData.poster_path,
-                            description: omdbData.description,
-                            release_date: omdbData.release_date,
-                            runtime_minutes: omdbData.runtime_minutes,
-                            imdb_rating: omdbData.imdb_rating,
-                            imdb_votes: omdbData.imdb_votes,
-                            rated: omdbData.rated,
-                            director: omdbData.director,
-                            actors: omdbData.actors,
-                            language: omdbData.language,
-                            country: omdbData.country,
-                            is_tv_show: omdbData.is_tv_show,
-                            enrichment_source: 'omdb',
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', movie.id)
-
-                    if (updateError) {
-                        throw new Error(`Database update failed: ${updateError.message}`)
-                    }
+        const job = await dbOperations.getCurationJob(jobId)
 
-                    enriched++
-                    results.push({
-                        id: movie.id,
-                        title: movie.title,
-                        status: 'enriched',
-                        imdb_id: omdbData.imdb_id,
-                        has_poster: !!omdbData.poster_path
-                    })
-
-                    logger.info(`✅ OMDb enriched: ${movie.title} (IMDB: ${omdbData.imdb_id})`)
-                } else {
-                    failed++
-                    results.push({
-                        id: movie.id,
-                        title: movie.title,
-                        status: 'not_found'
-                    })
-                }
+        if (!job || !job.job_type?.startsWith('enrich_')) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job Not Found',
+                message: `No enrichment job found with ID: ${jobId}`
+            })
+        }
 
-            } catch (error) {
-                logger.error(`❌ Error enriching ${movie.title}:`, error.message)
-                failed++
-                results.push({
-                    id: movie.id,
-                    title: movie.title,
-                    status: 'error',
-                    error: error.message
-                })
-            }
+        const changes = await bulkEnricher.getChanges(jobId, { changedOnly: req.query.changedOnly === 'true' })
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8')
+            res.set('Content-Disposition', `attachment; filename="enrichment-${jobId}.csv"`)
+            return res.send(bulkEnricher.toCsv(changes))
         }
 
         res.json({
             success: true,
             data: {
-                total: movies.length,
-                enriched,
-                failed,
-                results
+                job: { id: job.id, type: job.job_type, status: job.status, dryRun: job.job_options?.dryRun || false },
+                changes
             },
-            message: `OMDb enrichment completed: ${enriched} enriched, ${failed} failed`
+            message: `Retrieved ${changes.length} movie reports`
         })
 
     } catch (error) {
@@ -905,26 +756,13 @@ router.get('/series', async (req, res, next) => {
 
         logger.info('Admin requested series list')
 
-        const { data: series, error } = await supabase
-            .from('tv_series')
-            .select(`
-                *,
-                series_genres (
-                    genres (id, name)
-                )
-            `)
-            .order('created_at', { ascending: false })
-            .range(offset, offset + limit - 1)
-
-        if (error) {
+        let series, count
+        try {
+            ({ series, total: count } = await dbOperations.getSeriesList(limit, offset))
+        } catch (error) {
             throw new Error(`Failed to fetch series: ${error.message}`)
         }
 
-        // Get total count
-        const { count } = await supabase
-            .from('tv_series')
-            .select('*', { count: 'exact', head: true })
-
         res.json({
             success: true,
             data: {
@@ -967,37 +805,19 @@ router.get('/series/:seriesId', async (req, res, next) => {
 
         logger.info(`Admin requested series details: ${seriesId}`)
 
-        // Get series with related data
-        const { data: series, error: seriesError } = await supabase
-            .from('tv_series')
-            .select(`
-                *,
-                series_genres (
-                    genres (id, name)
-                ),
-                seasons (
-                    id,
-                    season_number,
-                    title,
-                    episode_count,
-                    poster_path
-                )
-            `)
-            .eq('id', seriesId)
-            .single()
-
-        if (seriesError) {
+        // Get series with genres and seasons
+        let series
+        try {
+            series = await dbOperations.getSeriesById(seriesId)
+        } catch (seriesError) {
             throw new Error(`Failed to fetch series: ${seriesError.message}`)
         }
 
         // Get episode statistics
-        const { data: episodeStats } = await supabase
-            .from('episodes')
-            .select('is_available')
-            .eq('series_id', seriesId)
+        const episodeStats = await dbOperations.getEpisodes(seriesId)
 
-        const totalEpisodes = episodeStats?.length || 0
-        const linkedEpisodes = episodeStats?.filter(e => e.is_available).length || 0
+        const totalEpisodes = episodeStats.length
+        const linkedEpisodes = episodeStats.filter(e => e.is_available).length
         const unlinkedEpisodes = totalEpisodes - linkedEpisodes
 
         res.json({
@@ -1034,16 +854,10 @@ router.get('/series/unlinked/:seriesId', async (req, res, next) => {
 
         logger.info(`Admin requested unlinked episodes for series: ${seriesId}`)
 
-        const { data: episodes, error } = await supabase
-            .from('episodes')
-            .select('*')
-            .eq('series_id', seriesId)
-            .is('youtube_video_id', null)
-            .order('season_number', { ascending: true })
-            .order('episode_number', { ascending: true })
-            .limit(limit)
-
-        if (error) {
+        let episodes
+        try {
+            episodes = await dbOperations.getEpisodes(seriesId, { unlinkedOnly: true, limit })
+        } catch (error) {
             throw new Error(`Failed to fetch unlinked episodes: ${error.message}`)
         }
 
@@ -1122,8 +936,11 @@ router.post('/series/confirm-link', async (req, res, next) => {
 
         logger.info(`Admin confirmed link: Episode ${episodeId} → Video ${videoId}`)
 
-        // Get video info from YouTube
-        const videoInfo = await youtubeService.getVideoDetails(videoId)
+        // Get video info from YouTube (quota and network errors go to the error handler)
+        const videoInfo = await youtubeService.getVideoInfo(videoId).catch(error => {
+            if (error.status === 404) return null
+            throw error
+        })
 
         if (!videoInfo) {
             return res.status(404).json({
@@ -1170,14 +987,10 @@ router.post('/series/:seriesId/toggle-availability', async (req, res, next) => {
 
         logger.info(`Admin toggled ${field} for series ${seriesId}: ${value}`)
 
-        const { data, error } = await supabase
-            .from('tv_series')
-            .update({ [field]: value })
-            .eq('id', seriesId)
-            .select()
-            .single()
-
-        if (error) {
+        let data
+        try {
+            data = await dbOperations.updateSeries(seriesId, { [field]: value })
+        } catch (error) {
             throw new Error(`Failed to update series: ${error.message}`)
         }
 
@@ -1201,21 +1014,25 @@ router.post('/series/:seriesId/toggle-availability', async (req, res, next) => {
 //   - dryRun: boolean (default: false) - Preview changes without applying
 //   - limit: number (optional) - Limit number of movies to process
 //   - channelId: string (optional) - Only fix titles for specific channel
+//   - outdatedOnly: boolean (default: false) - Skip movies already cleaned by
+//     the current title rules version (movies.title_rules_version)
 // =============================================================================
 router.post('/movies/fix-titles', async (req, res, next) => {
     try {
         const {
             dryRun = false,
             limit = null,
-            channelId = null
+            channelId = null,
+            outdatedOnly = false
         } = req.body
 
-        logger.info('Admin triggered title fix:', { dryRun, limit, channelId })
+        logger.info('Admin triggered title fix:', { dryRun, limit, channelId, outdatedOnly })
 
         const results = await titleFixer.fixAllTitles({
             dryRun,
             limit: limit ? parseInt(limit) : null,
-            channelId
+            channelId,
+            outdatedOnly
         })
 
         res.json({
@@ -1223,7 +1040,7 @@ router.post('/movies/fix-titles', async (req, res, next) => {
             data: results,
             message: dryRun
                 ? `Dry run completed: ${results.updated} titles would be updated`
-                : `Title fix completed: ${results.updated} titles updated`
+                : `Title fix completed: ${results.updated} titles updated${results.locked > 0 ? `, ${results.locked} locked titles skipped` : ''}`
         })
 
     } catch (error) {
@@ -1257,66 +1074,184 @@ router.post('/movies/:movieId/fix-title', async (req, res, next) => {
 })
 
 // =============================================================================
-// DELETE /api/admin/channels/:channelId
-// Delete a channel and all its movies
+// POST /api/admin/movies/recategorize
+// Queue a job that re-derives categories from TMDB/OMDb genres (keywords as
+// fallback) and reports every change. Poll GET /api/admin/jobs/:jobId; the
+// report is in results.
+// Body:
+//   - dryRun: boolean (default: false) - Report changes without saving them
+//   - limit: number (optional) - Limit number of movies to process
+//   - channelId: string (optional) - Only movies from this channel
 // =============================================================================
-router.delete('/channels/:channelId', async (req, res, next) => {
+router.post('/movies/recategorize', async (req, res, next) => {
     try {
-        const { channelId } = req.params
+        const {
+            dryRun = false,
+            limit = null,
+            channelId = null
+        } = req.body
 
-        logger.info(`Admin triggered deletion for channel: ${channelId}`)
+        logger.info('Admin queued re-categorization:', { dryRun, limit, channelId })
 
-        // Get channel info first
-        const { data: channel, error: channelError } = await supabase
-            .from('youtube_channels')
-            .select('channel_title, video_count')
-            .eq('id', channelId)
-            .single()
+        const job = await dbOperations.createCurationJob({
+            jobType: 'recategorize',
+            channelId,
+            options: { dryRun, limit: limit ? parseInt(limit) : null },
+            resultSummary: { dryRun }
+        })
 
-        if (channelError || !channel) {
-            return res.status(404).json({
+        curationQueue.wake()
+
+        res.json({
+            success: true,
+            data: {
+                job: {
+                    id: job.id,
+                    type: job.job_type,
+                    status: job.status,
+                    channelId,
+                    dryRun,
+                    createdAt: job.created_at
+                }
+            },
+            message: `Re-categorization queued${dryRun ? ' (dry run)' : ''}. Use GET /api/admin/jobs/${job.id} to see the changes.`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// MOVIE METADATA OVERRIDES
+// =============================================================================
+
+const handleMovieEditError = (error, res, next) => {
+    if (error instanceof MovieEditError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.title,
+            message: error.message
+        })
+    }
+
+    next(error)
+}
+
+// =============================================================================
+// PATCH /api/admin/movies/:movieId
+// Edit display fields by hand. Edited fields are locked by default, so
+// re-enrichment, the title fixer and YouTube refreshes keep them.
+// Body:
+//   - changes: object - e.g. { "title": "Nosferatu", "categories": ["horror"] }
+//   - lock: boolean (default: true) - Lock the submitted fields
+//   - actor, reason: string (optional) - Recorded in the edit history
+// =============================================================================
+router.patch('/movies/:movieId', async (req, res, next) => {
+    try {
+        const { changes, lock = true, actor, reason } = req.body
+
+        const result = await movieEditService.editMovie(req.params.movieId, changes, {
+            lock: lock !== false,
+            actor: actor || 'admin',
+            reason: reason || null
+        })
+
+        res.json({
+            success: true,
+            data: result,
+            message: result.changes.length > 0
+                ? `Updated ${result.changes.map(change => change.field).join(', ')}`
+                : 'No changes'
+        })
+
+    } catch (error) {
+        handleMovieEditError(error, res, next)
+    }
+})
+
+// =============================================================================
+// PUT /api/admin/movies/:movieId/locked-fields
+// Set the fields TMDB/OMDb re-enrichment must never overwrite (replaces the list)
+// Body:
+//   - fields: string[] - e.g. ["title", "description"]; [] unlocks everything
+//   - actor, reason: string (optional) - Recorded in the edit history
+// =============================================================================
+router.put('/movies/:movieId/locked-fields', async (req, res, next) => {
+    try {
+        const { fields } = req.body
+
+        if (!Array.isArray(fields)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Channel Not Found',
-                message: `Channel not found: ${channelId}`
+                error: 'Bad Request',
+                message: 'fields must be an array of field names'
             })
         }
 
-        // Count movies for this channel
-        const { count: movieCount } = await supabase
-            .from('movies')
-            .select('*', { count: 'exact', head: true })
-            .eq('channel_id', channelId)
+        const { movie, locked, unlocked } = await movieEditService.setLockedFields(req.params.movieId, fields, getAuditContext(req.body))
 
-        // Delete all movies from this channel
-        const { error: moviesError } = await supabase
-            .from('movies')
-            .delete()
-            .eq('channel_id', channelId)
+        res.json({
+            success: true,
+            data: {
+                id: movie.id,
+                title: movie.title,
+                locked_fields: movie.locked_fields,
+                field_sources: movie.field_sources || {},
+                locked,
+                unlocked
+            },
+            message: movie.locked_fields.length > 0
+                ? `Locked ${movie.locked_fields.length} fields`
+                : 'All fields unlocked'
+        })
 
-        if (moviesError) {
-            throw new Error(`Failed to delete movies: ${moviesError.message}`)
-        }
+    } catch (error) {
+        handleMovieEditError(error, res, next)
+    }
+})
 
-        // Delete the channel
-        const { error: deleteError } = await supabase
-            .from('youtube_channels')
-            .delete()
-            .eq('id', channelId)
+// =============================================================================
+// GET /api/admin/movies/:movieId/history
+// Edits, locks and unlocks of a movie, newest first
+// Query params:
+//   - limit: number (default: 50, max: 200)
+// =============================================================================
+router.get('/movies/:movieId/history', async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+        const entries = await movieEditService.getHistory(req.params.movieId, limit)
 
-        if (deleteError) {
-            throw new Error(`Failed to delete channel: ${deleteError.message}`)
-        }
+        res.json({
+            success: true,
+            data: { entries },
+            message: `Retrieved ${entries.length} history entries`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
 
-        logger.info(`✅ Deleted channel ${channel.channel_title} and ${movieCount} movies`)
+// =============================================================================
+// GET /api/admin/api-cache
+// TMDB/OMDb response cache size and hit rate
+// Query params:
+//   - hours: hit rate window (default: 24)
+// =============================================================================
+router.get('/api-cache', async (req, res, next) => {
+    try {
+        const hours = parseFloat(req.query.hours) || 24
+        const stats = await apiCache.getStats(hours)
 
         res.json({
             success: true,
             data: {
-                channelId,
-                channelTitle: channel.channel_title,
-                moviesDeleted: movieCount
-            },
-            message: `Deleted channel "${channel.channel_title}" and ${movieCount} associated movies`
+                enabled: apiCache.enabled,
+                ttlHours: apiCache.ttlMs / (60 * 60 * 1000),
+                hours,
+                ...stats
+            }
         })
 
     } catch (error) {
@@ -1324,4 +1259,690 @@ router.delete('/channels/:channelId', async (req, res, next) => {
     }
 })
 
+// =============================================================================
+// DELETE /api/admin/api-cache
+// Purge cached TMDB/OMDb responses
+// Query params (at least one of movieId, pattern, expired):
+//   - movieId: the movie's TMDB details, IMDb ID lookups and title searches
+//   - pattern: keys containing this text (* matches anything), e.g. /search/movie?query=Nosferatu*
+//   - service: tmdb or omdb
+//   - expired: true to only purge expired entries
+// =============================================================================
+router.delete('/api-cache', async (req, res, next) => {
+    try {
+        const { movieId, pattern, service } = req.query
+        const expired = req.query.expired === 'true'
+
+        if (!movieId && !pattern && !expired) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'movieId, pattern or expired=true is required'
+            })
+        }
+
+        if (service && !['tmdb', 'omdb'].includes(service)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'service must be tmdb or omdb'
+            })
+        }
+
+        logger.info('Admin purging API cache', { movieId, pattern, service, expired })
+
+        const { purged, patterns } = await apiCache.purge({ movieId, pattern, service, expired })
+
+        res.json({
+            success: true,
+            data: { purged, patterns },
+            message: `Purged ${purged} cached responses`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/channels/reputation/recompute
+// Recompute and store reputation for every channel (normally runs daily)
+// =============================================================================
+router.post('/channels/reputation/recompute', async (req, res, next) => {
+    try {
+        logger.info('Admin triggered channel reputation recompute')
+
+        const results = await channelReputationService.recomputeAll()
+
+        res.json({
+            success: true,
+            data: results,
+            message: `Reputation recomputed for ${results.updated} channels (${results.failed} failed)`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// GET /api/admin/channels/:channelId/reputation
+// Explain a channel's reputation score factor by factor
+// Query params:
+//   - refresh: boolean (default: false) - Store the freshly computed score
+// =============================================================================
+router.get('/channels/:channelId/reputation', async (req, res, next) => {
+    try {
+        const { channelId } = req.params
+        const refresh = req.query.refresh === 'true'
+
+        try {
+            await dbOperations.getChannelById(channelId)
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                error: 'Channel Not Found',
+                message: `Channel not found: ${channelId}`
+            })
+        }
+
+        if (refresh) {
+            await channelReputationService.recomputeChannel(channelId)
+        }
+
+        const explanation = await channelReputationService.explainReputation(channelId)
+
+        res.json({
+            success: true,
+            data: explanation
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// CHANNEL TITLE RULES
+// Admin extraction rules that take precedence over the detected title pattern:
+// { regex: '(?<title>...)', flags, separator, segment, strip: [], stripPatterns: [] }
+// =============================================================================
+
+const findChannelOr404 = async (channelId, res) => {
+    try {
+        return await dbOperations.getChannelById(channelId)
+    } catch (error) {
+        if (error.code !== 'PGRST116') throw error
+
+        res.status(404).json({
+            success: false,
+            error: 'Channel Not Found',
+            message: `Channel not found: ${channelId}`
+        })
+        return null
+    }
+}
+
+// Validated, normalized rules from the request body, or null after a 400
+const readTitleRules = (req, res) => {
+    const { valid, errors } = titleCleaner.validateChannelRules(req.body.rules)
+
+    if (!valid) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid Title Rules',
+            message: errors.join('; '),
+            details: errors
+        })
+        return null
+    }
+
+    return titleCleaner.normalizeChannelRules(req.body.rules)
+}
+
+const readSampleSize = (req) => Math.min(Math.max(parseInt(req.body.sampleSize) || 25, 1), 50)
+
+// =============================================================================
+// GET /api/admin/channels/:channelId/title-rules
+// Current rules and the auto-detected pattern they override
+// =============================================================================
+router.get('/channels/:channelId/title-rules', async (req, res, next) => {
+    try {
+        const channel = await findChannelOr404(req.params.channelId, res)
+        if (!channel) return
+
+        res.json({
+            success: true,
+            data: {
+                channelId: channel.id,
+                rules: channel.title_rules || null,
+                rulesUpdatedAt: channel.title_rules_updated_at || null,
+                detectedPattern: channel.pattern_analyzed ? channel.title_pattern : null
+            }
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/channels/:channelId/title-rules/preview
+// Run rules against the channel's recent uploads without saving them
+// Body: { rules, sampleSize? (default 25, max 50) }
+// =============================================================================
+router.post('/channels/:channelId/title-rules/preview', async (req, res, next) => {
+    try {
+        const rules = readTitleRules(req, res)
+        if (!rules) return
+
+        const channel = await findChannelOr404(req.params.channelId, res)
+        if (!channel) return
+
+        const preview = await channelPatternDetector.previewTitleRules(channel.id, rules, readSampleSize(req))
+
+        res.json({
+            success: true,
+            data: { rules, preview },
+            message: `Rules matched ${preview.matched} of ${preview.sampleCount} recent titles (${preview.changed} would change)`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// PUT /api/admin/channels/:channelId/title-rules
+// Validate rules against recent uploads, then save them
+// Body: { rules, sampleSize?, force? (save even if no recent title matches) }
+// =============================================================================
+router.put('/channels/:channelId/title-rules', async (req, res, next) => {
+    try {
+        const rules = readTitleRules(req, res)
+        if (!rules) return
+
+        const channel = await findChannelOr404(req.params.channelId, res)
+        if (!channel) return
+
+        const preview = await channelPatternDetector.previewTitleRules(channel.id, rules, readSampleSize(req))
+
+        if (preview.matched === 0 && req.body.force !== true) {
+            return res.status(422).json({
+                success: false,
+                error: 'Rules Match Nothing',
+                message: `Rules matched none of the ${preview.sampleCount} recent titles; fix them or resend with force: true`,
+                data: { preview }
+            })
+        }
+
+        logger.info(`Admin saving title rules for channel ${channel.id}`, { rules })
+
+        await channelPatternDetector.saveTitleRules(channel.id, rules)
+
+        res.json({
+            success: true,
+            data: { rules, preview },
+            message: `Title rules saved (matched ${preview.matched} of ${preview.sampleCount} recent titles). ` +
+                `Run POST /api/admin/movies/fix-titles with channelId to re-clean existing movies.`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// DELETE /api/admin/channels/:channelId/title-rules
+// Remove the rules; the auto-detected pattern applies again
+// =============================================================================
+router.delete('/channels/:channelId/title-rules', async (req, res, next) => {
+    try {
+        const channel = await findChannelOr404(req.params.channelId, res)
+        if (!channel) return
+
+        await channelPatternDetector.saveTitleRules(channel.id, null)
+
+        res.json({
+            success: true,
+            message: `Title rules removed for channel ${channel.id}`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// DELETE /api/admin/channels/:channelId
+// Delete a channel and all its movies
+// =============================================================================
+router.delete('/channels/:channelId', async (req, res, next) => {
+    try {
+        const { channelId } = req.params
+
+        logger.info(`Admin triggered deletion for channel: ${channelId}`)
+
+        // Get channel info first
+        const channel = await findChannelOr404(channelId, res)
+        if (!channel) return
+
+        // Delete the channel and all its movies
+        let movieCount
+        try {
+            movieCount = await dbOperations.deleteChannel(channelId)
+        } catch (error) {
+            throw new Error(`Failed to delete channel: ${error.message}`)
+        }
+
+        logger.info(`✅ Deleted channel ${channel.title} and ${movieCount} movies`)
+
+        res.json({
+            success: true,
+            data: {
+                channelId,
+                channelTitle: channel.title,
+                moviesDeleted: movieCount
+            },
+            message: `Deleted channel "${channel.title}" and ${movieCount} associated movies`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// MOVIE GROUPS
+// Duplicate uploads of the same film; one primary version, the rest backups.
+// Promote/demote/merge/split accept optional "actor" and "reason" for the
+// audit log.
+// =============================================================================
+
+const handleMovieGroupError = (error, res, next) => {
+    if (error instanceof MovieGroupError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.title,
+            message: error.message
+        })
+    }
+
+    next(error)
+}
+
+const getAuditContext = (body = {}) => ({
+    actor: body.actor || 'admin',
+    reason: body.reason || null
+})
+
+// =============================================================================
+// GET /api/admin/movie-groups
+// List movie groups with version counts and primary
+// Query params:
+//   - page, limit (default: 1, 20)
+//   - search: string (optional) - Filter by canonical title
+// =============================================================================
+router.get('/movie-groups', async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+        const { groups, total } = await movieGroupService.listGroups({
+            page,
+            limit,
+            search: req.query.search || null
+        })
+
+        res.json({
+            success: true,
+            data: {
+                groups,
+                pagination: { page, limit, total }
+            },
+            message: `Retrieved ${groups.length} movie groups`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// GET /api/admin/movie-groups/:groupId
+// Group details with all versions, failover events and audit log
+// =============================================================================
+router.get('/movie-groups/:groupId', async (req, res, next) => {
+    try {
+        const group = await movieGroupService.getGroupDetails(req.params.groupId)
+
+        res.json({
+            success: true,
+            data: group
+        })
+
+    } catch (error) {
+        handleMovieGroupError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/movie-groups/:groupId/promote
+// Make a version primary and pin it (imports won't replace it)
+// Body: { movieId, actor?, reason? }
+// =============================================================================
+router.post('/movie-groups/:groupId/promote', async (req, res, next) => {
+    try {
+        const { movieId } = req.body
+
+        if (!movieId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'movieId is required'
+            })
+        }
+
+        logger.info(`Admin promoting movie ${movieId} in group ${req.params.groupId}`)
+
+        const result = await movieGroupService.promoteVersion(req.params.groupId, movieId, getAuditContext(req.body))
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Movie ${movieId} is now the primary version`
+        })
+
+    } catch (error) {
+        handleMovieGroupError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/movie-groups/:groupId/demote
+// Demote the primary; the best available backup takes over
+// Body: { movieId, actor?, reason? }
+// =============================================================================
+router.post('/movie-groups/:groupId/demote', async (req, res, next) => {
+    try {
+        const { movieId } = req.body
+
+        if (!movieId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'movieId is required'
+            })
+        }
+
+        logger.info(`Admin demoting movie ${movieId} in group ${req.params.groupId}`)
+
+        const result = await movieGroupService.demoteVersion(req.params.groupId, movieId, getAuditContext(req.body))
+
+        res.json({
+            success: true,
+            data: result,
+            message: result.primaryId
+                ? `Movie ${movieId} demoted, ${result.primaryId} is now primary`
+                : `Movie ${movieId} demoted, no backup available to take over`
+        })
+
+    } catch (error) {
+        handleMovieGroupError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/movie-groups/:groupId/merge
+// Move all versions of another group into this one and delete it
+// Body: { sourceGroupId, actor?, reason? }
+// =============================================================================
+router.post('/movie-groups/:groupId/merge', async (req, res, next) => {
+    try {
+        const { sourceGroupId } = req.body
+
+        if (!sourceGroupId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'sourceGroupId is required'
+            })
+        }
+
+        logger.info(`Admin merging group ${sourceGroupId} into ${req.params.groupId}`)
+
+        const result = await movieGroupService.mergeGroups(req.params.groupId, sourceGroupId, getAuditContext(req.body))
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Merged ${result.movedMovieIds.length} versions into group ${result.groupId}`
+        })
+
+    } catch (error) {
+        handleMovieGroupError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/movie-groups/:groupId/split
+// Move some versions into a new group
+// Body: { movieIds: [], canonicalTitle?, releaseYear?, tmdbId?, actor?, reason? }
+// =============================================================================
+router.post('/movie-groups/:groupId/split', async (req, res, next) => {
+    try {
+        const { movieIds, canonicalTitle, releaseYear, tmdbId } = req.body
+
+        if (!Array.isArray(movieIds) || movieIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'movieIds must be a non-empty array'
+            })
+        }
+
+        logger.info(`Admin splitting ${movieIds.length} versions from group ${req.params.groupId}`)
+
+        const result = await movieGroupService.splitGroup(
+            req.params.groupId,
+            [...new Set(movieIds)],
+            {
+                canonicalTitle,
+                releaseYear: releaseYear ? parseInt(releaseYear) : null,
+                tmdbId: tmdbId ? parseInt(tmdbId) : null
+            },
+            getAuditContext(req.body)
+        )
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Moved ${movieIds.length} versions into new group ${result.newGroupId}`
+        })
+
+    } catch (error) {
+        handleMovieGroupError(error, res, next)
+    }
+})
+
+// =============================================================================
+// GET /api/admin/movie-groups/:groupId/audit
+// Audit log for a group (including merges/splits it was part of)
+// =============================================================================
+router.get('/movie-groups/:groupId/audit', async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+        const entries = await movieGroupService.getAuditLog(req.params.groupId, limit)
+
+        res.json({
+            success: true,
+            data: { entries },
+            message: `Retrieved ${entries.length} audit entries`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// REVIEW QUEUE
+// Imports TMDB and OMDb couldn't match confidently. Resolve/reject accept an
+// optional "actor" recorded on the item.
+// =============================================================================
+
+const handleReviewQueueError = (error, res, next) => {
+    if (error instanceof ReviewQueueError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.title,
+            message: error.message
+        })
+    }
+
+    next(error)
+}
+
+// =============================================================================
+// GET /api/admin/review-queue
+// List review items with their top TMDB candidates
+// Query params:
+//   - status: 'pending' | 'resolved' | 'rejected' (default: 'pending')
+//   - page, limit (default: 1, 20)
+//   - candidates: number (default: 5, max: 10) - TMDB candidates per item
+// =============================================================================
+router.get('/review-queue', async (req, res, next) => {
+    try {
+        const status = req.query.status || 'pending'
+
+        if (!['pending', 'resolved', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'status must be pending, resolved or rejected'
+            })
+        }
+
+        const page = parseInt(req.query.page) || 1
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+        const candidates = parseInt(req.query.candidates)
+
+        const { items, total } = await reviewQueueService.listItems({
+            status,
+            page,
+            limit,
+            candidates: Number.isNaN(candidates) ? undefined : candidates
+        })
+
+        res.json({
+            success: true,
+            data: {
+                items,
+                pagination: { page, limit, total }
+            },
+            message: `Retrieved ${items.length} ${status} review items`
+        })
+
+    } catch (error) {
+        next(error)
+    }
+})
+
+// =============================================================================
+// GET /api/admin/review-queue/:itemId/candidates
+// Search TMDB again for an item
+// Query params:
+//   - query: string (optional) - Corrected title (default: the curator's search title)
+//   - year: number (optional)
+//   - limit: number (default: 5, max: 10)
+// =============================================================================
+router.get('/review-queue/:itemId/candidates', async (req, res, next) => {
+    try {
+        const candidates = await reviewQueueService.searchCandidates(req.params.itemId, {
+            query: req.query.query || null,
+            year: parseInt(req.query.year) || null,
+            limit: parseInt(req.query.limit) || undefined
+        })
+
+        res.json({
+            success: true,
+            data: { candidates },
+            message: `Found ${candidates.length} TMDB candidates`
+        })
+
+    } catch (error) {
+        handleReviewQueueError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/review-queue/:itemId/resolve
+// Apply the right movie: a candidate's tmdbId or a manual TMDB/IMDb ID
+// Body: { tmdbId } or { imdbId }, actor?
+// =============================================================================
+router.post('/review-queue/:itemId/resolve', async (req, res, next) => {
+    try {
+        const tmdbId = req.body.tmdbId ? parseInt(req.body.tmdbId) : null
+        const imdbId = req.body.imdbId || null
+
+        if ((!tmdbId && !imdbId) || (tmdbId && imdbId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'Provide either tmdbId or imdbId'
+            })
+        }
+
+        if (imdbId && !/^tt\d{7,}$/.test(imdbId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Bad Request',
+                message: 'imdbId must look like tt0013442'
+            })
+        }
+
+        logger.info(`Admin resolving review item ${req.params.itemId} with ${tmdbId ? `TMDB ${tmdbId}` : `IMDb ${imdbId}`}`)
+
+        const result = await reviewQueueService.resolveItem(req.params.itemId, {
+            tmdbId,
+            imdbId,
+            actor: req.body.actor || 'admin'
+        })
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Matched to ${result.movie.title}`
+        })
+
+    } catch (error) {
+        handleReviewQueueError(error, res, next)
+    }
+})
+
+// =============================================================================
+// POST /api/admin/review-queue/:itemId/reject
+// Reject the upload entirely; it is hidden and its group fails over
+// Body: { reason?, actor? }
+// =============================================================================
+router.post('/review-queue/:itemId/reject', async (req, res, next) => {
+    try {
+        logger.info(`Admin rejecting review item ${req.params.itemId}`)
+
+        const result = await reviewQueueService.rejectItem(req.params.itemId, {
+            reason: req.body.reason || null,
+            actor: req.body.actor || 'admin'
+        })
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Rejected ${result.item.youtube_title}`
+        })
+
+    } catch (error) {
+        handleReviewQueueError(error, res, next)
+    }
+})
+
 export default router
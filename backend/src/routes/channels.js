@@ -1,24 +1,136 @@
 import express from 'express'
+import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
 
 const router = express.Router()
 
+/**
+ * Shape a channel row for the iOS/tvOS "Browse by Channel" shelf
+ * @param {Object} channel - Channel row with movie_count
+ * @returns {Object} Client-facing channel summary
+ */
+const formatChannel = (channel) => ({
+    id: channel.id,
+    title: channel.title,
+    description: channel.description,
+    thumbnailUrl: channel.thumbnail_url,
+    bannerUrl: channel.banner_url,
+    subscriberCount: channel.subscriber_count,
+    videoCount: channel.video_count,
+    movieCount: parseInt(channel.movie_count) || 0,
+    isVerified: channel.is_verified,
+    isCurated: channel.is_curated,
+    country: channel.country
+})
+
+// =============================================================================
 // GET /api/channels
-router.get('/', async (req, res) => {
+// Paginated channel directory with movie counts
+// Query params:
+//   - sort: subscribers, title, recent (default: subscribers)
+//   - page: Page number (default: 1)
+//   - limit: Items per page (default: 20, max: 100)
+// =============================================================================
+router.get('/', async (req, res, next) => {
     try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1)
+        const limit = Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1)
+        const offset = (page - 1) * limit
+        const sort = req.query.sort || 'subscribers'
+
+        logger.info(`Fetching channel directory - page ${page}, sort: ${sort}`)
+
+        const sortOptions = {
+            subscribers: { sortBy: 'subscriber_count', sortOrder: 'desc' },
+            title: { sortBy: 'title', sortOrder: 'asc' },
+            recent: { sortBy: 'created_at', sortOrder: 'desc' }
+        }
+
+        const sortConfig = sortOptions[sort] || sortOptions.subscribers
+
+        const result = await dbOperations.getChannelsWithCounts(
+            limit,
+            offset,
+            sortConfig.sortBy,
+            sortConfig.sortOrder
+        )
+
         res.json({
             success: true,
-            data: [],
-            message: 'Channels endpoint (coming soon)'
+            data: {
+                channels: result.channels.map(formatChannel),
+                pagination: {
+                    page,
+                    limit,
+                    total: result.total,
+                    pages: Math.ceil(result.total / limit)
+                },
+                sort
+            },
+            message: `Retrieved ${result.channels.length} channels`
         })
     } catch (error) {
-        logger.error('Channels error:', error)
-        res.status(500).json({
-            success: false,
-            error: 'CHANNELS_ERROR',
-            message: 'Failed to fetch channels'
+        next(error)
+    }
+})
+
+// =============================================================================
+// GET /api/channels/:channelId
+// Channel details with its movies (same listing shape as /api/movies/channel/:channelId)
+// Query params: page, limit (default: 20, max: 100), sort (recent, popular, rating)
+// =============================================================================
+router.get('/:channelId', async (req, res, next) => {
+    try {
+        const { channelId } = req.params
+        const page = Math.max(parseInt(req.query.page) || 1, 1)
+        const limit = Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1)
+        const offset = (page - 1) * limit
+        const sort = req.query.sort || 'recent'
+
+        logger.info(`Fetching channel details: ${channelId} - page ${page}, sort: ${sort}`)
+
+        const sortOptions = {
+            recent: { sortBy: 'published_at', sortOrder: 'desc' },
+            popular: { sortBy: 'view_count', sortOrder: 'desc' },
+            rating: { sortBy: 'vote_average', sortOrder: 'desc' }
+        }
+
+        const sortConfig = sortOptions[sort] || sortOptions.recent
+
+        const channel = await dbOperations.getChannelWithMovieCount(channelId)
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                error: 'Channel not found',
+                message: `No channel found with ID: ${channelId}`
+            })
+        }
+
+        const result = await dbOperations.getMovies({
+            channelId,
+            sortBy: sortConfig.sortBy,
+            sortOrder: sortConfig.sortOrder
+        }, limit, offset)
+
+        res.json({
+            success: true,
+            data: {
+                channel: formatChannel(channel),
+                movies: result.movies,
+                pagination: {
+                    page,
+                    limit,
+                    total: result.total,
+                    pages: Math.ceil(result.total / limit)
+                },
+                sort
+            },
+            message: `Retrieved ${result.movies.length} movies from ${channel.title}`
         })
+    } catch (error) {
+        next(error)
     }
 })
 
-export default router
\ No newline at end of file
+export default router
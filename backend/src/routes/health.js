@@ -1,7 +1,9 @@
+import os from 'os'
 import express from 'express'
 import { testConnection } from '../config/database.js'
 import { youtubeService } from '../services/youtubeService.js'
 import { tmdbService } from '../services/tmdbService.js'
+import { omdbService } from '../services/omdbService.js'
 import { logger } from '../utils/logger.js'
 
 const router = express.Router()
@@ -75,10 +77,19 @@ router.get('/detailed', async (req, res) => {
         const checks = await Promise.allSettled([
             testConnection(),
             youtubeService.quotaCheck(),
-            tmdbService.quotaCheck()
+            tmdbService.quotaCheck(),
+            omdbService.quotaCheck()
         ])
 
-        const [dbResult, youtubeResult, tmdbResult] = checks
+        const [dbResult, youtubeResult, tmdbResult, omdbResult] = checks
+
+        // OMDb is optional: without OMDB_API_KEY imports just skip it
+        let omdbStatus = 'unhealthy'
+        if (omdbResult.status === 'fulfilled' && !omdbResult.value.configured) {
+            omdbStatus = 'disabled'
+        } else if (omdbResult.status === 'fulfilled' && !omdbResult.value.exhausted) {
+            omdbStatus = 'healthy'
+        }
 
         const responseTime = Date.now() - startTime
 
@@ -102,6 +113,11 @@ router.get('/detailed', async (req, res) => {
                     status: tmdbResult.status === 'fulfilled' ? 'healthy' : 'unhealthy',
                     quota_remaining: tmdbResult.status === 'fulfilled' ? tmdbResult.value : null,
                     error: tmdbResult.status === 'rejected' ? tmdbResult.reason?.message : null
+                },
+                omdb_api: {
+                    status: omdbStatus,
+                    quota_remaining: omdbResult.status === 'fulfilled' ? omdbResult.value : null,
+                    error: omdbResult.status === 'rejected' ? omdbResult.reason?.message : null
                 }
             },
             system: {
@@ -109,12 +125,13 @@ router.get('/detailed', async (req, res) => {
                 platform: process.platform,
                 memory: process.memoryUsage(),
                 cpu_usage: process.cpuUsage(),
-                load_average: require('os').loadavg()
+                load_average: os.loadavg()
             },
             features: {
                 movie_discovery: true,
                 youtube_integration: true,
                 tmdb_metadata: true,
+                omdb_metadata: Boolean(process.env.OMDB_API_KEY),
                 user_authentication: true,
                 curation_service: true
             }
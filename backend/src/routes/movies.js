@@ -1,10 +1,13 @@
 import express from 'express'
-import { dbOperations, supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
 import { validateRequest } from '../middleware/validation.js'
+import { optionalAuth } from '../middleware/auth.js'
 import { movieQuerySchema, movieIdSchema } from '../schemas/movieSchemas.js'
 import { logger } from '../utils/logger.js'
+import { metadataMerger } from '../utils/metadataMerger.js'
 import { youtubeService } from '../services/youtubeService.js'
 import { tmdbService } from '../services/tmdbService.js'
+import recommendationService from '../services/recommendationService.js'
 
 const router = express.Router()
 
@@ -31,32 +34,39 @@ const needsRefresh = (movie) => {
 
 /**
  * Refresh YouTube metadata from API
- * @param {string} movieId - Database movie ID
- * @param {string} youtubeVideoId - YouTube video ID
+ *
+ * Always refreshes the TOS fields (youtube_video_title, channel_thumbnail).
+ * The description follows the upload only while it still comes from YouTube
+ * (movies.field_sources) and isn't locked by an admin.
+ *
+ * @param {Object} movie - Stored movie (id, youtube_video_id, field_sources, locked_fields)
  */
-const refreshYouTubeMetadata = async (movieId, youtubeVideoId) => {
+const refreshYouTubeMetadata = async (movie) => {
     try {
-        logger.debug(`Refreshing YouTube metadata for movie ${movieId}`)
+        logger.debug(`Refreshing YouTube metadata for movie ${movie.id}`)
 
         // Fetch fresh data from YouTube API
-        const videoData = await youtubeService.getVideoDetails(youtubeVideoId)
+        const videoData = await youtubeService.getVideoInfo(movie.youtube_video_id)
 
-        if (videoData) {
-            // Fetch channel thumbnail
-            const channelData = await youtubeService.getChannelDetails(videoData.channelId)
+        // Fetch channel thumbnail
+        const channelData = await youtubeService.getChannelInfo(videoData.channelId).catch(() => null)
 
-            // Update database with fresh YouTube TOS fields
-            await dbOperations.updateMovie(movieId, {
-                youtube_video_title: videoData.title,
-                channel_thumbnail: channelData?.thumbnail,
-                last_refreshed: new Date().toISOString()
-            })
+        const displayFields = movie.field_sources?.description === 'youtube'
+            ? metadataMerger.omitLocked({ description: videoData.description }, movie)
+            : {}
 
-            logger.info(`Refreshed YouTube metadata for movie ${movieId}`)
-            return true
-        }
+        // Update database with fresh YouTube TOS fields
+        await dbOperations.updateMovie(movie.id, {
+            youtube_video_title: videoData.title,
+            channel_thumbnail: channelData?.thumbnailUrl || movie.channel_thumbnail,
+            ...displayFields,
+            last_refreshed: new Date().toISOString()
+        })
+
+        logger.info(`Refreshed YouTube metadata for movie ${movie.id}`)
+        return true
     } catch (error) {
-        logger.error(`Failed to refresh YouTube metadata for movie ${movieId}:`, error.message)
+        logger.error(`Failed to refresh YouTube metadata for movie ${movie.id}:`, error.message)
         return false
     }
 }
@@ -261,50 +271,24 @@ router.get('/top-rated', async (req, res, next) => {
 
         logger.info(`Fetching top rated movies - page ${page}, min ${minVotes} votes`)
 
-        // Use raw Supabase query to filter NULL ratings and minimum votes
-        const { data, error, count } = await supabase
-            .from('movies')
-            .select(`
-                *,
-                channels(id, title, thumbnail_url),
-                movie_genres(genres(id, name))
-            `, { count: 'exact' })
-            .eq('is_available', true)
-            .not('vote_average', 'is', null)  // Filter out NULL ratings
-            .gte('vote_count', minVotes)      // Minimum vote threshold
-            .order('vote_average', { ascending: false })
-            .range(offset, offset + limit - 1)
-
-        if (error) {
-            throw error
-        }
-
-        // Transform data to match standard format
-        const transformedMovies = (data || []).map(movie => {
-            const { channels, movie_genres, ...movieData } = movie
-            return {
-                ...movieData,
-                channel_title: channels?.title || null,
-                channel_thumbnail: channels?.thumbnail_url || null,
-                genres: movie_genres?.map(mg => mg.genres) || []
-            }
-        })
+        // Rated movies only (no NULL ratings), with the minimum vote count
+        const { movies, total } = await dbOperations.getTopRatedMovies(minVotes, limit, offset)
 
         res.json({
             success: true,
             data: {
-                movies: transformedMovies,
+                movies,
                 pagination: {
                     page,
                     limit,
-                    total: count,
-                    pages: Math.ceil(count / limit)
+                    total,
+                    pages: Math.ceil(total / limit)
                 },
                 filters: {
                     minVotes
                 }
             },
-            message: `Retrieved ${transformedMovies.length} top rated movies`
+            message: `Retrieved ${movies.length} top rated movies`
         })
     } catch (error) {
         next(error)
@@ -495,7 +479,7 @@ router.get('/:id', validateRequest(movieIdSchema), async (req, res, next) => {
         // YouTube TOS Compliance: Refresh metadata if stale (> 24 hours)
         if (needsRefresh(movie)) {
             // Don't await - refresh in background to avoid blocking response
-            refreshYouTubeMetadata(id, movie.youtube_video_id).catch(err => {
+            refreshYouTubeMetadata(movie).catch(err => {
                 logger.error(`Background refresh failed for movie ${id}:`, err)
             })
         }
@@ -587,12 +571,13 @@ router.get('/:id/availability', validateRequest(movieIdSchema), async (req, res,
 
 // =============================================================================
 // GET /api/movies/:id/recommendations
-// Get movie recommendations based on genres and viewing history
+// Get movie recommendations based on genres, credits, release era and viewing history
+// Titles the user has already watched are excluded when a bearer token is present
 // =============================================================================
-router.get('/:id/recommendations', async (req, res, next) => {
+router.get('/:id/recommendations', optionalAuth, async (req, res, next) => {
     try {
         const { id } = req.params
-        const limit = parseInt(req.query.limit) || 10
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50)
 
         logger.info(`Getting recommendations for movie: ${id}`)
 
@@ -605,39 +590,32 @@ router.get('/:id/recommendations', async (req, res, next) => {
             })
         }
 
-        // Get movies with similar genres
-        const genres = movie.movie_genres?.map(mg => mg.genres.id) || []
+        const { recommendations, signals } = await recommendationService.getRecommendations(movie, {
+            limit,
+            userId: req.userId
+        })
 
-        if (genres.length === 0) {
+        if (signals.length === 0) {
             return res.json({
                 success: true,
                 data: {
                     recommendations: [],
-                    basedOn: 'No genre data available'
+                    basedOn: 'No genre or credit data available'
                 }
             })
         }
 
-        // This would be a complex query - simplified for now
-        const recommendations = await dbOperations.getMovies({
-            sortBy: 'vote_average',
-            sortOrder: 'desc'
-        }, limit, 0)
-
-        // Filter out the current movie
-        const filteredMovies = recommendations.movies.filter(m => m.id !== id)
-
         res.json({
             success: true,
             data: {
-                recommendations: filteredMovies.slice(0, limit),
-                basedOn: 'Similar genres and popular movies',
+                recommendations,
+                basedOn: `Similar ${signals.join(', ')} and release era`,
                 sourceMovie: {
                     id: movie.id,
                     title: movie.title
                 }
             },
-            message: `Generated ${filteredMovies.length} recommendations`
+            message: `Generated ${recommendations.length} recommendations`
         })
     } catch (error) {
         next(error)
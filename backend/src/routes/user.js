@@ -1,6 +1,8 @@
 import express from 'express'
-import { supabase } from '../config/database.js'
+import { supabase, dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import feedService from '../services/feedService.js'
+import librarySyncService from '../services/librarySyncService.js'
 
 const router = express.Router()
 
@@ -53,6 +55,42 @@ const requireAuth = async (req, res, next) => {
     }
 }
 
+// =============================================================================
+// RESPONSE FORMATTERS
+// =============================================================================
+
+/**
+ * Map a user_favorites row to the client-facing shape
+ */
+const formatFavorite = (fav) => ({
+    id: fav.id,
+    contentType: fav.content_type,
+    movieId: fav.movie_id,
+    seriesId: fav.series_id,
+    addedDate: fav.added_at,
+    priority: fav.priority
+})
+
+/**
+ * Map a watch_history row to the client-facing shape
+ */
+const formatHistoryItem = (item) => ({
+    id: item.id,
+    contentType: item.content_type,
+    movieId: item.movie_id,
+    episodeId: item.episode_id,
+    seriesId: item.series_id,
+    firstWatchedAt: item.first_watched_at,
+    lastWatchedAt: item.last_watched_at,
+    watchCount: item.watch_count,
+    platform: item.platform,
+    positionSeconds: item.position_seconds || 0,
+    durationSeconds: item.duration_seconds || null,
+    percentWatched: parseFloat(item.percent_watched) || 0,
+    isFinished: item.is_finished || false,
+    finishedAt: item.finished_at || null
+})
+
 // =============================================================================
 // FAVORITES ENDPOINTS
 // =============================================================================
@@ -66,28 +104,13 @@ router.get('/favorites', requireAuth, async (req, res, next) => {
         const limit = parseInt(req.query.limit) || 100
         const offset = parseInt(req.query.offset) || 0
 
-        const { data: favorites, error, count } = await supabase
-            .from('user_favorites')
-            .select('*', { count: 'exact' })
-            .eq('user_id', req.userId)
-            .order('priority', { ascending: true })
-            .order('added_at', { ascending: false })
-            .range(offset, offset + limit - 1)
-
-        if (error) throw error
+        const { favorites, total } = await dbOperations.getUserFavorites(req.userId, { limit, offset })
 
         res.json({
             success: true,
             data: {
-                favorites: favorites.map(fav => ({
-                    id: fav.id,
-                    contentType: fav.content_type,
-                    movieId: fav.movie_id,
-                    seriesId: fav.series_id,
-                    addedDate: fav.added_at,
-                    priority: fav.priority
-                })),
-                total: count
+                favorites: favorites.map(formatFavorite),
+                total
             }
         })
     } catch (error) {
@@ -125,16 +148,14 @@ router.post('/favorites', requireAuth, async (req, res, next) => {
             content_type: movieId ? 'movie' : 'series',
             movie_id: movieId || null,
             series_id: seriesId || null,
-            priority: 0
+            priority: 0,
+            priority_updated_at: new Date().toISOString()
         }
 
-        const { data: favorite, error } = await supabase
-            .from('user_favorites')
-            .insert(favoriteData)
-            .select()
-            .single()
-
-        if (error) {
+        let favorite
+        try {
+            favorite = await dbOperations.addToFavorites(favoriteData)
+        } catch (error) {
             if (error.code === '23505') { // Unique constraint violation
                 return res.status(409).json({
                     success: false,
@@ -145,17 +166,15 @@ router.post('/favorites', requireAuth, async (req, res, next) => {
             throw error
         }
 
+        await librarySyncService.clearTombstone(req.userId, 'favorite', {
+            contentType: favoriteData.content_type,
+            contentId: movieId || seriesId
+        })
+
         res.json({
             success: true,
             data: {
-                favorite: {
-                    id: favorite.id,
-                    contentType: favorite.content_type,
-                    movieId: favorite.movie_id,
-                    seriesId: favorite.series_id,
-                    addedDate: favorite.added_at,
-                    priority: favorite.priority
-                }
+                favorite: formatFavorite(favorite)
             },
             message: 'Added to favorites'
         })
@@ -183,15 +202,10 @@ router.delete('/favorites/:contentType/:contentId', requireAuth, async (req, res
             })
         }
 
-        const column = contentType === 'movie' ? 'movie_id' : 'series_id'
+        await dbOperations.removeFromFavorites(req.userId, contentType, contentId)
 
-        const { error } = await supabase
-            .from('user_favorites')
-            .delete()
-            .eq('user_id', req.userId)
-            .eq(column, contentId)
-
-        if (error) throw error
+        // Tell the user's other devices on their next sync
+        await librarySyncService.recordTombstone(req.userId, 'favorite', { contentType, contentId })
 
         res.json({
             success: true,
@@ -219,13 +233,10 @@ router.put('/favorites/reorder', requireAuth, async (req, res, next) => {
             })
         }
 
-        // Update priorities in batch
+        // Update priorities in batch (scoped to the user: only their own favorites)
+        const reorderedAt = new Date().toISOString()
         const updates = items.map(item =>
-            supabase
-                .from('user_favorites')
-                .update({ priority: item.priority })
-                .eq('id', item.id)
-                .eq('user_id', req.userId) // Security: only update own favorites
+            dbOperations.updateFavorite(req.userId, item.id, { priority: item.priority, priority_updated_at: reorderedAt })
         )
 
         await Promise.all(updates)
@@ -254,36 +265,13 @@ router.get('/history', requireAuth, async (req, res, next) => {
         const offset = parseInt(req.query.offset) || 0
         const since = req.query.since // ISO date string
 
-        let query = supabase
-            .from('watch_history')
-            .select('*', { count: 'exact' })
-            .eq('user_id', req.userId)
-            .order('last_watched_at', { ascending: false })
-
-        if (since) {
-            query = query.gte('last_watched_at', since)
-        }
-
-        const { data: history, error, count } = await query
-            .range(offset, offset + limit - 1)
-
-        if (error) throw error
+        const { history, total } = await dbOperations.getWatchHistory(req.userId, { limit, offset, since })
 
         res.json({
             success: true,
             data: {
-                history: history.map(item => ({
-                    id: item.id,
-                    contentType: item.content_type,
-                    movieId: item.movie_id,
-                    episodeId: item.episode_id,
-                    seriesId: item.series_id,
-                    firstWatchedAt: item.first_watched_at,
-                    lastWatchedAt: item.last_watched_at,
-                    watchCount: item.watch_count,
-                    platform: item.platform
-                })),
-                total: count
+                history: history.map(formatHistoryItem),
+                total
             }
         })
     } catch (error) {
@@ -293,13 +281,17 @@ router.get('/history', requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/user/history
- * Track a watch event
- * Body: { movieId: string, platform: 'iOS' | 'tvOS' }
- *    OR { episodeId: string, seriesId: string, platform: 'iOS' | 'tvOS' }
+ * Track a watch event or playback progress
+ * Body: { movieId: string, platform: 'iOS' | 'tvOS', positionSeconds?: number, durationSeconds?: number }
+ *    OR { episodeId: string, seriesId: string, platform: 'iOS' | 'tvOS', positionSeconds?, durationSeconds? }
+ *
+ * Without positionSeconds this records a plain watch event (increments watch_count).
+ * With positionSeconds it saves the resume point; the item is marked finished once
+ * past librarySyncService.FINISHED_THRESHOLD_PERCENT, and restarting a finished item counts as a new view.
  */
 router.post('/history', requireAuth, async (req, res, next) => {
     try {
-        const { movieId, episodeId, seriesId, platform } = req.body
+        const { movieId, episodeId, seriesId, platform, positionSeconds, durationSeconds } = req.body
 
         if (!movieId && !episodeId) {
             return res.status(400).json({
@@ -317,72 +309,74 @@ router.post('/history', requireAuth, async (req, res, next) => {
             })
         }
 
-        // Check if already exists
-        let query = supabase
-            .from('watch_history')
-            .select('*')
-            .eq('user_id', req.userId)
+        const hasPosition = positionSeconds !== undefined && positionSeconds !== null
 
-        if (movieId) {
-            query = query.eq('movie_id', movieId)
-        } else {
-            query = query.eq('episode_id', episodeId)
+        if (hasPosition && (typeof positionSeconds !== 'number' || positionSeconds < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'BAD_REQUEST',
+                message: 'positionSeconds must be a non-negative number'
+            })
+        }
+
+        if (durationSeconds !== undefined && durationSeconds !== null &&
+            (typeof durationSeconds !== 'number' || durationSeconds <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'BAD_REQUEST',
+                message: 'durationSeconds must be a positive number'
+            })
         }
 
-        const { data: existing } = await query.maybeSingle()
+        // Check if already exists
+        const existing = movieId
+            ? await dbOperations.getWatchHistoryItem(req.userId, 'movie', movieId)
+            : await dbOperations.getWatchHistoryItem(req.userId, 'episode', episodeId)
+
+        const now = new Date().toISOString()
+        const progressFields = hasPosition
+            ? {
+                ...librarySyncService.buildProgressFields(existing, positionSeconds, durationSeconds, now),
+                progress_updated_at: now
+            }
+            : {}
 
         let historyItem
         if (existing) {
-            // Update existing: increment count, update timestamp
-            const { data, error } = await supabase
-                .from('watch_history')
-                .update({
-                    last_watched_at: new Date().toISOString(),
-                    watch_count: existing.watch_count + 1,
-                    platform: platform
-                })
-                .eq('id', existing.id)
-                .select()
-                .single()
-
-            if (error) throw error
-            historyItem = data
+            // Progress heartbeats within the same viewing don't count as a new watch
+            const isNewViewing = !hasPosition || progressFields.is_finished === false
+
+            historyItem = await dbOperations.updateWatchHistory(existing.id, {
+                last_watched_at: now,
+                watch_count: isNewViewing ? existing.watch_count + 1 : existing.watch_count,
+                platform: platform,
+                ...progressFields
+            })
         } else {
             // Insert new
-            const { data, error } = await supabase
-                .from('watch_history')
-                .insert({
-                    user_id: req.userId,
-                    content_type: movieId ? 'movie' : 'episode',
-                    movie_id: movieId || null,
-                    episode_id: episodeId || null,
-                    series_id: seriesId || null,
-                    platform: platform,
-                    watch_count: 1
-                })
-                .select()
-                .single()
+            historyItem = await dbOperations.addToWatchHistory({
+                user_id: req.userId,
+                content_type: movieId ? 'movie' : 'episode',
+                movie_id: movieId || null,
+                episode_id: episodeId || null,
+                series_id: seriesId || null,
+                platform: platform,
+                watch_count: 1,
+                ...progressFields
+            })
 
-            if (error) throw error
-            historyItem = data
+            await librarySyncService.clearTombstone(req.userId, 'history', {
+                contentType: historyItem.content_type,
+                contentId: movieId || episodeId
+            })
         }
 
         res.json({
             success: true,
             data: {
-                historyItem: {
-                    id: historyItem.id,
-                    contentType: historyItem.content_type,
-                    movieId: historyItem.movie_id,
-                    episodeId: historyItem.episode_id,
-                    seriesId: historyItem.series_id,
-                    firstWatchedAt: historyItem.first_watched_at,
-                    lastWatchedAt: historyItem.last_watched_at,
-                    watchCount: historyItem.watch_count,
-                    platform: historyItem.platform
-                }
+                historyItem: formatHistoryItem(historyItem)
             },
-            message: 'Watch event tracked'
+            message: hasPosition ? 'Playback progress saved' : 'Watch event tracked'
         })
     } catch (error) {
         next(error)
@@ -405,15 +399,9 @@ router.delete('/history/:contentType/:contentId', requireAuth, async (req, res,
             })
         }
 
-        const column = contentType === 'movie' ? 'movie_id' : 'episode_id'
-
-        const { error } = await supabase
-            .from('watch_history')
-            .delete()
-            .eq('user_id', req.userId)
-            .eq(column, contentId)
+        await dbOperations.removeFromWatchHistory(req.userId, contentType, contentId)
 
-        if (error) throw error
+        await librarySyncService.recordTombstone(req.userId, 'history', { contentType, contentId })
 
         res.json({
             success: true,
@@ -430,17 +418,17 @@ router.delete('/history/:contentType/:contentId', requireAuth, async (req, res,
  */
 router.delete('/history', requireAuth, async (req, res, next) => {
     try {
-        const { count, error } = await supabase
-            .from('watch_history')
-            .delete({ count: 'exact' })
-            .eq('user_id', req.userId)
+        const deleted = await dbOperations.clearWatchHistory(req.userId)
 
-        if (error) throw error
+        await librarySyncService.recordTombstones(req.userId, 'history', deleted.map(item => ({
+            contentType: item.content_type,
+            contentId: item.movie_id || item.episode_id
+        })))
 
         res.json({
             success: true,
             message: 'Watch history cleared',
-            deletedCount: count
+            deletedCount: deleted.length
         })
     } catch (error) {
         next(error)
@@ -453,66 +441,71 @@ router.delete('/history', requireAuth, async (req, res, next) => {
 
 /**
  * POST /api/user/sync
- * Sync favorites and history in one request
- * Useful for app launch
+ * Two-way sync of favorites and history (useful on app launch and reconnect)
+ * Body: {
+ *   deviceId: string,              // Stable per-install ID; server keeps its sync cursor
+ *   platform: 'iOS' | 'tvOS' | 'web',
+ *   changes: [                     // Offline changes, oldest first (optional)
+ *     { type: 'favorite.add', movieId | seriesId, priority?, changedAt },
+ *     { type: 'favorite.remove', movieId | seriesId, changedAt },
+ *     { type: 'favorite.reorder', movieId | seriesId, priority, changedAt },
+ *     { type: 'history.progress', movieId | episodeId, seriesId?, positionSeconds, durationSeconds?, changedAt },
+ *     { type: 'history.remove', movieId | episodeId, changedAt }
+ *   ],
+ *   lastSyncedAt?: string,         // Overrides the stored device cursor
+ *   fullSync?: boolean             // Ignore cursors and return everything
+ * }
+ * Conflicts resolve last-writer-wins per field; deletions come back as tombstones
  */
 router.post('/sync', requireAuth, async (req, res, next) => {
     try {
-        const { lastSyncedAt } = req.body
-
-        // Fetch favorites
-        let favoritesQuery = supabase
-            .from('user_favorites')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('priority', { ascending: true })
+        const { deviceId, platform, changes = [], lastSyncedAt, fullSync } = req.body
 
-        if (lastSyncedAt) {
-            favoritesQuery = favoritesQuery.gte('updated_at', lastSyncedAt)
+        if (deviceId !== undefined && (typeof deviceId !== 'string' || deviceId.length === 0 || deviceId.length > 200)) {
+            return res.status(400).json({
+                success: false,
+                error: 'BAD_REQUEST',
+                message: 'deviceId must be a non-empty string'
+            })
         }
 
-        // Fetch history
-        let historyQuery = supabase
-            .from('watch_history')
-            .select('*')
-            .eq('user_id', req.userId)
-            .order('last_watched_at', { ascending: false })
-            .limit(100) // Last 100 items
+        if (platform !== undefined && !['iOS', 'tvOS', 'web'].includes(platform)) {
+            return res.status(400).json({
+                success: false,
+                error: 'BAD_REQUEST',
+                message: 'platform must be iOS, tvOS, or web'
+            })
+        }
 
-        if (lastSyncedAt) {
-            historyQuery = historyQuery.gte('updated_at', lastSyncedAt)
+        if (!Array.isArray(changes) || changes.length > librarySyncService.MAX_CHANGES_PER_SYNC) {
+            return res.status(400).json({
+                success: false,
+                error: 'BAD_REQUEST',
+                message: `changes must be an array of at most ${librarySyncService.MAX_CHANGES_PER_SYNC} items`
+            })
         }
 
-        const [favoritesResult, historyResult] = await Promise.all([
-            favoritesQuery,
-            historyQuery
-        ])
+        const result = await librarySyncService.sync(req.userId, {
+            deviceId,
+            platform,
+            changes,
+            lastSyncedAt,
+            fullSync: fullSync === true
+        })
 
-        if (favoritesResult.error) throw favoritesResult.error
-        if (historyResult.error) throw historyResult.error
+        if (result.push.skipped.length > 0) {
+            logger.info(`Sync for ${req.userId}: ${result.push.applied} applied, ${result.push.skipped.length} skipped`)
+        }
 
         res.json({
             success: true,
             data: {
-                favorites: favoritesResult.data.map(fav => ({
-                    id: fav.id,
-                    contentType: fav.content_type,
-                    movieId: fav.movie_id,
-                    seriesId: fav.series_id,
-                    addedDate: fav.added_at,
-                    priority: fav.priority
-                })),
-                history: historyResult.data.map(item => ({
-                    id: item.id,
-                    contentType: item.content_type,
-                    movieId: item.movie_id,
-                    episodeId: item.episode_id,
-                    seriesId: item.series_id,
-                    firstWatchedAt: item.first_watched_at,
-                    lastWatchedAt: item.last_watched_at,
-                    watchCount: item.watch_count,
-                    platform: item.platform
-                })),
+                push: result.push,
+                favorites: result.favorites.map(formatFavorite),
+                history: result.history.map(formatHistoryItem),
+                deleted: result.deleted,
+                cursor: result.cursor,
+                hasMore: result.hasMore,
                 syncedAt: new Date().toISOString()
             }
         })
@@ -527,24 +520,14 @@ router.post('/sync', requireAuth, async (req, res, next) => {
 
 /**
  * GET /api/user/continue-watching
- * Get recently watched content (for "Continue Watching" row)
- * Returns items watched in last 7 days with watch_count <= 2
+ * Get unfinished content with its resume point (for "Continue Watching" row)
+ * Returns items with a saved position that haven't passed the finished threshold
  */
 router.get('/continue-watching', requireAuth, async (req, res, next) => {
     try {
-        const sevenDaysAgo = new Date()
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7)
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50)
 
-        const { data: items, error } = await supabase
-            .from('watch_history')
-            .select('*')
-            .eq('user_id', req.userId)
-            .gte('last_watched_at', sevenDaysAgo.toISOString())
-            .lte('watch_count', 2)
-            .order('last_watched_at', { ascending: false })
-            .limit(20)
-
-        if (error) throw error
+        const items = await dbOperations.getContinueWatching(req.userId, limit)
 
         res.json({
             success: true,
@@ -555,7 +538,10 @@ router.get('/continue-watching', requireAuth, async (req, res, next) => {
                     episodeId: item.episode_id,
                     seriesId: item.series_id,
                     lastWatchedAt: item.last_watched_at,
-                    watchCount: item.watch_count
+                    watchCount: item.watch_count,
+                    resumePositionSeconds: item.position_seconds,
+                    durationSeconds: item.duration_seconds,
+                    percentWatched: parseFloat(item.percent_watched) || 0
                 }))
             }
         })
@@ -564,4 +550,32 @@ router.get('/continue-watching', requireAuth, async (req, res, next) => {
     }
 })
 
+// =============================================================================
+// PERSONALIZED FEED ENDPOINT
+// =============================================================================
+
+/**
+ * GET /api/user/feed
+ * Personalized "For You" rows built from favorites and watch history
+ * Each film appears at most once across all rows (deduplicated by movie_group_id)
+ */
+router.get('/feed', requireAuth, async (req, res, next) => {
+    try {
+        const feed = await feedService.buildFeed(req.userId)
+
+        res.json({
+            success: true,
+            data: {
+                rows: feed.rows,
+                affinities: feed.affinities,
+                personalized: feed.personalized,
+                generatedAt: new Date().toISOString()
+            },
+            message: `Built ${feed.rows.length} feed rows`
+        })
+    } catch (error) {
+        next(error)
+    }
+})
+
 export default router
@@ -0,0 +1,278 @@
+import { dbOperations } from '../config/database.js'
+import { movieCurator } from '../services/movieCurator.js'
+import { omdbService } from '../services/omdbService.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Bulk Enrichment
+ *
+ * Matches every movie without TMDB data (source 'tmdb') or without TMDB and
+ * IMDb IDs (source 'omdb') and merges the result into the row like an import
+ * (movieCurator.mergeMetadata, so locked fields are kept). Runs as an
+ * 'enrich_tmdb' / 'enrich_omdb' curation job over the whole catalog:
+ * - Progress is checkpointed after every batch; a reclaimed or resumed job
+ *   continues after the last movie it processed
+ * - Throughput follows TMDB's limiter (tmdbService.waitForRateLimit) instead
+ *   of a fixed delay per movie
+ * - Low-confidence and missing matches are queued for manual review
+ *   (movieCurator.queueForReview), as on import
+ * - An OMDb job stops once OMDb's daily limit is reached (stopped:
+ *   'omdb_daily_limit'); the movies it didn't get to are still unmatched, so
+ *   the next run picks them up
+ * - Every movie's outcome and field changes go to enrichment_job_changes; a
+ *   dry run writes nothing else, so the diff can be reviewed first
+ *   (GET /api/admin/jobs/:jobId/changes?format=csv)
+ */
+
+export const ENRICHMENT_SOURCES = ['tmdb', 'omdb']
+
+// Merge bookkeeping that would only clutter the diff
+const UNREPORTED_FIELDS = ['field_sources', 'match_reasons']
+
+const CSV_COLUMNS = ['movie_id', 'title', 'status', 'match_confidence', 'field', 'from', 'to', 'source', 'error']
+
+class BulkEnricher {
+    /**
+     * @param {Object} options
+     * @param {string} options.source - 'tmdb' or 'omdb'
+     * @param {boolean} options.dryRun - Record the changes without saving them
+     * @param {string} options.channelId - Only movies from this channel
+     * @param {number} options.limit - Stop after this many movies
+     * @param {number} options.batchSize - Movies per query and checkpoint (default 50)
+     * @param {Object} options.job - Queue context { id, checkpoint, saveProgress(progress), isCancelled() }
+     * @returns {Promise<Object>} { source, dryRun, total, enriched, notFound, failed, queuedForReview, fieldsChanged, moviesPerMinute, cancelled?, stopped? }
+     */
+    async enrichAll(options = {}) {
+        const {
+            source = 'tmdb',
+            dryRun = false,
+            channelId = null,
+            limit = null,
+            batchSize = 50,
+            job = null
+        } = options
+
+        const checkpoint = job?.checkpoint || {}
+        const results = {
+            source,
+            dryRun,
+            total: checkpoint.total || 0,
+            enriched: checkpoint.enriched || 0,
+            notFound: checkpoint.notFound || 0,
+            failed: checkpoint.failed || 0,
+            queuedForReview: checkpoint.queuedForReview || 0,
+            fieldsChanged: checkpoint.fieldsChanged || {}
+        }
+        let afterId = checkpoint.lastMovieId || null
+        const startedAt = Date.now()
+        const startTotal = results.total
+
+        logger.info(`Starting bulk ${source.toUpperCase()} enrichment...`, { dryRun, channelId, limit, resumeAfter: afterId })
+
+        while (!limit || results.total < limit) {
+            const pageSize = limit ? Math.min(batchSize, limit - results.total) : batchSize
+            const movies = await dbOperations.getMoviesForEnrichment({ source, channelId, afterId, limit: pageSize })
+
+            if (movies.length === 0) {
+                break
+            }
+
+            const reports = []
+
+            for (const movie of movies) {
+                if (job?.isCancelled()) {
+                    await this.finishBatch(job, reports, results, afterId)
+                    logger.info(`🛑 Bulk enrichment cancelled after ${results.total} movies`)
+                    return { ...results, cancelled: true }
+                }
+
+                if (source === 'omdb' && omdbService.isQuotaExhausted()) {
+                    await this.finishBatch(job, reports, results, afterId)
+                    logger.warn(`⏸️ Bulk OMDb enrichment stopped at the daily limit after ${results.total} movies`)
+                    return { ...results, stopped: 'omdb_daily_limit' }
+                }
+
+                reports.push(await this.enrichMovie(movie, source, results, dryRun))
+                afterId = movie.id
+            }
+
+            await this.finishBatch(job, reports, results, afterId)
+
+            if (movies.length < pageSize) {
+                break
+            }
+        }
+
+        const minutes = (Date.now() - startedAt) / 60000
+        results.moviesPerMinute = minutes > 0 ? Math.round((results.total - startTotal) / minutes) : null
+
+        logger.info(`Bulk ${source.toUpperCase()} enrichment completed: ${results.enriched} enriched, ${results.notFound} not found (${results.queuedForReview} queued for review), ${results.failed} failed`, {
+            dryRun,
+            moviesPerMinute: results.moviesPerMinute
+        })
+
+        return results
+    }
+
+    /**
+     * Match one movie and merge (or, on a dry run, only diff) the result
+     *
+     * @returns {Promise<Object>} enrichment_job_changes row (without job_id)
+     */
+    async enrichMovie(movie, source, results, dryRun) {
+        results.total++
+        const report = { movie_id: movie.id, movie_title: movie.title, status: 'not_found', match_confidence: null, changes: [], error: null }
+
+        try {
+            const title = movie.title || movie.original_title
+            const upload = {
+                ...movieCurator.extractReleaseYear({ title: movie.youtube_video_title || movie.title, description: movie.description }),
+                runtimeMinutes: movie.runtime_minutes
+            }
+
+            const tmdbMatch = source === 'tmdb' ? await movieCurator.matchWithTMDB(title, upload) : null
+            const omdbMatch = source === 'omdb' ? await movieCurator.matchWithOMDb(title, upload) : null
+            const match = tmdbMatch || omdbMatch
+
+            if (match.status === 'error') {
+                results.failed++
+                return { ...report, status: 'error', error: match.quotaExhausted ? 'OMDb daily limit reached' : `${source.toUpperCase()} lookup failed` }
+            }
+
+            if (!match.data) {
+                results.notFound++
+
+                // Low-confidence and missing matches go to the review queue, like on import
+                if (!dryRun && await movieCurator.queueForReview(movie, this.toVideo(movie), tmdbMatch, omdbMatch)) {
+                    results.queuedForReview++
+                }
+
+                return { ...report, match_confidence: match.confidence ?? null }
+            }
+
+            const sources = tmdbMatch
+                ? { tmdb: tmdbMatch.data, omdb: await movieCurator.supplementWithOMDb(tmdbMatch.data) }
+                : { omdb: omdbMatch.data }
+
+            const update = movieCurator.mergeMetadata(sources, { current: movie })
+            report.status = 'enriched'
+            report.match_confidence = update.match_confidence ?? null
+            report.changes = this.diff(movie, update)
+
+            for (const change of report.changes) {
+                results.fieldsChanged[change.field] = (results.fieldsChanged[change.field] || 0) + 1
+            }
+
+            if (!dryRun) {
+                await dbOperations.updateMovie(movie.id, update)
+
+                if (sources.tmdb?.genres?.length > 0) {
+                    await movieCurator.addMovieGenres(movie.id, sources.tmdb.genres)
+                }
+            }
+
+            results.enriched++
+            return report
+
+        } catch (error) {
+            logger.error(`Failed to enrich movie ${movie.id}:`, error.message)
+            results.failed++
+            return { ...report, status: 'error', error: error.message }
+        }
+    }
+
+    /**
+     * The upload a stored movie came from, as queueForReview expects it
+     */
+    toVideo(movie) {
+        return { id: movie.youtube_video_id, title: movie.youtube_video_title || movie.title }
+    }
+
+    /**
+     * Fields an update would change: [{ field, from, to, source }]
+     */
+    diff(movie, update) {
+        return Object.entries(update)
+            .filter(([field, value]) => !UNREPORTED_FIELDS.includes(field) && JSON.stringify(movie[field] ?? null) !== JSON.stringify(value ?? null))
+            .map(([field, value]) => ({
+                field,
+                from: movie[field] ?? null,
+                to: value ?? null,
+                source: update.field_sources?.[field] || null
+            }))
+    }
+
+    /**
+     * Store the batch's reports, then checkpoint after its last movie
+     */
+    async finishBatch(job, reports, results, lastMovieId) {
+        if (!job) {
+            return
+        }
+
+        if (reports.length > 0) {
+            await dbOperations.saveEnrichmentChanges(reports.map(report => ({ ...report, job_id: job.id, dry_run: results.dryRun })))
+        }
+
+        await job.saveProgress({
+            processed: results.total,
+            successful: results.enriched + results.notFound,
+            failed: results.failed,
+            checkpoint: { lastMovieId, ...results }
+        })
+    }
+
+    // =============================================================================
+    // REPORTS
+    // =============================================================================
+
+    /**
+     * Recorded outcomes of a job, in processing order
+     *
+     * @param {string} jobId
+     * @param {Object} options
+     * @param {boolean} options.changedOnly - Only movies with field changes
+     * @returns {Promise<Array>}
+     */
+    async getChanges(jobId, { changedOnly = false } = {}) {
+        const rows = await dbOperations.getEnrichmentChanges(jobId)
+
+        return rows.filter(row => !changedOnly || (row.changes || []).length > 0)
+    }
+
+    /**
+     * One CSV line per changed field (one per movie without changes)
+     *
+     * @param {Array} rows - getChanges() rows
+     * @returns {string}
+     */
+    toCsv(rows) {
+        const lines = rows.flatMap(row => {
+            const base = { movie_id: row.movie_id, title: row.movie_title, status: row.status, match_confidence: row.match_confidence, error: row.error }
+            const changes = row.changes || []
+
+            return changes.length > 0 ? changes.map(change => ({ ...base, ...change })) : [base]
+        })
+
+        return [CSV_COLUMNS, ...lines.map(line => CSV_COLUMNS.map(column => line[column]))]
+            .map(values => values.map(csvValue).join(','))
+            .join('\n') + '\n'
+    }
+}
+
+// Cells a spreadsheet app would run as a formula (titles come from YouTube)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return ''
+    }
+
+    const text = typeof value === 'string'
+        ? value.replace(FORMULA_PREFIX, "'$&")
+        : JSON.stringify(value)
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const bulkEnricher = new BulkEnricher()
+export default bulkEnricher
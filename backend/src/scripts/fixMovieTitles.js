@@ -1,5 +1,6 @@
-import { dbOperations, supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
 import { channelPatternDetector } from '../services/channelPatternDetector.js'
+import { titleCleaner } from '../utils/titleCleaner.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -8,132 +9,59 @@ import { logger } from '../utils/logger.js'
  * Re-cleans all movie titles using current channel patterns
  * Fixes movies that were imported before pattern detection system
  * or with incorrect pattern detection
+ *
+ * Every processed movie is stamped with the rule version that cleaned it
+ * (movies.title_rules_version); outdatedOnly skips rows already cleaned by
+ * the current TITLE_RULES_VERSION. Titles an admin locked (movies.locked_fields,
+ * see PATCH /api/admin/movies/:movieId) are never re-cleaned.
  */
 
 class TitleFixer {
     cleanMovieTitle(title, pattern = null) {
-        /**
-         * Intelligent title cleaning with pattern-aware extraction
-         * (Copied from movieCurator.js for standalone execution)
-         */
-
-        // SAFETY CHECK: Override pattern if it contradicts actual title structure
-        if (pattern && !pattern.pipe_separator && title.includes('|')) {
-            logger.warn(`Pattern mismatch detected: pattern says no pipes but title has pipes`, {
-                title: title,
-                detected_pattern: pattern.type
-            })
-            // Override pattern to use pipe-based extraction
-            pattern = {
-                pipe_separator: true,
-                title_position: 'first',
-                type: 'first_segment_override',
-                confidence: 0.6
-            }
-            logger.info(`Applied fallback pattern: first_segment with 60% confidence`)
-        }
-
-        let candidateTitles = []
-
-        // Step 1: Extract title segment(s) based on detected pattern
-        if (title.includes('|')) {
-            const segments = title.split('|').map(s => s.trim())
-
-            if (pattern && pattern.pipe_separator) {
-                // Use AI-detected pattern
-                logger.debug(`Using detected pattern: ${pattern.type} (position: ${pattern.title_position})`)
-
-                if (pattern.title_position === 'first') {
-                    candidateTitles.push(segments[0])
-                } else if (pattern.title_position === 'last') {
-                    candidateTitles.push(segments[segments.length - 1])
-                } else if (pattern.title_position === 'both' || pattern.confidence < 0.7) {
-                    // Low confidence or mixed patterns: try both
-                    candidateTitles.push(segments[0])
-                    if (segments.length > 1) {
-                        candidateTitles.push(segments[segments.length - 1])
-                    }
-                }
-            } else {
-                // No pattern: try both first and last segments (fallback)
-                candidateTitles.push(segments[0])
-                if (segments.length > 1) {
-                    candidateTitles.push(segments[segments.length - 1])
-                }
-            }
-        } else {
-            // No pipes: use full title
-            candidateTitles.push(title)
-        }
+        // Same engine as movieCurator (utils/titleCleaner.js)
+        return titleCleaner.clean(title, pattern)
+    }
 
-        // Step 2: Clean all candidate titles
-        const cleanedCandidates = candidateTitles.map(candidate => {
-            let cleaned = candidate
-
-            // Remove common YouTube video indicators
-            cleaned = cleaned
-                .replace(/\b(full movie|complete film|full film|feature film)\b/gi, '')
-                .replace(/\[.*?\]/g, '')
-                .replace(/\b(HD|4K|1080p|720p|480p|DVD|BLURAY|BLU-RAY)\b/gi, '')
-                .replace(/\b(official|original|remastered|restored)\b/gi, '')
-                .replace(/\s*-\s*$/, '')
-                .replace(/\s+/g, ' ')
-                .trim()
-
-            return cleaned
-        })
-
-        // Step 3: Pick shortest (usually the actual title without metadata)
-        const bestTitle = cleanedCandidates.reduce((shortest, current) => {
-            return current.length < shortest.length ? current : shortest
-        })
-
-        return bestTitle
+    isTitleLocked(movie) {
+        return (movie.locked_fields || []).includes('title')
     }
 
     async fixAllTitles(options = {}) {
         const {
             dryRun = false,
             limit = null,
-            channelId = null
+            channelId = null,
+            outdatedOnly = false
         } = options
 
         try {
-            logger.info(`Starting title fix process...`, { dryRun, limit, channelId })
-
-            // Build query
-            let query = supabase
-                .from('movies')
-                .select('id, title, original_title, channel_id')
-
-            // Filter by channel if specified
-            if (channelId) {
-                query = query.eq('channel_id', channelId)
-            }
-
-            // Apply limit if specified
-            if (limit) {
-                query = query.limit(limit)
-            }
-
-            const { data: movies, error } = await query
+            logger.info(`Starting title fix process...`, { dryRun, limit, channelId, outdatedOnly, rulesVersion: titleCleaner.version })
 
-            if (error) {
-                throw new Error(`Failed to fetch movies: ${error.message}`)
-            }
+            const movies = await dbOperations.getMoviesForTitleCleaning({
+                channelId,
+                limit,
+                belowVersion: outdatedOnly ? titleCleaner.version : null
+            })
 
             logger.info(`Found ${movies.length} movies to process`)
 
             const results = {
+                rulesVersion: titleCleaner.version,
                 total: movies.length,
                 updated: 0,
                 unchanged: 0,
+                locked: 0,
                 failed: 0,
                 changes: []
             }
 
             // Process each movie
             for (const movie of movies) {
+                if (this.isTitleLocked(movie)) {
+                    results.locked++
+                    continue
+                }
+
                 try {
                     // Get channel pattern
                     let pattern = null
@@ -164,24 +92,20 @@ class TitleFixer {
                         })
 
                         if (!dryRun) {
-                            // Update database
-                            const { error: updateError } = await supabase
-                                .from('movies')
-                                .update({
-                                    title: cleanedTitle,
-                                    updated_at: new Date().toISOString()
-                                })
-                                .eq('id', movie.id)
-
-                            if (updateError) {
-                                throw new Error(`Update failed: ${updateError.message}`)
-                            }
+                            await dbOperations.updateMovie(movie.id, {
+                                title: cleanedTitle,
+                                title_rules_version: titleCleaner.version
+                            })
 
                             logger.debug(`Updated movie ${movie.id}`)
                         }
 
                         results.updated++
                     } else {
+                        if (!dryRun && movie.title_rules_version !== titleCleaner.version) {
+                            await dbOperations.updateMovie(movie.id, { title_rules_version: titleCleaner.version })
+                        }
+
                         results.unchanged++
                     }
 
@@ -205,16 +129,22 @@ class TitleFixer {
     async fixSingleMovie(movieId) {
         try {
             // Get movie
-            const { data: movie, error } = await supabase
-                .from('movies')
-                .select('id, title, original_title, channel_id')
-                .eq('id', movieId)
-                .single()
-
-            if (error) {
+            let movie
+            try {
+                movie = await dbOperations.getMovieById(movieId)
+            } catch (error) {
                 throw new Error(`Failed to fetch movie: ${error.message}`)
             }
 
+            if (this.isTitleLocked(movie)) {
+                logger.info(`Movie ${movieId} has a locked title, not re-cleaning it`)
+                return {
+                    success: true,
+                    locked: true,
+                    message: 'Title is locked (edited by an admin)'
+                }
+            }
+
             // Get channel pattern
             let pattern = null
             try {
@@ -231,17 +161,10 @@ class TitleFixer {
 
             // Update if different
             if (cleanedTitle !== movie.title) {
-                const { error: updateError } = await supabase
-                    .from('movies')
-                    .update({
-                        title: cleanedTitle,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', movieId)
-
-                if (updateError) {
-                    throw new Error(`Update failed: ${updateError.message}`)
-                }
+                await dbOperations.updateMovie(movieId, {
+                    title: cleanedTitle,
+                    title_rules_version: titleCleaner.version
+                })
 
                 logger.info(`Updated movie ${movieId}:`, {
                     old: movie.title,
@@ -254,6 +177,10 @@ class TitleFixer {
                     newTitle: cleanedTitle
                 }
             } else {
+                if (movie.title_rules_version !== titleCleaner.version) {
+                    await dbOperations.updateMovie(movieId, { title_rules_version: titleCleaner.version })
+                }
+
                 logger.info(`Movie ${movieId} already has clean title`)
                 return {
                     success: true,
@@ -0,0 +1,152 @@
+import { dbOperations } from '../config/database.js'
+import { movieCategorizer } from '../utils/movieCategorizer.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Bulk Re-categorization
+ *
+ * Re-derives movies.category/categories with the genre-based categorizer
+ * (utils/movieCategorizer.js) for movies imported with the old keyword
+ * classifier. Runs as a 'recategorize' curation job: progress is
+ * checkpointed after every batch, so a reclaimed or resumed job continues
+ * after the last movie it processed.
+ *
+ * The result reports how many movies changed per source and per
+ * "old → new" primary category, plus the first changes in detail.
+ */
+
+const MAX_REPORTED_CHANGES = 200
+
+class MovieRecategorizer {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Report changes without saving them
+     * @param {string} options.channelId - Only movies from this channel
+     * @param {number} options.limit - Stop after this many movies
+     * @param {number} options.batchSize - Movies per query (default 200)
+     * @param {Object} options.job - Queue context { checkpoint, saveProgress(progress), isCancelled() }
+     * @returns {Promise<Object>} { dryRun, total, updated, unchanged, failed, bySource, transitions, changes, changesTruncated, cancelled? }
+     */
+    async recategorizeAll(options = {}) {
+        const {
+            dryRun = false,
+            channelId = null,
+            limit = null,
+            batchSize = 200,
+            job = null
+        } = options
+
+        const checkpoint = job?.checkpoint || {}
+        const results = {
+            dryRun,
+            total: checkpoint.total || 0,
+            updated: checkpoint.updated || 0,
+            unchanged: checkpoint.unchanged || 0,
+            failed: checkpoint.failed || 0,
+            bySource: checkpoint.bySource || {},
+            transitions: checkpoint.transitions || {},
+            changes: checkpoint.changes || [],
+            changesTruncated: checkpoint.changesTruncated || false
+        }
+        let afterId = checkpoint.lastMovieId || null
+
+        logger.info(`Starting re-categorization...`, { dryRun, channelId, limit, resumeAfter: afterId })
+
+        while (!limit || results.total < limit) {
+            if (job?.isCancelled()) {
+                logger.info(`🛑 Re-categorization cancelled after ${results.total} movies`)
+                return { ...results, cancelled: true }
+            }
+
+            const pageSize = limit ? Math.min(batchSize, limit - results.total) : batchSize
+            const movies = await dbOperations.getMoviesForRecategorization({ channelId, afterId, limit: pageSize })
+
+            if (movies.length === 0) {
+                break
+            }
+
+            for (const movie of movies) {
+                await this.recategorizeMovie(movie, results, dryRun)
+                afterId = movie.id
+            }
+
+            if (job) {
+                await job.saveProgress({
+                    processed: results.total,
+                    successful: results.updated + results.unchanged,
+                    failed: results.failed,
+                    checkpoint: { lastMovieId: afterId, ...results }
+                })
+            }
+
+            if (movies.length < pageSize) {
+                break
+            }
+        }
+
+        logger.info(`Re-categorization completed: ${results.updated} changed, ${results.unchanged} unchanged, ${results.failed} failed`, {
+            dryRun,
+            bySource: results.bySource
+        })
+
+        return results
+    }
+
+    async recategorizeMovie(movie, results, dryRun) {
+        results.total++
+
+        try {
+            // An admin locked the categories (see utils/metadataMerger.js)
+            if ((movie.locked_fields || []).includes('categories')) {
+                results.unchanged++
+                return
+            }
+
+            const { category, categories, source } = movieCategorizer.categorize(movie)
+            const changed = category !== movie.category || !sameCategories(categories, movie.categories)
+
+            results.bySource[source] = (results.bySource[source] || 0) + 1
+
+            if (!changed) {
+                // Record the source on rows categorized before it was tracked
+                if (!dryRun && movie.category_source !== source) {
+                    await dbOperations.updateMovie(movie.id, { category_source: source })
+                }
+
+                results.unchanged++
+                return
+            }
+
+            const transition = `${movie.category || 'none'} → ${category}`
+            results.transitions[transition] = (results.transitions[transition] || 0) + 1
+
+            if (results.changes.length < MAX_REPORTED_CHANGES) {
+                results.changes.push({
+                    id: movie.id,
+                    title: movie.title,
+                    from: { category: movie.category, categories: movie.categories || [] },
+                    to: { category, categories, source }
+                })
+            } else {
+                results.changesTruncated = true
+            }
+
+            if (!dryRun) {
+                await dbOperations.updateMovie(movie.id, { category, categories, category_source: source })
+            }
+
+            results.updated++
+
+        } catch (error) {
+            logger.error(`Failed to re-categorize movie ${movie.id}:`, error.message)
+            results.failed++
+        }
+    }
+}
+
+function sameCategories(a, b) {
+    return (a || []).length === (b || []).length && (a || []).every((category, i) => category === b[i])
+}
+
+export const movieRecategorizer = new MovieRecategorizer()
+export default movieRecategorizer
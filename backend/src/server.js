@@ -23,6 +23,7 @@ import { corsConfig } from './config/cors.js'
 // Import services
 import { logger } from './utils/logger.js'
 import { initializeCronJobs } from './services/cronJobs.js'
+import curationQueue from './jobs/curationQueue.js'
 
 // Load environment variables
 dotenv.config()
@@ -141,9 +142,12 @@ app.use(errorHandler)
 // =============================================================================
 
 // Graceful shutdown handler
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = async (signal) => {
     logger.info(`Received ${signal}. Starting graceful shutdown...`)
 
+    // Hand any running curation job back to the queue so another worker resumes it
+    await curationQueue.stop()
+
     server.close(() => {
         logger.info('HTTP server closed.')
         process.exit(0)
@@ -166,6 +170,11 @@ const server = app.listen(port, () => {
         logger.info('🔄 Initializing cron jobs...')
         initializeCronJobs()
     }
+
+    // Curation job queue worker (set CURATION_WORKER_ENABLED=false to run API-only)
+    if (process.env.CURATION_WORKER_ENABLED !== 'false') {
+        curationQueue.start()
+    }
 })
 
 // Handle graceful shutdown
@@ -183,4 +192,5 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1)
 })
 
-export default app
\ No newline at end of file
+export { server }
+export default app
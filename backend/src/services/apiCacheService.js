@@ -0,0 +1,233 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { titleCleaner } from '../utils/titleCleaner.js'
+import { escapeLike } from '../storage/likePattern.js'
+
+// Never part of a cache key
+const SECRET_PARAMS = ['key', 'api_key', 'apikey']
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * ApiCacheService
+ *
+ * Persistent TTL cache of TMDB and OMDb responses (api_response_cache), so
+ * re-running fix-titles or re-enrichment doesn't repeat identical lookups.
+ * Entries are keyed by service, endpoint and params:
+ *
+ *   tmdb:/search/movie?query=Nosferatu&year=1922
+ *   omdb:/?i=tt0013442&plot=full
+ *
+ * The cache never breaks a lookup: read and write failures are logged and the
+ * request goes to the API as usual.
+ *
+ * Configuration:
+ * - API_CACHE_ENABLED: set to false to always hit the APIs
+ * - API_CACHE_TTL_HOURS: how long responses are reused (default 168, a week)
+ */
+class ApiCacheService {
+    constructor() {
+        this.enabled = process.env.API_CACHE_ENABLED !== 'false'
+        this.ttlMs = (parseFloat(process.env.API_CACHE_TTL_HOURS) || 168) * HOUR_MS
+    }
+
+    /**
+     * @param {string} service - 'tmdb' or 'omdb'
+     * @param {string} endpoint - e.g. '/search/movie'
+     * @param {Object} params - Query params (API keys and empty values ignored)
+     * @returns {string} Cache key, params sorted by name
+     */
+    buildKey(service, endpoint, params = {}) {
+        const query = Object.keys(params)
+            .filter(name => !SECRET_PARAMS.includes(name) && params[name] !== undefined && params[name] !== null)
+            .sort()
+            .map(name => `${name}=${encodeURIComponent(params[name])}`)
+            .join('&')
+
+        return `${service}:${endpoint}${query ? `?${query}` : ''}`
+    }
+
+    /**
+     * Cached response, if there is one that hasn't expired
+     *
+     * @returns {Promise<Object|null>} The stored response body
+     */
+    async get(service, endpoint, params = {}) {
+        if (!this.enabled) {
+            return null
+        }
+
+        const cacheKey = this.buildKey(service, endpoint, params)
+
+        try {
+            const entry = await dbOperations.getApiCacheEntry(cacheKey)
+
+            if (entry) {
+                logger.debug(`API cache hit: ${cacheKey}`)
+            }
+
+            return entry ? entry.response : null
+
+        } catch (error) {
+            logger.warn(`API cache read failed for ${cacheKey}:`, error.message)
+            return null
+        }
+    }
+
+    /**
+     * Store a response (replacing any earlier entry for the same key)
+     *
+     * @param {Object} response - Response body
+     * @param {number} ttlMs - Override the configured TTL
+     */
+    async set(service, endpoint, params, response, ttlMs = this.ttlMs) {
+        if (!this.enabled) {
+            return
+        }
+
+        const cacheKey = this.buildKey(service, endpoint, params)
+        const now = Date.now()
+
+        try {
+            await dbOperations.setApiCacheEntry({
+                cache_key: cacheKey,
+                service,
+                endpoint,
+                response,
+                expires_at: new Date(now + ttlMs).toISOString(),
+                updated_at: new Date(now).toISOString()
+            })
+        } catch (error) {
+            logger.warn(`API cache write failed for ${cacheKey}:`, error.message)
+        }
+    }
+
+    /**
+     * Cache size and hit rate per service
+     *
+     * @param {number} hours - Hit rate window, from api_usage (default 24)
+     * @returns {Promise<Object>} { tmdb: { entries, expired, requests, cacheHits, hitRate }, omdb: { ... } }
+     */
+    async getStats(hours = 24) {
+        const since = new Date(Date.now() - hours * HOUR_MS).toISOString()
+        const stats = {}
+
+        for (const service of ['tmdb', 'omdb']) {
+            const { entries, expired, requests, cacheHits } = await dbOperations.getApiCacheStats(service, since)
+
+            stats[service] = {
+                entries,
+                expired,
+                requests,
+                cacheHits,
+                hitRate: requests > 0 ? Math.round((cacheHits / requests) * 1000) / 1000 : null
+            }
+        }
+
+        return stats
+    }
+
+    // =============================================================================
+    // PURGE
+    // =============================================================================
+
+    /**
+     * Delete cache entries
+     *
+     * @param {Object} options - At least one of movieId, pattern or expired
+     * @param {string} options.movieId - Entries for this movie: its TMDB details,
+     *   its IMDb ID lookups and the title searches an import or enrichment made
+     * @param {string} options.pattern - Keys containing this text; * matches anything
+     * @param {string} options.service - Only 'tmdb' or 'omdb' entries
+     * @param {boolean} options.expired - Only expired entries
+     * @returns {Promise<{purged: number, patterns: Array<string>}>}
+     */
+    async purge({ movieId = null, pattern = null, service = null, expired = false } = {}) {
+        const selectors = []
+
+        if (movieId) {
+            selectors.push(...await this.movieKeySelectors(await dbOperations.getMovieById(movieId)))
+        }
+
+        if (pattern) {
+            selectors.push({ pattern: `%${escapeLike(pattern).replace(/\*/g, '%')}%` })
+        }
+
+        if (selectors.length === 0 && expired) {
+            selectors.push({ pattern: '%' })
+        }
+
+        const keys = new Set()
+
+        for (const { pattern: keyPattern, matches = () => true } of selectors) {
+            const cacheKeys = await dbOperations.findApiCacheKeys(keyPattern, { service, expired })
+
+            for (const cacheKey of cacheKeys) {
+                if (matches(parseKey(cacheKey))) {
+                    keys.add(cacheKey)
+                }
+            }
+        }
+
+        await dbOperations.deleteApiCacheEntries([...keys])
+
+        logger.info(`🧹 Purged ${keys.size} API cache entries`, { movieId, pattern, service, expired })
+
+        return { purged: keys.size, patterns: selectors.map(selector => selector.pattern) }
+    }
+
+    /**
+     * Key selectors for the lookups made for a movie: a LIKE pattern that
+     * narrows the candidates, and a check of the parsed key
+     *
+     * Title searches use the same titles the lookups do (titleCleaner.lookupTitles),
+     * cleaned with the channel's title rules.
+     */
+    async movieKeySelectors(movie) {
+        const selectors = []
+
+        if (movie.tmdb_id) {
+            selectors.push({
+                pattern: `tmdb:/movie/${movie.tmdb_id}%`,
+                matches: key => key.path === `/movie/${movie.tmdb_id}` || key.path.startsWith(`/movie/${movie.tmdb_id}/`)
+            })
+        }
+
+        if (movie.imdb_id) {
+            selectors.push(
+                { pattern: `tmdb:/find/${escapeLike(movie.imdb_id)}%`, matches: key => key.path === `/find/${movie.imdb_id}` },
+                { pattern: `omdb:%${escapeLike(movie.imdb_id)}%`, matches: key => key.params.i === movie.imdb_id }
+            )
+        }
+
+        const channelRules = movie.channel_id
+            ? await dbOperations.getChannelById(movie.channel_id).then(channel => channel?.title_rules || null).catch(() => null)
+            : null
+        const titles = titleCleaner.lookupTitles([movie.youtube_video_title, movie.original_title, movie.title], channelRules)
+
+        for (const title of titles.tmdb) {
+            selectors.push({
+                pattern: `tmdb:/search/%${escapeLike(encodeURIComponent(title))}%`,
+                matches: key => key.path.startsWith('/search/') && key.params.query === title
+            })
+        }
+
+        for (const title of titles.omdb) {
+            selectors.push({ pattern: `omdb:%${escapeLike(encodeURIComponent(title))}%`, matches: key => key.params.t === title })
+        }
+
+        return selectors
+    }
+}
+
+/**
+ * Split a cache key back into { service, path, params }
+ */
+function parseKey(cacheKey) {
+    const [, service, path, query = ''] = cacheKey.match(/^([^:]+):([^?]*)\??(.*)$/)
+    return { service, path, params: Object.fromEntries(new URLSearchParams(query)) }
+}
+
+// Export singleton instance
+export const apiCache = new ApiCacheService()
+export default apiCache
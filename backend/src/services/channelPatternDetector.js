@@ -1,5 +1,6 @@
 import { youtubeService } from './youtubeService.js'
-import { dbOperations, supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
+import { titleCleaner } from '../utils/titleCleaner.js'
 import { logger } from '../utils/logger.js'
 
 /**
@@ -13,6 +14,10 @@ import { logger } from '../utils/logger.js'
  * - last_segment: "Clickbait Description | Actual Movie Title"
  * - no_pipes: "Simple Movie Title (Year)"
  * - mixed: Inconsistent patterns (use dual-try approach)
+ *
+ * Admins can override detection per channel with explicit title rules
+ * (channels.title_rules); getPattern returns them as custom_rules alongside
+ * the detected pattern and titleCleaner tries them first.
  */
 class ChannelPatternDetector {
     constructor() {
@@ -300,18 +305,11 @@ class ChannelPatternDetector {
      */
     async storePattern(channelId, pattern) {
         try {
-            const { error } = await supabase
-                .from('channels')
-                .update({
-                    title_pattern: pattern,
-                    pattern_analyzed: true,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', channelId)
-
-            if (error) {
-                throw new Error(`Failed to store pattern: ${error.message}`)
-            }
+            await dbOperations.updateChannel(channelId, {
+                title_pattern: pattern,
+                pattern_analyzed: true,
+                updated_at: new Date().toISOString()
+            })
 
             logger.info(`💾 Stored pattern for channel ${channelId}`)
         } catch (error) {
@@ -322,25 +320,94 @@ class ChannelPatternDetector {
 
     /**
      * Get stored pattern for a channel
+     * Includes the channel's admin title rules as custom_rules
      */
     async getPattern(channelId) {
         try {
-            const { data, error } = await supabase
-                .from('channels')
-                .select('title_pattern, pattern_analyzed')
-                .eq('id', channelId)
-                .single()
-
-            if (error) {
-                return null
-            }
+            const data = await dbOperations.getChannelById(channelId)
 
-            return data.pattern_analyzed ? data.title_pattern : null
+            return this.combinePattern(data.pattern_analyzed ? data.title_pattern : null, data.title_rules)
         } catch (error) {
-            logger.error(`Error retrieving pattern:`, error.message)
+            // PGRST116 = channel not stored yet
+            if (error.code !== 'PGRST116') {
+                logger.error(`Error retrieving pattern:`, error.message)
+            }
             return null
         }
     }
+
+    combinePattern(detected, customRules) {
+        if (!customRules) {
+            return detected || null
+        }
+
+        return { ...(detected || {}), custom_rules: customRules }
+    }
+
+    // =============================================================================
+    // ADMIN TITLE RULES
+    // =============================================================================
+
+    /**
+     * Run title rules against a channel's recent uploads without saving them
+     *
+     * @param {string} channelId - YouTube channel ID (must be in the database)
+     * @param {Object} rules - Rules that passed titleCleaner.validateChannelRules
+     * @param {number} sampleSize - Recent uploads to test (default: 25)
+     * @returns {Object} { sampleCount, matched, changed, samples: [{ videoId, youtubeTitle, current, preview, matched, changed }] }
+     */
+    async previewTitleRules(channelId, rules, sampleSize = 25) {
+        const channel = await dbOperations.getChannelById(channelId)
+        const detected = channel.pattern_analyzed ? channel.title_pattern : null
+        const currentPattern = this.combinePattern(detected, channel.title_rules)
+        const previewPattern = this.combinePattern(detected, rules)
+
+        const videos = await youtubeService.getChannelVideos(channelId, {
+            maxResults: sampleSize,
+            order: 'date'
+        })
+
+        const samples = videos.slice(0, sampleSize).map(video => {
+            const current = titleCleaner.clean(video.title, currentPattern)
+            const preview = titleCleaner.clean(video.title, previewPattern)
+
+            return {
+                videoId: video.id,
+                youtubeTitle: video.title,
+                current,
+                preview,
+                matched: titleCleaner.applyChannelRules(video.title, rules) !== null,
+                changed: preview !== current
+            }
+        })
+
+        return {
+            channelId,
+            sampleCount: samples.length,
+            matched: samples.filter(sample => sample.matched).length,
+            changed: samples.filter(sample => sample.changed).length,
+            samples
+        }
+    }
+
+    /**
+     * Save (or clear with null) a channel's title rules
+     */
+    async saveTitleRules(channelId, rules) {
+        try {
+            const channel = await dbOperations.updateChannel(channelId, {
+                title_rules: rules,
+                title_rules_updated_at: new Date().toISOString()
+            })
+
+            logger.info(`💾 ${rules ? 'Saved' : 'Cleared'} title rules for channel ${channelId}`)
+
+            return channel
+        } catch (error) {
+            logger.error(`Error storing title rules:`, error.message)
+            throw error
+        }
+    }
 }
 
 export const channelPatternDetector = new ChannelPatternDetector()
@@ -0,0 +1,284 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * ChannelReputationService
+ *
+ * Scores how trustworthy a channel is as a movie source (0-1). The score is
+ * 30% of a movie's quality score, so it decides which upload becomes primary.
+ *
+ * Factors (weight):
+ * - Audience (0.25): subscriber count, log scale (10M subscribers = 1.0)
+ * - Verified (0.10): YouTube verified/linked status
+ * - Reliability (0.25): validation failures per movie in the last 90 days
+ * - Takedowns (0.15): uploads rejected by YouTube (copyright, terms of use)
+ * - Failovers (0.10): times one of its primaries failed over to a backup
+ * - Upload yield (0.15): share of uploads kept as movies in the last deep crawl
+ *
+ * Factors without enough data score a neutral 0.5 instead of punishing new
+ * channels. Scores are stored on the channel and recomputed daily.
+ */
+class ChannelReputationService {
+    constructor() {
+        this.WEIGHTS = {
+            audience: 0.25,
+            verified: 0.10,
+            reliability: 0.25,
+            takedowns: 0.15,
+            failovers: 0.10,
+            uploadYield: 0.15
+        }
+
+        this.NEUTRAL_SCORE = 0.5
+        this.LOOKBACK_DAYS = 90 // validation_failures are cleaned up after 90 days
+        this.FULL_AUDIENCE_LOG = 7 // log10(10M subscribers)
+
+        // Rates at which a factor drops to 0
+        this.MAX_FAILURE_RATE = 0.5
+        this.MAX_TAKEDOWN_RATE = 0.1
+        this.MAX_FAILOVER_RATE = 0.25
+
+        this.MIN_MOVIES_FOR_RATES = 5
+        this.MIN_UPLOADS_FOR_YIELD = 10
+        this.TAKEDOWN_REASONS = ['rejected']
+
+        // Stored scores change once a day; avoid a query per imported video
+        this.cache = new Map()
+        this.CACHE_TTL_MS = 10 * 60 * 1000
+    }
+
+    /**
+     * Get a channel's stored reputation score (0-1)
+     *
+     * @param {string} channelId - YouTube channel ID
+     * @returns {Promise<number>} Stored score, or 0.5 if not computed yet
+     */
+    async getReputation(channelId) {
+        if (!channelId) return this.NEUTRAL_SCORE
+
+        const cached = this.cache.get(channelId)
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.score
+        }
+
+        let score = this.NEUTRAL_SCORE
+
+        try {
+            const data = await dbOperations.getChannelById(channelId)
+
+            if (data?.reputation_score !== null && data?.reputation_score !== undefined) {
+                score = parseFloat(data.reputation_score)
+            }
+        } catch (error) {
+            // PGRST116 = channel not stored yet, keep the neutral score
+            if (error.code !== 'PGRST116') {
+                logger.warn(`Failed to load reputation for channel ${channelId}:`, error.message)
+            }
+        }
+
+        this.cache.set(channelId, { score, expiresAt: Date.now() + this.CACHE_TTL_MS })
+        return score
+    }
+
+    /**
+     * Compute a channel's reputation without storing it
+     *
+     * @param {Object} channel - Channel row
+     * @returns {Promise<{score: number, factors: Object}>}
+     */
+    async computeReputation(channel) {
+        const stats = await this.getChannelStats(channel.id)
+        const subscribers = parseInt(channel.subscriber_count) || 0
+
+        const factors = {
+            audience: this.buildFactor('audience',
+                Math.min(Math.log10(subscribers + 1) / this.FULL_AUDIENCE_LOG, 1),
+                { subscribers }),
+
+            verified: this.buildFactor('verified',
+                channel.is_verified ? 1 : 0,
+                { isVerified: Boolean(channel.is_verified) }),
+
+            reliability: this.buildRateFactor('reliability',
+                stats.failures, stats.movies, this.MAX_FAILURE_RATE,
+                { failures: stats.failures, movies: stats.movies }),
+
+            takedowns: this.buildRateFactor('takedowns',
+                stats.takedowns, stats.movies, this.MAX_TAKEDOWN_RATE,
+                { takedowns: stats.takedowns, movies: stats.movies }),
+
+            failovers: this.buildRateFactor('failovers',
+                stats.failovers, stats.movies, this.MAX_FAILOVER_RATE,
+                { failovers: stats.failovers, movies: stats.movies }),
+
+            uploadYield: this.buildYieldFactor(channel.upload_stats)
+        }
+
+        const score = Object.values(factors).reduce((sum, factor) => sum + factor.contribution, 0)
+
+        return {
+            score: Math.round(score * 1000) / 1000,
+            factors
+        }
+    }
+
+    /**
+     * Recompute and store reputation for one channel
+     *
+     * @param {string} channelId - YouTube channel ID
+     * @returns {Promise<{channelId: string, score: number, previousScore: number|null, factors: Object}>}
+     */
+    async recomputeChannel(channelId) {
+        const channel = await dbOperations.getChannelById(channelId)
+        const { score, factors } = await this.computeReputation(channel)
+
+        await dbOperations.updateChannel(channelId, {
+            reputation_score: score,
+            reputation_factors: factors,
+            reputation_updated_at: new Date().toISOString()
+        })
+
+        this.cache.set(channelId, { score, expiresAt: Date.now() + this.CACHE_TTL_MS })
+
+        const previousScore = channel.reputation_score !== null && channel.reputation_score !== undefined
+            ? parseFloat(channel.reputation_score)
+            : null
+
+        logger.debug(`Channel reputation ${channel.title || channelId}: ${previousScore ?? 'none'} → ${score}`)
+
+        return { channelId, score, previousScore, factors }
+    }
+
+    /**
+     * Recompute reputation for every channel (scheduled daily)
+     *
+     * @returns {Promise<{updated: number, failed: number, errors: Array}>}
+     */
+    async recomputeAll() {
+        const results = { updated: 0, failed: 0, errors: [] }
+        const pageSize = 100
+        let offset = 0
+
+        logger.info('⭐ Recomputing channel reputations')
+
+        while (true) {
+            const channels = await dbOperations.getChannels(pageSize, offset)
+
+            for (const channel of channels) {
+                try {
+                    await this.recomputeChannel(channel.id)
+                    results.updated++
+                } catch (error) {
+                    logger.error(`Failed to compute reputation for ${channel.id}:`, error.message)
+                    results.failed++
+                    results.errors.push({ channelId: channel.id, error: error.message })
+                }
+            }
+
+            if (channels.length < pageSize) break
+            offset += pageSize
+        }
+
+        logger.info(`✅ Channel reputations recomputed: ${results.updated} updated, ${results.failed} failed`)
+        return results
+    }
+
+    /**
+     * Explain a channel's reputation: the stored score next to a fresh
+     * breakdown, so admins can see why a channel ranks where it does
+     *
+     * @param {string} channelId - YouTube channel ID
+     * @returns {Promise<Object>}
+     */
+    async explainReputation(channelId) {
+        const channel = await dbOperations.getChannelById(channelId)
+        const { score, factors } = await this.computeReputation(channel)
+
+        return {
+            channelId,
+            title: channel.title,
+            stored: {
+                score: channel.reputation_score !== null && channel.reputation_score !== undefined
+                    ? parseFloat(channel.reputation_score)
+                    : null,
+                factors: channel.reputation_factors || null,
+                updatedAt: channel.reputation_updated_at || null
+            },
+            current: { score, factors },
+            qualityScorePoints: Math.round(score * 30 * 10) / 10,
+            weights: this.WEIGHTS
+        }
+    }
+
+    // =============================================================================
+    // INPUTS
+    // =============================================================================
+
+    /**
+     * Count movies, recent validation failures, takedowns and failovers
+     */
+    async getChannelStats(channelId) {
+        const since = new Date(Date.now() - this.LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+        const { movies, failureReasons, failovers } = await dbOperations.getChannelValidationStats(channelId, since)
+
+        return {
+            movies,
+            failures: failureReasons.length,
+            takedowns: failureReasons.filter(reason => this.TAKEDOWN_REASONS.includes(reason)).length,
+            failovers
+        }
+    }
+
+    // =============================================================================
+    // FACTORS
+    // =============================================================================
+
+    buildFactor(name, score, inputs, note = null) {
+        const weight = this.WEIGHTS[name]
+        const rounded = Math.round(score * 1000) / 1000
+
+        return {
+            score: rounded,
+            weight,
+            contribution: Math.round(rounded * weight * 1000) / 1000,
+            inputs,
+            ...(note && { note })
+        }
+    }
+
+    /**
+     * Score a bad-event rate: 1 with no events, 0 at maxRate or above
+     */
+    buildRateFactor(name, events, movies, maxRate, inputs) {
+        if (movies < this.MIN_MOVIES_FOR_RATES) {
+            return this.buildFactor(name, this.NEUTRAL_SCORE, inputs, `Fewer than ${this.MIN_MOVIES_FOR_RATES} movies, neutral`)
+        }
+
+        const rate = events / movies
+        return this.buildFactor(name, 1 - Math.min(rate / maxRate, 1), {
+            ...inputs,
+            rate: Math.round(rate * 1000) / 1000
+        })
+    }
+
+    buildYieldFactor(uploadStats) {
+        const scanned = uploadStats?.scanned || 0
+
+        if (scanned < this.MIN_UPLOADS_FOR_YIELD) {
+            return this.buildFactor('uploadYield', this.NEUTRAL_SCORE, { scanned },
+                'Not enough uploads from a deep crawl yet, neutral')
+        }
+
+        const kept = uploadStats.kept || 0
+        return this.buildFactor('uploadYield', Math.min(kept / scanned, 1), {
+            scanned,
+            kept,
+            rejected: uploadStats.rejected ?? scanned - kept,
+            crawledAt: uploadStats.crawledAt || null
+        })
+    }
+}
+
+// Export singleton instance
+export default new ChannelReputationService()
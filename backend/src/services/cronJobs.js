@@ -12,7 +12,7 @@ export function initializeCronJobs() {
 
         try {
             const results = await movieCurator.curateAllChannels()
-            logger.info(`✅ Scheduled curation completed: ${results.moviesAdded} movies added`)
+            logger.info(`✅ Scheduled curation completed: ${results.moviesAdded} movies added (${results.incrementalCrawls} incremental, ${results.deepCrawls} deep crawls)`)
         } catch (error) {
             logger.error('❌ Scheduled curation failed:', error.message)
         }
@@ -1,12 +1,15 @@
-import { supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import channelReputationService from './channelReputationService.js'
+import { findBestMatch } from '../utils/titleMatcher.js'
 
 /**
  * DuplicateDetector Service
  *
  * Detects duplicate movies from different YouTube channels using:
  * 1. TMDB ID matching (100% confidence)
- * 2. Fuzzy title matching with pg_trgm (70-100% confidence)
+ * 2. Fuzzy title matching with pg_trgm (70-100% confidence), falling back to
+ *    the same trigram similarity in JS when the RPC is unavailable
  * 3. Release year matching (helps distinguish remakes)
  *
  * Quality scoring algorithm ranks backups by:
@@ -19,6 +22,11 @@ class DuplicateDetector {
     constructor() {
         this.FUZZY_MATCH_THRESHOLD = 0.7 // Minimum similarity score (0-1)
         this.YEAR_TOLERANCE = 1 // Allow ±1 year difference
+        this.LOCAL_MATCH_PAGE_SIZE = 1000
+        this.LOCAL_MATCH_MAX_CANDIDATES = 10000
+
+        // Set once the RPC turns out to be missing, so we stop calling it
+        this.fuzzyRpcUnavailable = false
     }
 
     /**
@@ -37,13 +45,9 @@ class DuplicateDetector {
         try {
             // Step 1: Try TMDB ID match (highest confidence)
             if (tmdb_id) {
-                const { data: group, error } = await supabase
-                    .from('movie_groups')
-                    .select('*')
-                    .eq('tmdb_id', tmdb_id)
-                    .single()
+                const group = await dbOperations.getMovieGroupByTmdbId(tmdb_id)
 
-                if (!error && group) {
+                if (group) {
                     logger.debug(`TMDB ID match found: ${group.canonical_title}`, {
                         tmdb_id,
                         group_id: group.id
@@ -59,18 +63,9 @@ class DuplicateDetector {
 
             // Step 2: Try fuzzy title + year match
             const normalizedTitle = this.normalizeTitle(title)
+            const bestMatch = await this.findSimilarGroup(normalizedTitle, release_year)
 
-            const { data: groups, error: fuzzyError } = await supabase
-                .rpc('find_similar_movie_groups', {
-                    search_title: normalizedTitle,
-                    search_year: release_year,
-                    year_tolerance: this.YEAR_TOLERANCE,
-                    similarity_threshold: this.FUZZY_MATCH_THRESHOLD
-                })
-
-            if (!fuzzyError && groups && groups.length > 0) {
-                const bestMatch = groups[0]
-
+            if (bestMatch) {
                 logger.debug(`Fuzzy title match found: ${bestMatch.canonical_title}`, {
                     normalized_title: normalizedTitle,
                     similarity: bestMatch.similarity,
@@ -85,20 +80,12 @@ class DuplicateDetector {
             }
 
             // Step 3: No match found - create new group
-            const { data: newGroup, error: createError } = await supabase
-                .from('movie_groups')
-                .insert({
-                    tmdb_id: tmdb_id || null,
-                    canonical_title: title,
-                    normalized_title: normalizedTitle,
-                    release_year: release_year || null
-                })
-                .select()
-                .single()
-
-            if (createError) {
-                throw createError
-            }
+            const newGroup = await dbOperations.createMovieGroup({
+                tmdb_id: tmdb_id || null,
+                canonical_title: title,
+                normalized_title: normalizedTitle,
+                release_year: release_year || null
+            })
 
             logger.info(`Created new movie group: ${title}`, {
                 group_id: newGroup.id,
@@ -117,6 +104,73 @@ class DuplicateDetector {
         }
     }
 
+    /**
+     * Find the most similar movie group by normalized title and year
+     *
+     * Uses the pg_trgm RPC, or the JS matcher when the RPC fails.
+     *
+     * @param {string} normalizedTitle - Output of normalizeTitle
+     * @param {number} releaseYear - Release year (optional)
+     * @returns {Promise<Object|null>} Group with a `similarity` field (0-1)
+     */
+    async findSimilarGroup(normalizedTitle, releaseYear) {
+        if (!normalizedTitle) return null
+
+        if (!this.fuzzyRpcUnavailable) {
+            try {
+                const groups = await dbOperations.findSimilarMovieGroups({
+                    title: normalizedTitle,
+                    year: releaseYear,
+                    yearTolerance: this.YEAR_TOLERANCE,
+                    threshold: this.FUZZY_MATCH_THRESHOLD
+                })
+
+                return groups[0] || null
+            } catch (error) {
+                // PGRST202 = function not found
+                if (error.code === 'PGRST202') {
+                    this.fuzzyRpcUnavailable = true
+                }
+
+                logger.warn(`Fuzzy match RPC failed, using local trigram matcher: ${error.message}`)
+            }
+        }
+
+        const candidates = await this.getMatchCandidates(releaseYear)
+
+        return findBestMatch(normalizedTitle, candidates, {
+            year: releaseYear,
+            yearTolerance: this.YEAR_TOLERANCE,
+            threshold: this.FUZZY_MATCH_THRESHOLD
+        })
+    }
+
+    /**
+     * Movie groups the local matcher compares against: those within the year
+     * tolerance (or without a year), or all groups when the year is unknown
+     *
+     * @param {number} releaseYear - Release year (optional)
+     * @returns {Promise<Array>}
+     */
+    async getMatchCandidates(releaseYear) {
+        const candidates = []
+
+        for (let offset = 0; offset < this.LOCAL_MATCH_MAX_CANDIDATES; offset += this.LOCAL_MATCH_PAGE_SIZE) {
+            const data = await dbOperations.getMovieGroupCandidates(
+                releaseYear,
+                this.YEAR_TOLERANCE,
+                this.LOCAL_MATCH_PAGE_SIZE,
+                offset
+            )
+
+            candidates.push(...data)
+
+            if (data.length < this.LOCAL_MATCH_PAGE_SIZE) break
+        }
+
+        return candidates
+    }
+
     /**
      * Calculate quality score for ranking backups (0-100)
      *
@@ -127,9 +181,9 @@ class DuplicateDetector {
      * - Upload recency: 0-20 points (newer = better)
      *
      * @param {Object} movieData - Movie metadata
-     * @returns {number} Quality score (0-100)
+     * @returns {Promise<number>} Quality score (0-100)
      */
-    calculateQualityScore(movieData) {
+    async calculateQualityScore(movieData) {
         let score = 0
 
         // View count (0-40 points, logarithmic scale)
@@ -144,7 +198,7 @@ class DuplicateDetector {
         }
 
         // Channel reputation (0-30 points)
-        const channelRep = this.getChannelReputation(movieData.channel_id)
+        const channelRep = await this.getChannelReputation(movieData.channel_id)
         score += channelRep * 30
 
         // Embeddability (0-10 points)
@@ -169,19 +223,15 @@ class DuplicateDetector {
     /**
      * Get channel reputation score (0-1)
      *
-     * TODO: Implement proper channel reputation system based on:
-     * - Subscriber count
-     * - Verified status
-     * - Upload consistency
-     * - Content quality metrics
+     * Stored per channel by channelReputationService (subscribers, verified
+     * status, validation failures, takedowns, failovers, upload yield).
+     * Channels without a computed score get 0.5.
      *
      * @param {string} channelId - YouTube channel ID
-     * @returns {number} Reputation score (0-1)
+     * @returns {Promise<number>} Reputation score (0-1)
      */
-    getChannelReputation(channelId) {
-        // Placeholder - return 0.5 (average) for now
-        // In production, query channels table and calculate reputation
-        return 0.5
+    async getChannelReputation(channelId) {
+        return channelReputationService.getReputation(channelId)
     }
 
     /**
@@ -215,17 +265,7 @@ class DuplicateDetector {
      */
     async shouldBePrimary(movieGroupId, newQualityScore) {
         try {
-            const { data: existingPrimary, error } = await supabase
-                .from('movies')
-                .select('id, quality_score')
-                .eq('movie_group_id', movieGroupId)
-                .eq('is_primary', true)
-                .single()
-
-            if (error && error.code !== 'PGRST116') {
-                // PGRST116 = no rows found (expected if no primary exists yet)
-                throw error
-            }
+            const existingPrimary = await dbOperations.getPrimaryMovie(movieGroupId)
 
             if (!existingPrimary) {
                 // No existing primary - this should be primary
@@ -235,6 +275,18 @@ class DuplicateDetector {
                 }
             }
 
+            // An admin-pinned primary is never replaced by an import
+            const group = await dbOperations.getMovieGroupById(movieGroupId)
+
+            if (group?.pinned_primary_id === existingPrimary.id) {
+                logger.debug(`Keeping pinned primary ${existingPrimary.id} for group ${movieGroupId}`)
+
+                return {
+                    isPrimary: false,
+                    existingPrimaryId: existingPrimary.id
+                }
+            }
+
             // Compare quality scores
             const isPrimary = newQualityScore > existingPrimary.quality_score
 
@@ -263,14 +315,7 @@ class DuplicateDetector {
      */
     async demotePrimary(movieId) {
         try {
-            const { error } = await supabase
-                .from('movies')
-                .update({ is_primary: false })
-                .eq('id', movieId)
-
-            if (error) {
-                throw error
-            }
+            await dbOperations.updateMovie(movieId, { is_primary: false })
 
             logger.info(`Demoted movie ${movieId} from primary to backup`)
 
@@ -288,18 +333,7 @@ class DuplicateDetector {
      */
     async getMovieVersions(movieGroupId) {
         try {
-            const { data: movies, error } = await supabase
-                .from('movies')
-                .select('*')
-                .eq('movie_group_id', movieGroupId)
-                .order('is_primary', { ascending: false })
-                .order('quality_score', { ascending: false })
-
-            if (error) {
-                throw error
-            }
-
-            return movies || []
+            return await dbOperations.getMovieVersions(movieGroupId)
 
         } catch (error) {
             logger.error('Error getting movie versions:', error)
@@ -315,18 +349,9 @@ class DuplicateDetector {
      */
     async getBackupCount(movieGroupId) {
         try {
-            const { count, error } = await supabase
-                .from('movies')
-                .select('id', { count: 'exact', head: true })
-                .eq('movie_group_id', movieGroupId)
-                .eq('is_available', true)
-                .eq('is_primary', false)
-
-            if (error) {
-                throw error
-            }
+            const versions = await dbOperations.getMovieVersions(movieGroupId)
 
-            return count || 0
+            return versions.filter(movie => movie.is_available && !movie.is_primary).length
 
         } catch (error) {
             logger.error('Error getting backup count:', error)
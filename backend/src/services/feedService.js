@@ -0,0 +1,293 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import recommendationService from './recommendationService.js'
+
+/**
+ * FeedService
+ *
+ * Builds the personalized "For You" home feed from a user's favorites and
+ * watch history. Each row is seeded by one signal and rows are ranked by the
+ * strength of that signal:
+ * - "Because you watched X"   → recent completions (recency-weighted)
+ * - "Because you favorited X" → most recent favorite
+ * - "Top picks in <Genre>"    → genre affinity
+ * - "More from <Channel>"     → channel affinity
+ *
+ * Rows are filled in rank order and a film (movie_group_id, falling back to
+ * movie id) is only ever shown once across the whole feed. Titles already
+ * watched or favorited are never surfaced.
+ */
+class FeedService {
+    constructor() {
+        this.ROW_SIZE = 15
+        this.MIN_ROW_SIZE = 3 // Rows that end up smaller than this are dropped
+        this.HISTORY_LIMIT = 100
+        this.FAVORITES_LIMIT = 50
+
+        this.FAVORITE_WEIGHT = 3
+        this.WATCH_WEIGHT = 1
+        this.RECENCY_HALF_LIFE_DAYS = 30
+        this.UNFINISHED_FACTOR = 0.5 // Abandoned or in-progress watches count for less
+
+        this.MAX_WATCH_SEED_ROWS = 2
+        this.MAX_GENRE_ROWS = 3
+        this.MAX_CHANNEL_ROWS = 2
+    }
+
+    /**
+     * Build the personalized feed for a user
+     *
+     * @param {string} userId - Authenticated user ID
+     * @returns {Promise<Object>} { rows, affinities, personalized }
+     */
+    async buildFeed(userId) {
+        const [favorites, history] = await Promise.all([
+            this.getFavoriteMovieRows(userId),
+            this.getWatchedMovieRows(userId)
+        ])
+
+        const seedIds = [...new Set([
+            ...favorites.map(f => f.movie_id),
+            ...history.map(h => h.movie_id)
+        ])]
+
+        const seedMovies = await dbOperations.getMoviesByIds(seedIds)
+        const seedById = new Map(seedMovies.map(movie => [movie.id, movie]))
+
+        // Everything the user already knows about is excluded from the feed
+        const seen = new Set(seedIds)
+        seedMovies.forEach(movie => seen.add(this.getGroupKey(movie)))
+
+        const affinities = this.computeAffinities(favorites, history, seedById)
+        const candidates = this.buildRowCandidates(favorites, history, seedById, affinities)
+
+        if (candidates.length === 0) {
+            logger.info(`No feed signals for user ${userId}, falling back to popular`)
+            candidates.push({
+                id: 'popular',
+                type: 'popular',
+                title: 'Popular Right Now',
+                score: 0,
+                load: () => dbOperations.getMovies({ sortBy: 'view_count', sortOrder: 'desc' }, this.ROW_SIZE * 2, 0)
+                    .then(result => result.movies)
+            })
+        }
+
+        const rows = []
+        for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+            try {
+                const movies = this.takeUnseen(await candidate.load(), seen)
+
+                if (movies.length < this.MIN_ROW_SIZE) {
+                    continue
+                }
+
+                const { load, ...row } = candidate
+                rows.push({ ...row, movies })
+            } catch (error) {
+                logger.warn(`Failed to build feed row ${candidate.id}:`, error.message)
+            }
+        }
+
+        return {
+            rows,
+            affinities: {
+                genres: affinities.genres.slice(0, this.MAX_GENRE_ROWS),
+                channels: affinities.channels.slice(0, this.MAX_CHANNEL_ROWS)
+            },
+            personalized: seedIds.length > 0
+        }
+    }
+
+    // =========================================================================
+    // SIGNALS
+    // =========================================================================
+
+    async getFavoriteMovieRows(userId) {
+        const { favorites } = await dbOperations.getUserFavorites(userId, {
+            contentType: 'movie',
+            orderBy: 'added_at',
+            limit: this.FAVORITES_LIMIT
+        })
+
+        return favorites
+    }
+
+    async getWatchedMovieRows(userId) {
+        const { history } = await dbOperations.getWatchHistory(userId, {
+            contentType: 'movie',
+            limit: this.HISTORY_LIMIT
+        })
+
+        return history
+    }
+
+    /**
+     * Weight genres and channels by favorites and recency-decayed watches
+     *
+     * @returns {{genres: Array, channels: Array, movieWeights: Map}}
+     */
+    computeAffinities(favorites, history, seedById) {
+        const movieWeights = new Map()
+
+        for (const favorite of favorites) {
+            movieWeights.set(favorite.movie_id,
+                (movieWeights.get(favorite.movie_id) || 0) + this.FAVORITE_WEIGHT)
+        }
+
+        for (const item of history) {
+            const weight = this.WATCH_WEIGHT *
+                Math.min(item.watch_count || 1, 3) *
+                this.recencyFactor(item.last_watched_at) *
+                (item.is_finished ? 1 : this.UNFINISHED_FACTOR)
+            movieWeights.set(item.movie_id, (movieWeights.get(item.movie_id) || 0) + weight)
+        }
+
+        const genres = new Map()
+        const channels = new Map()
+
+        for (const [movieId, weight] of movieWeights) {
+            const movie = seedById.get(movieId)
+            if (!movie) continue
+
+            for (const genre of movie.genres || []) {
+                const entry = genres.get(genre.id) || { id: genre.id, name: genre.name, weight: 0 }
+                entry.weight += weight
+                genres.set(genre.id, entry)
+            }
+
+            if (movie.channel_id) {
+                const entry = channels.get(movie.channel_id) ||
+                    { id: movie.channel_id, title: movie.channel_title, weight: 0 }
+                entry.weight += weight
+                channels.set(movie.channel_id, entry)
+            }
+        }
+
+        const byWeight = (a, b) => b.weight - a.weight
+        const round = entry => ({ ...entry, weight: Math.round(entry.weight * 100) / 100 })
+
+        return {
+            genres: [...genres.values()].sort(byWeight).map(round),
+            channels: [...channels.values()].sort(byWeight).map(round),
+            movieWeights
+        }
+    }
+
+    /**
+     * Exponential decay: 1.0 today, 0.5 after RECENCY_HALF_LIFE_DAYS
+     */
+    recencyFactor(timestamp) {
+        if (!timestamp) return 0.5
+
+        const ageDays = (Date.now() - new Date(timestamp).getTime()) / (1000 * 60 * 60 * 24)
+        return Math.pow(0.5, Math.max(ageDays, 0) / this.RECENCY_HALF_LIFE_DAYS)
+    }
+
+    // =========================================================================
+    // ROWS
+    // =========================================================================
+
+    /**
+     * Describe every row we could build, each with a score and a lazy loader
+     */
+    buildRowCandidates(favorites, history, seedById, affinities) {
+        const candidates = []
+        const { movieWeights } = affinities
+
+        // Because you watched - most recent completions
+        history
+            .filter(item => item.is_finished && seedById.has(item.movie_id))
+            .slice(0, this.MAX_WATCH_SEED_ROWS)
+            .forEach(item => {
+                const movie = seedById.get(item.movie_id)
+                candidates.push({
+                    id: `watched_${movie.id}`,
+                    type: 'because_you_watched',
+                    title: `Because you watched ${movie.title}`,
+                    seedMovieId: movie.id,
+                    score: Math.round((movieWeights.get(movie.id) || 0) * 100) / 100,
+                    load: () => this.loadSimilar(movie)
+                })
+            })
+
+        // Because you favorited - most recent favorite not already used as a watch seed
+        const favorite = favorites.find(f =>
+            seedById.has(f.movie_id) && !candidates.some(c => c.seedMovieId === f.movie_id))
+
+        if (favorite) {
+            const movie = seedById.get(favorite.movie_id)
+            candidates.push({
+                id: `favorited_${movie.id}`,
+                type: 'because_you_favorited',
+                title: `Because you favorited ${movie.title}`,
+                seedMovieId: movie.id,
+                score: Math.round((movieWeights.get(movie.id) || 0) * 100) / 100,
+                load: () => this.loadSimilar(movie)
+            })
+        }
+
+        affinities.genres.slice(0, this.MAX_GENRE_ROWS).forEach(genre => {
+            candidates.push({
+                id: `genre_${genre.id}`,
+                type: 'genre',
+                title: `Top picks in ${genre.name}`,
+                genreId: genre.id,
+                score: genre.weight,
+                load: () => dbOperations.getMoviesByGenre(genre.id, this.ROW_SIZE * 3, 0, 'vote_average', 'desc')
+                    .then(result => result.movies)
+            })
+        })
+
+        affinities.channels.slice(0, this.MAX_CHANNEL_ROWS).forEach(channel => {
+            candidates.push({
+                id: `channel_${channel.id}`,
+                type: 'channel',
+                title: `More from ${channel.title || 'this channel'}`,
+                channelId: channel.id,
+                score: channel.weight,
+                load: () => dbOperations.getMovies({
+                    channelId: channel.id,
+                    sortBy: 'view_count',
+                    sortOrder: 'desc'
+                }, this.ROW_SIZE * 3, 0).then(result => result.movies)
+            })
+        })
+
+        return candidates
+    }
+
+    async loadSimilar(movie) {
+        const { recommendations } = await recommendationService.getRecommendations(movie, {
+            limit: this.ROW_SIZE * 2
+        })
+        return recommendations
+    }
+
+    /**
+     * Take up to ROW_SIZE movies whose film hasn't been shown yet, marking them seen
+     */
+    takeUnseen(movies, seen) {
+        const result = []
+
+        for (const movie of movies) {
+            if (result.length >= this.ROW_SIZE) break
+
+            const groupKey = this.getGroupKey(movie)
+            if (seen.has(movie.id) || seen.has(groupKey)) continue
+
+            seen.add(movie.id)
+            seen.add(groupKey)
+            result.push(movie)
+        }
+
+        return result
+    }
+
+    getGroupKey(movie) {
+        return movie.movie_group_id ? `group:${movie.movie_group_id}` : movie.id
+    }
+}
+
+// Export singleton instance
+export default new FeedService()
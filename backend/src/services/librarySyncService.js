@@ -0,0 +1,485 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * LibrarySyncService
+ *
+ * Two-way sync of a user's favorites and watch history across devices.
+ *
+ * Push: devices send the changes they made offline, each stamped with the
+ * device time it happened (changedAt). Conflicts resolve last-writer-wins per
+ * field, using the clocks stored next to each field:
+ * - existence       → favorites.added_at / watch_history.last_watched_at vs. library_tombstones.deleted_at
+ * - favorite order  → user_favorites.priority_updated_at
+ * - playback        → watch_history.progress_updated_at
+ *
+ * Pull: everything changed since the device's cursor, including tombstones for
+ * deletions, so no device keeps titles another device removed. Cursors compare
+ * against server write times (updated_at), never against device clocks.
+ */
+class LibrarySyncService {
+    constructor() {
+        // Past this share of the runtime an item counts as finished (end credits etc.)
+        this.FINISHED_THRESHOLD_PERCENT = 90
+
+        this.MAX_CHANGES_PER_SYNC = 500
+        this.PULL_LIMIT = 1000
+        this.CURSOR_OVERLAP_MS = 2000 // Re-send a little to absorb app/DB clock skew
+
+        this.CHANGE_TYPES = [
+            'favorite.add',
+            'favorite.remove',
+            'favorite.reorder',
+            'history.progress',
+            'history.remove'
+        ]
+    }
+
+    // =========================================================================
+    // SYNC
+    // =========================================================================
+
+    /**
+     * Apply pushed changes, then pull everything changed since the device cursor
+     *
+     * @param {string} userId - Authenticated user ID
+     * @param {Object} options - { deviceId, platform, changes, lastSyncedAt, fullSync }
+     * @returns {Promise<Object>} { push, favorites, history, deleted, cursor, hasMore }
+     */
+    async sync(userId, options = {}) {
+        const { deviceId = null, platform = null, changes = [], lastSyncedAt = null, fullSync = false } = options
+
+        const push = await this.applyChanges(userId, changes, { platform })
+
+        let since = null
+        if (!fullSync) {
+            since = lastSyncedAt || (deviceId ? await this.getDeviceCursor(userId, deviceId) : null)
+        }
+
+        const pull = await this.pullChanges(userId, since)
+
+        if (deviceId) {
+            await this.saveDeviceCursor(userId, deviceId, platform, pull.cursor)
+        }
+
+        return { push, ...pull, since }
+    }
+
+    /**
+     * Apply a batch of offline changes in order
+     *
+     * @returns {Promise<{applied: number, skipped: Array}>}
+     */
+    async applyChanges(userId, changes, { platform = null } = {}) {
+        const result = { applied: 0, skipped: [] }
+
+        for (const [index, change] of changes.entries()) {
+            try {
+                const outcome = await this.applyChange(userId, change, platform)
+
+                if (outcome.applied) {
+                    result.applied++
+                } else {
+                    result.skipped.push({ index, type: change.type, reason: outcome.reason })
+                }
+            } catch (error) {
+                logger.warn(`Sync change ${index} (${change?.type}) failed for ${userId}:`, error.message)
+                result.skipped.push({ index, type: change?.type, reason: 'error', message: error.message })
+            }
+        }
+
+        return result
+    }
+
+    /**
+     * Validate a change and dispatch it to its handler
+     * @returns {Promise<{applied: boolean, reason?: string}>}
+     */
+    async applyChange(userId, change, platform) {
+        if (!change || !this.CHANGE_TYPES.includes(change.type)) {
+            return { applied: false, reason: 'unknown_type' }
+        }
+
+        const changedAt = this.normalizeChangedAt(change.changedAt)
+        if (!changedAt) {
+            return { applied: false, reason: 'invalid_changed_at' }
+        }
+
+        const [entity] = change.type.split('.')
+        const content = this.resolveContent(change, entity)
+        if (!content) {
+            return { applied: false, reason: 'missing_content_id' }
+        }
+
+        switch (change.type) {
+            case 'favorite.add':
+                return this.applyFavoriteAdd(userId, content, change, changedAt)
+            case 'favorite.remove':
+                return this.applyFavoriteRemove(userId, content, changedAt)
+            case 'favorite.reorder':
+                return this.applyFavoriteReorder(userId, content, change, changedAt)
+            case 'history.progress':
+                return this.applyHistoryProgress(userId, content, change, changedAt, platform)
+            case 'history.remove':
+                return this.applyHistoryRemove(userId, content, changedAt)
+        }
+    }
+
+    // =========================================================================
+    // FAVORITES
+    // =========================================================================
+
+    async applyFavoriteAdd(userId, content, change, changedAt) {
+        const tombstone = await this.getTombstone(userId, 'favorite', content)
+        if (tombstone && this.toTime(tombstone.deleted_at) >= this.toTime(changedAt)) {
+            return { applied: false, reason: 'deleted_later' }
+        }
+
+        const existing = await this.findFavorite(userId, content)
+        if (existing) {
+            if (change.priority !== undefined) {
+                return this.applyFavoriteReorder(userId, content, change, changedAt)
+            }
+            return { applied: false, reason: 'already_exists' }
+        }
+
+        await dbOperations.addToFavorites({
+            user_id: userId,
+            content_type: content.contentType,
+            movie_id: content.contentType === 'movie' ? content.contentId : null,
+            series_id: content.contentType === 'series' ? content.contentId : null,
+            priority: Number.isInteger(change.priority) ? change.priority : 0,
+            added_at: changedAt,
+            priority_updated_at: changedAt
+        })
+
+        await this.clearTombstone(userId, 'favorite', content)
+        return { applied: true }
+    }
+
+    async applyFavoriteRemove(userId, content, changedAt) {
+        const existing = await this.findFavorite(userId, content)
+
+        if (existing) {
+            if (this.toTime(existing.added_at) > this.toTime(changedAt)) {
+                return { applied: false, reason: 'added_later' }
+            }
+
+            await dbOperations.removeFromFavorites(userId, content.contentType, content.contentId)
+        }
+
+        await this.recordTombstone(userId, 'favorite', content, changedAt)
+        return { applied: true }
+    }
+
+    async applyFavoriteReorder(userId, content, change, changedAt) {
+        if (!Number.isInteger(change.priority)) {
+            return { applied: false, reason: 'invalid_priority' }
+        }
+
+        const existing = await this.findFavorite(userId, content)
+        if (!existing) {
+            return { applied: false, reason: 'not_found' }
+        }
+
+        if (this.toTime(existing.priority_updated_at) >= this.toTime(changedAt)) {
+            return { applied: false, reason: 'stale' }
+        }
+
+        await dbOperations.updateFavorite(userId, existing.id, {
+            priority: change.priority,
+            priority_updated_at: changedAt
+        })
+
+        return { applied: true }
+    }
+
+    async findFavorite(userId, content) {
+        return dbOperations.getFavorite(userId, content.contentType, content.contentId)
+    }
+
+    // =========================================================================
+    // WATCH HISTORY
+    // =========================================================================
+
+    async applyHistoryProgress(userId, content, change, changedAt, platform) {
+        const { positionSeconds, durationSeconds } = change
+
+        if (typeof positionSeconds !== 'number' || positionSeconds < 0) {
+            return { applied: false, reason: 'invalid_position' }
+        }
+
+        const tombstone = await this.getTombstone(userId, 'history', content)
+        if (tombstone && this.toTime(tombstone.deleted_at) >= this.toTime(changedAt)) {
+            return { applied: false, reason: 'deleted_later' }
+        }
+
+        const existing = await this.findHistoryItem(userId, content)
+        const itemPlatform = change.platform || platform
+
+        if (existing) {
+            if (this.toTime(existing.progress_updated_at) >= this.toTime(changedAt)) {
+                return { applied: false, reason: 'stale' }
+            }
+
+            const progressFields = this.buildProgressFields(existing, positionSeconds, durationSeconds, changedAt)
+            const restarted = progressFields.is_finished === false
+
+            await dbOperations.updateWatchHistory(existing.id, {
+                ...progressFields,
+                progress_updated_at: changedAt,
+                last_watched_at: this.toTime(existing.last_watched_at) > this.toTime(changedAt) ? existing.last_watched_at : changedAt,
+                watch_count: restarted ? existing.watch_count + 1 : existing.watch_count,
+                ...(itemPlatform && { platform: itemPlatform })
+            })
+
+            return { applied: true }
+        }
+
+        await dbOperations.addToWatchHistory({
+            user_id: userId,
+            content_type: content.contentType,
+            movie_id: content.contentType === 'movie' ? content.contentId : null,
+            episode_id: content.contentType === 'episode' ? content.contentId : null,
+            series_id: change.seriesId || null,
+            platform: itemPlatform,
+            watch_count: 1,
+            first_watched_at: changedAt,
+            last_watched_at: changedAt,
+            progress_updated_at: changedAt,
+            ...this.buildProgressFields(null, positionSeconds, durationSeconds, changedAt)
+        })
+
+        await this.clearTombstone(userId, 'history', content)
+        return { applied: true }
+    }
+
+    async applyHistoryRemove(userId, content, changedAt) {
+        const existing = await this.findHistoryItem(userId, content)
+
+        if (existing) {
+            if (this.toTime(existing.last_watched_at) > this.toTime(changedAt)) {
+                return { applied: false, reason: 'watched_later' }
+            }
+
+            await dbOperations.removeFromWatchHistory(userId, content.contentType, content.contentId)
+        }
+
+        await this.recordTombstone(userId, 'history', content, changedAt)
+        return { applied: true }
+    }
+
+    async findHistoryItem(userId, content) {
+        return dbOperations.getWatchHistoryItem(userId, content.contentType, content.contentId)
+    }
+
+    /**
+     * Compute percent watched and finished state from a playback position
+     * @param {number} positionSeconds - Current playback position
+     * @param {number|null} durationSeconds - Total runtime, if known
+     * @returns {{percentWatched: number, isFinished: boolean}}
+     */
+    computeProgress(positionSeconds, durationSeconds) {
+        if (!durationSeconds) {
+            return { percentWatched: 0, isFinished: false }
+        }
+
+        const percentWatched = Math.min(Math.round((positionSeconds / durationSeconds) * 10000) / 100, 100)
+
+        return {
+            percentWatched,
+            isFinished: percentWatched >= this.FINISHED_THRESHOLD_PERCENT
+        }
+    }
+
+    /**
+     * Build the watch_history progress columns for a reported position
+     * is_finished is only included when it changes (true once finished,
+     * false when a finished item is restarted)
+     *
+     * @param {Object|null} existing - Current watch_history row, if any
+     * @param {number} positionSeconds - Reported playback position
+     * @param {number|null} durationSeconds - Reported runtime (falls back to stored)
+     * @param {string} at - ISO timestamp of the report
+     * @returns {Object} Columns to write
+     */
+    buildProgressFields(existing, positionSeconds, durationSeconds, at) {
+        const position = Math.floor(positionSeconds)
+        const duration = durationSeconds ? Math.floor(durationSeconds) : existing?.duration_seconds || null
+        const { percentWatched, isFinished } = this.computeProgress(position, duration)
+
+        const fields = {
+            position_seconds: position,
+            duration_seconds: duration,
+            percent_watched: percentWatched
+        }
+
+        if (isFinished) {
+            fields.is_finished = true
+            if (!existing?.is_finished) {
+                fields.finished_at = at
+            }
+        } else if (existing?.is_finished && position < existing.position_seconds) {
+            // Restarted after finishing - back into continue-watching
+            fields.is_finished = false
+        }
+
+        return fields
+    }
+
+    // =========================================================================
+    // TOMBSTONES
+    // =========================================================================
+
+    async getTombstone(userId, entity, content) {
+        return dbOperations.getLibraryTombstone(userId, entity, content.contentType, content.contentId)
+    }
+
+    /**
+     * Record (or move forward) the deletion time of a favorite/history entry
+     */
+    async recordTombstone(userId, entity, content, deletedAt = new Date().toISOString()) {
+        const existing = await this.getTombstone(userId, entity, content)
+        if (existing && this.toTime(existing.deleted_at) >= this.toTime(deletedAt)) {
+            return
+        }
+
+        await dbOperations.upsertLibraryTombstones([{
+            user_id: userId,
+            entity,
+            content_type: content.contentType,
+            content_id: content.contentId,
+            deleted_at: deletedAt,
+            updated_at: new Date().toISOString()
+        }])
+    }
+
+    /**
+     * Record tombstones for many rows at once (e.g. clearing all history)
+     */
+    async recordTombstones(userId, entity, contents, deletedAt = new Date().toISOString()) {
+        if (contents.length === 0) return
+
+        const recordedAt = new Date().toISOString()
+        await dbOperations.upsertLibraryTombstones(contents.map(content => ({
+            user_id: userId,
+            entity,
+            content_type: content.contentType,
+            content_id: content.contentId,
+            deleted_at: deletedAt,
+            updated_at: recordedAt
+        })))
+    }
+
+    async clearTombstone(userId, entity, content) {
+        await dbOperations.deleteLibraryTombstone(userId, entity, content.contentType, content.contentId)
+    }
+
+    // =========================================================================
+    // PULL
+    // =========================================================================
+
+    /**
+     * Get favorites, history and deletions changed since a cursor
+     * Results are ordered by change time; if a list hits PULL_LIMIT the cursor
+     * stops at its last row and hasMore is set so the client syncs again
+     *
+     * @param {string} userId - User ID
+     * @param {string|null} since - ISO cursor (null = full sync)
+     * @returns {Promise<Object>} { favorites, history, deleted, cursor, hasMore }
+     */
+    async pullChanges(userId, since) {
+        const serverTime = new Date(Date.now() - this.CURSOR_OVERLAP_MS).toISOString()
+
+        const { favorites, history, tombstones } = await dbOperations.getLibraryChanges(userId, since, this.PULL_LIMIT)
+
+        // A truncated list caps the cursor at its last row
+        const truncatedAt = [
+            favorites.length === this.PULL_LIMIT && favorites[favorites.length - 1].updated_at,
+            history.length === this.PULL_LIMIT && history[history.length - 1].updated_at,
+            tombstones.length === this.PULL_LIMIT && tombstones[tombstones.length - 1].updated_at
+        ].filter(Boolean).sort((a, b) => this.toTime(a) - this.toTime(b))[0]
+
+        const formatTombstone = tombstone => ({
+            contentType: tombstone.content_type,
+            contentId: tombstone.content_id,
+            deletedAt: tombstone.deleted_at
+        })
+
+        return {
+            favorites,
+            history,
+            deleted: {
+                favorites: tombstones.filter(t => t.entity === 'favorite').map(formatTombstone),
+                history: tombstones.filter(t => t.entity === 'history').map(formatTombstone)
+            },
+            cursor: truncatedAt || serverTime,
+            hasMore: Boolean(truncatedAt)
+        }
+    }
+
+    // =========================================================================
+    // DEVICE CURSORS
+    // =========================================================================
+
+    async getDeviceCursor(userId, deviceId) {
+        const device = await dbOperations.getSyncDevice(userId, deviceId)
+        return device?.last_synced_at || null
+    }
+
+    async saveDeviceCursor(userId, deviceId, platform, cursor) {
+        await dbOperations.upsertSyncDevice({
+            user_id: userId,
+            device_id: deviceId,
+            ...(platform && { platform }),
+            last_synced_at: cursor,
+            updated_at: new Date().toISOString()
+        })
+    }
+
+    // =========================================================================
+    // UTILITY FUNCTIONS
+    // =========================================================================
+
+    /**
+     * Resolve the content a change targets
+     * Favorites: movieId or seriesId. History: movieId or episodeId.
+     * @returns {{contentType: string, contentId: string}|null}
+     */
+    resolveContent(change, entity) {
+        if (change.movieId) {
+            return { contentType: 'movie', contentId: change.movieId }
+        }
+        if (entity === 'favorite' && change.seriesId) {
+            return { contentType: 'series', contentId: change.seriesId }
+        }
+        if (entity === 'history' && change.episodeId) {
+            return { contentType: 'episode', contentId: change.episodeId }
+        }
+        return null
+    }
+
+    /**
+     * Milliseconds for a DB/ISO timestamp (0 when missing)
+     * Postgres and JS format timestamps differently, so never compare the strings
+     */
+    toTime(value) {
+        return value ? new Date(value).getTime() : 0
+    }
+
+    /**
+     * Parse a client timestamp, clamping future times to now (device clock skew)
+     * @returns {string|null} ISO timestamp
+     */
+    normalizeChangedAt(value) {
+        if (!value) return null
+
+        const time = new Date(value).getTime()
+        if (isNaN(time)) return null
+
+        return new Date(Math.min(time, Date.now())).toISOString()
+    }
+}
+
+// Export singleton instance
+export default new LibrarySyncService()
@@ -1,6 +1,7 @@
-import { supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
 import duplicateDetector from './duplicateDetector.js'
+import { youtubeService } from './youtubeService.js'
 
 /**
  * LinkValidatorService
@@ -24,8 +25,7 @@ class LinkValidatorService {
         this.BATCH_SIZE = 50  // YouTube API allows 50 video IDs per request
         this.RATE_LIMIT_DELAY_MS = 1000  // Pause 1 second between batches
 
-        // API endpoint
-        this.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY
+        // API endpoint (key and quota accounting come from youtubeService)
         this.YOUTUBE_VIDEOS_ENDPOINT = 'https://www.googleapis.com/youtube/v3/videos'
     }
 
@@ -40,18 +40,9 @@ class LinkValidatorService {
 
         try {
             // Get movies that need validation (oldest first)
-            const { data: movies, error } = await supabase
-                .from('movies')
-                .select('id, youtube_video_id, title, movie_group_id, is_primary, last_validated')
-                .eq('is_available', true)
-                .order('last_validated', { ascending: true, nullsFirst: true })
-                .limit(this.MAX_DAILY_CHECKS)
-
-            if (error) {
-                throw error
-            }
+            const movies = await dbOperations.getMoviesForValidation(this.MAX_DAILY_CHECKS)
 
-            if (!movies || movies.length === 0) {
+            if (movies.length === 0) {
                 logger.info('No movies to validate')
                 return {
                     validatedCount: 0,
@@ -151,9 +142,10 @@ class LinkValidatorService {
     async checkVideosAvailability(videoIds) {
         try {
             const url = `${this.YOUTUBE_VIDEOS_ENDPOINT}?` +
-                `part=status&id=${videoIds}&key=${this.YOUTUBE_API_KEY}`
+                `part=status&id=${videoIds}&key=${youtubeService.getCurrentApiKey()}`
 
             const response = await fetch(url)
+            youtubeService.updateQuotaUsage(this.COST_PER_VIDEO_CHECK, 'videos.list')
             const data = await response.json()
 
             if (!response.ok) {
@@ -172,6 +164,9 @@ class LinkValidatorService {
                     results[id] = { status: 'unavailable', reason: 'not_found' }
                 } else if (videoData.status.privacyStatus === 'private') {
                     results[id] = { status: 'unavailable', reason: 'private' }
+                } else if (videoData.status.uploadStatus === 'rejected') {
+                    // Taken down by YouTube (copyright, terms of use, ...)
+                    results[id] = { status: 'unavailable', reason: 'rejected' }
                 } else if (videoData.status.uploadStatus !== 'processed') {
                     results[id] = { status: 'unavailable', reason: 'not_processed' }
                 } else {
@@ -200,31 +195,22 @@ class LinkValidatorService {
     async handleUnavailableVideo(movie, reason) {
         try {
             // Update movie status
-            const { error: updateError } = await supabase
-                .from('movies')
-                .update({
-                    is_available: false,
-                    last_validated: new Date().toISOString(),
-                    validation_error: reason
-                })
-                .eq('id', movie.id)
-
-            if (updateError) {
-                throw updateError
-            }
+            await dbOperations.updateMovie(movie.id, {
+                is_available: false,
+                last_validated: new Date().toISOString(),
+                validation_error: reason
+            })
 
             // Log the failure
-            const { error: logError } = await supabase
-                .from('validation_failures')
-                .insert({
+            try {
+                await dbOperations.logValidationFailure({
                     movie_id: movie.id,
                     youtube_video_id: movie.youtube_video_id,
                     failure_reason: reason,
                     detected_at: new Date().toISOString(),
                     is_primary: movie.is_primary
                 })
-
-            if (logError) {
+            } catch (logError) {
                 logger.error('Failed to log validation failure:', logError)
             }
 
@@ -247,14 +233,7 @@ class LinkValidatorService {
      */
     async updateValidationTimestamp(movieId) {
         try {
-            const { error } = await supabase
-                .from('movies')
-                .update({ last_validated: new Date().toISOString() })
-                .eq('id', movieId)
-
-            if (error) {
-                throw error
-            }
+            await dbOperations.updateMovie(movieId, { last_validated: new Date().toISOString() })
 
         } catch (error) {
             logger.error('Error updating validation timestamp:', error)
@@ -273,21 +252,13 @@ class LinkValidatorService {
         try {
             logger.info(`Attempting failover for group ${movieGroupId}`)
 
-            // Find best available backup
-            const { data: backups, error } = await supabase
-                .from('movies')
-                .select('id, youtube_video_id, quality_score, title')
-                .eq('movie_group_id', movieGroupId)
-                .eq('is_available', true)
-                .eq('is_primary', false)
-                .order('quality_score', { ascending: false })
-                .limit(3)  // Get top 3 backups
-
-            if (error) {
-                throw error
-            }
+            // Find best available backups (top 3, highest quality first)
+            const versions = await dbOperations.getMovieVersions(movieGroupId)
+            const backups = versions
+                .filter(version => version.is_available && !version.is_primary)
+                .slice(0, 3)
 
-            if (!backups || backups.length === 0) {
+            if (backups.length === 0) {
                 logger.error(`No backups available for group ${movieGroupId}`)
                 await this.notifyAdminAllBackupsFailed(movieGroupId)
                 return false
@@ -350,29 +321,20 @@ class LinkValidatorService {
     async promoteBackupToPrimary(backupId, movieGroupId, oldPrimaryId) {
         try {
             // Update backup to primary
-            const { error: promoteError } = await supabase
-                .from('movies')
-                .update({
-                    is_primary: true,
-                    last_validated: new Date().toISOString()
-                })
-                .eq('id', backupId)
-
-            if (promoteError) {
-                throw promoteError
-            }
+            await dbOperations.updateMovie(backupId, {
+                is_primary: true,
+                last_validated: new Date().toISOString()
+            })
 
             // Log failover event
-            const { error: logError } = await supabase
-                .from('failover_events')
-                .insert({
+            try {
+                await dbOperations.logFailoverEvent({
                     movie_group_id: movieGroupId,
                     old_primary_id: oldPrimaryId,
                     new_primary_id: backupId,
                     triggered_at: new Date().toISOString()
                 })
-
-            if (logError) {
+            } catch (logError) {
                 logger.error('Failed to log failover event:', logError)
             }
 
@@ -390,29 +352,24 @@ class LinkValidatorService {
     async notifyAdminAllBackupsFailed(movieGroupId) {
         try {
             // Get movie group info
-            const { data: group, error: groupError } = await supabase
-                .from('movie_groups')
-                .select('canonical_title, tmdb_id')
-                .eq('id', movieGroupId)
-                .single()
-
-            if (groupError) {
+            let group = null
+            try {
+                group = await dbOperations.getMovieGroupById(movieGroupId)
+            } catch (groupError) {
                 logger.error('Error fetching movie group:', groupError)
             }
 
             const message = `All versions of "${group?.canonical_title || 'Unknown'}" (Group ${movieGroupId}) are unavailable`
 
             // Create admin alert
-            const { error } = await supabase
-                .from('admin_alerts')
-                .insert({
+            try {
+                await dbOperations.createAdminAlert({
                     type: 'all_backups_failed',
                     movie_group_id: movieGroupId,
                     message,
                     severity: 'critical'
                 })
-
-            if (error) {
+            } catch (error) {
                 logger.error('Failed to create admin alert:', error)
             }
 
@@ -434,19 +391,13 @@ class LinkValidatorService {
      */
     async logValidationRun(stats) {
         try {
-            const { error } = await supabase
-                .from('validation_runs')
-                .insert({
-                    run_date: new Date().toISOString(),
-                    validated_count: stats.validatedCount,
-                    failed_count: stats.failedCount,
-                    failover_count: stats.failoverCount,
-                    quota_used: stats.quotaUsed
-                })
-
-            if (error) {
-                throw error
-            }
+            await dbOperations.logValidationRun({
+                run_date: new Date().toISOString(),
+                validated_count: stats.validatedCount,
+                failed_count: stats.failedCount,
+                failover_count: stats.failoverCount,
+                quota_used: stats.quotaUsed
+            })
 
         } catch (error) {
             logger.error('Error logging validation run:', error)
@@ -461,18 +412,10 @@ class LinkValidatorService {
      */
     async getValidationStats() {
         try {
-            const { data: runs, error } = await supabase
-                .from('validation_runs')
-                .select('*')
-                .order('run_date', { ascending: false })
-                .limit(30)  // Last 30 days
-
-            if (error) {
-                throw error
-            }
+            const runs = await dbOperations.getValidationRuns(30)  // Last 30 days
 
             // Calculate totals
-            const totals = (runs || []).reduce((acc, run) => ({
+            const totals = runs.reduce((acc, run) => ({
                 totalValidated: acc.totalValidated + run.validated_count,
                 totalFailed: acc.totalFailed + run.failed_count,
                 totalFailovers: acc.totalFailovers + run.failover_count,
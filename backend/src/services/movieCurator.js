@@ -3,8 +3,12 @@ import { tmdbService } from './tmdbService.js'
 import { omdbService } from './omdbService.js'
 import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
+import { titleCleaner } from '../utils/titleCleaner.js'
+import { movieCategorizer } from '../utils/movieCategorizer.js'
+import { metadataMerger } from '../utils/metadataMerger.js'
 import { channelPatternDetector } from './channelPatternDetector.js'
 import duplicateDetector from './duplicateDetector.js'
+import reviewQueueService from './reviewQueueService.js'
 
 class MovieCurator {
     constructor() {
@@ -66,6 +70,21 @@ class MovieCurator {
             maxDurationMinutes: parseInt(process.env.MAX_MOVIE_DURATION_MINUTES) || 360,
             minViewCount: parseInt(process.env.MIN_VIEW_COUNT) || 0  // No view count requirement
         }
+
+        // Incremental crawl settings (scheduled curation)
+        this.crawlSettings = {
+            deepCrawlIntervalDays: parseInt(process.env.DEEP_CRAWL_INTERVAL_DAYS) || 7,
+            watermarkOverlapHours: 24  // Re-check the last day; search indexing lags uploads
+        }
+
+        // TMDB matches scoring below this (title/year/runtime, 0-1) are not used
+        this.minMatchConfidence = parseFloat(process.env.TMDB_MIN_MATCH_CONFIDENCE) || 0.5
+
+        // TMDB candidates kept on review queue items
+        this.reviewCandidateLimit = 10
+
+        // Look TMDB matches up on OMDb by IMDb ID too, for IMDb ratings, director and cast
+        this.omdbSupplement = process.env.OMDB_SUPPLEMENT !== 'false'
     }
 
     // =============================================================================
@@ -79,6 +98,8 @@ class MovieCurator {
             channelsProcessed: 0,
             moviesFound: 0,
             moviesAdded: 0,
+            incrementalCrawls: 0,
+            deepCrawls: 0,
             errors: []
         }
 
@@ -86,9 +107,14 @@ class MovieCurator {
             try {
                 logger.info(`Processing channel: ${channelInfo.name} (${channelInfo.id})`)
 
-                const channelResults = await this.curateChannelMovies(channelInfo.id)
+                const channelResults = await this.curateChannelMovies(channelInfo.id, { crawlMode: 'auto' })
 
                 results.channelsProcessed++
+                if (channelResults.crawlType === 'incremental') {
+                    results.incrementalCrawls++
+                } else {
+                    results.deepCrawls++
+                }
                 results.moviesFound += channelResults.moviesFound
                 results.moviesAdded += channelResults.moviesAdded
 
@@ -107,118 +133,237 @@ class MovieCurator {
         return results
     }
 
+    /**
+     * Curate movies from a channel
+     *
+     * @param {string} channelId - YouTube channel ID
+     * @param {Object} options
+     * @param {boolean} options.forceReenrich - Refresh metadata for movies that already exist
+     * @param {number} options.maxResults - Max videos to scan (pagination handled by youtubeService)
+     * @param {string} options.crawlMode - 'full' always scans the back catalog (default);
+     *   'auto' only fetches uploads after the channel watermark unless a deep crawl is due
+     * @param {Object} options.job - Queue context when run by jobQueue:
+     *   { checkpoint, saveProgress(progress), isCancelled() }
+     *   Processing resumes after checkpoint.lastVideoId and stops early on cancellation
+     */
     async curateChannelMovies(channelId, options = {}) {
-        const { jobId = null, forceReenrich = false } = options
+        const { forceReenrich = false, maxResults = 500, job = null, crawlMode = 'full' } = options
+        const checkpoint = job?.checkpoint || {}
 
-        logger.info(`🔍 Curating movies from channel: ${channelId}${jobId ? ` (Job: ${jobId})` : ''}${forceReenrich ? ' [FORCE RE-ENRICH MODE]' : ''}`)
+        logger.info(`🔍 Curating movies from channel: ${channelId}${job ? ` (Job: ${job.id})` : ''}${forceReenrich ? ' [FORCE RE-ENRICH MODE]' : ''}`)
 
+        // Running totals carry over when resuming a job
         const results = {
-            moviesFound: 0,
-            moviesAdded: 0,
-            moviesSkipped: 0,
-            moviesUpdated: 0,
-            errors: [],
+            moviesFound: checkpoint.moviesFound || 0,
+            moviesAdded: checkpoint.moviesAdded || 0,
+            moviesSkipped: checkpoint.moviesSkipped || 0,
+            moviesUpdated: checkpoint.moviesUpdated || 0,
+            errors: checkpoint.errors || [],
             channelInfo: null
         }
 
-        try {
-            // Start job if provided
-            if (jobId) {
-                await dbOperations.startCurationJob(jobId)
-            }
+        // Ensure channel exists in database
+        const channel = await this.ensureChannelExists(channelId)
+        results.channelInfo = channel
 
-            // Ensure channel exists in database
-            const channel = await this.ensureChannelExists(channelId)
-            results.channelInfo = channel
+        const crawl = this.planCrawl(channel, crawlMode)
+        results.crawlType = crawl.type
 
-            // Get videos from channel (with pagination support)
-            const videos = await youtubeService.getChannelVideos(channelId, {
-                maxResults: 500,  // Increased from 50 to 500 to fetch all channel videos
-                order: 'date'
-            })
+        // Get videos from channel (with pagination support)
+        const videos = await youtubeService.getChannelVideos(channelId, {
+            maxResults,
+            order: 'date',
+            publishedAfter: crawl.publishedAfter
+        })
 
-            logger.info(`Found ${videos.length} videos in channel ${channelId}`)
+        logger.info(`Found ${videos.length} videos in channel ${channelId} (${crawl.type} crawl${crawl.publishedAfter ? ` after ${crawl.publishedAfter}` : ''})`)
 
-            for (let i = 0; i < videos.length; i++) {
-                const video = videos[i]
+        const startIndex = this.getResumeIndex(videos, checkpoint)
+        if (startIndex > 0) {
+            logger.info(`⏩ Resuming after video ${checkpoint.lastVideoId} (${startIndex}/${videos.length} already processed)`)
+        }
 
-                try {
-                    // Check if video is likely a full movie
-                    if (this.isLikelyMovie(video)) {
-                        results.moviesFound++
-
-                        // Check if movie already exists
-                        try {
-                            const existingMovie = await dbOperations.getMovieByYouTubeId(video.id)
-                            logger.debug(`Movie already exists: ${video.title}`)
-
-                            // If force re-enrich is enabled, update TMDB metadata
-                            if (forceReenrich) {
-                                logger.info(`[RE-ENRICH] Updating metadata for: ${video.title}`)
-                                const updated = await this.updateExistingMovie(existingMovie, video)
-                                if (updated) {
-                                    results.moviesUpdated++
-                                    logger.info(`✅ Updated movie: ${video.title}`)
-                                } else {
-                                    results.moviesSkipped++
-                                }
+        for (let i = startIndex; i < videos.length; i++) {
+            const video = videos[i]
+
+            if (job?.isCancelled()) {
+                logger.info(`🛑 Job ${job.id} cancelled after ${i}/${videos.length} videos`)
+                results.cancelled = true
+                break
+            }
+
+            try {
+                // Check if video is likely a full movie
+                if (this.isLikelyMovie(video)) {
+                    results.moviesFound++
+
+                    // Check if movie already exists
+                    try {
+                        const existingMovie = await dbOperations.getMovieByYouTubeId(video.id)
+                        logger.debug(`Movie already exists: ${video.title}`)
+
+                        // If force re-enrich is enabled, update TMDB metadata
+                        if (forceReenrich) {
+                            logger.info(`[RE-ENRICH] Updating metadata for: ${video.title}`)
+                            const updated = await this.updateExistingMovie(existingMovie, video, channel?.title_rules)
+                            if (updated) {
+                                results.moviesUpdated++
+                                logger.info(`✅ Updated movie: ${video.title}`)
                             } else {
                                 results.moviesSkipped++
                             }
-                            continue
-                        } catch (error) {
-                            // Movie doesn't exist, continue processing
-                        }
-
-                        // Process and add movie
-                        const success = await this.processMovie(video)
-                        if (success) {
-                            results.moviesAdded++
-                            logger.info(`✅ Added movie: ${video.title}`)
                         } else {
-                            results.errors.push({
-                                videoId: video.id,
-                                title: video.title,
-                                error: 'Failed to process movie'
-                            })
+                            results.moviesSkipped++
                         }
+                        continue
+                    } catch (error) {
+                        // Movie doesn't exist, continue processing
+                    }
 
-                        // Update job progress periodically (every 5 videos)
-                        if (jobId && i % 5 === 0) {
-                            await dbOperations.updateCurationJobProgress(jobId, {
-                                processed: i + 1,
-                                successful: results.moviesAdded + results.moviesUpdated,
-                                failed: results.errors.length
-                            })
-                        }
+                    // Process and add movie
+                    const success = await this.processMovie(video)
+                    if (success) {
+                        results.moviesAdded++
+                        logger.info(`✅ Added movie: ${video.title}`)
+                    } else {
+                        results.errors.push({
+                            videoId: video.id,
+                            title: video.title,
+                            error: 'Failed to process movie'
+                        })
                     }
-                } catch (error) {
-                    logger.error(`Error processing video ${video.id}:`, error.message)
-                    results.errors.push({
-                        videoId: video.id,
-                        title: video.title,
-                        error: error.message
+                }
+            } catch (error) {
+                logger.error(`Error processing video ${video.id}:`, error.message)
+                results.errors.push({
+                    videoId: video.id,
+                    title: video.title,
+                    error: error.message
+                })
+            } finally {
+                // Checkpoint periodically (every 5 videos) and after the last one
+                if (job && (i % 5 === 0 || i === videos.length - 1)) {
+                    await job.saveProgress({
+                        total: videos.length,
+                        processed: i + 1,
+                        successful: results.moviesAdded + results.moviesUpdated,
+                        failed: results.errors.length,
+                        checkpoint: {
+                            lastVideoId: video.id,
+                            lastIndex: i,
+                            moviesFound: results.moviesFound,
+                            moviesAdded: results.moviesAdded,
+                            moviesSkipped: results.moviesSkipped,
+                            moviesUpdated: results.moviesUpdated,
+                            errors: results.errors
+                        }
                     })
                 }
             }
+        }
+
+        if (!results.cancelled) {
+            await this.updateCrawlWatermark(channel, videos, crawl, results)
+        }
+
+        return results
+    }
+
+    /**
+     * Decide between an incremental and a deep crawl for a channel
+     *
+     * @param {Object} channel - Channel row (crawl_watermark, last_deep_crawl_at)
+     * @param {string} crawlMode - 'full' or 'auto'
+     * @returns {{type: string, publishedAfter: string|null}}
+     */
+    planCrawl(channel, crawlMode) {
+        if (crawlMode !== 'auto' || !channel?.crawl_watermark || !channel?.last_deep_crawl_at) {
+            return { type: 'deep', publishedAfter: null }
+        }
+
+        const deepCrawlAgeDays = (Date.now() - new Date(channel.last_deep_crawl_at).getTime()) / (1000 * 60 * 60 * 24)
+        if (deepCrawlAgeDays >= this.crawlSettings.deepCrawlIntervalDays) {
+            return { type: 'deep', publishedAfter: null }
+        }
 
-            // Complete job if provided
-            if (jobId) {
-                await dbOperations.completeCurationJob(jobId, results)
+        const overlapMs = this.crawlSettings.watermarkOverlapHours * 60 * 60 * 1000
+        const publishedAfter = new Date(new Date(channel.crawl_watermark).getTime() - overlapMs).toISOString()
+
+        return { type: 'incremental', publishedAfter }
+    }
+
+    /**
+     * Move the channel watermark to the newest upload this crawl processed
+     */
+    async updateCrawlWatermark(channel, videos, crawl, results) {
+        const now = new Date().toISOString()
+        const newestPublishedAt = this.processedWatermark(videos, results.errors.map(error => error.videoId))
+
+        const updateData = { last_crawled_at: now }
+
+        if (newestPublishedAt && (!channel.crawl_watermark ||
+            new Date(newestPublishedAt) > new Date(channel.crawl_watermark))) {
+            updateData.crawl_watermark = newestPublishedAt
+        }
+
+        if (crawl.type === 'deep') {
+            updateData.last_deep_crawl_at = now
+
+            // A deep crawl sees the whole back catalog, so its counts feed the
+            // channel reputation's upload yield
+            const kept = Math.max(results.moviesFound - results.errors.length, 0)
+            updateData.upload_stats = {
+                scanned: videos.length,
+                kept,
+                rejected: videos.length - kept,
+                crawledAt: now
             }
+        }
 
+        try {
+            await dbOperations.updateChannel(channel.id, updateData)
         } catch (error) {
-            logger.error(`Error curating channel ${channelId}:`, error.message)
+            // Next run simply re-crawls from the old watermark
+            logger.warn(`Failed to update crawl watermark for ${channel.id}:`, error.message)
+        }
+    }
 
-            // Fail job if provided
-            if (jobId) {
-                await dbOperations.failCurationJob(jobId, error.message)
-            }
+    /**
+     * Newest upload the watermark can move to: it stops short of the oldest
+     * upload that failed, so the next incremental crawl retries it
+     *
+     * @param {Array} videos - Uploads of this crawl ({ id, publishedAt })
+     * @param {Array<string>} failedVideoIds - Uploads processMovie failed on
+     * @returns {string|null} publishedAt of the newest usable upload
+     */
+    processedWatermark(videos, failedVideoIds = []) {
+        const failed = videos.filter(video => failedVideoIds.includes(video.id))
+        const oldestFailure = failed.reduce((oldest, video) =>
+            !oldest || new Date(video.publishedAt) < new Date(oldest) ? video.publishedAt : oldest, null)
+
+        return videos
+            .filter(video => !failedVideoIds.includes(video.id))
+            .filter(video => !oldestFailure || new Date(video.publishedAt) < new Date(oldestFailure))
+            .reduce((newest, video) =>
+                !newest || new Date(video.publishedAt) > new Date(newest) ? video.publishedAt : newest, null)
+    }
 
-            throw error
+    /**
+     * Index of the first unprocessed video for a checkpoint
+     * Looks the last processed video up by ID (new uploads shift positions),
+     * falling back to the stored index if that video is gone
+     */
+    getResumeIndex(videos, checkpoint) {
+        if (!checkpoint?.lastVideoId) {
+            return 0
         }
 
-        return results
+        const index = videos.findIndex(video => video.id === checkpoint.lastVideoId)
+        if (index >= 0) {
+            return index + 1
+        }
+
+        return Math.min((checkpoint.lastIndex ?? -1) + 1, videos.length)
     }
 
     async processMovie(video) {
@@ -227,9 +372,11 @@ class MovieCurator {
 
             // Get channel thumbnail from database
             let channelThumbnail = null
+            let channelTitleRules = null
             try {
                 const channel = await dbOperations.getChannelById(video.channelId)
                 channelThumbnail = channel?.thumbnail_url || null
+                channelTitleRules = channel?.title_rules || null
             } catch (error) {
                 logger.debug(`Channel ${video.channelId} not in database, will be created`)
             }
@@ -237,22 +384,20 @@ class MovieCurator {
             // Enhanced movie data with YouTube info
             // APPROACH 1: Store original YouTube title, clean later via bulk cleanup job
             // This allows flexible iteration on cleaning logic without re-importing
+            // (title, description and runtime are merged below, see mergeMetadata)
+            const youtubeData = this.youtubeMetadata(video)
             const movieData = {
                 youtube_video_id: video.id,
-                title: video.title,  // Store original YouTube title (clean later with POST /api/admin/movies/fix-titles)
-                original_title: video.title,
                 // YouTube TOS Compliance fields (Phase 0)
                 youtube_video_title: video.title,  // REQUIRED: Original YouTube video title (TOS Section III.D.8)
                 channel_thumbnail: channelThumbnail,  // Channel avatar/thumbnail URL
                 last_refreshed: new Date().toISOString(),  // Cache timestamp (TOS: max 30 days)
                 // Regular YouTube metadata
-                description: video.description,
                 channel_id: video.channelId,
                 view_count: video.viewCount,
                 like_count: video.likeCount,
                 comment_count: video.commentCount,
                 published_at: video.publishedAt,
-                runtime_minutes: youtubeService.parseDuration(video.duration),
                 is_embeddable: video.embeddable,
                 is_available: video.uploadStatus === 'processed' && video.privacyStatus === 'public',
                 quality: this.determineVideoQuality(video),
@@ -262,20 +407,26 @@ class MovieCurator {
 
             // Try to enhance with TMDB data
             // Quick clean for TMDB search only (don't store this cleaned version)
+            // Uploads neither source matches confidently go to the review queue
+            const sources = { youtube: youtubeData }
+            let review = null
             try {
-                const titleForTMDB = this.quickCleanForTMDB(video.title)
-                const tmdbData = await this.enrichWithTMDB(titleForTMDB)
-                if (tmdbData) {
-                    Object.assign(movieData, tmdbData)
-                    movieData.enrichment_source = 'tmdb'
-                    logger.debug(`Enhanced with TMDB data: ${tmdbData.title}`)
+                const titleForTMDB = this.quickCleanForTMDB(video.title, channelTitleRules)
+                const upload = { ...this.extractReleaseYear(video), runtimeMinutes: youtubeData.runtime_minutes }
+                const tmdbMatch = await this.matchWithTMDB(titleForTMDB, upload)
+                if (tmdbMatch.data) {
+                    sources.tmdb = tmdbMatch.data
+                    sources.omdb = await this.supplementWithOMDb(tmdbMatch.data)
+                    logger.debug(`Enhanced with TMDB data: ${tmdbMatch.data.title}`)
                 } else {
                     // FALLBACK TO OMDB when TMDB fails
-                    logger.info(`TMDB not found, trying OMDb for: ${video.title}`)
-                    const omdbData = await this.enrichWithOMDb(video.title)
-                    if (omdbData) {
-                        Object.assign(movieData, omdbData)
-                        logger.info(`✅ Enhanced with OMDb data: ${omdbData.title} (${omdbData.imdb_id})`)
+                    logger.info(`No confident TMDB match, trying OMDb for: ${video.title}`)
+                    const omdbMatch = await this.matchWithOMDb(video.title, upload)
+                    if (omdbMatch.data) {
+                        sources.omdb = omdbMatch.data
+                        logger.info(`✅ Enhanced with OMDb data: ${omdbMatch.match.title} (${omdbMatch.data.imdb_id})`)
+                    } else {
+                        review = { tmdbMatch, omdbMatch }
                     }
                 }
             } catch (tmdbError) {
@@ -284,16 +435,17 @@ class MovieCurator {
                 try {
                     const omdbData = await this.enrichWithOMDb(video.title)
                     if (omdbData) {
-                        Object.assign(movieData, omdbData)
-                        logger.info(`✅ Enhanced with OMDb data: ${omdbData.title} (${omdbData.imdb_id})`)
+                        sources.omdb = omdbData
+                        logger.info(`✅ Enhanced with OMDb data: ${omdbData.imdb_id}`)
                     }
                 } catch (omdbError) {
                     logger.warn(`OMDb enrichment also failed for "${video.title}":`, omdbError.message)
                 }
             }
 
-            // Determine category
-            movieData.category = this.categorizeMovie(movieData)
+            // Field-by-field merge of YouTube, TMDB and OMDb, then categories
+            // (TMDB/OMDb genres, keywords as fallback)
+            Object.assign(movieData, this.mergeMetadata(sources, { current: movieData }))
 
             // =============================================================================
             // DUPLICATE DETECTION (Phase 2)
@@ -318,7 +470,7 @@ class MovieCurator {
             }
 
             // Step 2: Calculate quality score for this version
-            const qualityScore = duplicateDetector.calculateQualityScore(movieData)
+            const qualityScore = await duplicateDetector.calculateQualityScore(movieData)
             logger.debug(`Quality score: ${qualityScore}/100`, {
                 views: movieData.view_count,
                 embeddable: movieData.is_embeddable
@@ -395,8 +547,12 @@ class MovieCurator {
             }
 
             // Add genres if available
-            if (movieData.genres && movie.id) {
-                await this.addMovieGenres(movie.id, movieData.genres)
+            if (sources.tmdb?.genres && movie.id) {
+                await this.addMovieGenres(movie.id, sources.tmdb.genres)
+            }
+
+            if (review) {
+                await this.queueForReview(movie, video, review.tmdbMatch, review.omdbMatch)
             }
 
             return true
@@ -407,38 +563,28 @@ class MovieCurator {
         }
     }
 
-    async updateExistingMovie(existingMovie, video) {
+    async updateExistingMovie(existingMovie, video, channelTitleRules = null) {
         try {
             logger.debug(`Re-enriching existing movie: ${video.title}`)
 
             // Clean title for TMDB search (same as in processMovie)
-            const titleForTMDB = this.quickCleanForTMDB(video.title)
+            const titleForTMDB = this.quickCleanForTMDB(video.title, channelTitleRules)
             logger.debug(`Cleaned title for TMDB: "${titleForTMDB}"`)
 
             // Re-run TMDB enrichment with year-based matching
-            const tmdbData = await this.enrichWithTMDB(titleForTMDB)
+            // YouTube fields aren't merged: they'd undo fixed titles
+            const upload = { ...this.extractReleaseYear(video), runtimeMinutes: youtubeService.parseDuration(video.duration) }
+            const tmdbMatch = await this.matchWithTMDB(titleForTMDB, upload)
+            const tmdbData = tmdbMatch.data
 
             if (tmdbData) {
-                // Prepare update data
-                const updateData = {
-                    // Update TMDB fields
-                    title: tmdbData.title,
-                    description: tmdbData.description,
-                    tmdb_id: tmdbData.tmdb_id,
-                    imdb_id: tmdbData.imdb_id,
-                    poster_path: tmdbData.poster_path,
-                    backdrop_path: tmdbData.backdrop_path,
-                    vote_average: tmdbData.vote_average,
-                    vote_count: tmdbData.vote_count,
-                    popularity: tmdbData.popularity,
-                    release_date: tmdbData.release_date,
-                    runtime_minutes: tmdbData.runtime_minutes,
-                    enrichment_source: 'tmdb',
-                    updated_at: new Date().toISOString()
-                }
+                const omdbData = await this.supplementWithOMDb(tmdbData)
 
-                // Update movie in database
-                await dbOperations.updateMovie(existingMovie.id, updateData)
+                // Update movie in database (locked fields are kept)
+                await dbOperations.updateMovie(existingMovie.id, {
+                    ...this.mergeMetadata({ tmdb: tmdbData, omdb: omdbData }, { current: existingMovie }),
+                    updated_at: new Date().toISOString()
+                })
 
                 // Update genres if available
                 if (tmdbData.genres && existingMovie.id) {
@@ -451,33 +597,20 @@ class MovieCurator {
             } else {
                 // TMDB failed, try OMDb fallback
                 logger.debug(`[RE-ENRICH] TMDB failed, trying OMDb fallback`)
-                const omdbData = await this.enrichWithOMDb(titleForTMDB)
+                const omdbMatch = await this.matchWithOMDb(titleForTMDB, upload)
+                const omdbData = omdbMatch.data
 
                 if (omdbData) {
-                    const updateData = {
-                        title: omdbData.title,
-                        description: omdbData.description,
-                        imdb_id: omdbData.imdb_id,
-                        poster_path: omdbData.poster_path,
-                        backdrop_path: omdbData.backdrop_path,
-                        imdb_rating: omdbData.imdb_rating,
-                        imdb_votes: omdbData.imdb_votes,
-                        rated: omdbData.rated,
-                        release_date: omdbData.release_date,
-                        runtime_minutes: omdbData.runtime_minutes,
-                        director: omdbData.director,
-                        actors: omdbData.actors,
-                        country: omdbData.country,
-                        is_tv_show: omdbData.is_tv_show,
-                        enrichment_source: 'omdb',
+                    await dbOperations.updateMovie(existingMovie.id, {
+                        ...this.mergeMetadata({ omdb: omdbData }, { current: existingMovie }),
                         updated_at: new Date().toISOString()
-                    }
-
-                    await dbOperations.updateMovie(existingMovie.id, updateData)
-                    logger.info(`[RE-ENRICH] Updated OMDb data: ${omdbData.title}`)
+                    })
+                    logger.info(`[RE-ENRICH] Updated OMDb data: ${omdbMatch.match.title}`)
                     return true
                 }
 
+                await this.queueForReview(existingMovie, video, tmdbMatch, omdbMatch)
+
                 logger.warn(`[RE-ENRICH] Failed to enrich: ${video.title}`)
                 return false
             }
@@ -529,28 +662,14 @@ class MovieCurator {
         return !hasExcludeKeyword
     }
 
-    quickCleanForTMDB(title) {
+    quickCleanForTMDB(title, customRules = null) {
         /**
          * Quick title cleaning for TMDB search only
          * Used during import to find TMDB matches without storing cleaned title
-         * Simple extraction: first segment before pipe, remove common keywords
+         * Simple extraction: the channel's title rules if set, otherwise first
+         * segment before pipe, same rules as cleanMovieTitle
          */
-        let cleaned = title
-
-        // Extract first segment before pipe (most common pattern)
-        if (cleaned.includes('|')) {
-            cleaned = cleaned.split('|')[0].trim()
-        }
-
-        // Remove common YouTube indicators
-        cleaned = cleaned
-            .replace(/\b(full movie|complete film|full film|feature film)\b/gi, '')
-            .replace(/\[.*?\]/g, '')
-            .replace(/\b(HD|4K|1080p|720p|480p)\b/gi, '')
-            .replace(/\s+/g, ' ')
-            .trim()
-
-        return cleaned
+        return titleCleaner.cleanForSearch(title, customRules)
     }
 
     cleanMovieTitle(title, pattern = null) {
@@ -561,98 +680,12 @@ class MovieCurator {
          * - Pattern A: "Movie Title | Genre | Actor | Channel" → Extract FIRST
          * - Pattern B: "Clickbait | Actual Movie Title" → Extract LAST
          * - Mixed/Unknown: Try both and pick shortest cleaned result
+         *
+         * Rules and versioning live in utils/titleCleaner.js
          */
+        const bestTitle = titleCleaner.clean(title, pattern)
 
-        // SAFETY CHECK: Override pattern if it contradicts actual title structure
-        if (pattern && !pattern.pipe_separator && title.includes('|')) {
-            logger.warn(`Pattern mismatch detected: pattern says no pipes but title has pipes`, {
-                title: title,
-                detected_pattern: pattern.type
-            })
-            // Override pattern to use pipe-based extraction
-            pattern = {
-                pipe_separator: true,
-                title_position: 'first',
-                type: 'first_segment_override',
-                confidence: 0.6
-            }
-            logger.info(`Applied fallback pattern: first_segment with 60% confidence`)
-        }
-
-        let candidateTitles = []
-
-        // Step 1: Extract title segment(s) based on detected pattern
-        if (title.includes('|')) {
-            const segments = title.split('|').map(s => s.trim())
-
-            if (pattern && pattern.pipe_separator) {
-                // Use AI-detected pattern
-                logger.debug(`Using detected pattern: ${pattern.type} (position: ${pattern.title_position})`)
-
-                if (pattern.title_position === 'first') {
-                    // Title is in FIRST segment (e.g., "Movie | Genre | Actor | Channel")
-                    candidateTitles.push(segments[0])
-                } else if (pattern.title_position === 'last') {
-                    // Title is in LAST segment (e.g., "Clickbait | Actual Title")
-                    candidateTitles.push(segments[segments.length - 1])
-                } else if (pattern.title_position === 'both' || pattern.confidence < 0.7) {
-                    // Low confidence or mixed patterns: try both
-                    candidateTitles.push(segments[0])
-                    if (segments.length > 1) {
-                        candidateTitles.push(segments[segments.length - 1])
-                    }
-                    logger.debug(`Low confidence pattern, trying both segments`)
-                }
-            } else {
-                // No pattern: try both first and last segments (fallback)
-                candidateTitles.push(segments[0])
-                if (segments.length > 1) {
-                    candidateTitles.push(segments[segments.length - 1])
-                }
-                logger.debug(`No pattern available, trying both first and last segments`)
-            }
-        } else {
-            // No pipes: use full title
-            candidateTitles.push(title)
-        }
-
-        // Step 2: Clean all candidate titles
-        const cleanedCandidates = candidateTitles.map(candidate => {
-            let cleaned = candidate
-
-            // Remove common YouTube video indicators
-            cleaned = cleaned
-                // Remove "FULL MOVIE", "Full Movie", "full movie", etc.
-                .replace(/\b(full movie|complete film|full film|feature film)\b/gi, '')
-
-                // Remove brackets and their content like "[HD]" or "[Restored]"
-                .replace(/\[.*?\]/g, '')
-
-                // Remove quality indicators like "HD", "4K", "1080p"
-                .replace(/\b(HD|4K|1080p|720p|480p|DVD|BLURAY|BLU-RAY)\b/gi, '')
-
-                // Remove "Official", "Original", etc.
-                .replace(/\b(official|original|remastered|restored)\b/gi, '')
-
-                // Remove dashes at the end (often used before channel names)
-                .replace(/\s*-\s*$/, '')
-
-                // Remove extra whitespace (multiple spaces become single space)
-                .replace(/\s+/g, ' ')
-
-                // Trim leading/trailing whitespace
-                .trim()
-
-            // NOTE: We keep years in parentheses like "(1975)" because they help with TMDB matching!
-            return cleaned
-        })
-
-        // Step 3: Pick best candidate (shortest is usually best for TMDB matching)
-        const bestTitle = cleanedCandidates.reduce((shortest, current) => {
-            return current.length < shortest.length ? current : shortest
-        })
-
-        logger.debug(`Extracted title: "${bestTitle}" (from ${candidateTitles.length} candidates)`)
+        logger.debug(`Extracted title: "${bestTitle}" (rules v${titleCleaner.version})`)
 
         return bestTitle
     }
@@ -667,111 +700,145 @@ class MovieCurator {
         return '720p' // Default assumption
     }
 
+    /**
+     * Categories from TMDB genres, OMDb genres, or title/description keywords
+     * (utils/movieCategorizer.js)
+     *
+     * @param {Object} movieData - genres, omdb_genres, title, description, release_date, published_at
+     * @returns {{category: string, categories: Array<string>, category_source: string}} Movie columns
+     */
     categorizeMovie(movieData) {
-        const title = movieData.title.toLowerCase()
-        const description = (movieData.description || '').toLowerCase()
-        const text = `${title} ${description}`
-
-        // Genre detection based on keywords
-        const genreKeywords = {
-            'action': ['action', 'fight', 'war', 'battle', 'combat', 'martial arts'],
-            'comedy': ['comedy', 'funny', 'humor', 'laugh', 'comic'],
-            'drama': ['drama', 'dramatic', 'emotional', 'tragedy'],
-            'horror': ['horror', 'scary', 'fear', 'ghost', 'monster', 'zombie'],
-            'romance': ['romance', 'love', 'romantic', 'wedding', 'heart'],
-            'thriller': ['thriller', 'suspense', 'mystery', 'crime', 'detective'],
-            'science_fiction': ['sci-fi', 'science fiction', 'space', 'alien', 'future'],
-            'western': ['western', 'cowboy', 'frontier', 'gunfight'],
-            'documentary': ['documentary', 'true story', 'real life', 'biography'],
-            'animation': ['animation', 'animated', 'cartoon'],
-            'classic': ['classic', 'vintage', 'old', 'golden age', 'legendary']
-        }
+        const { category, categories, source } = movieCategorizer.categorize(movieData)
+        return { category, categories, category_source: source }
+    }
 
-        // Check for genre keywords
-        for (const [category, keywords] of Object.entries(genreKeywords)) {
-            if (keywords.some(keyword => text.includes(keyword))) {
-                return category
-            }
+    // =============================================================================
+    // TMDB INTEGRATION
+    // =============================================================================
+
+    /**
+     * Release year of an upload: "(1922)" in the title, otherwise a year the
+     * description mentions ("Released: 1922", "Nosferatu (1922) is ...")
+     *
+     * @param {Object} video - YouTube video (title, description)
+     * @returns {{year: number|null, yearSource: string|null}}
+     */
+    extractReleaseYear(video) {
+        const titleYear = titleCleaner.extractYear(video.title)
+        if (titleYear) {
+            return { year: titleYear, yearSource: 'title' }
         }
 
-        // Default to classic for older content
-        if (movieData.published_at && new Date(movieData.published_at).getFullYear() < 2000) {
-            return 'classic'
+        const descriptionYear = titleCleaner.extractYearFromDescription(video.description)
+        if (descriptionYear) {
+            return { year: descriptionYear, yearSource: 'description' }
         }
 
-        return 'drama' // Default category
+        return { year: null, yearSource: null }
     }
 
-    // =============================================================================
-    // TMDB INTEGRATION
-    // =============================================================================
+    /**
+     * Find the movie on TMDB and map its details to movie columns
+     *
+     * @param {string} movieTitle - Cleaned title, may include "(1922)"
+     * @param {Object} upload - What the YouTube upload tells us
+     * @param {number} upload.year - Release year (a year in movieTitle wins)
+     * @param {string} upload.yearSource - 'title' or 'description'
+     * @param {number} upload.runtimeMinutes - YouTube duration
+     * @returns {Promise<Object|null>} Movie fields incl. match_confidence and match_reasons, or null
+     */
+    async enrichWithTMDB(movieTitle, upload = {}) {
+        const match = await this.matchWithTMDB(movieTitle, upload)
+        return match.data
+    }
+
+    /**
+     * Search TMDB for an upload and report how well the best result matches
+     *
+     * status is one of:
+     * - 'matched': data holds the movie fields (see enrichWithTMDB)
+     * - 'low_confidence': best result scored below minMatchConfidence, data is null
+     * - 'no_match': TMDB returned nothing
+     * - 'error': the lookup failed (not worth a manual review, try again later)
+     *
+     * @param {string} movieTitle - Cleaned title, may include "(1922)"
+     * @param {Object} upload - See enrichWithTMDB
+     * @returns {Promise<{status: string, data: Object|null, searchTitle: string, year: number|null, confidence: number|null, reasons: Array, match: Object|null, candidates: Array}>}
+     */
+    async matchWithTMDB(movieTitle, { year = null, yearSource = null, runtimeMinutes = null } = {}) {
+        const result = { status: 'no_match', data: null, searchTitle: movieTitle, year, confidence: null, reasons: [], match: null, candidates: [] }
 
-    async enrichWithTMDB(movieTitle) {
         try {
             if (!tmdbService) {
-                return null
+                return { ...result, status: 'error' }
             }
 
             // PHASE 1: Year-Based Matching
-            // Extract year from title like "Nosferatu (1922)" or "Casablanca (1942)"
-            const yearMatch = movieTitle.match(/\((\d{4})\)/)
-            const year = yearMatch ? parseInt(yearMatch[1]) : null
+            // A year in the title like "Nosferatu (1922)" beats one from the description
+            const titleYear = titleCleaner.extractYear(movieTitle)
+            if (titleYear) {
+                year = titleYear
+                yearSource = 'title'
+            }
 
             // Clean title by removing year for search
-            const cleanTitle = movieTitle.replace(/\s*\((\d{4})\)\s*/, '').trim()
+            const cleanTitle = titleCleaner.withoutYear(movieTitle)
+            Object.assign(result, { searchTitle: cleanTitle, year })
 
             if (year) {
-                logger.info(`[YEAR-MATCH] Searching TMDB: "${cleanTitle}" (${year})`)
+                logger.info(`[YEAR-MATCH] Searching TMDB: "${cleanTitle}" (${year}, from ${yearSource})`)
             } else {
-                logger.info(`[TMDB] Searching: "${cleanTitle}" (no year found in title)`)
+                logger.info(`[TMDB] Searching: "${cleanTitle}" (no year found in title or description)`)
             }
 
-            // Search for movie in TMDB with year parameter
-            const searchResults = await tmdbService.searchMovies(cleanTitle, year)
+            // Description years are less reliable: retry without the year if it finds nothing
+            const match = await tmdbService.findBestMatch(cleanTitle, {
+                year,
+                yearSource,
+                strictYear: yearSource !== 'description',
+                runtimeMinutes,
+                candidateLimit: this.reviewCandidateLimit
+            })
 
-            if (!searchResults || searchResults.length === 0) {
+            if (!match) {
                 logger.warn(`No TMDB results for "${cleanTitle}"${year ? ` (${year})` : ''}`)
-                return null
+                return result
             }
 
-            // Log search results for transparency
-            if (searchResults.length > 1) {
-                logger.debug(`Found ${searchResults.length} TMDB results:`)
-                searchResults.slice(0, 3).forEach((movie, i) => {
-                    const movieYear = movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : 'N/A'
-                    logger.debug(`  ${i + 1}. ${movie.title} (${movieYear}) - Popularity: ${movie.popularity.toFixed(1)}`)
+            const { movie: movieDetails, confidence, reasons, candidates } = match
+            const matchYear = movieDetails.release_date ? new Date(movieDetails.release_date).getFullYear() : null
+
+            Object.assign(result, {
+                confidence,
+                reasons,
+                candidates,
+                match: { tmdbId: movieDetails.id, title: movieDetails.title, releaseDate: movieDetails.release_date }
+            })
+
+            if (confidence < this.minMatchConfidence) {
+                logger.warn(`[LOW-CONFIDENCE] ${movieDetails.title} (${matchYear}) scored ${confidence} for "${cleanTitle}", not using it`, {
+                    reasons: reasons.map(reason => reason.detail)
                 })
+                return { ...result, status: 'low_confidence' }
             }
 
-            // Get the most likely match (first result, now filtered by year)
-            const tmdbMovie = searchResults[0]
-            const matchYear = tmdbMovie.releaseDate ? new Date(tmdbMovie.releaseDate).getFullYear() : null
-            logger.info(`[MATCHED] ${tmdbMovie.title} (${matchYear}) - TMDB ID: ${tmdbMovie.id}`)
-
-            // Get detailed movie info
-            const movieDetails = await tmdbService.getMovieDetails(tmdbMovie.id)
+            logger.info(`[MATCHED] ${movieDetails.title} (${matchYear}) - TMDB ID: ${movieDetails.id} - confidence ${confidence}`)
 
             // Return TMDB data WITH clean title and description
+            // Note: genres are returned for addMovieGenres(), they are not a movies column
             return {
-                tmdb_id: movieDetails.id,
-                imdb_id: movieDetails.imdb_id,
-                title: movieDetails.title,  // Clean TMDB title (replaces YouTube title)
-                original_title: movieDetails.original_title,
-                description: movieDetails.overview,  // Clean TMDB plot (replaces YouTube description)
-                poster_path: movieDetails.poster_path,
-                backdrop_path: movieDetails.backdrop_path,
-                vote_average: movieDetails.vote_average,
-                vote_count: movieDetails.vote_count,
-                popularity: movieDetails.popularity,
-                release_date: movieDetails.release_date,
-                runtime_minutes: movieDetails.runtime,
-                // Note: genres are returned separately for addMovieGenres() to handle
-                genres: movieDetails.genres  // This is used by addMovieGenres(), not saved to movies table
+                ...result,
+                status: 'matched',
+                data: {
+                    ...tmdbService.toMovieFields(movieDetails),
+                    match_confidence: confidence,
+                    match_reasons: reasons
+                }
             }
 
         } catch (error) {
             logger.warn(`TMDB enrichment failed for "${movieTitle}":`, error.message)
-            return null
+            return { ...result, status: 'error' }
         }
     }
 
@@ -779,105 +846,242 @@ class MovieCurator {
     // OMDB INTEGRATION (FALLBACK)
     // =============================================================================
 
-    async enrichWithOMDb(movieTitle) {
-        /**
-         * Enrich with OMDb (IMDB database) as fallback when TMDB fails
-         * OMDb searches both movies AND TV shows (unlike TMDB which only searches movies)
-         */
+    /**
+     * Enrich with OMDb (IMDB database) as fallback when TMDB fails
+     * OMDb searches both movies AND TV shows (unlike TMDB which only searches movies)
+     *
+     * @param {string} movieTitle - YouTube or cleaned title, may include "(1922)"
+     * @param {Object} upload - See enrichWithTMDB
+     * @returns {Promise<Object|null>} Movie fields incl. match_confidence and match_reasons, or null
+     */
+    async enrichWithOMDb(movieTitle, upload = {}) {
+        const match = await this.matchWithOMDb(movieTitle, upload)
+        return match.data
+    }
+
+    /**
+     * Look an upload up on OMDb and score the result like a TMDB candidate
+     *
+     * OMDb returns a single title, so there are no candidates; status is
+     * 'matched', 'low_confidence', 'no_match', 'skipped' (no API key) or
+     * 'error' (network or OMDb failure, or quotaExhausted once the daily cap
+     * is reached), so a failed lookup isn't mistaken for a miss.
+     *
+     * @param {string} movieTitle - YouTube or cleaned title, may include "(1922)"
+     * @param {Object} upload - See enrichWithTMDB
+     * @returns {Promise<{status: string, data: Object|null, searchTitle: string, year: number|null, confidence: number|null, reasons: Array, match: Object|null, quotaExhausted?: boolean}>}
+     */
+    async matchWithOMDb(movieTitle, { year = null, yearSource = null, runtimeMinutes = null } = {}) {
+        const result = { status: 'no_match', data: null, searchTitle: movieTitle, year, confidence: null, reasons: [], match: null }
+
         try {
             if (!omdbService || !omdbService.apiKey) {
-                return null
+                return { ...result, status: 'skipped' }
             }
 
             // Extract year from title if present (e.g., "Movie (2008)")
-            const year = omdbService.extractYearFromTitle(movieTitle)
-            const titleWithoutYear = movieTitle.replace(/\s*\(\d{4}\)$/, '')
+            const titleYear = omdbService.extractYearFromTitle(movieTitle)
+            const { withoutYear: titleWithoutYear, withoutThe: titleWithoutThe } = titleCleaner.omdbFallbackTitles(movieTitle)
+            Object.assign(result, { searchTitle: titleWithoutYear, year: titleYear ? parseInt(titleYear) : year })
 
             // Try exact title first
             let omdbData = await omdbService.searchByTitle(movieTitle)
 
-            if (!omdbData && year) {
+            if (!omdbData && titleYear) {
                 // Try without year suffix
                 logger.debug(`OMDb: Retrying without year suffix`)
-                omdbData = await omdbService.searchByTitle(titleWithoutYear, year)
+                omdbData = await omdbService.searchByTitle(titleWithoutYear, titleYear)
             }
 
             if (!omdbData) {
                 // Try without "The" prefix
-                const titleWithoutThe = titleWithoutYear.replace(/^The\s+/i, '')
                 if (titleWithoutThe !== titleWithoutYear) {
                     logger.debug(`OMDb: Retrying without "The" prefix`)
-                    omdbData = await omdbService.searchByTitle(titleWithoutThe, year)
+                    omdbData = await omdbService.searchByTitle(titleWithoutThe, titleYear)
                 }
             }
 
-            if (omdbData) {
-                // OMDb returns data in different format than TMDB, already transformed
-                return {
-                    imdb_id: omdbData.imdb_id,
-                    poster_path: omdbData.poster_path,
-                    description: omdbData.description,
-                    release_date: omdbData.release_date,
-                    runtime_minutes: omdbData.runtime_minutes,
-                    imdb_rating: omdbData.imdb_rating,
-                    imdb_votes: omdbData.imdb_votes,
-                    rated: omdbData.rated,
-                    director: omdbData.director,
-                    actors: omdbData.actors,
-                    language: omdbData.language,
-                    country: omdbData.country,
-                    is_tv_show: omdbData.is_tv_show,
-                    enrichment_source: 'omdb'
+            if (!omdbData) {
+                return result
+            }
+
+            // Score against the cleaned title, the same way TMDB results are scored
+            const { confidence, reasons } = tmdbService.scoreCandidate(
+                { title: omdbData.title, releaseDate: omdbData.release_date, runtime: omdbData.runtime_minutes },
+                {
+                    title: titleCleaner.withoutYear(titleCleaner.cleanForSearch(movieTitle)),
+                    year: titleYear ? parseInt(titleYear) : year,
+                    yearSource: titleYear ? 'title' : yearSource,
+                    runtimeMinutes
                 }
+            )
+
+            Object.assign(result, {
+                confidence,
+                reasons,
+                match: { imdbId: omdbData.imdb_id, title: omdbData.title, releaseDate: omdbData.release_date }
+            })
+
+            if (confidence < this.minMatchConfidence) {
+                logger.warn(`[LOW-CONFIDENCE] OMDb ${omdbData.title} (${omdbData.imdb_id}) scored ${confidence} for "${movieTitle}", not using it`)
+                return { ...result, status: 'low_confidence' }
             }
 
-            return null
+            // OMDb returns data in different format than TMDB, already transformed
+            return {
+                ...result,
+                status: 'matched',
+                data: {
+                    ...omdbService.toMovieFields(omdbData),
+                    match_confidence: confidence,
+                    match_reasons: reasons
+                }
+            }
 
         } catch (error) {
+            if (error.code === 'OMDB_DAILY_LIMIT') {
+                return { ...result, status: 'error', quotaExhausted: true }
+            }
+
             logger.warn(`OMDb enrichment failed for "${movieTitle}":`, error.message)
-            return null
+            return { ...result, status: 'error' }
         }
     }
 
-    async addMovieGenres(movieId, genres) {
-        if (!genres || genres.length === 0) return
+    // =============================================================================
+    // METADATA MERGE
+    // =============================================================================
+
+    /**
+     * Movie fields the YouTube upload itself supplies
+     *
+     * The title is the original YouTube title (clean later with
+     * POST /api/admin/movies/fix-titles).
+     */
+    youtubeMetadata(video) {
+        return {
+            title: video.title,
+            original_title: video.title,
+            description: video.description,
+            runtime_minutes: youtubeService.parseDuration(video.duration)
+        }
+    }
+
+    /**
+     * OMDb record of a TMDB match, looked up by its IMDb ID (no title search,
+     * so no scoring needed)
+     *
+     * @param {Object} tmdbData - matchWithTMDB data (imdb_id)
+     * @returns {Promise<Object|null>} OMDb movie fields, or null when disabled,
+     *   not found or the lookup failed (the TMDB match stands on its own)
+     */
+    async supplementWithOMDb(tmdbData) {
+        if (!this.omdbSupplement || !tmdbData.imdb_id || !omdbService.apiKey) {
+            return null
+        }
 
         try {
-            // Ensure genres exist in database
-            for (const genre of genres) {
-                await this.ensureGenreExists(genre)
-            }
+            const omdbData = await omdbService.getByImdbId(tmdbData.imdb_id)
+            return omdbData ? omdbService.toMovieFields(omdbData) : null
+        } catch (error) {
+            logger.warn(`OMDb supplement for ${tmdbData.imdb_id} skipped:`, error.message)
+            return null
+        }
+    }
+
+    /**
+     * Movie columns from the sources that answered for an upload
+     *
+     * Fields are merged by utils/metadataMerger.js with their provenance in
+     * field_sources; locked fields are left alone. match_confidence and
+     * enrichment_source come from TMDB when it matched, otherwise OMDb, and
+     * categories are derived from the merged movie.
+     *
+     * @param {Object} sources - { tmdb, omdb, youtube } movie fields, missing sources are skipped
+     * @param {Object} options
+     * @param {Object} options.current - The movie before the merge (locked_fields, field_sources, published_at, ...)
+     * @returns {Object} Movie columns (genres are not included, see addMovieGenres)
+     */
+    mergeMetadata(sources, { current = null } = {}) {
+        const { fields, provenance, locked } = metadataMerger.merge(sources, { current })
+        const matched = sources.tmdb || sources.omdb
+        const columns = { ...fields, field_sources: provenance }
+
+        if (matched) {
+            Object.assign(columns, {
+                enrichment_source: sources.tmdb ? 'tmdb' : 'omdb',
+                match_confidence: matched.match_confidence,
+                match_reasons: matched.match_reasons
+            })
+        }
 
-            // Add movie-genre relationships
-            const genreRelations = genres.map(genre => ({
-                movie_id: movieId,
-                genre_id: genre.id
-            }))
+        if (locked.length > 0) {
+            logger.info(`Kept locked fields of "${current.title}": ${locked.join(', ')}`)
+        }
 
-            const { error: insertError } = await dbOperations.supabase
-                .from('movie_genres')
-                .upsert(genreRelations, { onConflict: 'movie_id,genre_id' })
+        const categories = this.categorizeMovie({ ...current, ...columns, genres: sources.tmdb?.genres || current?.genres })
+        return { ...columns, ...metadataMerger.omitLocked(categories, current) }
+    }
 
-            if (insertError) {
-                throw new Error(`Failed to insert movie-genre relationships: ${insertError.message}`)
-            }
+    // =============================================================================
+    // MANUAL REVIEW
+    // =============================================================================
+
+    /**
+     * Queue a movie for manual review when no source that was asked gave a
+     * usable match. Lookup errors are not queued: the next run retries them.
+     *
+     * @param {Object} movie - Stored movie (id)
+     * @param {Object} video - YouTube video (id, title)
+     * @param {Object|null} tmdbMatch - matchWithTMDB result (null for OMDb-only lookups)
+     * @param {Object|null} omdbMatch - matchWithOMDb result
+     * @returns {Promise<boolean>} Whether the movie was queued
+     */
+    async queueForReview(movie, video, tmdbMatch, omdbMatch = null) {
+        const unresolved = ['low_confidence', 'no_match']
+        const attempts = [tmdbMatch, omdbMatch].filter(match => match && match.status !== 'skipped')
+
+        if (attempts.length === 0 || !attempts.every(match => unresolved.includes(match.status))) {
+            return false
+        }
+
+        const lowConfidence = attempts.some(match => match.status === 'low_confidence')
+        const confidences = attempts.map(match => match.confidence).filter(value => value !== null && value !== undefined)
+        const search = tmdbMatch || omdbMatch
 
+        try {
+            await reviewQueueService.enqueue({
+                movie_id: movie.id,
+                youtube_video_id: video.id,
+                youtube_title: video.title,
+                search_title: search.searchTitle,
+                search_year: search.year,
+                reason: lowConfidence ? 'low_confidence' : 'no_match',
+                match_confidence: confidences.length > 0 ? Math.max(...confidences) : null,
+                candidates: tmdbMatch?.candidates || [],
+                match_details: {
+                    tmdb: tmdbMatch && { status: tmdbMatch.status, confidence: tmdbMatch.confidence, reasons: tmdbMatch.reasons, match: tmdbMatch.match },
+                    omdb: omdbMatch && { status: omdbMatch.status, confidence: omdbMatch.confidence, reasons: omdbMatch.reasons, match: omdbMatch.match }
+                }
+            })
+            return true
         } catch (error) {
-            logger.error(`Failed to add genres for movie ${movieId}:`, error.message)
-            // Don't throw - allow enrichment to continue even if genres fail
+            logger.error(`Failed to queue "${video.title}" for review:`, error.message)
+            // Don't throw - the movie is stored either way
+            return false
         }
     }
 
-    async ensureGenreExists(genre) {
+    async addMovieGenres(movieId, genres) {
+        if (!genres || genres.length === 0) return
+
         try {
-            await dbOperations.supabase
-                .from('genres')
-                .upsert({
-                    id: genre.id,
-                    name: genre.name
-                })
+            // Ensure genres exist, then link them to the movie
+            await dbOperations.upsertGenres(genres)
+            await dbOperations.addMovieGenres(movieId, genres.map(genre => genre.id))
         } catch (error) {
-            logger.error(`Failed to ensure genre exists: ${genre.name}`, error.message)
+            logger.error(`Failed to add genres for movie ${movieId}:`, error.message)
+            // Don't throw - allow enrichment to continue even if genres fail
         }
     }
 
@@ -941,11 +1145,7 @@ class MovieCurator {
 
         try {
             // Get movies that haven't been validated recently
-            const { data: movies } = await dbOperations.supabase
-                .from('movies')
-                .select('id, youtube_video_id, title')
-                .lt('last_validated', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
-                .limit(limit)
+            const movies = await dbOperations.getMoviesForValidation(limit, new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
 
             for (const movie of movies) {
                 try {
@@ -1000,35 +1200,16 @@ class MovieCurator {
         const stats = {}
 
         try {
-            // Movie counts
-            const { count: totalMovies } = await dbOperations.supabase
-                .from('movies')
-                .select('*', { count: 'exact', head: true })
-
-            const { count: availableMovies } = await dbOperations.supabase
-                .from('movies')
-                .select('*', { count: 'exact', head: true })
-                .eq('is_available', true)
-
-            const { count: featuredMovies } = await dbOperations.supabase
-                .from('movies')
-                .select('*', { count: 'exact', head: true })
-                .eq('featured', true)
-
-            // Channel counts
-            const { count: totalChannels } = await dbOperations.supabase
-                .from('channels')
-                .select('*', { count: 'exact', head: true })
+            // Movie and channel counts
+            const counts = await dbOperations.getCatalogCounts()
 
             stats.movies = {
-                total: totalMovies,
-                available: availableMovies,
-                featured: featuredMovies,
-                unavailable: totalMovies - availableMovies
+                ...counts.movies,
+                unavailable: counts.movies.total - counts.movies.available
             }
 
             stats.channels = {
-                total: totalChannels,
+                total: counts.channels,
                 curated: this.curatedChannels.length
             }
 
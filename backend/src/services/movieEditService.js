@@ -0,0 +1,224 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { MOVIE_CATEGORIES } from '../utils/movieCategorizer.js'
+import { LOCKABLE_FIELDS } from '../utils/metadataMerger.js'
+
+/**
+ * Error for edits that can't be applied (unknown field, invalid value, ...).
+ * Routes turn it into an HTTP response.
+ */
+export class MovieEditError extends Error {
+    constructor(status, title, message) {
+        super(message)
+        this.name = 'MovieEditError'
+        this.status = status
+        this.title = title
+    }
+}
+
+const optionalText = value => value === null || typeof value === 'string'
+
+// Display fields an admin can edit, with their validators
+export const EDITABLE_FIELDS = {
+    title: value => typeof value === 'string' && value.trim().length > 0,
+    original_title: optionalText,
+    description: optionalText,
+    release_date: value => value === null || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))),
+    runtime_minutes: value => value === null || (Number.isInteger(value) && value > 0),
+    poster_path: optionalText,
+    backdrop_path: optionalText,
+    rated: optionalText,
+    director: optionalText,
+    actors: optionalText,
+    language: optionalText,
+    country: optionalText,
+    is_tv_show: value => typeof value === 'boolean',
+    categories: value => Array.isArray(value) && value.length > 0 && value.every(category => MOVIE_CATEGORIES.includes(category))
+}
+
+/**
+ * MovieEditService
+ *
+ * Manual metadata overrides:
+ * - Edit display fields; edited fields are locked by default, so TMDB/OMDb
+ *   re-enrichment, the title fixer and YouTube refreshes leave them alone
+ *   (utils/metadataMerger.js), and their source becomes 'admin'
+ * - Lock or unlock fields without editing them
+ *
+ * Every edit, lock and unlock is written to movie_edit_history.
+ */
+class MovieEditService {
+    // =============================================================================
+    // EDIT
+    // =============================================================================
+
+    /**
+     * Apply an admin's changes to a movie
+     *
+     * @param {string} movieId
+     * @param {Object} changes - { title: 'Nosferatu', categories: ['horror'], ... } (see EDITABLE_FIELDS)
+     * @param {Object} options
+     * @param {boolean} options.lock - Lock the submitted fields (default true)
+     * @param {string} options.actor - Who edited (default 'admin')
+     * @param {string} options.reason - Why
+     * @returns {Promise<{movie: Object, changes: Array, locked: Array<string>}>}
+     *   changes: [{ field, from, to }] for values that changed; locked: newly locked fields
+     */
+    async editMovie(movieId, changes, { lock = true, actor = 'admin', reason = null } = {}) {
+        const values = this.validateChanges(changes)
+        const current = await dbOperations.getMovieById(movieId)
+
+        const update = {}
+        const fieldSources = { ...(current.field_sources || {}) }
+        const changed = []
+
+        for (const [field, value] of Object.entries(values)) {
+            const from = field === 'categories' ? (current.categories || []) : (current[field] ?? null)
+
+            if (JSON.stringify(from) === JSON.stringify(value)) {
+                continue
+            }
+
+            changed.push({ field, from, to: value })
+
+            if (field === 'categories') {
+                Object.assign(update, { category: value[0], categories: value, category_source: 'admin' })
+            } else {
+                update[field] = value
+                fieldSources[field] = 'admin'
+            }
+        }
+
+        const lockedFields = current.locked_fields || []
+        const newlyLocked = lock ? Object.keys(values).filter(field => !lockedFields.includes(field)) : []
+
+        if (changed.length === 0 && newlyLocked.length === 0) {
+            return { movie: current, changes: [], locked: [] }
+        }
+
+        const movie = await dbOperations.updateMovie(movieId, {
+            ...update,
+            field_sources: fieldSources,
+            locked_fields: [...lockedFields, ...newlyLocked]
+        })
+
+        await this.recordHistory([
+            ...changed.map(({ field, from, to }) => ({ action: 'edit', field, old_value: from, new_value: to })),
+            ...newlyLocked.map(field => ({ action: 'lock', field }))
+        ], { movieId, actor, reason })
+
+        logger.info(`Admin edited movie ${movieId} (${actor}): ${changed.map(change => change.field).join(', ') || 'no value changes'}`, {
+            locked: newlyLocked
+        })
+
+        return { movie, changes: changed, locked: newlyLocked }
+    }
+
+    /**
+     * Replace a movie's locked fields
+     *
+     * @param {string} movieId
+     * @param {Array<string>} fields - Fields to keep locked ([] unlocks everything)
+     * @param {Object} audit - { actor, reason }
+     * @returns {Promise<{movie: Object, locked: Array<string>, unlocked: Array<string>}>}
+     */
+    async setLockedFields(movieId, fields, { actor = 'admin', reason = null } = {}) {
+        const unknown = fields.filter(field => !LOCKABLE_FIELDS.includes(field))
+        if (unknown.length > 0) {
+            throw new MovieEditError(400, 'Bad Request', `Fields that can't be locked: ${unknown.join(', ')}. Lockable: ${LOCKABLE_FIELDS.join(', ')}`)
+        }
+
+        const current = await dbOperations.getMovieById(movieId)
+        const before = current.locked_fields || []
+        const after = [...new Set(fields)]
+
+        const locked = after.filter(field => !before.includes(field))
+        const unlocked = before.filter(field => !after.includes(field))
+
+        const movie = await dbOperations.updateMovie(movieId, { locked_fields: after })
+
+        await this.recordHistory([
+            ...locked.map(field => ({ action: 'lock', field })),
+            ...unlocked.map(field => ({ action: 'unlock', field }))
+        ], { movieId, actor, reason })
+
+        logger.info(`Admin set locked fields of movie ${movieId}: ${after.join(', ') || 'none'}`)
+
+        return { movie, locked, unlocked }
+    }
+
+    // =============================================================================
+    // HISTORY
+    // =============================================================================
+
+    /**
+     * Edit history of a movie, newest first
+     *
+     * @param {string} movieId
+     * @param {number} limit - Max entries (default 50)
+     * @returns {Promise<Array>}
+     */
+    async getHistory(movieId, limit = 50) {
+        // 404 for unknown movies
+        await dbOperations.getMovieById(movieId)
+
+        return dbOperations.getMovieEditHistory(movieId, limit)
+    }
+
+    // =============================================================================
+    // HELPERS
+    // =============================================================================
+
+    /**
+     * @param {Object} changes - Field → new value
+     * @returns {Object} Values to store (strings trimmed, empty optional text stored as null)
+     * @throws {MovieEditError} 400 for unknown fields and invalid values
+     */
+    validateChanges(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+            throw new MovieEditError(400, 'Bad Request', 'changes must be an object with at least one field')
+        }
+
+        const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS[field])
+        if (unknown.length > 0) {
+            throw new MovieEditError(400, 'Bad Request', `Fields that can't be edited: ${unknown.join(', ')}. Editable: ${Object.keys(EDITABLE_FIELDS).join(', ')}`)
+        }
+
+        const invalid = Object.entries(changes).filter(([field, value]) => !EDITABLE_FIELDS[field](value))
+        if (invalid.length > 0) {
+            throw new MovieEditError(400, 'Bad Request', `Invalid value for: ${invalid.map(([field]) => field).join(', ')}`)
+        }
+
+        return Object.fromEntries(Object.entries(changes).map(([field, value]) => {
+            if (typeof value !== 'string') {
+                return [field, Array.isArray(value) ? [...new Set(value)] : value]
+            }
+
+            return [field, value.trim() || null]
+        }))
+    }
+
+    async recordHistory(entries, { movieId, actor, reason }) {
+        if (entries.length === 0) {
+            return
+        }
+
+        try {
+            await dbOperations.addMovieEditHistory(entries.map(entry => ({
+                movie_id: movieId,
+                action: entry.action,
+                field: entry.field,
+                old_value: entry.old_value ?? null,
+                new_value: entry.new_value ?? null,
+                actor: actor || 'admin',
+                reason: reason || null
+            })))
+        } catch (error) {
+            // The change itself already went through
+            logger.error(`Failed to write edit history for movie ${movieId}:`, error)
+        }
+    }
+}
+
+// Export singleton instance
+export default new MovieEditService()
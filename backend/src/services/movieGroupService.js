@@ -0,0 +1,419 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import duplicateDetector from './duplicateDetector.js'
+
+/**
+ * Error for admin actions that can't be applied (unknown group, movie not in
+ * the group, ...). Routes turn it into an HTTP response.
+ */
+export class MovieGroupError extends Error {
+    constructor(status, title, message) {
+        super(message)
+        this.name = 'MovieGroupError'
+        this.status = status
+        this.title = title
+    }
+}
+
+/**
+ * MovieGroupService
+ *
+ * Admin management of movie groups (duplicate uploads of the same film):
+ * - List groups and inspect their versions
+ * - Promote a version to primary (pinned, so imports don't replace it)
+ * - Demote the primary (the best available backup takes over)
+ * - Merge two groups fuzzy matching failed to link
+ * - Split wrongly grouped versions into a new group
+ *
+ * Every change is written to movie_group_audit_log.
+ */
+class MovieGroupService {
+    // =============================================================================
+    // READ
+    // =============================================================================
+
+    /**
+     * List movie groups with version counts and the current primary
+     *
+     * @param {Object} options
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Groups per page
+     * @param {string} options.search - Filter by canonical title
+     * @returns {Promise<{groups: Array, total: number}>}
+     */
+    async listGroups({ page = 1, limit = 20, search = null } = {}) {
+        const offset = (page - 1) * limit
+
+        const { groups, total } = await dbOperations.getMovieGroups({ limit, offset, search })
+
+        return {
+            groups: groups.map(group => this.summarizeGroup(group)),
+            total
+        }
+    }
+
+    /**
+     * Get a group with all versions, failovers and audit history
+     *
+     * @param {string} groupId - Movie group ID
+     * @returns {Promise<Object>}
+     */
+    async getGroupDetails(groupId) {
+        const group = await this.getGroup(groupId)
+
+        const [versions, failovers, auditLog] = await Promise.all([
+            duplicateDetector.getMovieVersions(groupId),
+            this.getFailoverEvents(groupId),
+            this.getAuditLog(groupId)
+        ])
+
+        return {
+            ...group,
+            versions,
+            failovers,
+            auditLog
+        }
+    }
+
+    /**
+     * Audit entries where the group was the target or the related group
+     */
+    async getAuditLog(groupId, limit = 50) {
+        return dbOperations.getMovieGroupAuditLog(groupId, limit)
+    }
+
+    async getFailoverEvents(groupId, limit = 20) {
+        return dbOperations.getFailoverEvents(groupId, limit)
+    }
+
+    // =============================================================================
+    // PROMOTE / DEMOTE
+    // =============================================================================
+
+    /**
+     * Make a version the group's primary and pin it
+     *
+     * @param {string} groupId - Movie group ID
+     * @param {string} movieId - Version to promote
+     * @param {Object} audit - { actor, reason }
+     * @returns {Promise<{primaryId: string, previousPrimaryIds: Array}>}
+     */
+    async promoteVersion(groupId, movieId, audit = {}) {
+        await this.getGroup(groupId)
+        const versions = await duplicateDetector.getMovieVersions(groupId)
+        const movie = this.findVersion(versions, movieId, groupId)
+
+        const previousPrimaryIds = versions.filter(v => v.is_primary && v.id !== movieId).map(v => v.id)
+
+        await this.setPrimary(movieId, previousPrimaryIds)
+        await this.updateGroup(groupId, { pinned_primary_id: movieId })
+
+        await this.recordAudit({
+            action: 'promote',
+            movie_group_id: groupId,
+            movie_ids: [movieId],
+            details: {
+                previous_primary_ids: previousPrimaryIds,
+                new_primary_id: movieId,
+                was_available: movie.is_available
+            },
+            ...audit
+        })
+
+        logger.info(`Promoted movie ${movieId} to primary of group ${groupId}`)
+
+        return { primaryId: movieId, previousPrimaryIds }
+    }
+
+    /**
+     * Demote the primary; the best available backup becomes primary
+     *
+     * @param {string} groupId - Movie group ID
+     * @param {string} movieId - Current primary to demote
+     * @param {Object} audit - { actor, reason }
+     * @returns {Promise<{demotedId: string, primaryId: string|null}>}
+     */
+    async demoteVersion(groupId, movieId, audit = {}) {
+        await this.getGroup(groupId)
+        const versions = await duplicateDetector.getMovieVersions(groupId)
+        const movie = this.findVersion(versions, movieId, groupId)
+
+        if (!movie.is_primary) {
+            throw new MovieGroupError(409, 'Not Primary', `Movie ${movieId} is not the primary version`)
+        }
+
+        const replacement = this.pickPrimary(versions.filter(v => v.id !== movieId))
+
+        if (replacement) {
+            await this.setPrimary(replacement.id, [movieId])
+        } else {
+            await this.updateMovies([movieId], { is_primary: false })
+        }
+
+        await this.updateGroup(groupId, { pinned_primary_id: null })
+
+        await this.recordAudit({
+            action: 'demote',
+            movie_group_id: groupId,
+            movie_ids: [movieId],
+            details: {
+                demoted_id: movieId,
+                new_primary_id: replacement?.id || null
+            },
+            ...audit
+        })
+
+        logger.info(`Demoted movie ${movieId} in group ${groupId}${replacement ? `, ${replacement.id} is now primary` : ', no backup available'}`)
+
+        return { demotedId: movieId, primaryId: replacement?.id || null }
+    }
+
+    // =============================================================================
+    // MERGE / SPLIT
+    // =============================================================================
+
+    /**
+     * Move every version of the source group into the target group and
+     * delete the source group
+     *
+     * The target keeps its primary; the source primary becomes a backup.
+     *
+     * @param {string} targetGroupId - Group that remains
+     * @param {string} sourceGroupId - Group that is absorbed
+     * @param {Object} audit - { actor, reason }
+     * @returns {Promise<{groupId: string, movedMovieIds: Array, primaryId: string|null}>}
+     */
+    async mergeGroups(targetGroupId, sourceGroupId, audit = {}) {
+        if (targetGroupId === sourceGroupId) {
+            throw new MovieGroupError(400, 'Bad Request', 'Cannot merge a group into itself')
+        }
+
+        const target = await this.getGroup(targetGroupId)
+        const source = await this.getGroup(sourceGroupId)
+
+        const [targetVersions, sourceVersions] = await Promise.all([
+            duplicateDetector.getMovieVersions(targetGroupId),
+            duplicateDetector.getMovieVersions(sourceGroupId)
+        ])
+
+        const movedMovieIds = sourceVersions.map(v => v.id)
+        const targetPrimary = targetVersions.find(v => v.is_primary)
+
+        // Only one primary per group: source versions join as backups unless
+        // the target has none
+        const allVersions = [...targetVersions, ...sourceVersions]
+        const primary = targetPrimary || this.pickPrimary(allVersions)
+
+        if (movedMovieIds.length > 0) {
+            await this.updateMovies(movedMovieIds, { movie_group_id: targetGroupId, is_primary: false })
+        }
+
+        if (primary) {
+            await this.setPrimary(primary.id, allVersions.filter(v => v.is_primary && v.id !== primary.id).map(v => v.id))
+        }
+
+        // Keep history attached to the surviving group
+        await this.reassignGroupReferences(sourceGroupId, targetGroupId)
+
+        await dbOperations.deleteMovieGroup(sourceGroupId)
+
+        // tmdb_id is unique, so it can only move once the source row is gone
+        const groupUpdates = {}
+        if (!target.tmdb_id && source.tmdb_id) groupUpdates.tmdb_id = source.tmdb_id
+        if (!target.release_year && source.release_year) groupUpdates.release_year = source.release_year
+        if (Object.keys(groupUpdates).length > 0) {
+            await this.updateGroup(targetGroupId, groupUpdates)
+        }
+
+        await this.recordAudit({
+            action: 'merge',
+            movie_group_id: targetGroupId,
+            related_group_id: sourceGroupId,
+            movie_ids: movedMovieIds,
+            details: {
+                source_title: source.canonical_title,
+                source_tmdb_id: source.tmdb_id,
+                previous_primary_ids: allVersions.filter(v => v.is_primary).map(v => v.id),
+                new_primary_id: primary?.id || null,
+                inherited: groupUpdates
+            },
+            ...audit
+        })
+
+        logger.info(`Merged group ${sourceGroupId} (${source.canonical_title}) into ${targetGroupId} (${target.canonical_title}): ${movedMovieIds.length} versions moved`)
+
+        return { groupId: targetGroupId, movedMovieIds, primaryId: primary?.id || null }
+    }
+
+    /**
+     * Move some versions of a group into a new group
+     *
+     * @param {string} groupId - Group to split
+     * @param {Array<string>} movieIds - Versions to move out
+     * @param {Object} newGroup - { canonicalTitle, releaseYear, tmdbId } (defaults from the first moved version)
+     * @param {Object} audit - { actor, reason }
+     * @returns {Promise<{groupId: string, newGroupId: string, primaryId: string|null, newPrimaryId: string|null}>}
+     */
+    async splitGroup(groupId, movieIds, newGroup = {}, audit = {}) {
+        const group = await this.getGroup(groupId)
+        const versions = await duplicateDetector.getMovieVersions(groupId)
+
+        const moved = movieIds.map(id => this.findVersion(versions, id, groupId))
+        const remaining = versions.filter(v => !movieIds.includes(v.id))
+
+        if (remaining.length === 0) {
+            throw new MovieGroupError(409, 'Invalid Split', 'At least one version must stay in the original group')
+        }
+
+        // movie_groups.tmdb_id is unique: the versions belong in that group instead
+        if (newGroup.tmdbId) {
+            const existing = await dbOperations.getMovieGroupByTmdbId(newGroup.tmdbId)
+            if (existing) {
+                throw new MovieGroupError(409, 'TMDB ID In Use', `TMDB ID ${newGroup.tmdbId} already belongs to group ${existing.id} (${existing.canonical_title}); merge into it instead`)
+            }
+        }
+
+        const canonicalTitle = newGroup.canonicalTitle || moved[0].title
+        const created = await dbOperations.createMovieGroup({
+            canonical_title: canonicalTitle,
+            normalized_title: duplicateDetector.normalizeTitle(canonicalTitle),
+            release_year: newGroup.releaseYear || null,
+            tmdb_id: newGroup.tmdbId || null
+        })
+
+        await this.updateMovies(movieIds, { movie_group_id: created.id, is_primary: false })
+
+        const newPrimary = moved.find(v => v.is_primary) || this.pickPrimary(moved)
+        if (newPrimary) {
+            await this.updateMovies([newPrimary.id], { is_primary: true })
+        }
+
+        // The original group lost its primary: let the best remaining version take over
+        let primary = remaining.find(v => v.is_primary)
+        if (!primary) {
+            primary = this.pickPrimary(remaining)
+            if (primary) {
+                await this.updateMovies([primary.id], { is_primary: true })
+            }
+        }
+
+        if (movieIds.includes(group.pinned_primary_id)) {
+            await this.updateGroup(groupId, { pinned_primary_id: null })
+        }
+
+        await this.recordAudit({
+            action: 'split',
+            movie_group_id: groupId,
+            related_group_id: created.id,
+            movie_ids: movieIds,
+            details: {
+                new_group_title: canonicalTitle,
+                new_group_primary_id: newPrimary?.id || null,
+                remaining_primary_id: primary?.id || null
+            },
+            ...audit
+        })
+
+        logger.info(`Split ${movieIds.length} versions from group ${groupId} (${group.canonical_title}) into new group ${created.id}`)
+
+        return {
+            groupId,
+            newGroupId: created.id,
+            primaryId: primary?.id || null,
+            newPrimaryId: newPrimary?.id || null
+        }
+    }
+
+    // =============================================================================
+    // HELPERS
+    // =============================================================================
+
+    async getGroup(groupId) {
+        const group = await dbOperations.getMovieGroupById(groupId)
+
+        if (!group) {
+            throw new MovieGroupError(404, 'Group Not Found', `Movie group not found: ${groupId}`)
+        }
+
+        return group
+    }
+
+    async updateGroup(groupId, updateData) {
+        await dbOperations.updateMovieGroup(groupId, updateData)
+    }
+
+    async updateMovies(movieIds, updateData) {
+        await dbOperations.updateMovies(movieIds, updateData)
+    }
+
+    /**
+     * Demote the old primaries first so the group never shows two
+     */
+    async setPrimary(movieId, previousPrimaryIds) {
+        if (previousPrimaryIds.length > 0) {
+            await this.updateMovies(previousPrimaryIds, { is_primary: false })
+        }
+
+        await this.updateMovies([movieId], { is_primary: true })
+    }
+
+    findVersion(versions, movieId, groupId) {
+        const version = versions.find(v => v.id === movieId)
+
+        if (!version) {
+            throw new MovieGroupError(409, 'Movie Not In Group', `Movie ${movieId} is not a version of group ${groupId}`)
+        }
+
+        return version
+    }
+
+    /**
+     * Best candidate for primary: available versions first, then quality score
+     */
+    pickPrimary(versions) {
+        return [...versions].sort((a, b) =>
+            (b.is_available === true) - (a.is_available === true) ||
+            (b.quality_score || 0) - (a.quality_score || 0)
+        )[0] || null
+    }
+
+    summarizeGroup(group) {
+        const { versions = [], ...groupData } = group
+        const primary = versions.find(v => v.is_primary) || null
+
+        return {
+            ...groupData,
+            versionCount: versions.length,
+            availableCount: versions.filter(v => v.is_available).length,
+            primary
+        }
+    }
+
+    /**
+     * Point failover events and admin alerts at the surviving group
+     * (both cascade-delete with their group)
+     */
+    async reassignGroupReferences(fromGroupId, toGroupId) {
+        await dbOperations.reassignMovieGroupReferences(fromGroupId, toGroupId)
+    }
+
+    async recordAudit(entry) {
+        try {
+            await dbOperations.addMovieGroupAuditEntry({
+                action: entry.action,
+                movie_group_id: entry.movie_group_id,
+                related_group_id: entry.related_group_id || null,
+                movie_ids: entry.movie_ids || [],
+                actor: entry.actor || 'admin',
+                reason: entry.reason || null,
+                details: entry.details || {}
+            })
+        } catch (error) {
+            // The change itself already went through
+            logger.error(`Failed to write movie group audit entry (${entry.action} on ${entry.movie_group_id}):`, error)
+        }
+    }
+}
+
+// Export singleton instance
+export default new MovieGroupService()
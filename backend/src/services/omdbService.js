@@ -1,22 +1,182 @@
+import crypto from 'crypto'
 import axios from 'axios'
 import { logger } from '../utils/logger.js'
+import { dbOperations } from '../config/database.js'
+import { apiCache } from './apiCacheService.js'
+
+// Transient failures worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']
+
+/**
+ * UTC calendar day (YYYY-MM-DD) that OMDb usage counts against
+ */
+function getQuotaDay(date = new Date()) {
+    return date.toISOString().split('T')[0]
+}
 
 class OMDbService {
     constructor() {
         this.apiKey = process.env.OMDB_API_KEY
         this.baseUrl = 'http://www.omdbapi.com'
 
+        // Rate limiting (sliding window, like tmdbService)
+        this.requestQueue = []
+        this.requestsPerWindow = parseInt(process.env.OMDB_REQUESTS_PER_SECOND) || 5
+        this.windowSizeMs = 1000
+        this.lastWindowStart = Date.now()
+
+        // Daily cap (free tier: 1,000 requests). Counts are persisted in
+        // api_quota_usage next to the YouTube keys, so all instances share them
+        this.dailyLimit = parseInt(process.env.OMDB_DAILY_LIMIT) || 1000
+        this.keyId = `omdb-${crypto.createHash('sha256').update(this.apiKey || '').digest('hex').slice(0, 16)}`
+        this.quotaDay = getQuotaDay()
+        this.used = 0
+
+        this.maxRetries = 2
+        this.retryDelayMs = 1000
+
         if (!this.apiKey) {
             logger.warn('OMDb API key not configured. Set OMDB_API_KEY environment variable.')
         }
     }
 
+    // =============================================================================
+    // RATE LIMITING AND QUOTA
+    // =============================================================================
+
+    async waitForRateLimit() {
+        const now = Date.now()
+
+        // Reset window if enough time has passed (this request opens the new window)
+        if (now - this.lastWindowStart >= this.windowSizeMs) {
+            this.requestQueue = [now]
+            this.lastWindowStart = now
+            return
+        }
+
+        this.requestQueue = this.requestQueue.filter(
+            requestTime => now - requestTime < this.windowSizeMs
+        )
+
+        if (this.requestQueue.length >= this.requestsPerWindow) {
+            const oldestRequest = Math.min(...this.requestQueue)
+            const waitTime = this.windowSizeMs - (now - oldestRequest) + 50
+
+            logger.debug(`OMDb rate limit reached, waiting ${waitTime}ms`)
+            await new Promise(resolve => setTimeout(resolve, waitTime))
+
+            return this.waitForRateLimit()
+        }
+
+        this.requestQueue.push(now)
+    }
+
+    /**
+     * Start a fresh count after UTC midnight
+     */
+    rollQuotaDay() {
+        const today = getQuotaDay()
+        if (today === this.quotaDay) return
+
+        logger.info(`OMDb quota day rolled over to ${today} (UTC), resetting usage`)
+        this.quotaDay = today
+        this.used = 0
+    }
+
+    isQuotaExhausted() {
+        this.rollQuotaDay()
+        return this.used >= this.dailyLimit
+    }
+
+    /**
+     * Count a request against today's cap (locally right away, then in
+     * api_quota_usage, adopting the shared total it returns)
+     *
+     * @param {string} operation - 'title' or 'imdb_id'
+     */
+    updateQuotaUsage(operation) {
+        this.rollQuotaDay()
+
+        const day = this.quotaDay
+        this.used++
+
+        if (this.used === this.dailyLimit) {
+            logger.warn(`OMDb daily limit of ${this.dailyLimit} requests reached, lookups are skipped until UTC midnight`)
+        }
+
+        dbOperations.incrementApiQuotaUsage(day, this.keyId, `omdb.${operation}`, 1)
+            .then(total => {
+                if (day !== this.quotaDay || typeof total !== 'number') return
+                this.used = Math.max(this.used, total)
+            })
+            .catch(error => {
+                logger.warn('Failed to persist OMDb quota usage:', error.message)
+            })
+    }
+
+    /**
+     * Load today's shared usage from api_quota_usage
+     */
+    async refreshQuotaUsage() {
+        this.rollQuotaDay()
+
+        const day = this.quotaDay
+        const rows = await dbOperations.getApiQuotaUsage(day)
+
+        if (day !== this.quotaDay) return
+
+        const used = rows
+            .filter(row => row.api_key_id === this.keyId)
+            .reduce((sum, row) => sum + row.units, 0)
+
+        this.used = Math.max(this.used, used)
+    }
+
+    async quotaCheck() {
+        let source = 'database'
+
+        try {
+            await this.refreshQuotaUsage()
+        } catch (error) {
+            // Fall back to this instance's own count
+            logger.warn('Failed to load shared OMDb quota usage:', error.message)
+            source = 'memory'
+        }
+
+        const now = Date.now()
+        const recentRequests = this.requestQueue.filter(
+            requestTime => now - requestTime < this.windowSizeMs
+        )
+        const [year, month, day] = this.quotaDay.split('-').map(Number)
+
+        return {
+            configured: Boolean(this.apiKey),
+            dailyLimit: this.dailyLimit,
+            used: this.used,
+            remaining: Math.max(this.dailyLimit - this.used, 0),
+            exhausted: this.used >= this.dailyLimit,
+            quotaDay: this.quotaDay,
+            timezone: 'UTC',
+            resetTime: new Date(Date.UTC(year, month - 1, day + 1)).toISOString(),
+            windowSize: this.windowSizeMs,
+            windowLimit: this.requestsPerWindow,
+            currentRequests: recentRequests.length,
+            source
+        }
+    }
+
+    // =============================================================================
+    // LOOKUPS
+    // =============================================================================
+
     /**
      * Search by title
      * @param {string} title - Movie/TV show title
      * @param {string} year - Optional release year
      * @param {string} type - Optional: 'movie', 'series', or 'episode'
      * @returns {Object|null} OMDb data or null if not found
+     * @throws {Error} When the lookup failed (network, 5xx, OMDb errors other
+     *   than "not found"), code OMDB_DAILY_LIMIT once today's cap is reached
      */
     async searchByTitle(title, year = null, type = null) {
         if (!this.apiKey) {
@@ -26,7 +186,6 @@ class OMDbService {
 
         try {
             const params = {
-                apikey: this.apiKey,
                 t: title,
                 plot: 'full'
             }
@@ -36,19 +195,23 @@ class OMDbService {
 
             logger.debug(`OMDb: Searching for "${title}"${year ? ` (${year})` : ''}`)
 
-            const response = await axios.get(this.baseUrl, { params })
+            const data = await this.request(params, 'title')
 
-            if (response.data.Response === 'False') {
-                logger.debug(`OMDb: "${title}" not found (${response.data.Error})`)
+            if (this.isNotFound(data)) {
+                logger.debug(`OMDb: "${title}" not found (${data.Error})`)
                 return null
             }
 
-            logger.info(`✅ OMDb found: "${response.data.Title}" (${response.data.imdbID})`)
-            return this.transformResponse(response.data)
+            logger.info(`✅ OMDb found: "${data.Title}" (${data.imdbID})`)
+            return this.transformResponse(data)
 
         } catch (error) {
-            logger.error(`OMDb API error for "${title}":`, error.message)
-            return null
+            // Already warned once when the cap was reached
+            if (error.code !== 'OMDB_DAILY_LIMIT') {
+                logger.error(`OMDb API error for "${title}":`, error.message)
+            }
+
+            throw error
         }
     }
 
@@ -56,6 +219,7 @@ class OMDbService {
      * Get by IMDB ID
      * @param {string} imdbId - IMDB ID (e.g., 'tt1117667')
      * @returns {Object|null} OMDb data or null if not found
+     * @throws {Error} When the lookup failed, see searchByTitle
      */
     async getByImdbId(imdbId) {
         if (!this.apiKey) {
@@ -64,26 +228,130 @@ class OMDbService {
         }
 
         try {
-            const response = await axios.get(this.baseUrl, {
-                params: {
-                    apikey: this.apiKey,
-                    i: imdbId,
-                    plot: 'full'
-                }
-            })
+            const data = await this.request({ i: imdbId, plot: 'full' }, 'imdb_id')
 
-            if (response.data.Response === 'False') {
+            if (this.isNotFound(data)) {
                 return null
             }
 
-            return this.transformResponse(response.data)
+            return this.transformResponse(data)
 
         } catch (error) {
-            logger.error(`OMDb API error for IMDB ID "${imdbId}":`, error.message)
-            return null
+            if (error.code !== 'OMDB_DAILY_LIMIT') {
+                logger.error(`OMDb API error for IMDB ID "${imdbId}":`, error.message)
+            }
+
+            throw error
+        }
+    }
+
+    /**
+     * GET the OMDb API, answering from the API cache when possible
+     *
+     * Requests wait for the rate limiter, count against the daily cap and are
+     * logged in api_usage; network errors, 429s and 5xxs are retried. Matches
+     * and "not found" answers are cached; other errors are not.
+     *
+     * @param {Object} params - Query params without the API key
+     * @param {string} operation - 'title' or 'imdb_id' (quota bookkeeping)
+     * @returns {Promise<Object>} Raw OMDb response body
+     * @throws {Error} code OMDB_DAILY_LIMIT once today's cap is reached
+     */
+    async request(params, operation) {
+        const cached = await apiCache.get('omdb', '/', params)
+
+        if (cached) {
+            await dbOperations.logApiUsage('omdb', '/', 'GET', 0, 200, 0, null, true)
+            return cached
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            if (this.isQuotaExhausted()) {
+                const error = new Error(`OMDb daily limit reached (${this.used}/${this.dailyLimit} requests), resets at UTC midnight`)
+                error.code = 'OMDB_DAILY_LIMIT'
+                throw error
+            }
+
+            await this.waitForRateLimit()
+            this.updateQuotaUsage(operation)
+
+            const startTime = Date.now()
+
+            try {
+                const response = await axios.get(this.baseUrl, {
+                    params: { apikey: this.apiKey, ...params }
+                })
+
+                await dbOperations.logApiUsage('omdb', '/', 'GET', 1, response.status, Date.now() - startTime, response.data.Error || null)
+
+                if (this.isLimitReachedError(response.data.Error)) {
+                    continue
+                }
+
+                if (response.data.Response !== 'False' || /not found/i.test(response.data.Error || '')) {
+                    await apiCache.set('omdb', '/', params, response.data)
+                }
+
+                return response.data
+
+            } catch (error) {
+                const status = error.response?.status || 500
+                const message = error.response?.data?.Error || error.message
+
+                await dbOperations.logApiUsage('omdb', '/', 'GET', 1, status, Date.now() - startTime, message)
+
+                if (this.isLimitReachedError(message)) {
+                    continue
+                }
+
+                const retryable = status === 429 || (error.response ? status >= 500 : RETRYABLE_CODES.includes(error.code))
+
+                if (!retryable || attempt >= this.maxRetries) {
+                    throw error
+                }
+
+                const delay = this.retryDelayMs * Math.pow(2, attempt)
+                logger.warn(`OMDb request failed (${message}), retrying in ${delay}ms`)
+                await new Promise(resolve => setTimeout(resolve, delay))
+            }
         }
     }
 
+    /**
+     * Whether a response is a miss. OMDb also answers errors such as "Invalid
+     * API key!" with Response "False"; those are thrown, not taken for a miss.
+     *
+     * @param {Object} data - Raw OMDb response body
+     * @returns {boolean}
+     * @throws {Error} For error answers other than "not found"
+     */
+    isNotFound(data) {
+        if (data.Response !== 'False') {
+            return false
+        }
+
+        if (!/not found/i.test(data.Error || '')) {
+            throw new Error(`OMDb error: ${data.Error || 'unknown error'}`)
+        }
+
+        return true
+    }
+
+    /**
+     * OMDb answers "Request limit reached!" once the key's cap is spent, which
+     * may be before our count gets there (other apps on the same key). Marks
+     * today as exhausted, so the next pass of request() throws OMDB_DAILY_LIMIT.
+     */
+    isLimitReachedError(message) {
+        if (!/limit reached/i.test(message || '')) {
+            return false
+        }
+
+        logger.warn(`OMDb reports its daily limit reached after ${this.used} counted requests today`)
+        this.used = Math.max(this.used, this.dailyLimit)
+        return true
+    }
+
     /**
      * Transform OMDb response to our database format
      */
@@ -125,6 +393,31 @@ class OMDbService {
         }
     }
 
+    /**
+     * Pick the transformed fields that are movies columns
+     *
+     * The title is left out: imports keep the cleaned YouTube title.
+     */
+    toMovieFields(omdbData) {
+        return {
+            imdb_id: omdbData.imdb_id,
+            poster_path: omdbData.poster_path,
+            description: omdbData.description,
+            release_date: omdbData.release_date,
+            runtime_minutes: omdbData.runtime_minutes,
+            imdb_rating: omdbData.imdb_rating,
+            imdb_votes: omdbData.imdb_votes,
+            rated: omdbData.rated,
+            director: omdbData.director,
+            actors: omdbData.actors,
+            language: omdbData.language,
+            country: omdbData.country,
+            is_tv_show: omdbData.is_tv_show,
+            omdb_genres: omdbData.genre,
+            enrichment_source: 'omdb'
+        }
+    }
+
     /**
      * Transform OMDb poster URL
      * OMDb returns full IMDB URLs, we just use them as-is
@@ -0,0 +1,255 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * RecommendationService
+ *
+ * Ranks "more like this" titles for a source movie using:
+ * 1. Overlapping genres (0-40 points, Jaccard overlap)
+ * 2. Shared director (0-20 points)
+ * 3. Shared actors (0-15 points, 5 per shared actor)
+ * 4. Release-era proximity (0-15 points, linear falloff over ERA_WINDOW_YEARS)
+ * 5. Rating (0-10 points, tie-breaker)
+ *
+ * Other versions of the source film (same movie_group) are excluded, and
+ * candidates are deduplicated per movie_group so each film appears once.
+ */
+class RecommendationService {
+    constructor() {
+        this.WEIGHTS = {
+            genre: 40,
+            director: 20,
+            actors: 15,
+            era: 15,
+            rating: 10
+        }
+
+        this.POINTS_PER_SHARED_ACTOR = 5
+        this.ERA_WINDOW_YEARS = 20 // Beyond this difference era scores 0
+        this.MAX_CANDIDATES = 300
+        this.MAX_PEOPLE_PER_FIELD = 4 // Top-billed actors only
+    }
+
+    /**
+     * Get ranked recommendations for a movie
+     *
+     * @param {Object} movie - Source movie (as returned by dbOperations.getMovieById)
+     * @param {Object} options - { limit, userId }
+     * @returns {Promise<{recommendations: Array, signals: Array<string>}>}
+     */
+    async getRecommendations(movie, options = {}) {
+        const { limit = 10, userId = null } = options
+
+        const genreIds = (movie.genres || []).map(g => g.id)
+        const directors = this.parsePeople(movie.director)
+        const actors = this.parsePeople(movie.actors).slice(0, this.MAX_PEOPLE_PER_FIELD)
+
+        const signals = []
+        if (genreIds.length > 0) signals.push('genres')
+        if (directors.length > 0) signals.push('director')
+        if (actors.length > 0) signals.push('actors')
+
+        if (signals.length === 0) {
+            return { recommendations: [], signals }
+        }
+
+        const candidateIds = await this.getCandidateIds(movie, genreIds, directors, actors)
+
+        // Exclude anything the user has already watched
+        if (userId) {
+            const watchedIds = await this.getWatchedMovieIds(userId)
+            watchedIds.forEach(id => candidateIds.delete(id))
+        }
+
+        const candidates = await dbOperations.getMoviesByIds([...candidateIds].slice(0, this.MAX_CANDIDATES))
+
+        const scored = candidates
+            .filter(candidate => candidate.id !== movie.id)
+            .filter(candidate => !movie.movie_group_id || candidate.movie_group_id !== movie.movie_group_id)
+            .map(candidate => {
+                const { score, reasons } = this.scoreCandidate(movie, candidate)
+                return {
+                    ...candidate,
+                    recommendation_score: score,
+                    recommendation_reasons: reasons
+                }
+            })
+            .filter(candidate => candidate.recommendation_score > 0)
+            .sort((a, b) => b.recommendation_score - a.recommendation_score)
+
+        return {
+            recommendations: this.dedupeByGroup(scored).slice(0, limit),
+            signals
+        }
+    }
+
+    /**
+     * Collect candidate movie IDs that share a genre, director or actor
+     * Genre candidates are ordered by overlap count so the strongest survive the cap
+     *
+     * @returns {Promise<Set<string>>}
+     */
+    async getCandidateIds(movie, genreIds, directors, actors) {
+        const candidateIds = new Set()
+
+        if (genreIds.length > 0) {
+            const genreMatches = await dbOperations.getMovieIdsByGenres(genreIds)
+
+            const overlapCounts = {}
+            for (const movieId of genreMatches) {
+                overlapCounts[movieId] = (overlapCounts[movieId] || 0) + 1
+            }
+
+            Object.entries(overlapCounts)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([movieId]) => candidateIds.add(movieId))
+        }
+
+        if (directors.length > 0 || actors.length > 0) {
+            try {
+                // People matches go first - they are rarer and stronger signals
+                const peopleIds = await dbOperations.getMovieIdsByPeople(directors, actors)
+                const merged = new Set([...peopleIds, ...candidateIds])
+                candidateIds.clear()
+                merged.forEach(id => candidateIds.add(id))
+            } catch (error) {
+                logger.warn('Recommendation people lookup failed:', error.message)
+            }
+        }
+
+        candidateIds.delete(movie.id)
+        return candidateIds
+    }
+
+    /**
+     * Score a candidate against the source movie (0-100)
+     *
+     * @returns {{score: number, reasons: Array<string>}}
+     */
+    scoreCandidate(source, candidate) {
+        let score = 0
+        const reasons = []
+
+        // Genre overlap (Jaccard)
+        const sourceGenres = new Set((source.genres || []).map(g => g.id))
+        const candidateGenres = new Set((candidate.genres || []).map(g => g.id))
+        const sharedGenres = [...candidateGenres].filter(id => sourceGenres.has(id))
+
+        if (sharedGenres.length > 0) {
+            const union = new Set([...sourceGenres, ...candidateGenres]).size
+            score += (sharedGenres.length / union) * this.WEIGHTS.genre
+            reasons.push(`genres:${sharedGenres.length}`)
+        }
+
+        // Shared director
+        const sourceDirectors = this.parsePeople(source.director)
+        const sharedDirectors = this.parsePeople(candidate.director).filter(name => sourceDirectors.includes(name))
+
+        if (sharedDirectors.length > 0) {
+            score += this.WEIGHTS.director
+            reasons.push('director')
+        }
+
+        // Shared actors
+        const sourceActors = this.parsePeople(source.actors)
+        const sharedActors = this.parsePeople(candidate.actors).filter(name => sourceActors.includes(name))
+
+        if (sharedActors.length > 0) {
+            score += Math.min(sharedActors.length * this.POINTS_PER_SHARED_ACTOR, this.WEIGHTS.actors)
+            reasons.push(`actors:${sharedActors.length}`)
+        }
+
+        // Release-era proximity (only meaningful alongside another signal)
+        const sourceYear = this.getReleaseYear(source)
+        const candidateYear = this.getReleaseYear(candidate)
+
+        if (score > 0 && sourceYear && candidateYear) {
+            const yearDiff = Math.abs(sourceYear - candidateYear)
+            const eraScore = Math.max(1 - yearDiff / this.ERA_WINDOW_YEARS, 0)
+
+            if (eraScore > 0) {
+                score += eraScore * this.WEIGHTS.era
+                reasons.push(`era:${yearDiff}y`)
+            }
+        }
+
+        // Rating tie-breaker
+        const rating = candidate.vote_average || candidate.imdb_rating
+        if (score > 0 && rating) {
+            score += (Math.min(rating, 10) / 10) * this.WEIGHTS.rating
+        }
+
+        return {
+            score: Math.round(score * 10) / 10,
+            reasons
+        }
+    }
+
+    /**
+     * Keep the best-scored version per movie_group (primary wins ties)
+     * Expects input sorted by score descending
+     */
+    dedupeByGroup(movies) {
+        const byGroup = new Map()
+        const result = []
+
+        for (const movie of movies) {
+            if (!movie.movie_group_id) {
+                result.push(movie)
+                continue
+            }
+
+            const existing = byGroup.get(movie.movie_group_id)
+            if (!existing) {
+                byGroup.set(movie.movie_group_id, movie)
+                result.push(movie)
+            } else if (!existing.is_primary && movie.is_primary &&
+                existing.recommendation_score === movie.recommendation_score) {
+                result[result.indexOf(existing)] = movie
+                byGroup.set(movie.movie_group_id, movie)
+            }
+        }
+
+        return result
+    }
+
+    /**
+     * Get IDs of movies a user has watched
+     *
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<string>>}
+     */
+    async getWatchedMovieIds(userId) {
+        try {
+            const { history } = await dbOperations.getWatchHistory(userId, { contentType: 'movie', limit: 1000 })
+            return history.map(row => row.movie_id)
+        } catch (error) {
+            logger.warn(`Failed to load watch history for ${userId}:`, error.message)
+            return []
+        }
+    }
+
+    /**
+     * Split an OMDb comma-separated people field into normalized names
+     * "Jun'ya Satô, Ken Takakura" → ["jun'ya satô", "ken takakura"]
+     */
+    parsePeople(field) {
+        if (!field) return []
+
+        return field
+            .split(',')
+            .map(name => name.replace(/\(.*?\)/g, '').trim().toLowerCase())
+            .filter(name => name.length > 0 && name !== 'n/a')
+    }
+
+    getReleaseYear(movie) {
+        if (movie.release_date) {
+            const year = new Date(movie.release_date).getFullYear()
+            if (!isNaN(year)) return year
+        }
+        return movie.release_year || null
+    }
+}
+
+// Export singleton instance
+export default new RecommendationService()
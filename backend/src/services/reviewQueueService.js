@@ -0,0 +1,330 @@
+import { dbOperations } from '../config/database.js'
+import { logger } from '../utils/logger.js'
+import { movieCategorizer } from '../utils/movieCategorizer.js'
+import { metadataMerger } from '../utils/metadataMerger.js'
+import { tmdbService } from './tmdbService.js'
+import { omdbService } from './omdbService.js'
+import movieGroupService from './movieGroupService.js'
+import duplicateDetector from './duplicateDetector.js'
+
+/**
+ * Error for review decisions that can't be applied (unknown item, item
+ * already decided, ID not found on TMDB/OMDb, ...). Routes turn it into an
+ * HTTP response.
+ */
+export class ReviewQueueError extends Error {
+    constructor(status, title, message) {
+        super(message)
+        this.name = 'ReviewQueueError'
+        this.status = status
+        this.title = title
+    }
+}
+
+/**
+ * ReviewQueueService
+ *
+ * Manual review of imports TMDB and OMDb couldn't match confidently
+ * (enrichment_review_queue, filled by movieCurator.queueForReview):
+ * - List pending items with their top TMDB candidates
+ * - Search TMDB again with an admin-supplied title/year
+ * - Resolve an item with a candidate or a manual tmdb_id/imdb_id; the movie
+ *   is merged (utils/metadataMerger.js) and genre-linked like an import
+ * - Reject the upload (not a movie, wrong content): it is hidden from the app
+ */
+class ReviewQueueService {
+    constructor() {
+        this.DEFAULT_CANDIDATES = 5
+        this.MAX_CANDIDATES = 10
+    }
+
+    // =============================================================================
+    // QUEUE
+    // =============================================================================
+
+    /**
+     * Add a movie to the queue, or refresh its open item
+     *
+     * @param {Object} entry - enrichment_review_queue columns (movie_id, reason, candidates, ...)
+     * @returns {Promise<Object>} Queue item
+     */
+    async enqueue(entry) {
+        const existing = await this.findPendingItem(entry.movie_id)
+
+        const item = existing
+            ? await dbOperations.updateReviewQueueItem(existing.id, entry)
+            : await dbOperations.createReviewQueueItem(entry)
+
+        logger.info(`Queued "${entry.youtube_title}" for manual review (${entry.reason})`, {
+            movie_id: entry.movie_id,
+            match_confidence: entry.match_confidence
+        })
+
+        return item
+    }
+
+    /**
+     * List queue items, oldest first
+     *
+     * @param {Object} options
+     * @param {string} options.status - 'pending', 'resolved' or 'rejected' (default 'pending')
+     * @param {number} options.page - Page number (1-based)
+     * @param {number} options.limit - Items per page
+     * @param {number} options.candidates - TMDB candidates per item (default 5, max 10)
+     * @returns {Promise<{items: Array, total: number}>}
+     */
+    async listItems({ status = 'pending', page = 1, limit = 20, candidates = this.DEFAULT_CANDIDATES } = {}) {
+        const offset = (page - 1) * limit
+        const candidateCount = Math.min(Math.max(candidates, 0), this.MAX_CANDIDATES)
+
+        const { items, total } = await dbOperations.getReviewQueueItems({ status, limit, offset })
+
+        return {
+            items: items.map(item => ({ ...item, candidates: (item.candidates || []).slice(0, candidateCount) })),
+            total
+        }
+    }
+
+    /**
+     * @param {string} itemId
+     * @returns {Promise<Object>} Queue item
+     * @throws {ReviewQueueError} 404 if the item doesn't exist
+     */
+    async getItem(itemId) {
+        const item = await dbOperations.getReviewQueueItem(itemId)
+
+        if (!item) {
+            throw new ReviewQueueError(404, 'Not Found', `Review item ${itemId} not found`)
+        }
+
+        return item
+    }
+
+    async findPendingItem(movieId) {
+        return dbOperations.getPendingReviewQueueItem(movieId)
+    }
+
+    /**
+     * Search TMDB again for an item, e.g. with a corrected title
+     *
+     * @param {string} itemId
+     * @param {Object} options
+     * @param {string} options.query - Title to search (default: the curator's search title)
+     * @param {number} options.year - Release year (default: the curator's year)
+     * @param {number} options.limit - Candidates to return (max 10)
+     * @returns {Promise<Array>} Ranked candidates [{ tmdbId, title, releaseDate, posterPath, confidence }]
+     */
+    async searchCandidates(itemId, { query = null, year = null, limit = this.DEFAULT_CANDIDATES } = {}) {
+        const item = await this.getItem(itemId)
+        const title = query || item.search_title
+        const searchYear = year || (query ? null : item.search_year)
+
+        const results = await tmdbService.searchMovies(title, searchYear)
+        const upload = { title, year: searchYear, yearSource: 'review' }
+
+        return results
+            .map(candidate => ({ candidate, ...tmdbService.scoreCandidate(candidate, upload) }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, Math.min(limit, this.MAX_CANDIDATES))
+            .map(({ candidate, confidence }) => ({
+                tmdbId: candidate.id,
+                title: candidate.title,
+                releaseDate: candidate.releaseDate,
+                posterPath: candidate.posterPath,
+                confidence
+            }))
+    }
+
+    // =============================================================================
+    // DECISIONS
+    // =============================================================================
+
+    /**
+     * Apply the movie an admin picked: TMDB by tmdbId, or by imdbId via TMDB
+     * /find with OMDb as fallback
+     *
+     * @param {string} itemId
+     * @param {Object} decision
+     * @param {number} decision.tmdbId - A candidate or any TMDB movie ID
+     * @param {string} decision.imdbId - IMDb ID (e.g. 'tt0013442')
+     * @param {string} decision.actor - Who decided (default 'admin')
+     * @returns {Promise<{item: Object, movie: Object}>}
+     */
+    async resolveItem(itemId, { tmdbId = null, imdbId = null, actor = 'admin' } = {}) {
+        const item = await this.getPendingItem(itemId)
+        const current = await dbOperations.getMovieById(item.movie_id)
+        const { fields, source } = await this.lookupDecision({ tmdbId, imdbId })
+
+        // Merged like an import (locked fields are kept); the admin picked
+        // this movie, so an OMDb decision may set the title as well
+        const { genres } = fields
+        const { fields: merged, provenance } = metadataMerger.merge({ [source]: fields }, {
+            current,
+            priority: source === 'omdb' ? { title: ['omdb'] } : {}
+        })
+        const reason = { factor: 'manual', points: 1, detail: `chosen in review by ${actor}` }
+        const { category, categories, source: categorySource } = movieCategorizer.categorize({
+            ...current,
+            ...merged,
+            genres: genres || current.genres
+        })
+
+        const movie = await dbOperations.updateMovie(item.movie_id, {
+            ...merged,
+            field_sources: provenance,
+            ...metadataMerger.omitLocked({ category, categories, category_source: categorySource }, current),
+            enrichment_source: source,
+            match_confidence: 1,
+            match_reasons: [reason]
+        })
+
+        if (genres && genres.length > 0) {
+            await dbOperations.upsertGenres(genres)
+            await dbOperations.addMovieGenres(movie.id, genres.map(genre => genre.id))
+        }
+
+        if (movie.tmdb_id && movie.movie_group_id) {
+            await this.linkMovieGroup(movie, actor)
+        }
+
+        const resolved = await this.closeItem(item.id, 'resolved', {
+            source,
+            tmdbId: movie.tmdb_id || null,
+            imdbId: movie.imdb_id || null,
+            title: movie.title
+        }, actor)
+
+        logger.info(`Review item ${item.id} resolved: "${item.youtube_title}" is ${movie.title} (${source})`)
+
+        return { item: resolved, movie }
+    }
+
+    /**
+     * Reject the upload: it stays in the database (so imports skip it) but
+     * is hidden from the app. A rejected primary hands over to its best backup.
+     *
+     * @param {string} itemId
+     * @param {Object} decision
+     * @param {string} decision.reason - Why (e.g. 'not a movie')
+     * @param {string} decision.actor - Who decided (default 'admin')
+     * @returns {Promise<{item: Object, movie: Object}>}
+     */
+    async rejectItem(itemId, { reason = null, actor = 'admin' } = {}) {
+        const item = await this.getPendingItem(itemId)
+        const current = await dbOperations.getMovieById(item.movie_id)
+
+        if (current.is_primary && current.movie_group_id) {
+            await movieGroupService.demoteVersion(current.movie_group_id, current.id, { actor, reason: reason || 'rejected in review' })
+        }
+
+        const movie = await dbOperations.updateMovie(item.movie_id, { is_available: false })
+        const rejected = await this.closeItem(item.id, 'rejected', { reason }, actor)
+
+        logger.info(`Review item ${item.id} rejected: "${item.youtube_title}"${reason ? ` (${reason})` : ''}`)
+
+        return { item: rejected, movie }
+    }
+
+    // =============================================================================
+    // HELPERS
+    // =============================================================================
+
+    async getPendingItem(itemId) {
+        const item = await this.getItem(itemId)
+
+        if (item.status !== 'pending') {
+            throw new ReviewQueueError(409, 'Already Decided', `Review item ${itemId} is already ${item.status}`)
+        }
+
+        return item
+    }
+
+    /**
+     * Movie fields for a manual decision
+     *
+     * @returns {Promise<{fields: Object, source: string}>}
+     * @throws {ReviewQueueError} 404 when the ID is unknown, 502 when a lookup failed
+     *   (so a valid ID isn't mistaken for a wrong one)
+     */
+    async lookupDecision({ tmdbId, imdbId }) {
+        if (tmdbId) {
+            let details
+
+            try {
+                details = await tmdbService.getMovieDetails(tmdbId)
+            } catch (error) {
+                if (error.status === 404) {
+                    throw new ReviewQueueError(404, 'Not Found', `TMDB movie ${tmdbId} not found`)
+                }
+
+                throw new ReviewQueueError(502, 'Bad Gateway', `TMDB lookup for movie ${tmdbId} failed: ${error.message}`)
+            }
+
+            return { fields: tmdbService.toMovieFields(details), source: 'tmdb' }
+        }
+
+        let tmdbError = null
+        const details = await tmdbService.findByImdbId(imdbId).catch(error => {
+            logger.warn(`TMDB lookup for ${imdbId} failed, trying OMDb:`, error.message)
+            tmdbError = error
+            return null
+        })
+
+        if (details) {
+            return { fields: tmdbService.toMovieFields(details), source: 'tmdb' }
+        }
+
+        let omdbData
+
+        try {
+            omdbData = await omdbService.getByImdbId(imdbId)
+        } catch (error) {
+            throw new ReviewQueueError(502, 'Bad Gateway', `OMDb lookup for ${imdbId} failed: ${error.message}`)
+        }
+
+        if (!omdbData) {
+            if (tmdbError && tmdbError.status !== 404) {
+                throw new ReviewQueueError(502, 'Bad Gateway', `IMDb ID ${imdbId} not found on OMDb and the TMDB lookup failed: ${tmdbError.message}`)
+            }
+
+            throw new ReviewQueueError(404, 'Not Found', `IMDb ID ${imdbId} not found on TMDB or OMDb`)
+        }
+
+        return { fields: { ...omdbService.toMovieFields(omdbData), title: omdbData.title }, source: 'omdb' }
+    }
+
+    /**
+     * Give the movie's group the TMDB ID it was just matched to, or merge the
+     * group into the one that already has it
+     */
+    async linkMovieGroup(movie, actor) {
+        const group = await dbOperations.getMovieGroupById(movie.movie_group_id)
+        const tmdbGroup = await dbOperations.getMovieGroupByTmdbId(movie.tmdb_id)
+
+        if (tmdbGroup && tmdbGroup.id !== group.id) {
+            await movieGroupService.mergeGroups(tmdbGroup.id, group.id, { actor, reason: 'matched in review queue' })
+            return
+        }
+
+        if (!group.tmdb_id) {
+            await dbOperations.updateMovieGroup(group.id, {
+                tmdb_id: movie.tmdb_id,
+                canonical_title: movie.title,
+                normalized_title: duplicateDetector.normalizeTitle(movie.title),
+                release_year: movie.release_date ? new Date(movie.release_date).getFullYear() : group.release_year
+            })
+        }
+    }
+
+    async closeItem(itemId, status, resolution, actor) {
+        return dbOperations.updateReviewQueueItem(itemId, {
+            status,
+            resolution,
+            resolved_by: actor,
+            resolved_at: new Date().toISOString()
+        })
+    }
+}
+
+// Export singleton instance
+export default new ReviewQueueService()
@@ -1,6 +1,6 @@
 import { youtubeService } from './youtubeService.js'
 import { tmdbService } from './tmdbService.js'
-import { supabase } from '../config/database.js'
+import { dbOperations } from '../config/database.js'
 import { logger } from '../utils/logger.js'
 import stringSimilarity from 'string-similarity'
 
@@ -101,13 +101,10 @@ class SeriesCurator {
     async createSeriesInDB(tmdbData, channelId = null) {
         try {
             // Check if series already exists
-            const { data: existing, error: checkError } = await supabase
-                .from('tv_series')
-                .select('id')
-                .eq('tmdb_id', tmdbData.id)
-                .maybeSingle()
-
-            if (checkError) {
+            let existing
+            try {
+                existing = await dbOperations.getSeriesByTmdbId(tmdbData.id)
+            } catch (checkError) {
                 throw new Error(`Error checking for existing series: ${checkError.message}`)
             }
 
@@ -134,13 +131,10 @@ class SeriesCurator {
             }
 
             // Insert series
-            const { data: series, error: insertError } = await supabase
-                .from('tv_series')
-                .insert(seriesData)
-                .select()
-                .single()
-
-            if (insertError) {
+            let series
+            try {
+                series = await dbOperations.createSeries(seriesData)
+            } catch (insertError) {
                 throw new Error(`Failed to create series: ${insertError.message}`)
             }
 
@@ -165,12 +159,7 @@ class SeriesCurator {
             const seasonData = await tmdbService.getSeasonDetails(tmdbSeriesId, seasonNumber)
 
             // Check if season exists
-            const { data: existingSeason } = await supabase
-                .from('seasons')
-                .select('id')
-                .eq('series_id', seriesId)
-                .eq('season_number', seasonNumber)
-                .maybeSingle()
+            const existingSeason = await dbOperations.getSeason(seriesId, seasonNumber)
 
             let season
             if (existingSeason) {
@@ -178,9 +167,8 @@ class SeriesCurator {
                 logger.debug(`Season ${seasonNumber} already exists`)
             } else {
                 // Create season
-                const { data: newSeason, error: seasonError } = await supabase
-                    .from('seasons')
-                    .insert({
+                try {
+                    season = await dbOperations.createSeason({
                         series_id: seriesId,
                         season_number: seasonData.season_number,
                         title: seasonData.name,
@@ -189,14 +177,9 @@ class SeriesCurator {
                         poster_path: seasonData.poster_path,
                         episode_count: seasonData.episodes?.length || 0
                     })
-                    .select()
-                    .single()
-
-                if (seasonError) {
+                } catch (seasonError) {
                     throw new Error(`Failed to create season: ${seasonError.message}`)
                 }
-
-                season = newSeason
             }
 
             // Create episodes
@@ -228,39 +211,27 @@ class SeriesCurator {
     async createEpisodeInDB(seriesId, seasonId, episodeData, channelId = null) {
         try {
             // Check if episode exists
-            const { data: existing } = await supabase
-                .from('episodes')
-                .select('id')
-                .eq('series_id', seriesId)
-                .eq('season_number', episodeData.season_number)
-                .eq('episode_number', episodeData.episode_number)
-                .maybeSingle()
+            const existing = await dbOperations.getEpisode(seriesId, episodeData.season_number, episodeData.episode_number)
 
             if (existing) {
                 return false
             }
 
             // Create episode (without YouTube link yet)
-            const { error: insertError } = await supabase
-                .from('episodes')
-                .insert({
-                    series_id: seriesId,
-                    season_id: seasonId,
-                    season_number: episodeData.season_number,
-                    episode_number: episodeData.episode_number,
-                    title: episodeData.name,
-                    description: episodeData.overview,
-                    air_date: episodeData.air_date,
-                    runtime_minutes: episodeData.runtime,
-                    still_path: episodeData.still_path,
-                    vote_average: episodeData.vote_average,
-                    youtube_video_id: null,
-                    is_available: false  // Not available until YouTube video linked
-                })
-
-            if (insertError) {
-                throw insertError
-            }
+            await dbOperations.createEpisode({
+                series_id: seriesId,
+                season_id: seasonId,
+                season_number: episodeData.season_number,
+                episode_number: episodeData.episode_number,
+                title: episodeData.name,
+                description: episodeData.overview,
+                air_date: episodeData.air_date,
+                runtime_minutes: episodeData.runtime,
+                still_path: episodeData.still_path,
+                vote_average: episodeData.vote_average,
+                youtube_video_id: null,
+                is_available: false  // Not available until YouTube video linked
+            })
 
             return true
 
@@ -270,6 +241,340 @@ class SeriesCurator {
         }
     }
 
+    // =============================================================================
+    // YOUTUBE EPISODE LINKING
+    // =============================================================================
+
+    /**
+     * Scan a YouTube channel and link its videos to the series' TMDB episodes
+     *
+     * Every video is scored against every unlinked episode; the best pairs are
+     * assigned one-to-one (highest score first). Matches are only linked with
+     * autoConfirm, whatever their score; otherwise they're all returned in
+     * pendingConfirmation for POST /api/admin/series/confirm-link.
+     *
+     * @param {string} seriesId - tv_series ID
+     * @param {string} channelId - YouTube channel ID
+     * @param {Object} options - { autoConfirm (default false), dryRun, maxVideos }
+     * @returns {Object} Match summary (matchesFound, episodesLinked, matches, pendingConfirmation)
+     */
+    async linkYouTubeEpisodes(seriesId, channelId, options = {}) {
+        const { autoConfirm = false, dryRun = false, maxVideos = 500 } = options
+
+        try {
+            logger.info(`🔗 Linking YouTube videos from ${channelId} to series ${seriesId}${dryRun ? ' [DRY RUN]' : ''}`)
+
+            let series
+            try {
+                series = await dbOperations.getSeriesById(seriesId)
+            } catch (seriesError) {
+                throw new Error(`Failed to fetch series: ${seriesError.message}`)
+            }
+
+            let episodes
+            try {
+                episodes = await dbOperations.getEpisodes(seriesId)
+            } catch (episodesError) {
+                throw new Error(`Failed to fetch episodes: ${episodesError.message}`)
+            }
+
+            const unlinkedEpisodes = episodes.filter(e => !e.youtube_video_id)
+            const linkedVideoIds = new Set(episodes.filter(e => e.youtube_video_id).map(e => e.youtube_video_id))
+
+            const result = {
+                seriesId,
+                channelId,
+                dryRun,
+                videosScanned: 0,
+                episodesUnlinked: unlinkedEpisodes.length,
+                matchesFound: 0,
+                episodesLinked: 0,
+                matches: [],
+                pendingConfirmation: [],
+                errors: []
+            }
+
+            if (unlinkedEpisodes.length === 0) {
+                logger.info(`All episodes of ${series.title} are already linked`)
+                return result
+            }
+
+            const videos = await youtubeService.getChannelVideos(channelId, {
+                maxResults: maxVideos,
+                order: 'date'
+            })
+
+            const candidateVideos = videos.filter(v => !linkedVideoIds.has(v.id))
+            result.videosScanned = candidateVideos.length
+
+            // Score every video against every unlinked episode
+            const candidates = []
+            for (const video of candidateVideos) {
+                const titleCandidates = this.extractEpisodeTitleCandidates(video.title, series)
+                const seasonEpisode = this.parseSeasonEpisode(video.title)
+
+                for (const episode of unlinkedEpisodes) {
+                    const { score, reasons } = this.scoreEpisodeMatch(video, episode, titleCandidates, seasonEpisode)
+
+                    if (score >= this.episodeMatchThreshold) {
+                        candidates.push({ video, episode, score, reasons })
+                    }
+                }
+            }
+
+            // Greedy one-to-one assignment, best score first
+            candidates.sort((a, b) => b.score - a.score)
+            const usedVideos = new Set()
+            const usedEpisodes = new Set()
+
+            for (const candidate of candidates) {
+                if (usedVideos.has(candidate.video.id) || usedEpisodes.has(candidate.episode.id)) {
+                    continue
+                }
+
+                usedVideos.add(candidate.video.id)
+                usedEpisodes.add(candidate.episode.id)
+
+                result.matches.push({
+                    episodeId: candidate.episode.id,
+                    season: candidate.episode.season_number,
+                    episode: candidate.episode.episode_number,
+                    episodeTitle: candidate.episode.title,
+                    videoId: candidate.video.id,
+                    videoTitle: candidate.video.title,
+                    confidence: candidate.score,
+                    reasons: candidate.reasons,
+                    linked: false,
+                    _video: candidate.video
+                })
+            }
+
+            result.matchesFound = result.matches.length
+
+            for (const match of result.matches) {
+                const shouldLink = !dryRun && autoConfirm
+
+                if (shouldLink) {
+                    try {
+                        await this.linkEpisodeToYouTube(match.episodeId, match._video)
+                        match.linked = true
+                        result.episodesLinked++
+                    } catch (error) {
+                        result.errors.push({
+                            episodeId: match.episodeId,
+                            videoId: match.videoId,
+                            error: error.message
+                        })
+                    }
+                } else if (!dryRun) {
+                    result.pendingConfirmation.push({
+                        episodeId: match.episodeId,
+                        videoId: match.videoId,
+                        confidence: match.confidence
+                    })
+                }
+
+                delete match._video
+            }
+
+            logger.info(`✅ Linking completed for ${series.title}: ${result.matchesFound} matches, ${result.episodesLinked} linked, ${result.pendingConfirmation.length} pending`)
+
+            return result
+
+        } catch (error) {
+            logger.error(`Failed to link YouTube episodes for series ${seriesId}:`, error.message)
+            throw error
+        }
+    }
+
+    /**
+     * Link a single episode to a YouTube video and mark it available
+     *
+     * @param {string} episodeId - Episode ID
+     * @param {Object} videoInfo - Video as returned by youtubeService.getVideoInfo/getChannelVideos
+     * @returns {Object} Updated episode row
+     */
+    async linkEpisodeToYouTube(episodeId, videoInfo) {
+        try {
+            // A video can only back one episode
+            let linked
+            try {
+                linked = await dbOperations.getEpisodeByYouTubeId(videoInfo.id)
+            } catch (conflictError) {
+                throw new Error(`Error checking existing links: ${conflictError.message}`)
+            }
+
+            const conflicting = linked && linked.id !== episodeId ? linked : null
+            if (conflicting) {
+                throw new Error(`Video ${videoInfo.id} is already linked to episode ${conflicting.id}`)
+            }
+
+            const isAvailable = videoInfo.uploadStatus === 'processed' &&
+                videoInfo.privacyStatus === 'public'
+
+            let episode
+            try {
+                episode = await dbOperations.updateEpisode(episodeId, {
+                    youtube_video_id: videoInfo.id,
+                    is_available: isAvailable
+                })
+            } catch (updateError) {
+                throw new Error(`Failed to link episode: ${updateError.message}`)
+            }
+
+            if (isAvailable) {
+                await this.markSeriesAvailable(episode.series_id)
+            }
+
+            logger.info(`🔗 Linked S${episode.season_number}E${episode.episode_number} → ${videoInfo.id}`)
+
+            return episode
+
+        } catch (error) {
+            logger.error(`Failed to link episode ${episodeId} to ${videoInfo?.id}:`, error.message)
+            throw error
+        }
+    }
+
+    async markSeriesAvailable(seriesId) {
+        try {
+            await dbOperations.updateSeries(seriesId, { is_available: true })
+        } catch (error) {
+            logger.warn(`Failed to mark series ${seriesId} available:`, error.message)
+        }
+    }
+
+    /**
+     * Score how well a YouTube video matches a TMDB episode (0-1)
+     *
+     * - Title similarity against each cleaned title candidate (base score)
+     * - Explicit SxxEyy / "Season X Episode Y" agreement (strong boost) or mismatch (penalty)
+     * - Runtime agreement with runtime_minutes (small boost/penalty)
+     */
+    scoreEpisodeMatch(video, episode, titleCandidates, seasonEpisode) {
+        const reasons = []
+        const episodeTitle = this.normalizeEpisodeTitle(episode.title)
+
+        let score = 0
+        if (episodeTitle) {
+            for (const candidate of titleCandidates) {
+                score = Math.max(score, stringSimilarity.compareTwoStrings(candidate, episodeTitle))
+            }
+
+            // Episode title appears verbatim inside a longer video title
+            const paddedTitle = ` ${titleCandidates.join(' ')} `
+            if (episodeTitle.length >= 4 && paddedTitle.includes(` ${episodeTitle} `)) {
+                score = Math.max(score, 0.9)
+                reasons.push('title_contained')
+            } else if (score > 0) {
+                reasons.push(`title_similarity:${score.toFixed(2)}`)
+            }
+        }
+
+        if (seasonEpisode) {
+            const episodeMatches = seasonEpisode.episode === episode.episode_number
+            const seasonMatches = seasonEpisode.season === episode.season_number
+
+            if (seasonEpisode.explicitSeason && episodeMatches && seasonMatches) {
+                score = Math.max(score, 0.8) + 0.15
+                reasons.push('season_episode_number')
+            } else if (!seasonEpisode.explicitSeason && episodeMatches) {
+                score += 0.1
+                reasons.push('episode_number')
+            } else {
+                score *= 0.5
+                reasons.push('season_episode_mismatch')
+            }
+        }
+
+        const videoMinutes = youtubeService.parseDuration(video.duration)
+        if (episode.runtime_minutes && videoMinutes > 0) {
+            const diffRatio = Math.abs(videoMinutes - episode.runtime_minutes) / episode.runtime_minutes
+
+            if (diffRatio <= 0.15) {
+                score += 0.05
+                reasons.push('runtime_match')
+            } else if (diffRatio > 0.5) {
+                score -= 0.1
+                reasons.push('runtime_mismatch')
+            }
+        }
+
+        return {
+            score: Math.round(Math.min(Math.max(score, 0), 1) * 1000) / 1000,
+            reasons
+        }
+    }
+
+    /**
+     * Build normalized episode title candidates from a YouTube video title
+     * e.g. "Bonanza - The Avenger | Season 1 Episode 5 | Full Episode" → ["the avenger", ...]
+     */
+    extractEpisodeTitleCandidates(videoTitle, series) {
+        const seriesTitles = [series.title, series.original_title]
+            .filter(Boolean)
+            .map(t => this.normalizeEpisodeTitle(t))
+
+        const stripEpisodeMarkers = text => text
+            .replace(/[Ss]\d+\s*[Ee]\d+/g, '')
+            .replace(/season\s+\d+/gi, '')
+            .replace(/(episode|ep\.?)\s*\d+/gi, '')
+            .replace(/\bfull episode\b/gi, '')
+            .replace(/\[.*?\]/g, '')
+            .replace(/\(\d{4}\)/g, '')
+
+        let withoutPrefix = videoTitle
+        for (const pattern of this.episodePrefixPatterns) {
+            withoutPrefix = withoutPrefix.replace(pattern, '')
+        }
+
+        const rawCandidates = [
+            videoTitle,
+            withoutPrefix,
+            ...videoTitle.split(/\s[|–—-]\s|\|/)
+        ]
+
+        const candidates = new Set()
+        for (const raw of rawCandidates) {
+            let normalized = this.normalizeEpisodeTitle(stripEpisodeMarkers(raw))
+
+            for (const seriesTitle of seriesTitles) {
+                if (seriesTitle && normalized.startsWith(`${seriesTitle} `)) {
+                    normalized = normalized.substring(seriesTitle.length).trim()
+                }
+            }
+
+            if (normalized && !seriesTitles.includes(normalized)) {
+                candidates.add(normalized)
+            }
+        }
+
+        return [...candidates]
+    }
+
+    /**
+     * Parse season/episode numbers from a video title
+     * Only "S01E05" and "Season 1 Episode 5" count as an explicit season
+     */
+    parseSeasonEpisode(videoTitle) {
+        const parsed = tmdbService.extractSeasonEpisode(videoTitle)
+        if (!parsed) return null
+
+        const explicitSeason = /[Ss]\d+[Ee]\d+|season\s+\d+\s+episode\s+\d+/i.test(videoTitle)
+
+        return { ...parsed, explicitSeason }
+    }
+
+    normalizeEpisodeTitle(title) {
+        if (!title) return ''
+
+        return title
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+    }
+
     // =============================================================================
     // UTILITY FUNCTIONS
     // =============================================================================
@@ -305,24 +610,8 @@ class SeriesCurator {
 
     async addSeriesGenres(seriesId, genres) {
         try {
-            for (const genre of genres) {
-                // Ensure genre exists
-                await supabase
-                    .from('genres')
-                    .upsert({ id: genre.id, name: genre.name }, { onConflict: 'id', ignoreDuplicates: true })
-
-                // Link to series
-                await supabase
-                    .from('series_genres')
-                    .insert({ series_id: seriesId, genre_id: genre.id })
-                    .select()
-                    // Ignore conflict if already exists
-                    .then(result => {
-                        if (result.error && !result.error.message.includes('duplicate')) {
-                            throw result.error
-                        }
-                    })
-            }
+            // Creates missing genres; existing links are kept
+            await dbOperations.addSeriesGenres(seriesId, genres)
         } catch (error) {
             logger.error('Failed to add series genres:', error.message)
         }
@@ -1,5 +1,15 @@
 import { logger } from '../utils/logger.js'
 import { dbOperations } from '../config/database.js'
+import { apiCache } from './apiCacheService.js'
+import { trigramSimilarity } from '../utils/titleMatcher.js'
+
+// Share of the match confidence each signal can contribute (sums to 1)
+const MATCH_WEIGHTS = { title: 0.5, year: 0.3, runtime: 0.2 }
+
+const roundScore = (value) => Math.round(value * 1000) / 1000
+
+// Lists that change daily are never served from the API cache
+const UNCACHED_ENDPOINTS = /^\/(discover|trending)\/|^\/(movie|tv)\/(popular|top_rated|upcoming|now_playing|airing_today|on_the_air)$/
 
 class TMDBService {
     constructor() {
@@ -22,9 +32,9 @@ class TMDBService {
     async waitForRateLimit() {
         const now = Date.now()
 
-        // Reset window if enough time has passed
+        // Reset window if enough time has passed (this request opens the new window)
         if (now - this.lastWindowStart >= this.windowSizeMs) {
-            this.requestQueue = []
+            this.requestQueue = [now]
             this.lastWindowStart = now
             return
         }
@@ -51,6 +61,17 @@ class TMDBService {
     }
 
     async makeRequest(endpoint, params = {}) {
+        const cacheable = !UNCACHED_ENDPOINTS.test(endpoint)
+
+        if (cacheable) {
+            const cached = await apiCache.get('tmdb', endpoint, params)
+
+            if (cached) {
+                await dbOperations.logApiUsage('tmdb', endpoint, 'GET', 0, 200, 0, null, true)
+                return cached
+            }
+        }
+
         await this.waitForRateLimit()
 
         const url = new URL(`${this.baseURL}${endpoint}`)
@@ -71,7 +92,9 @@ class TMDBService {
             const responseTime = Date.now() - startTime
 
             if (!response.ok) {
-                throw new Error(`TMDB API error: ${response.status} ${response.statusText}`)
+                const error = new Error(`TMDB API error: ${response.status} ${response.statusText}`)
+                error.status = response.status
+                throw error
             }
 
             const data = await response.json()
@@ -86,6 +109,10 @@ class TMDBService {
                 responseTime
             )
 
+            if (cacheable) {
+                await apiCache.set('tmdb', endpoint, params, data)
+            }
+
             return data
 
         } catch (error) {
@@ -240,6 +267,50 @@ class TMDBService {
         }
     }
 
+    /**
+     * Look up a movie by IMDb ID (e.g. 'tt0013442') via /find
+     *
+     * @param {string} imdbId
+     * @returns {Promise<Object|null>} Movie details (see getMovieDetails), or null if TMDB doesn't know it
+     */
+    async findByImdbId(imdbId) {
+        const data = await this.makeRequest(`/find/${imdbId}`, { external_source: 'imdb_id' })
+        const found = data.movie_results?.[0]
+
+        if (!found) {
+            logger.debug(`No TMDB movie for IMDb ID ${imdbId}`)
+            return null
+        }
+
+        return this.getMovieDetails(found.id)
+    }
+
+    /**
+     * Map getMovieDetails() output to movies columns
+     *
+     * genres is not a movies column; callers link it with addMovieGenres().
+     *
+     * @param {Object} movieDetails
+     * @returns {Object}
+     */
+    toMovieFields(movieDetails) {
+        return {
+            tmdb_id: movieDetails.id,
+            imdb_id: movieDetails.imdb_id,
+            title: movieDetails.title,  // Clean TMDB title (replaces YouTube title)
+            original_title: movieDetails.original_title,
+            description: movieDetails.overview,  // Clean TMDB plot (replaces YouTube description)
+            poster_path: movieDetails.poster_path,
+            backdrop_path: movieDetails.backdrop_path,
+            vote_average: movieDetails.vote_average,
+            vote_count: movieDetails.vote_count,
+            popularity: movieDetails.popularity,
+            release_date: movieDetails.release_date,
+            runtime_minutes: movieDetails.runtime || null,  // 0 when TMDB doesn't know it
+            genres: movieDetails.genres
+        }
+    }
+
     async getMovieCredits(movieId) {
         try {
             const data = await this.makeRequest(`/movie/${movieId}/credits`)
@@ -670,25 +741,117 @@ class TMDBService {
         return yearMatch ? parseInt(yearMatch[1]) : null
     }
 
-    async findBestMatch(movieTitle, originalTitle = null, year = null) {
-        // Try multiple search strategies to find the best match
+    // =============================================================================
+    // MATCH SCORING
+    // =============================================================================
 
-        const searchTitles = [
-            movieTitle,
-            this.cleanMovieTitle(movieTitle),
-            originalTitle
-        ].filter(Boolean)
+    /**
+     * Score a TMDB movie against what the YouTube upload tells us
+     *
+     * Title similarity (trigram, vs. title and original title) is worth 50%,
+     * release year 30% and runtime 20%. Unknown year or runtime scores half
+     * its weight, so an exact title alone lands at 0.75.
+     *
+     * @param {Object} candidate - searchMovies result, optionally with runtime (minutes)
+     * @param {Object} upload
+     * @param {string} upload.title - Cleaned title without the year
+     * @param {number} upload.year - Year parsed from the title or description
+     * @param {string} upload.yearSource - 'title' or 'description' (for the reasons)
+     * @param {number} upload.runtimeMinutes - YouTube duration
+     * @returns {{confidence: number, reasons: Array<{factor: string, points: number, detail: string}>}}
+     */
+    scoreCandidate(candidate, { title, year = null, yearSource = null, runtimeMinutes = null }) {
+        const reasons = []
+        const add = (factor, points, detail) => reasons.push({ factor, points: roundScore(points), detail })
+
+        const similarity = Math.max(
+            trigramSimilarity(title, candidate.title),
+            trigramSimilarity(title, candidate.originalTitle || '')
+        )
+        add('title', similarity * MATCH_WEIGHTS.title, `title similarity ${similarity.toFixed(2)} ("${title}" vs "${candidate.title}")`)
+
+        const candidateYear = candidate.releaseDate ? new Date(candidate.releaseDate).getFullYear() : null
+        if (!year || !candidateYear) {
+            add('year', MATCH_WEIGHTS.year / 2, `year unknown (${year ? 'TMDB has no release date' : 'none in upload'})`)
+        } else {
+            const difference = Math.abs(candidateYear - year)
+            const points = difference === 0 ? MATCH_WEIGHTS.year
+                : difference === 1 ? MATCH_WEIGHTS.year * 2 / 3
+                : 0
+            add('year', points, `${year} (from ${yearSource || 'upload'}) vs release ${candidateYear}`)
+        }
 
-        for (const searchTitle of searchTitles) {
-            const results = await this.searchMovies(searchTitle, year)
+        if (!runtimeMinutes || !candidate.runtime) {
+            add('runtime', MATCH_WEIGHTS.runtime / 2, 'runtime unknown')
+        } else {
+            const difference = Math.abs(candidate.runtime - runtimeMinutes)
+            const points = difference <= 5 ? MATCH_WEIGHTS.runtime
+                : difference <= 15 ? MATCH_WEIGHTS.runtime / 2
+                : 0
+            add('runtime', points, `${runtimeMinutes} min upload vs ${candidate.runtime} min on TMDB`)
+        }
 
-            if (results.length > 0) {
-                // Return the best match (first result is usually most relevant)
-                return results[0]
-            }
+        return {
+            confidence: roundScore(reasons.reduce((sum, reason) => sum + reason.points, 0)),
+            reasons
         }
+    }
 
-        return null
+    /**
+     * Search TMDB and pick the best-scoring movie for an upload
+     *
+     * Search results are ranked on title and year; the winner's details are
+     * fetched and its runtime folded into the final confidence. Callers decide
+     * whether the confidence is high enough to use the match.
+     *
+     * @param {string} movieTitle - Cleaned title without the year
+     * @param {Object} options
+     * @param {number} options.year - Release year; passed to the search
+     * @param {string} options.yearSource - 'title' or 'description'
+     * @param {boolean} options.strictYear - Don't retry without the year when the year search finds nothing (default true)
+     * @param {number} options.runtimeMinutes - YouTube duration
+     * @param {number} options.candidateLimit - How many ranked candidates to return (default 5)
+     * @returns {Promise<Object|null>} { movie (details), confidence, reasons, candidates }, or null without results
+     */
+    async findBestMatch(movieTitle, options = {}) {
+        const { year = null, yearSource = null, strictYear = true, runtimeMinutes = null, candidateLimit = 5 } = options
+        const upload = { title: movieTitle, year, yearSource, runtimeMinutes }
+
+        let results = await this.searchMovies(movieTitle, year)
+
+        if (results.length === 0 && year && !strictYear) {
+            logger.debug(`No TMDB results for "${movieTitle}" in ${year}, retrying without year`)
+            results = await this.searchMovies(movieTitle)
+        }
+
+        if (results.length === 0) {
+            return null
+        }
+
+        const ranked = results
+            .map(candidate => ({ candidate, ...this.scoreCandidate(candidate, upload) }))
+            .sort((a, b) => (b.confidence - a.confidence) || ((b.candidate.popularity || 0) - (a.candidate.popularity || 0)))
+
+        ranked.slice(0, 3).forEach(({ candidate, confidence }, i) => {
+            logger.debug(`  ${i + 1}. ${candidate.title} (${candidate.releaseDate?.slice(0, 4) || 'N/A'}) - score ${confidence}`)
+        })
+
+        const best = ranked[0]
+        const movie = await this.getMovieDetails(best.candidate.id)
+        const { confidence, reasons } = this.scoreCandidate({ ...best.candidate, runtime: movie.runtime }, upload)
+
+        return {
+            movie,
+            confidence,
+            reasons,
+            candidates: ranked.slice(0, candidateLimit).map(({ candidate, confidence }) => ({
+                tmdbId: candidate.id,
+                title: candidate.title,
+                releaseDate: candidate.releaseDate,
+                posterPath: candidate.posterPath,
+                confidence
+            }))
+        }
     }
 
     cleanSeriesTitle(title) {
@@ -1,7 +1,47 @@
+import crypto from 'crypto'
 import { google } from 'googleapis'
 import { logger } from '../utils/logger.js'
 import { dbOperations } from '../config/database.js'
 
+// YouTube resets Data API quota at midnight Pacific time
+const QUOTA_TIMEZONE = 'America/Los_Angeles'
+const pacificDateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+})
+
+/**
+ * Pacific calendar day (YYYY-MM-DD) that quota usage counts against
+ */
+function getQuotaDay(date = new Date()) {
+    return pacificDateFormat.format(date)
+}
+
+/**
+ * Next Pacific midnight (07:00 UTC during PDT, 08:00 UTC during PST)
+ */
+function getNextQuotaReset(date = new Date()) {
+    const [year, month, day] = getQuotaDay(date).split('-').map(Number)
+
+    for (const hour of [7, 8]) {
+        const candidate = new Date(Date.UTC(year, month - 1, day + 1, hour))
+        if (getQuotaDay(candidate) !== getQuotaDay(new Date(candidate.getTime() - 1))) {
+            return candidate
+        }
+    }
+
+    return new Date(Date.UTC(year, month - 1, day + 1, 8))
+}
+
+/**
+ * Stable identifier for an API key that is safe to store
+ */
+function fingerprintKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey || '').digest('hex').slice(0, 16)
+}
+
 class YouTubeService {
     constructor() {
         // Support multiple API keys for quota management
@@ -14,13 +54,21 @@ class YouTubeService {
             this.apiKeys.push(secondaryKey.trim())
         }
 
-        // Track quota per key
+        // Track quota per key. Counts are persisted in api_quota_usage so all
+        // instances share them; the in-memory copy is refreshed from the DB
         this.currentKeyIndex = 0
         this.dailyQuota = parseInt(process.env.YOUTUBE_QUOTA_PER_DAY) || 10000
-        this.quotaPerKey = this.apiKeys.map(() => ({
-            used: 0,
-            lastReset: new Date()
+        this.quotaDay = getQuotaDay()
+        this.quotaPerKey = this.apiKeys.map(key => ({
+            keyId: fingerprintKey(key),
+            used: 0
         }))
+        this.QUOTA_SYNC_INTERVAL_MS = 60 * 1000
+        this.quotaSyncedAt = 0
+        this.quotaSync = null
+
+        // Channel ID → uploads playlist ID (never changes for a channel)
+        this.uploadsPlaylistCache = new Map()
 
         // Initialize YouTube client with first key
         this.youtube = google.youtube({
@@ -31,29 +79,32 @@ class YouTubeService {
         logger.info(`YouTube API initialized with ${this.apiKeys.length} API key(s)`)
     }
 
-    switchToNextKey() {
-        const nextIndex = (this.currentKeyIndex + 1) % this.apiKeys.length
-
-        // Check if next key is also exhausted
-        if (this.quotaPerKey[nextIndex].used >= this.dailyQuota) {
-            // All keys exhausted
-            if (nextIndex === 0) {
-                logger.error('All YouTube API keys exhausted their quota')
-                return false
-            }
-            // Try next key
-            this.currentKeyIndex = nextIndex
-            return this.switchToNextKey()
-        }
-
-        this.currentKeyIndex = nextIndex
+    useKey(index) {
+        this.currentKeyIndex = index
         this.youtube = google.youtube({
             version: 'v3',
             auth: this.apiKeys[this.currentKeyIndex]
         })
+    }
+
+    getCurrentApiKey() {
+        return this.apiKeys[this.currentKeyIndex]
+    }
 
-        logger.info(`Switched to YouTube API key #${this.currentKeyIndex + 1} (quota: ${this.quotaPerKey[this.currentKeyIndex].used}/${this.dailyQuota})`)
-        return true
+    switchToNextKey() {
+        // Walk the other keys in order and take the first with quota left
+        for (let step = 1; step < this.apiKeys.length; step++) {
+            const nextIndex = (this.currentKeyIndex + step) % this.apiKeys.length
+
+            if (this.quotaPerKey[nextIndex].used < this.dailyQuota) {
+                this.useKey(nextIndex)
+                logger.info(`Switched to YouTube API key #${this.currentKeyIndex + 1} (quota: ${this.quotaPerKey[this.currentKeyIndex].used}/${this.dailyQuota})`)
+                return true
+            }
+        }
+
+        logger.error('All YouTube API keys exhausted their quota')
+        return false
     }
 
     // =============================================================================
@@ -85,6 +136,7 @@ class YouTubeService {
                 maxResults: 1,
                 type: 'video'
             })
+            this.updateQuotaUsage(100, 'search.list') // search.list costs 100 units
             logger.info(`YouTube API connection test passed (using key #${this.currentKeyIndex + 1}/${this.apiKeys.length})`)
             return true
         } catch (error) {
@@ -94,46 +146,145 @@ class YouTubeService {
     }
 
     async quotaCheck() {
-        // Check if quota needs to reset for each key (daily reset)
-        const now = new Date()
-        this.quotaPerKey.forEach((quota, index) => {
-            if (now.getDate() !== quota.lastReset.getDate()) {
-                this.quotaPerKey[index].used = 0
-                this.quotaPerKey[index].lastReset = now
-            }
-        })
+        let source = 'database'
+
+        try {
+            await this.refreshQuotaUsage()
+        } catch (error) {
+            // Fall back to this instance's own counts
+            logger.warn('Failed to load shared YouTube quota usage:', error.message)
+            source = 'memory'
+        }
 
         const currentQuota = this.quotaPerKey[this.currentKeyIndex]
         const totalUsed = this.quotaPerKey.reduce((sum, q) => sum + q.used, 0)
-        const totalRemaining = (this.dailyQuota * this.apiKeys.length) - totalUsed
+        const totalRemaining = this.quotaPerKey.reduce((sum, q) => sum + Math.max(this.dailyQuota - q.used, 0), 0)
 
         return {
             currentKey: this.currentKeyIndex + 1,
             totalKeys: this.apiKeys.length,
             dailyLimit: this.dailyQuota,
             used: currentQuota.used,
-            remaining: this.dailyQuota - currentQuota.used,
+            remaining: Math.max(this.dailyQuota - currentQuota.used, 0),
             totalUsed: totalUsed,
             totalRemaining: totalRemaining,
-            resetTime: currentQuota.lastReset.toISOString()
+            keys: this.quotaPerKey.map((quota, index) => ({
+                key: index + 1,
+                used: quota.used,
+                remaining: Math.max(this.dailyQuota - quota.used, 0),
+                exhausted: quota.used >= this.dailyQuota
+            })),
+            quotaDay: this.quotaDay,
+            timezone: QUOTA_TIMEZONE,
+            resetTime: getNextQuotaReset().toISOString(),
+            source
         }
     }
 
-    updateQuotaUsage(cost) {
-        this.quotaPerKey[this.currentKeyIndex].used += cost
-        const currentUsed = this.quotaPerKey[this.currentKeyIndex].used
+    /**
+     * Record quota spent by the current key
+     *
+     * Counts locally right away, then adds the units to the shared counter in
+     * api_quota_usage and adopts the total it returns.
+     *
+     * @param {number} cost - Quota units
+     * @param {string} operation - API method, e.g. 'videos.list'
+     */
+    updateQuotaUsage(cost, operation = 'unknown') {
+        this.rollQuotaDay()
+
+        const index = this.currentKeyIndex
+        const day = this.quotaDay
+        this.quotaPerKey[index].used += cost
+        this.checkKeyQuota(index)
+
+        dbOperations.incrementApiQuotaUsage(day, this.quotaPerKey[index].keyId, operation, cost)
+            .then(total => {
+                if (day !== this.quotaDay || typeof total !== 'number') return
+
+                this.quotaPerKey[index].used = Math.max(this.quotaPerKey[index].used, total)
+                this.checkKeyQuota(index)
+            })
+            .catch(error => {
+                logger.warn('Failed to persist YouTube quota usage:', error.message)
+            })
 
-        if (currentUsed >= this.dailyQuota) {
-            logger.warn(`YouTube API key #${this.currentKeyIndex + 1} quota exhausted: ${currentUsed}/${this.dailyQuota}`)
+        if (Date.now() - this.quotaSyncedAt > this.QUOTA_SYNC_INTERVAL_MS) {
+            this.refreshQuotaUsage().catch(error => {
+                logger.warn('Failed to load shared YouTube quota usage:', error.message)
+            })
+        }
+    }
 
-            // Try to switch to next key
-            if (this.currentKeyIndex < this.apiKeys.length - 1) {
-                const switched = this.switchToNextKey()
-                if (switched) {
-                    logger.info(`✅ Auto-switched to API key #${this.currentKeyIndex + 1}`)
-                } else {
-                    logger.error('❌ All API keys exhausted, quota limit reached')
-                }
+    /**
+     * Load today's usage for every key from api_quota_usage
+     *
+     * Picks up units spent by other instances and rotates away from a key
+     * they exhausted.
+     */
+    async refreshQuotaUsage() {
+        if (this.quotaSync) return this.quotaSync
+
+        this.quotaSync = (async () => {
+            this.rollQuotaDay()
+            const day = this.quotaDay
+            const rows = await dbOperations.getApiQuotaUsage(day)
+
+            if (day !== this.quotaDay) return
+
+            const usedByKey = {}
+            for (const row of rows) {
+                usedByKey[row.api_key_id] = (usedByKey[row.api_key_id] || 0) + row.units
+            }
+
+            // Keep local counts that haven't reached the DB yet
+            this.quotaPerKey.forEach(quota => {
+                quota.used = Math.max(quota.used, usedByKey[quota.keyId] || 0)
+            })
+            this.quotaSyncedAt = Date.now()
+
+            this.checkKeyQuota(this.currentKeyIndex)
+        })()
+
+        try {
+            await this.quotaSync
+        } finally {
+            this.quotaSync = null
+        }
+    }
+
+    /**
+     * Start a fresh count (and go back to the first key) after Pacific midnight
+     */
+    rollQuotaDay() {
+        const today = getQuotaDay()
+        if (today === this.quotaDay) return
+
+        logger.info(`YouTube quota day rolled over to ${today} (Pacific), resetting usage`)
+        this.quotaDay = today
+        this.quotaPerKey.forEach(quota => { quota.used = 0 })
+        this.quotaSyncedAt = 0
+
+        if (this.currentKeyIndex !== 0) {
+            this.useKey(0)
+        }
+    }
+
+    checkKeyQuota(index) {
+        if (index !== this.currentKeyIndex) return
+
+        const currentUsed = this.quotaPerKey[index].used
+        if (currentUsed < this.dailyQuota) return
+
+        logger.warn(`YouTube API key #${index + 1} quota exhausted: ${currentUsed}/${this.dailyQuota}`)
+
+        // Try to switch to next key
+        if (this.apiKeys.length > 1) {
+            const switched = this.switchToNextKey()
+            if (switched) {
+                logger.info(`✅ Auto-switched to API key #${this.currentKeyIndex + 1}`)
+            } else {
+                logger.error('❌ All API keys exhausted, quota limit reached')
             }
         }
     }
@@ -153,7 +304,7 @@ class YouTubeService {
                 id: [videoId]
             })
 
-            this.updateQuotaUsage(1) // videos.list costs 1 unit per call
+            this.updateQuotaUsage(1, 'videos.list') // videos.list costs 1 unit per call
 
             // Log API usage
             await dbOperations.logApiUsage(
@@ -166,7 +317,7 @@ class YouTubeService {
             )
 
             if (!response.data.items || response.data.items.length === 0) {
-                throw new Error(`Video not found: ${videoId}`)
+                throw Object.assign(new Error(`Video not found: ${videoId}`), { status: 404 })
             }
 
             const video = response.data.items[0]
@@ -198,7 +349,7 @@ class YouTubeService {
                 'videos.list',
                 'GET',
                 1,
-                error.response?.status || 500,
+                error.status || error.response?.status || 500,
                 Date.now() - startTime,
                 error.message
             )
@@ -235,24 +386,195 @@ class YouTubeService {
         }
     }
 
+    // =============================================================================
+    // CHANNEL VIDEO LISTING
+    // =============================================================================
+
+    /**
+     * List a channel's videos, newest first
+     *
+     * Reads the channel's uploads playlist (playlistItems.list, 1 unit per page
+     * of 50) and falls back to search.list (100 units per page) only when the
+     * channel has no uploads playlist or a non-date order is requested. Quota
+     * and network errors are thrown: search.list would fail the same way.
+     *
+     * @param {string} channelId - YouTube channel ID
+     * @param {Object} options - { maxResults, order, publishedAfter, publishedBefore }
+     * @returns {Promise<Array>} Videos with details (duration, status, statistics)
+     */
     async getChannelVideos(channelId, options = {}) {
+        const { order = 'date' } = options
+
+        if (order === 'date') {
+            try {
+                return await this.getChannelUploads(channelId, options)
+            } catch (error) {
+                if ((error.status || error.response?.status) !== 404) {
+                    throw error
+                }
+
+                logger.warn(`Uploads playlist missing for ${channelId}, falling back to search: ${error.message}`)
+            }
+        }
+
+        return this.searchChannelVideos(channelId, options)
+    }
+
+    /**
+     * Page through a channel's uploads playlist
+     * The playlist is in upload order (newest first), so paging stops as soon
+     * as a page reaches videos older than publishedAfter
+     */
+    async getChannelUploads(channelId, options = {}) {
         const startTime = Date.now()
+        const {
+            maxResults = 500,
+            publishedAfter = null,
+            publishedBefore = null
+        } = options
+
+        let totalQuotaUsed = 0
+        let pageCount = 0
 
         try {
-            const {
-                maxResults = 500,  // Increased default from 50 to 500
-                order = 'date',
-                publishedAfter = null,
-                publishedBefore = null
-            } = options
+            logger.info(`Fetching up to ${maxResults} uploads from channel: ${channelId}`)
+
+            const uploadsPlaylistId = await this.getUploadsPlaylistId(channelId)
+            if (!uploadsPlaylistId.cached) {
+                totalQuotaUsed += 1
+            }
+
+            const allVideos = []
+            let nextPageToken = null
+            let reachedWatermark = false
+
+            do {
+                pageCount++
+
+                const playlistResponse = await this.youtube.playlistItems.list({
+                    part: ['contentDetails'],
+                    playlistId: uploadsPlaylistId.id,
+                    maxResults: 50,  // API max is 50 per request
+                    pageToken: nextPageToken
+                })
+
+                this.updateQuotaUsage(1, 'playlistItems.list') // playlistItems.list costs 1 unit
+                totalQuotaUsed += 1
+
+                const items = playlistResponse.data.items || []
+                if (items.length === 0) {
+                    break
+                }
+
+                const videoIds = []
+                for (const item of items) {
+                    const videoPublishedAt = item.contentDetails.videoPublishedAt
+
+                    if (publishedAfter && videoPublishedAt && new Date(videoPublishedAt) <= new Date(publishedAfter)) {
+                        reachedWatermark = true
+                        continue
+                    }
+
+                    if (publishedBefore && videoPublishedAt && new Date(videoPublishedAt) >= new Date(publishedBefore)) {
+                        continue
+                    }
+
+                    videoIds.push(item.contentDetails.videoId)
+                }
+
+                const remaining = maxResults - allVideos.length
+                const pageIds = videoIds.slice(0, remaining)
+
+                if (pageIds.length > 0) {
+                    // Private/deleted uploads are simply missing from videos.list
+                    const videos = await this.getVideosDetails(pageIds)
+                    totalQuotaUsed += 1
+                    allVideos.push(...videos)
+                }
+
+                nextPageToken = playlistResponse.data.nextPageToken
+
+                logger.info(`Fetched page ${pageCount}: ${pageIds.length} videos (Total: ${allVideos.length}/${maxResults}, Quota: ${totalQuotaUsed} units)`)
 
-            logger.info(`Fetching up to ${maxResults} videos from channel: ${channelId}`)
+            } while (nextPageToken && !reachedWatermark && allVideos.length < maxResults)
+
+            logger.info(`✅ Completed fetching ${allVideos.length} uploads across ${pageCount} page(s), used ${totalQuotaUsed} quota units`)
+
+            await dbOperations.logApiUsage(
+                'youtube',
+                `playlistItems.list + videos.list (${pageCount} pages)`,
+                'GET',
+                totalQuotaUsed,
+                200,
+                Date.now() - startTime
+            )
+
+            return allVideos
+
+        } catch (error) {
+            logger.error(`Error fetching uploads for channel ${channelId}:`, error.message)
+
+            await dbOperations.logApiUsage(
+                'youtube',
+                'playlistItems.list + videos.list',
+                'GET',
+                totalQuotaUsed,
+                error.response?.status || 500,
+                Date.now() - startTime,
+                error.message
+            )
+
+            throw error
+        }
+    }
+
+    /**
+     * Resolve (and cache) a channel's uploads playlist ID
+     * @returns {Promise<{id: string, cached: boolean}>}
+     */
+    async getUploadsPlaylistId(channelId) {
+        if (this.uploadsPlaylistCache.has(channelId)) {
+            return { id: this.uploadsPlaylistCache.get(channelId), cached: true }
+        }
+
+        const response = await this.youtube.channels.list({
+            part: ['contentDetails'],
+            id: [channelId]
+        })
+
+        this.updateQuotaUsage(1, 'channels.list') // channels.list costs 1 unit
+
+        const uploadsPlaylistId = response.data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads
+        if (!uploadsPlaylistId) {
+            throw Object.assign(new Error(`No uploads playlist for channel: ${channelId}`), { status: 404 })
+        }
+
+        this.uploadsPlaylistCache.set(channelId, uploadsPlaylistId)
+        return { id: uploadsPlaylistId, cached: false }
+    }
+
+    /**
+     * Fallback listing through search.list (100 units per page)
+     */
+    async searchChannelVideos(channelId, options = {}) {
+        const startTime = Date.now()
+
+        const {
+            maxResults = 500,
+            order = 'date',
+            publishedAfter = null,
+            publishedBefore = null
+        } = options
+
+        let totalQuotaUsed = 0
+        let pageCount = 0
+
+        try {
+            logger.info(`Searching up to ${maxResults} videos from channel: ${channelId}`)
 
             let allVideos = []
             let nextPageToken = null
             let totalFetched = 0
-            let pageCount = 0
-            let totalQuotaUsed = 0
 
             // Loop to fetch all pages until we reach maxResults or no more pages
             do {
@@ -280,7 +602,7 @@ class YouTubeService {
                 logger.info(`Fetching page ${pageCount} (${pageSize} videos)...`)
 
                 const searchResponse = await this.youtube.search.list(searchParams)
-                this.updateQuotaUsage(100) // search.list costs 100 units
+                this.updateQuotaUsage(100, 'search.list') // search.list costs 100 units
                 totalQuotaUsed += 100
 
                 if (!searchResponse.data.items || searchResponse.data.items.length === 0) {
@@ -288,36 +610,11 @@ class YouTubeService {
                     break
                 }
 
-                // Get video IDs for detailed info
-                const videoIds = searchResponse.data.items.map(item => item.id.videoId)
-
                 // Get detailed video information
-                const videosResponse = await this.youtube.videos.list({
-                    part: ['snippet', 'contentDetails', 'status', 'statistics'],
-                    id: videoIds
-                })
-
-                this.updateQuotaUsage(1) // videos.list costs 1 unit
+                const videoIds = searchResponse.data.items.map(item => item.id.videoId)
+                const videos = await this.getVideosDetails(videoIds)
                 totalQuotaUsed += 1
 
-                // Map video data
-                const videos = videosResponse.data.items.map(video => ({
-                    id: video.id,
-                    title: video.snippet.title,
-                    description: video.snippet.description,
-                    channelId: video.snippet.channelId,
-                    channelTitle: video.snippet.channelTitle,
-                    publishedAt: video.snippet.publishedAt,
-                    thumbnails: video.snippet.thumbnails,
-                    duration: video.contentDetails.duration,
-                    embeddable: video.status.embeddable,
-                    uploadStatus: video.status.uploadStatus,
-                    privacyStatus: video.status.privacyStatus,
-                    viewCount: parseInt(video.statistics.viewCount) || 0,
-                    likeCount: parseInt(video.statistics.likeCount) || 0,
-                    commentCount: parseInt(video.statistics.commentCount) || 0
-                }))
-
                 allVideos.push(...videos)
                 totalFetched += videos.length
 
@@ -352,7 +649,7 @@ class YouTubeService {
                 'youtube',
                 'search.list + videos.list',
                 'GET',
-                0,
+                totalQuotaUsed,
                 error.response?.status || 500,
                 Date.now() - startTime,
                 error.message
@@ -362,6 +659,37 @@ class YouTubeService {
         }
     }
 
+    /**
+     * Fetch details for up to 50 videos in one videos.list call (1 unit)
+     * @param {Array<string>} videoIds - YouTube video IDs
+     * @returns {Promise<Array>} Mapped videos
+     */
+    async getVideosDetails(videoIds) {
+        const videosResponse = await this.youtube.videos.list({
+            part: ['snippet', 'contentDetails', 'status', 'statistics'],
+            id: videoIds
+        })
+
+        this.updateQuotaUsage(1, 'videos.list') // videos.list costs 1 unit
+
+        return (videosResponse.data.items || []).map(video => ({
+            id: video.id,
+            title: video.snippet.title,
+            description: video.snippet.description,
+            channelId: video.snippet.channelId,
+            channelTitle: video.snippet.channelTitle,
+            publishedAt: video.snippet.publishedAt,
+            thumbnails: video.snippet.thumbnails,
+            duration: video.contentDetails.duration,
+            embeddable: video.status.embeddable,
+            uploadStatus: video.status.uploadStatus,
+            privacyStatus: video.status.privacyStatus,
+            viewCount: parseInt(video.statistics.viewCount) || 0,
+            likeCount: parseInt(video.statistics.likeCount) || 0,
+            commentCount: parseInt(video.statistics.commentCount) || 0
+        }))
+    }
+
     async resolveChannelIdentifier(identifier) {
         const startTime = Date.now()
 
@@ -412,7 +740,7 @@ class YouTubeService {
                 maxResults: 5
             })
 
-            this.updateQuotaUsage(100) // search.list costs 100 units
+            this.updateQuotaUsage(100, 'search.list') // search.list costs 100 units
 
             await dbOperations.logApiUsage(
                 'youtube',
@@ -473,7 +801,7 @@ class YouTubeService {
                 id: [channelId]
             })
 
-            this.updateQuotaUsage(1) // channels.list costs 1 unit
+            this.updateQuotaUsage(1, 'channels.list') // channels.list costs 1 unit
 
             await dbOperations.logApiUsage(
                 'youtube',
@@ -0,0 +1,28 @@
+/**
+ * Escape LIKE wildcards (%, _) and the escape character itself, so user input
+ * is matched literally inside a LIKE/ILIKE pattern
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&')
+}
+
+/**
+ * Regular expression for a LIKE pattern: % and _ are wildcards unless escaped
+ * with a backslash, as in Postgres
+ *
+ * @param {string} pattern - LIKE pattern
+ * @param {boolean} ignoreCase - true for ILIKE
+ * @returns {RegExp}
+ */
+export function likeToRegExp(pattern, ignoreCase = false) {
+    const source = String(pattern).replace(/\\([\s\S])|([%_])|([.*+?^${}()|[\]\\])/g, (match, escaped, wildcard, special) => {
+        if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        if (wildcard !== undefined) return wildcard === '%' ? '[\\s\\S]*' : '[\\s\\S]'
+        return `\\${special}`
+    })
+
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '')
+}
@@ -0,0 +1,1436 @@
+import crypto from 'crypto'
+import { findBestMatch } from '../utils/titleMatcher.js'
+import { GROUP_VERSION_FIELDS } from './repository.js'
+import { likeToRegExp } from './likePattern.js'
+
+/**
+ * In-Memory Repository
+ *
+ * Implements the storage repository interface (see repository.js) with plain
+ * Maps and arrays, following the same defaults, ordering and error codes as
+ * the Supabase implementation. Used with STORAGE_ADAPTER=memory and in tests:
+ *
+ *   const repository = new MemoryRepository()
+ *   repository.seed({ channels: [...], movies: [...] })
+ *
+ * Rows are copied on the way in and out, so callers can't mutate the store.
+ */
+
+export function notFound(message = 'JSON object requested, multiple (or no) rows returned') {
+    return Object.assign(new Error(message), { code: 'PGRST116' })
+}
+
+export function uniqueViolation(constraint) {
+    return Object.assign(new Error(`duplicate key value violates unique constraint "${constraint}"`), { code: '23505' })
+}
+
+export function copy(value) {
+    return value === undefined ? undefined : structuredClone(value)
+}
+
+export function now() {
+    return new Date().toISOString()
+}
+
+/**
+ * Postgres ordering: ascending puts NULLs last, descending puts them first
+ */
+export function compareBy(field, ascending = true) {
+    return (a, b) => {
+        const left = a[field]
+        const right = b[field]
+
+        if (left === right) return 0
+        if (left === null || left === undefined) return ascending ? 1 : -1
+        if (right === null || right === undefined) return ascending ? -1 : 1
+
+        const result = left < right ? -1 : 1
+        return ascending ? result : -result
+    }
+}
+
+function page(rows, limit, offset = 0) {
+    return limit ? rows.slice(offset, offset + limit) : rows.slice(offset)
+}
+
+// Milliseconds for a stored or ISO timestamp; formats differ, so never compare the strings
+function time(value) {
+    return new Date(value).getTime()
+}
+
+export class MemoryRepository {
+    constructor(data = {}) {
+        this.reset()
+        this.seed(data)
+    }
+
+    /**
+     * Remove all data
+     */
+    reset() {
+        this.tables = {
+            movies: new Map(),
+            channels: new Map(),
+            genres: new Map(),
+            movie_genres: [],
+            movie_people: [],
+            movie_groups: new Map(),
+            curation_jobs: new Map(),
+            user_favorites: [],
+            watch_history: [],
+            api_usage: [],
+            api_quota_usage: new Map()
+        }
+
+        // Access token → user, for the offline auth client
+        this.sessions = new Map()
+    }
+
+    /**
+     * Load rows keyed by table name (same names as the Supabase tables)
+     *
+     * @param {Object} data - e.g. { movies: [...], channels: [...], sessions: { token: user } }
+     */
+    seed(data = {}) {
+        for (const [table, rows] of Object.entries(data)) {
+            if (table === 'sessions') {
+                for (const [token, user] of Object.entries(rows)) {
+                    this.sessions.set(token, copy(user))
+                }
+                continue
+            }
+
+            const store = this.table(table)
+
+            for (const row of rows) {
+                const record = { ...copy(row) }
+
+                if (store instanceof Map) {
+                    record.id = record.id || crypto.randomUUID()
+                    store.set(record.id, record)
+                } else {
+                    store.push(record)
+                }
+            }
+        }
+    }
+
+    /**
+     * Rows of a table; tables the repository doesn't model itself (e.g.
+     * library_tombstones) are created on first use
+     *
+     * @param {string} name - Supabase table name
+     * @returns {Map|Array} Map keyed by id, or an array of rows
+     */
+    table(name) {
+        if (!this.tables[name]) {
+            this.tables[name] = []
+        }
+
+        return this.tables[name]
+    }
+
+    /**
+     * Add a row to an array table, with a generated id and timestamps
+     *
+     * @param {string} name - Table name
+     * @param {Object} data - Column values
+     * @param {Object} defaults - Column defaults the values override
+     * @returns {Object} The stored row (not a copy)
+     */
+    insertRow(name, data, defaults = {}) {
+        const timestamp = now()
+        const row = {
+            id: crypto.randomUUID(),
+            created_at: timestamp,
+            updated_at: timestamp,
+            ...defaults,
+            ...copy(data)
+        }
+
+        this.table(name).push(row)
+        return row
+    }
+
+    /**
+     * Remove the rows of an array table that match
+     *
+     * @returns {Array} The removed rows
+     */
+    deleteRows(name, predicate) {
+        const rows = this.table(name)
+        this.tables[name] = rows.filter(row => !predicate(row))
+
+        return rows.filter(predicate)
+    }
+
+    async ping() {
+        return true
+    }
+
+    // =============================================================================
+    // MOVIES
+    // =============================================================================
+
+    flattenMovie(movie) {
+        const channel = this.tables.channels.get(movie.channel_id)
+
+        return {
+            ...copy(movie),
+            channel_title: channel?.title || null,
+            channel_thumbnail: channel?.thumbnail_url || null,
+            genres: this.getGenresForMovie(movie.id)
+        }
+    }
+
+    getGenresForMovie(movieId) {
+        return this.tables.movie_genres
+            .filter(link => link.movie_id === movieId)
+            .map(link => this.tables.genres.get(link.genre_id))
+            .filter(Boolean)
+            .map(genre => copy(genre))
+    }
+
+    async getMovies(filters = {}, limit = 20, offset = 0) {
+        let movies = [...this.tables.movies.values()].filter(movie => movie.is_available)
+
+        if (filters.category) {
+            movies = movies.filter(movie => (movie.categories || [movie.category]).includes(filters.category))
+        }
+
+        if (filters.featured) {
+            movies = movies.filter(movie => movie.featured === true)
+        }
+
+        if (filters.trending) {
+            movies = movies.filter(movie => movie.trending === true)
+        }
+
+        if (filters.channelId) {
+            movies = movies.filter(movie => movie.channel_id === filters.channelId)
+        }
+
+        if (filters.search) {
+            // Every word must appear, like the "a & b" full-text query
+            const words = filters.search.toLowerCase().trim().split(/\s+/).filter(Boolean)
+            movies = movies.filter(movie => {
+                const text = `${movie.title || ''} ${movie.original_title || ''} ${movie.description || ''}`.toLowerCase()
+                return words.every(word => text.includes(word))
+            })
+        }
+
+        movies.sort(compareBy(filters.sortBy || 'added_at', (filters.sortOrder || 'desc') === 'asc'))
+
+        return {
+            movies: page(movies, limit, offset).map(movie => this.flattenMovie(movie)),
+            total: movies.length,
+            limit,
+            offset
+        }
+    }
+
+    async getMovieById(id) {
+        const movie = this.tables.movies.get(id)
+        if (!movie) throw notFound()
+
+        return {
+            ...this.flattenMovie(movie),
+            movie_people: copy(this.tables.movie_people.filter(person => person.movie_id === id))
+        }
+    }
+
+    async getMovieByYouTubeId(youtubeVideoId) {
+        const movie = [...this.tables.movies.values()].find(m => m.youtube_video_id === youtubeVideoId)
+        if (!movie) throw notFound()
+
+        return this.flattenMovie(movie)
+    }
+
+    async getMoviesByIds(ids) {
+        if (!ids || ids.length === 0) {
+            return []
+        }
+
+        return ids
+            .map(id => this.tables.movies.get(id))
+            .filter(movie => movie && movie.is_available)
+            .map(movie => this.flattenMovie(movie))
+    }
+
+    async createMovie(movieData) {
+        const duplicate = [...this.tables.movies.values()].some(m => m.youtube_video_id === movieData.youtube_video_id)
+        if (duplicate) throw uniqueViolation('movies_youtube_video_id_key')
+
+        const timestamp = now()
+        const movie = {
+            id: crypto.randomUUID(),
+            is_available: true,
+            featured: false,
+            trending: false,
+            is_primary: false,
+            quality_score: 0,
+            added_at: timestamp,
+            created_at: timestamp,
+            updated_at: timestamp,
+            ...copy(movieData)
+        }
+
+        this.tables.movies.set(movie.id, movie)
+        return copy(movie)
+    }
+
+    async updateMovie(id, updateData) {
+        const movie = this.tables.movies.get(id)
+        if (!movie) throw notFound()
+
+        Object.assign(movie, copy(updateData), { updated_at: now() })
+        return copy(movie)
+    }
+
+    async updateMovieStats(youtubeVideoId, stats) {
+        const timestamp = now()
+
+        return [...this.tables.movies.values()]
+            .filter(movie => movie.youtube_video_id === youtubeVideoId)
+            .map(movie => {
+                Object.assign(movie, {
+                    view_count: stats.viewCount,
+                    like_count: stats.likeCount,
+                    comment_count: stats.commentCount,
+                    last_validated: timestamp,
+                    updated_at: timestamp
+                })
+                return copy(movie)
+            })
+    }
+
+    async getMoviesForTitleCleaning({ channelId = null, limit = null, belowVersion = null } = {}) {
+        let movies = [...this.tables.movies.values()]
+
+        if (channelId) {
+            movies = movies.filter(movie => movie.channel_id === channelId)
+        }
+
+        if (belowVersion) {
+            movies = movies.filter(movie => movie.title_rules_version == null || movie.title_rules_version < belowVersion)
+        }
+
+        return movies
+            .slice(0, limit || movies.length)
+            .map(({ id, title, original_title, channel_id, title_rules_version = null, locked_fields = [] }) =>
+                ({ id, title, original_title, channel_id, title_rules_version, locked_fields: copy(locked_fields) }))
+    }
+
+    async getMoviesForRecategorization({ channelId = null, afterId = null, limit = 200 } = {}) {
+        return [...this.tables.movies.values()]
+            .filter(movie => !channelId || movie.channel_id === channelId)
+            .filter(movie => !afterId || movie.id > afterId)
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+            .slice(0, limit)
+            .map(movie => ({
+                id: movie.id,
+                title: movie.title,
+                description: movie.description ?? null,
+                category: movie.category ?? null,
+                categories: copy(movie.categories) ?? null,
+                category_source: movie.category_source ?? null,
+                omdb_genres: movie.omdb_genres ?? null,
+                release_date: movie.release_date ?? null,
+                published_at: movie.published_at ?? null,
+                locked_fields: copy(movie.locked_fields) ?? [],
+                genres: this.getGenresForMovie(movie.id)
+            }))
+    }
+
+    async getMoviesForEnrichment({ source = 'tmdb', channelId = null, afterId = null, limit = 50 } = {}) {
+        return [...this.tables.movies.values()]
+            .filter(movie => movie.tmdb_id == null && (source !== 'omdb' || movie.imdb_id == null))
+            .filter(movie => !channelId || movie.channel_id === channelId)
+            .filter(movie => !afterId || movie.id > afterId)
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+            .slice(0, limit)
+            .map(movie => copy(movie))
+    }
+
+    async getTopRatedMovies(minVotes = 10, limit = 50, offset = 0) {
+        const movies = [...this.tables.movies.values()]
+            .filter(movie => movie.is_available && movie.vote_average != null && movie.vote_count >= minVotes)
+            .sort(compareBy('vote_average', false))
+
+        return {
+            movies: page(movies, limit, offset).map(movie => this.flattenMovie(movie)),
+            total: movies.length,
+            limit,
+            offset
+        }
+    }
+
+    async updateMovies(movieIds, updateData) {
+        const timestamp = now()
+
+        for (const id of movieIds) {
+            const movie = this.tables.movies.get(id)
+            if (movie) Object.assign(movie, copy(updateData), { updated_at: timestamp })
+        }
+    }
+
+    async getMovieIdsByGenres(genreIds, limit = 2000) {
+        return this.tables.movie_genres
+            .filter(link => genreIds.includes(link.genre_id))
+            .slice(0, limit)
+            .map(link => link.movie_id)
+    }
+
+    async getMovieIdsByPeople(directors, actors, limit = 200) {
+        const names = people => people.map(name => name.toLowerCase())
+        const mentions = (field, people) => people.some(name => (field || '').toLowerCase().includes(name))
+        const [directorNames, actorNames] = [names(directors), names(actors)]
+
+        return [...this.tables.movies.values()]
+            .filter(movie => movie.is_available)
+            .filter(movie => mentions(movie.director, directorNames) || mentions(movie.actors, actorNames))
+            .slice(0, limit)
+            .map(movie => movie.id)
+    }
+
+    async getCatalogCounts() {
+        const movies = [...this.tables.movies.values()]
+
+        return {
+            movies: {
+                total: movies.length,
+                available: movies.filter(movie => movie.is_available).length,
+                featured: movies.filter(movie => movie.featured === true).length
+            },
+            channels: this.tables.channels.size
+        }
+    }
+
+    async getMoviesForValidation(limit = 9000, validatedBefore = null) {
+        // Never validated first, like ORDER BY last_validated NULLS FIRST
+        const neverValidatedFirst = (a, b) =>
+            (a.last_validated != null) - (b.last_validated != null) || compareBy('last_validated')(a, b)
+
+        return [...this.tables.movies.values()]
+            .filter(movie => movie.is_available)
+            .filter(movie => !validatedBefore || movie.last_validated == null || time(movie.last_validated) < time(validatedBefore))
+            .sort(neverValidatedFirst)
+            .slice(0, limit)
+            .map(({ id, youtube_video_id, title, movie_group_id = null, is_primary, last_validated = null }) =>
+                ({ id, youtube_video_id, title, movie_group_id, is_primary, last_validated }))
+    }
+
+    // =============================================================================
+    // CHANNELS
+    // =============================================================================
+
+    countAvailableMovies(channelId) {
+        return [...this.tables.movies.values()]
+            .filter(movie => movie.channel_id === channelId && movie.is_available)
+            .length
+    }
+
+    async getChannels(limit = 50, offset = 0) {
+        const channels = [...this.tables.channels.values()].sort(compareBy('subscriber_count', false))
+        return copy(page(channels, limit, offset))
+    }
+
+    async getChannelsWithCounts(limit = 50, offset = 0, sortBy = 'subscriber_count', sortOrder = 'desc') {
+        const channels = [...this.tables.channels.values()].sort(compareBy(sortBy, sortOrder === 'asc'))
+
+        return {
+            channels: page(channels, limit, offset).map(channel => ({
+                ...copy(channel),
+                movie_count: this.countAvailableMovies(channel.id)
+            })),
+            total: channels.length,
+            limit,
+            offset
+        }
+    }
+
+    async getChannelWithMovieCount(channelId) {
+        const channel = this.tables.channels.get(channelId)
+        if (!channel) return null
+
+        return {
+            ...copy(channel),
+            movie_count: this.countAvailableMovies(channelId)
+        }
+    }
+
+    async getChannelById(channelId) {
+        const channel = this.tables.channels.get(channelId)
+        if (!channel) throw notFound()
+
+        return copy(channel)
+    }
+
+    async createChannel(channelData) {
+        if (this.tables.channels.has(channelData.id)) {
+            throw uniqueViolation('channels_pkey')
+        }
+
+        const timestamp = now()
+        const channel = {
+            created_at: timestamp,
+            updated_at: timestamp,
+            ...copy(channelData)
+        }
+
+        this.tables.channels.set(channel.id, channel)
+        return copy(channel)
+    }
+
+    async updateChannel(channelId, updateData) {
+        const channel = this.tables.channels.get(channelId)
+        if (!channel) throw notFound()
+
+        Object.assign(channel, copy(updateData), { updated_at: now() })
+        return copy(channel)
+    }
+
+    async deleteChannel(channelId) {
+        const movieIds = [...this.tables.movies.values()]
+            .filter(movie => movie.channel_id === channelId)
+            .map(movie => movie.id)
+
+        movieIds.forEach(id => this.tables.movies.delete(id))
+        this.tables.movie_genres = this.tables.movie_genres.filter(link => !movieIds.includes(link.movie_id))
+        this.tables.channels.delete(channelId)
+
+        return movieIds.length
+    }
+
+    // =============================================================================
+    // GENRES
+    // =============================================================================
+
+    async getGenres() {
+        return copy([...this.tables.genres.values()].sort(compareBy('name')))
+    }
+
+    async getGenresWithCounts() {
+        return [...this.tables.genres.values()]
+            .sort(compareBy('name'))
+            .map(genre => ({
+                id: genre.id,
+                name: genre.name,
+                movie_count: this.tables.movie_genres.filter(link => link.genre_id === genre.id).length
+            }))
+    }
+
+    async getGenreById(genreId) {
+        const genre = this.tables.genres.get(genreId)
+        if (!genre) return null
+
+        return {
+            id: genre.id,
+            name: genre.name,
+            movie_count: this.tables.movie_genres.filter(link => link.genre_id === genre.id).length
+        }
+    }
+
+    async getMoviesByGenre(genreId, limit = 20, offset = 0, sortBy = 'view_count', sortOrder = 'desc') {
+        const movies = this.tables.movie_genres
+            .filter(link => link.genre_id === genreId)
+            .map(link => this.tables.movies.get(link.movie_id))
+            .filter(movie => movie && movie.is_available)
+            .sort(compareBy(sortBy, sortOrder === 'asc'))
+
+        return {
+            movies: page(movies, limit, offset).map(movie => this.flattenMovie(movie)),
+            total: movies.length,
+            limit,
+            offset
+        }
+    }
+
+    async upsertGenres(genres) {
+        if (!genres || genres.length === 0) return []
+
+        return genres.map(genre => {
+            const row = {
+                ...(this.tables.genres.get(genre.id) || {}),
+                id: genre.id,
+                name: genre.name
+            }
+            this.tables.genres.set(genre.id, row)
+            return copy(row)
+        })
+    }
+
+    async addMovieGenres(movieId, genreIds) {
+        for (const genreId of genreIds || []) {
+            const exists = this.tables.movie_genres
+                .some(link => link.movie_id === movieId && link.genre_id === genreId)
+
+            if (!exists) {
+                this.tables.movie_genres.push({ movie_id: movieId, genre_id: genreId })
+            }
+        }
+    }
+
+    // =============================================================================
+    // MOVIE GROUPS
+    // =============================================================================
+
+    async getMovieGroups({ limit = 20, offset = 0, search = null } = {}) {
+        const groups = [...this.tables.movie_groups.values()]
+            .filter(group => !search || (group.canonical_title || '').toLowerCase().includes(search.toLowerCase()))
+            .sort(compareBy('updated_at', false))
+
+        const versions = groupId => [...this.tables.movies.values()]
+            .filter(movie => movie.movie_group_id === groupId)
+            .map(movie => Object.fromEntries(GROUP_VERSION_FIELDS.map(field => [field, copy(movie[field]) ?? null])))
+
+        return {
+            groups: page(groups, limit, offset).map(group => ({ ...copy(group), versions: versions(group.id) })),
+            total: groups.length
+        }
+    }
+
+    async getMovieGroupById(groupId) {
+        return copy(this.tables.movie_groups.get(groupId)) || null
+    }
+
+    async getMovieGroupByTmdbId(tmdbId) {
+        const group = [...this.tables.movie_groups.values()].find(g => g.tmdb_id === tmdbId)
+        return copy(group) || null
+    }
+
+    async createMovieGroup(groupData) {
+        if (groupData.tmdb_id && [...this.tables.movie_groups.values()].some(g => g.tmdb_id === groupData.tmdb_id)) {
+            throw uniqueViolation('movie_groups_tmdb_id_key')
+        }
+
+        const timestamp = now()
+        const group = {
+            id: crypto.randomUUID(),
+            tmdb_id: null,
+            release_year: null,
+            created_at: timestamp,
+            updated_at: timestamp,
+            ...copy(groupData)
+        }
+
+        this.tables.movie_groups.set(group.id, group)
+        return copy(group)
+    }
+
+    async updateMovieGroup(groupId, updateData) {
+        const group = this.tables.movie_groups.get(groupId)
+        if (!group) throw notFound()
+
+        Object.assign(group, copy(updateData), { updated_at: now() })
+        return copy(group)
+    }
+
+    // Failover events and admin alerts cascade-delete with their group
+    async deleteMovieGroup(groupId) {
+        this.tables.movie_groups.delete(groupId)
+        this.deleteRows('failover_events', event => event.movie_group_id === groupId)
+        this.deleteRows('admin_alerts', alert => alert.movie_group_id === groupId)
+    }
+
+    async reassignMovieGroupReferences(fromGroupId, toGroupId) {
+        for (const name of ['failover_events', 'admin_alerts']) {
+            this.table(name)
+                .filter(row => row.movie_group_id === fromGroupId)
+                .forEach(row => { row.movie_group_id = toGroupId })
+        }
+    }
+
+
+    async findSimilarMovieGroups({ title, year = null, yearTolerance = 1, threshold = 0.7 }) {
+        const match = findBestMatch(title, [...this.tables.movie_groups.values()], {
+            year,
+            yearTolerance,
+            threshold
+        })
+
+        return match ? [copy(match)] : []
+    }
+
+    async getMovieGroupCandidates(year = null, yearTolerance = 1, limit = 1000, offset = 0) {
+        const groups = [...this.tables.movie_groups.values()]
+            .filter(group => !year || group.release_year === null || group.release_year === undefined ||
+                Math.abs(group.release_year - year) <= yearTolerance)
+            .sort(compareBy('created_at'))
+
+        return copy(page(groups, limit, offset))
+    }
+
+    async getMovieVersions(groupId) {
+        const movies = [...this.tables.movies.values()]
+            .filter(movie => movie.movie_group_id === groupId)
+            .sort((a, b) => compareBy('is_primary', false)(a, b) || compareBy('quality_score', false)(a, b))
+
+        return copy(movies)
+    }
+
+    async getPrimaryMovie(groupId) {
+        const primary = [...this.tables.movies.values()]
+            .filter(movie => movie.movie_group_id === groupId && movie.is_primary)
+            .sort(compareBy('quality_score', false))[0]
+
+        return primary ? { id: primary.id, quality_score: primary.quality_score } : null
+    }
+    async getMovieGroupAuditLog(groupId, limit = 50) {
+        // Insertion order breaks ties between entries written in the same millisecond
+        const entries = this.table('movie_group_audit_log')
+            .filter(entry => entry.movie_group_id === groupId || entry.related_group_id === groupId)
+            .reverse()
+            .sort(compareBy('created_at', false))
+
+        return copy(page(entries, limit))
+    }
+
+    async addMovieGroupAuditEntry(entry) {
+        return copy(this.insertRow('movie_group_audit_log', entry))
+    }
+
+    // =============================================================================
+    // LINK VALIDATION AND FAILOVER
+    // =============================================================================
+
+    async logValidationFailure(failure) {
+        this.insertRow('validation_failures', failure, { detected_at: now() })
+    }
+
+    async logFailoverEvent(event) {
+        this.insertRow('failover_events', event, { triggered_at: now() })
+    }
+
+    async getFailoverEvents(groupId, limit = 20) {
+        const events = this.table('failover_events')
+            .filter(event => event.movie_group_id === groupId)
+            .sort(compareBy('triggered_at', false))
+
+        return copy(page(events, limit))
+    }
+
+    async createAdminAlert(alert) {
+        this.insertRow('admin_alerts', alert, { resolved: false })
+    }
+
+    async logValidationRun(run) {
+        this.insertRow('validation_runs', run)
+    }
+
+    async getValidationRuns(limit = 30) {
+        return copy(page([...this.table('validation_runs')].sort(compareBy('run_date', false)), limit))
+    }
+
+    async purgeValidationHistory(createdBefore, resolvedBefore) {
+        const before = (value, limit) => value != null && time(value) < time(limit)
+
+        return {
+            failuresDeleted: this.deleteRows('validation_failures', row => before(row.created_at, createdBefore)).length,
+            runsDeleted: this.deleteRows('validation_runs', row => before(row.created_at, createdBefore)).length,
+            alertsDeleted: this.deleteRows('admin_alerts', row => row.resolved === true && before(row.resolved_at, resolvedBefore)).length
+        }
+    }
+
+    async getChannelValidationStats(channelId, since) {
+        const fromChannel = movieId => this.tables.movies.get(movieId)?.channel_id === channelId
+        const recent = value => value != null && time(value) >= time(since)
+
+        return {
+            movies: [...this.tables.movies.values()].filter(movie => movie.channel_id === channelId).length,
+            failureReasons: this.table('validation_failures')
+                .filter(failure => fromChannel(failure.movie_id) && recent(failure.detected_at))
+                .map(failure => failure.failure_reason),
+            failovers: this.table('failover_events')
+                .filter(event => fromChannel(event.old_primary_id) && recent(event.triggered_at))
+                .length
+        }
+    }
+
+    // =============================================================================
+    // FAVORITES AND HISTORY
+    // =============================================================================
+
+    // Content is identified by movie_id, series_id or episode_id, by content type
+    findContent(name, userId, contentType, contentId) {
+        return this.table(name).find(row => row.user_id === userId && row[`${contentType}_id`] === contentId)
+    }
+
+    async getUserFavorites(userId, { limit = 100, offset = 0, contentType = null, orderBy = 'priority' } = {}) {
+        const byPriority = compareBy('priority')
+        const newest = compareBy('added_at', false)
+
+        const favorites = this.tables.user_favorites
+            .filter(favorite => favorite.user_id === userId)
+            .filter(favorite => !contentType || favorite.content_type === contentType)
+            .sort((a, b) => (orderBy === 'priority' && byPriority(a, b)) || newest(a, b))
+
+        return {
+            favorites: copy(page(favorites, limit, offset)),
+            total: favorites.length
+        }
+    }
+
+    async getFavorite(userId, contentType, contentId) {
+        return copy(this.findContent('user_favorites', userId, contentType, contentId)) || null
+    }
+
+    async addToFavorites(favoriteData) {
+        const { user_id: userId, movie_id: movieId, series_id: seriesId } = favoriteData
+
+        if ((movieId && this.findContent('user_favorites', userId, 'movie', movieId)) ||
+            (seriesId && this.findContent('user_favorites', userId, 'series', seriesId))) {
+            throw uniqueViolation('user_favorites_user_content_key')
+        }
+
+        return copy(this.insertRow('user_favorites', favoriteData, { priority: 0, added_at: now() }))
+    }
+
+    async updateFavorite(userId, favoriteId, updateData) {
+        const favorite = this.tables.user_favorites.find(f => f.id === favoriteId && f.user_id === userId)
+        if (!favorite) return null
+
+        Object.assign(favorite, copy(updateData), { updated_at: now() })
+        return copy(favorite)
+    }
+
+    async removeFromFavorites(userId, contentType, contentId) {
+        this.deleteRows('user_favorites', f => f.user_id === userId && f[`${contentType}_id`] === contentId)
+        return true
+    }
+
+    async getWatchHistory(userId, { limit = 100, offset = 0, since = null, contentType = null } = {}) {
+        const history = this.tables.watch_history
+            .filter(entry => entry.user_id === userId)
+            .filter(entry => !since || time(entry.last_watched_at) >= time(since))
+            .filter(entry => !contentType || entry.content_type === contentType)
+            .sort(compareBy('last_watched_at', false))
+
+        return {
+            history: copy(page(history, limit, offset)),
+            total: history.length
+        }
+    }
+
+    async getWatchHistoryItem(userId, contentType, contentId) {
+        return copy(this.findContent('watch_history', userId, contentType, contentId)) || null
+    }
+
+    async getContinueWatching(userId, limit = 20) {
+        const items = this.tables.watch_history
+            .filter(entry => entry.user_id === userId && entry.is_finished === false && entry.position_seconds > 0)
+            .sort(compareBy('last_watched_at', false))
+
+        return copy(page(items, limit))
+    }
+
+    async addToWatchHistory(historyData) {
+        const { user_id: userId, movie_id: movieId, episode_id: episodeId } = historyData
+
+        if ((movieId && this.findContent('watch_history', userId, 'movie', movieId)) ||
+            (episodeId && this.findContent('watch_history', userId, 'episode', episodeId))) {
+            throw uniqueViolation('watch_history_user_content_key')
+        }
+
+        const timestamp = now()
+        return copy(this.insertRow('watch_history', historyData, {
+            watch_count: 1,
+            first_watched_at: timestamp,
+            last_watched_at: timestamp,
+            position_seconds: 0,
+            percent_watched: 0,
+            is_finished: false
+        }))
+    }
+
+    async updateWatchHistory(historyId, updateData) {
+        const entry = this.tables.watch_history.find(h => h.id === historyId)
+        if (!entry) throw notFound()
+
+        Object.assign(entry, copy(updateData), { updated_at: now() })
+        return copy(entry)
+    }
+
+    async removeFromWatchHistory(userId, contentType, contentId) {
+        this.deleteRows('watch_history', h => h.user_id === userId && h[`${contentType}_id`] === contentId)
+        return true
+    }
+
+    async clearWatchHistory(userId) {
+        return this.deleteRows('watch_history', h => h.user_id === userId)
+            .map(({ content_type, movie_id = null, episode_id = null }) => ({ content_type, movie_id, episode_id }))
+    }
+
+    // =============================================================================
+    // LIBRARY SYNC
+    // =============================================================================
+
+    async getLibraryChanges(userId, since, limit) {
+        const changed = name => page(this.table(name)
+            .filter(row => row.user_id === userId && (!since || time(row.updated_at) > time(since)))
+            .sort(compareBy('updated_at')), limit)
+
+        return {
+            favorites: copy(changed('user_favorites')),
+            history: copy(changed('watch_history')),
+            tombstones: changed('library_tombstones')
+                .map(({ entity, content_type, content_id, deleted_at, updated_at }) =>
+                    ({ entity, content_type, content_id, deleted_at, updated_at }))
+        }
+    }
+
+    findTombstone(userId, entity, contentType, contentId) {
+        return this.table('library_tombstones').find(t => t.user_id === userId && t.entity === entity &&
+            t.content_type === contentType && t.content_id === contentId)
+    }
+
+    async getLibraryTombstone(userId, entity, contentType, contentId) {
+        return copy(this.findTombstone(userId, entity, contentType, contentId)) || null
+    }
+
+    async upsertLibraryTombstones(tombstones) {
+        for (const tombstone of tombstones) {
+            const existing = this.findTombstone(tombstone.user_id, tombstone.entity, tombstone.content_type, tombstone.content_id)
+
+            if (existing) {
+                Object.assign(existing, copy(tombstone), { updated_at: tombstone.updated_at || now() })
+            } else {
+                this.insertRow('library_tombstones', tombstone, { deleted_at: now() })
+            }
+        }
+    }
+
+    async deleteLibraryTombstone(userId, entity, contentType, contentId) {
+        this.deleteRows('library_tombstones', t => t.user_id === userId && t.entity === entity &&
+            t.content_type === contentType && t.content_id === contentId)
+    }
+
+    async getSyncDevice(userId, deviceId) {
+        const device = this.table('user_sync_devices').find(d => d.user_id === userId && d.device_id === deviceId)
+        return copy(device) || null
+    }
+
+    async upsertSyncDevice(device) {
+        const existing = this.table('user_sync_devices').find(d => d.user_id === device.user_id && d.device_id === device.device_id)
+
+        if (existing) {
+            Object.assign(existing, copy(device), { updated_at: device.updated_at || now() })
+        } else {
+            this.insertRow('user_sync_devices', device)
+        }
+    }
+
+    // =============================================================================
+    // API USAGE
+    // =============================================================================
+
+    async logApiUsage(service, endpoint, method, quotaCost = 1, responseStatus = 200, responseTime = 0, error = null, cacheHit = false) {
+        this.tables.api_usage.push({
+            id: crypto.randomUUID(),
+            service,
+            endpoint,
+            method,
+            quota_cost: quotaCost,
+            response_status: responseStatus,
+            response_time_ms: responseTime,
+            error_message: error,
+            cache_hit: cacheHit,
+            created_at: now()
+        })
+
+        return null
+    }
+
+    async incrementApiQuotaUsage(date, apiKeyId, operation, units) {
+        const key = `${date}|${apiKeyId}|${operation}`
+        const row = this.tables.api_quota_usage.get(key) || { date, api_key_id: apiKeyId, operation, units: 0 }
+
+        row.units += units
+        row.updated_at = now()
+        this.tables.api_quota_usage.set(key, row)
+
+        return [...this.tables.api_quota_usage.values()]
+            .filter(r => r.date === date && r.api_key_id === apiKeyId)
+            .reduce((sum, r) => sum + r.units, 0)
+    }
+
+    async getApiQuotaUsage(date) {
+        return [...this.tables.api_quota_usage.values()]
+            .filter(row => row.date === date)
+            .map(({ api_key_id, operation, units }) => ({ api_key_id, operation, units }))
+    }
+
+    // =============================================================================
+    // API RESPONSE CACHE
+    // =============================================================================
+
+    async getApiCacheEntry(cacheKey) {
+        const entry = this.table('api_response_cache')
+            .find(e => e.cache_key === cacheKey && time(e.expires_at) > Date.now())
+
+        return entry ? { response: copy(entry.response), expires_at: entry.expires_at } : null
+    }
+
+    async setApiCacheEntry(entry) {
+        const existing = this.table('api_response_cache').find(e => e.cache_key === entry.cache_key)
+
+        if (existing) {
+            Object.assign(existing, copy(entry), { updated_at: entry.updated_at || now() })
+        } else {
+            this.insertRow('api_response_cache', entry)
+        }
+    }
+
+    async getApiCacheStats(service, since) {
+        const entries = this.table('api_response_cache').filter(entry => entry.service === service)
+        const requests = this.tables.api_usage
+            .filter(usage => usage.service === service && time(usage.created_at) >= time(since))
+
+        return {
+            entries: entries.length,
+            expired: entries.filter(entry => time(entry.expires_at) <= Date.now()).length,
+            requests: requests.length,
+            cacheHits: requests.filter(usage => usage.cache_hit === true).length
+        }
+    }
+
+    async findApiCacheKeys(pattern, { service = null, expired = false } = {}) {
+        const matcher = likeToRegExp(pattern, true)
+
+        return this.table('api_response_cache')
+            .filter(entry => matcher.test(entry.cache_key))
+            .filter(entry => !service || entry.service === service)
+            .filter(entry => !expired || time(entry.expires_at) <= Date.now())
+            .map(entry => entry.cache_key)
+    }
+
+    async deleteApiCacheEntries(cacheKeys) {
+        this.deleteRows('api_response_cache', entry => cacheKeys.includes(entry.cache_key))
+    }
+
+    // =============================================================================
+    // ENRICHMENT REVIEW QUEUE, REPORTS AND EDIT HISTORY
+    // =============================================================================
+
+    async createReviewQueueItem(entry) {
+        return copy(this.insertRow('enrichment_review_queue', { ...entry, status: 'pending' }))
+    }
+
+    async updateReviewQueueItem(itemId, updateData) {
+        const item = this.table('enrichment_review_queue').find(i => i.id === itemId)
+        if (!item) throw notFound()
+
+        Object.assign(item, copy(updateData), { updated_at: now() })
+        return copy(item)
+    }
+
+    async getReviewQueueItems({ status = 'pending', limit = 20, offset = 0 } = {}) {
+        const items = this.table('enrichment_review_queue')
+            .filter(item => item.status === status)
+            .sort(compareBy('created_at'))
+
+        return {
+            items: copy(page(items, limit, offset)),
+            total: items.length
+        }
+    }
+
+    async getReviewQueueItem(itemId) {
+        return copy(this.table('enrichment_review_queue').find(item => item.id === itemId)) || null
+    }
+
+    async getPendingReviewQueueItem(movieId) {
+        const item = this.table('enrichment_review_queue')
+            .find(i => i.movie_id === movieId && i.status === 'pending')
+
+        return copy(item) || null
+    }
+
+    async saveEnrichmentChanges(rows) {
+        for (const row of rows) {
+            const existing = this.table('enrichment_job_changes')
+                .find(change => change.job_id === row.job_id && change.movie_id === row.movie_id)
+
+            if (existing) {
+                Object.assign(existing, copy(row))
+            } else {
+                this.insertRow('enrichment_job_changes', row)
+            }
+        }
+    }
+
+    async getEnrichmentChanges(jobId) {
+        return copy(this.table('enrichment_job_changes')
+            .filter(change => change.job_id === jobId)
+            .sort(compareBy('movie_id')))
+    }
+
+    async addMovieEditHistory(entries) {
+        for (const entry of entries) {
+            this.insertRow('movie_edit_history', entry)
+        }
+    }
+
+    async getMovieEditHistory(movieId, limit = 50) {
+        // Insertion order breaks ties between entries written in the same millisecond
+        const history = this.table('movie_edit_history')
+            .filter(entry => entry.movie_id === movieId)
+            .reverse()
+            .sort(compareBy('created_at', false))
+
+        return copy(page(history, limit))
+    }
+
+    // =============================================================================
+    // TV SERIES
+    // =============================================================================
+
+    async getSeriesList(limit = 20, offset = 0) {
+        const series = [...this.table('tv_series')].sort(compareBy('created_at', false))
+
+        return {
+            series: copy(page(series, limit, offset)),
+            total: series.length
+        }
+    }
+
+    async getSeriesById(seriesId) {
+        const series = this.table('tv_series').find(s => s.id === seriesId)
+        if (!series) throw notFound()
+
+        return {
+            ...copy(series),
+            genres: this.table('series_genres')
+                .filter(link => link.series_id === seriesId)
+                .map(link => this.tables.genres.get(link.genre_id))
+                .filter(Boolean)
+                .map(({ id, name }) => ({ id, name })),
+            seasons: this.table('seasons')
+                .filter(season => season.series_id === seriesId)
+                .sort(compareBy('season_number'))
+                .map(({ id, season_number, title = null, episode_count = null, poster_path = null }) =>
+                    ({ id, season_number, title, episode_count, poster_path }))
+        }
+    }
+
+    async getSeriesByTmdbId(tmdbId) {
+        return copy(this.table('tv_series').find(series => series.tmdb_id === tmdbId)) || null
+    }
+
+    async createSeries(seriesData) {
+        if (seriesData.tmdb_id && this.table('tv_series').some(series => series.tmdb_id === seriesData.tmdb_id)) {
+            throw uniqueViolation('tv_series_tmdb_id_key')
+        }
+
+        return copy(this.insertRow('tv_series', seriesData, { is_available: false, featured: false, trending: false }))
+    }
+
+    async updateSeries(seriesId, updateData) {
+        const series = this.table('tv_series').find(s => s.id === seriesId)
+        if (!series) throw notFound()
+
+        Object.assign(series, copy(updateData), { updated_at: now() })
+        return copy(series)
+    }
+
+    async addSeriesGenres(seriesId, genres) {
+        for (const genre of genres || []) {
+            if (!this.tables.genres.has(genre.id)) {
+                this.tables.genres.set(genre.id, { id: genre.id, name: genre.name })
+            }
+
+            const links = this.table('series_genres')
+            if (!links.some(link => link.series_id === seriesId && link.genre_id === genre.id)) {
+                links.push({ series_id: seriesId, genre_id: genre.id })
+            }
+        }
+    }
+
+    async getSeason(seriesId, seasonNumber) {
+        const season = this.table('seasons').find(s => s.series_id === seriesId && s.season_number === seasonNumber)
+        return copy(season) || null
+    }
+
+    async createSeason(seasonData) {
+        return copy(this.insertRow('seasons', seasonData))
+    }
+
+    async getEpisodes(seriesId, { unlinkedOnly = false, limit = null } = {}) {
+        const episodes = this.table('episodes')
+            .filter(episode => episode.series_id === seriesId)
+            .filter(episode => !unlinkedOnly || episode.youtube_video_id == null)
+            .sort((a, b) => compareBy('season_number')(a, b) || compareBy('episode_number')(a, b))
+
+        return copy(page(episodes, limit))
+    }
+
+    async getEpisode(seriesId, seasonNumber, episodeNumber) {
+        const episode = this.table('episodes').find(e => e.series_id === seriesId &&
+            e.season_number === seasonNumber && e.episode_number === episodeNumber)
+
+        return copy(episode) || null
+    }
+
+    async getEpisodeByYouTubeId(youtubeVideoId) {
+        return copy(this.table('episodes').find(episode => episode.youtube_video_id === youtubeVideoId)) || null
+    }
+
+    async createEpisode(episodeData) {
+        return copy(this.insertRow('episodes', episodeData))
+    }
+
+    async updateEpisode(episodeId, updateData) {
+        const episode = this.table('episodes').find(e => e.id === episodeId)
+        if (!episode) throw notFound()
+
+        Object.assign(episode, copy(updateData), { updated_at: now() })
+        return copy(episode)
+    }
+
+    // =============================================================================
+    // CURATION JOBS
+    // =============================================================================
+
+    withChannel(job) {
+        const channel = this.tables.channels.get(job.channel_id)
+
+        return {
+            ...copy(job),
+            channels: channel ? { id: channel.id, title: channel.title } : null
+        }
+    }
+
+    updateJob(jobId, updateData) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job) throw notFound()
+
+        Object.assign(job, copy(updateData))
+        return copy(job)
+    }
+
+    async createCurationJob(jobData) {
+        const timestamp = now()
+        const job = {
+            id: crypto.randomUUID(),
+            job_type: jobData.jobType || 'channel_scan',
+            status: 'pending',
+            channel_id: jobData.channelId,
+            total_items: 0,
+            processed_items: 0,
+            successful_items: 0,
+            failed_items: 0,
+            started_at: null,
+            completed_at: null,
+            result_summary: copy(jobData.resultSummary) || {},
+            error_log: [],
+            job_options: copy(jobData.options) || {},
+            attempts: 0,
+            max_attempts: jobData.maxAttempts || 3,
+            run_after: timestamp,
+            locked_by: null,
+            locked_until: null,
+            heartbeat_at: null,
+            cancel_requested: false,
+            checkpoint: {},
+            created_at: timestamp
+        }
+
+        this.tables.curation_jobs.set(job.id, job)
+        return copy(job)
+    }
+
+    async getCurationJob(jobId) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job) throw notFound()
+
+        return this.withChannel(job)
+    }
+
+    async getCurationJobs(filters = {}, limit = 50, offset = 0) {
+        let jobs = [...this.tables.curation_jobs.values()]
+
+        if (filters.status) jobs = jobs.filter(job => job.status === filters.status)
+        if (filters.jobType) jobs = jobs.filter(job => job.job_type === filters.jobType)
+        if (filters.channelId) jobs = jobs.filter(job => job.channel_id === filters.channelId)
+
+        jobs.sort(compareBy('created_at', false))
+
+        return page(jobs, limit, offset).map(job => this.withChannel(job))
+    }
+
+    async updateCurationJob(jobId, updateData) {
+        return this.updateJob(jobId, updateData)
+    }
+
+    async completeCurationJob(jobId, results) {
+        return this.updateJob(jobId, {
+            status: 'completed',
+            completed_at: now(),
+            total_items: results.moviesFound || 0,
+            processed_items: results.moviesFound || 0,
+            successful_items: results.moviesAdded || 0,
+            failed_items: (results.moviesFound || 0) - (results.moviesAdded || 0),
+            result_summary: results,
+            error_log: results.errors || [],
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    async failCurationJob(jobId, errorMessage) {
+        return this.updateJob(jobId, {
+            status: 'failed',
+            completed_at: now(),
+            error_log: [errorMessage],
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    async updateCurationJobProgress(jobId, progress) {
+        const updateData = {
+            processed_items: progress.processed || 0,
+            successful_items: progress.successful || 0,
+            failed_items: progress.failed || 0
+        }
+
+        if (progress.total !== undefined) {
+            updateData.total_items = progress.total
+        }
+
+        if (progress.checkpoint) {
+            updateData.checkpoint = progress.checkpoint
+        }
+
+        return this.updateJob(jobId, updateData)
+    }
+
+    /**
+     * Same rules as the claim_curation_job SQL function
+     */
+    async claimCurationJob(workerId, leaseSeconds) {
+        const current = Date.now()
+
+        const job = [...this.tables.curation_jobs.values()]
+            .filter(j => !j.cancel_requested && (
+                (j.status === 'pending' && new Date(j.run_after).getTime() <= current) ||
+                (j.status === 'running' && j.locked_until && new Date(j.locked_until).getTime() < current)
+            ))
+            .sort((a, b) => compareBy('run_after')(a, b) || compareBy('created_at')(a, b))[0]
+
+        if (!job) return null
+
+        return this.updateJob(job.id, {
+            status: 'running',
+            locked_by: workerId,
+            locked_until: new Date(current + leaseSeconds * 1000).toISOString(),
+            heartbeat_at: new Date(current).toISOString(),
+            attempts: (job.attempts || 0) + 1,
+            started_at: job.started_at || new Date(current).toISOString()
+        })
+    }
+
+    async heartbeatCurationJob(jobId, workerId, leaseSeconds) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job || job.locked_by !== workerId || job.status !== 'running') return null
+
+        const current = new Date()
+        this.updateJob(jobId, {
+            heartbeat_at: current.toISOString(),
+            locked_until: new Date(current.getTime() + leaseSeconds * 1000).toISOString()
+        })
+
+        return { id: job.id, cancel_requested: job.cancel_requested }
+    }
+
+    async retryCurationJob(jobId, errorLog, runAfter) {
+        return this.updateJob(jobId, {
+            status: 'pending',
+            run_after: runAfter,
+            error_log: errorLog,
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    async releaseCurationJob(jobId, workerId, attempts) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job || job.locked_by !== workerId) return
+
+        this.updateJob(jobId, {
+            status: 'pending',
+            attempts: Math.max(attempts - 1, 0),
+            run_after: now(),
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    async requestCurationJobCancel(jobId) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job) return null
+
+        const leaseExpired = !job.locked_until || new Date(job.locked_until).getTime() < Date.now()
+
+        if (job.status === 'pending' || (job.status === 'running' && leaseExpired)) {
+            return this.updateJob(jobId, {
+                status: 'cancelled',
+                cancel_requested: true,
+                completed_at: now(),
+                locked_by: null,
+                locked_until: null
+            })
+        }
+
+        if (job.status === 'running') {
+            return this.updateJob(jobId, { cancel_requested: true })
+        }
+
+        return null
+    }
+
+    async cancelCurationJob(jobId, results) {
+        return this.updateJob(jobId, {
+            status: 'cancelled',
+            completed_at: now(),
+            result_summary: results,
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    async resumeCurationJob(jobId) {
+        const job = this.tables.curation_jobs.get(jobId)
+        if (!job || !['failed', 'cancelled'].includes(job.status)) return null
+
+        return this.updateJob(jobId, {
+            status: 'pending',
+            cancel_requested: false,
+            attempts: 0,
+            run_after: now(),
+            completed_at: null,
+            locked_by: null,
+            locked_until: null
+        })
+    }
+
+    // =============================================================================
+    // AUTH (offline client)
+    // =============================================================================
+
+    /**
+     * Register an access token for the offline auth client
+     *
+     * @param {string} token - Bearer token clients will send
+     * @param {Object} user - { id, email, ... }
+     */
+    addSession(token, user) {
+        this.sessions.set(token, copy(user))
+    }
+
+    getUserByToken(token) {
+        return copy(this.sessions.get(token)) || null
+    }
+}
+
+export default MemoryRepository
@@ -0,0 +1,28 @@
+/**
+ * Offline stand-in for the Supabase client (STORAGE_ADAPTER=memory)
+ *
+ * Auth resolves bearer tokens registered with MemoryRepository.addSession, so
+ * authenticated routes work offline. Tables are only read and written through
+ * the repository, so the client has no query builder.
+ *
+ * @param {MemoryRepository} repository - Backing in-memory store
+ * @returns {Object} Client with the Supabase auth API the backend uses
+ */
+export function createOfflineClient(repository) {
+    return {
+        auth: {
+            async getUser(token) {
+                const user = repository.getUserByToken(token)
+
+                if (!user) {
+                    return {
+                        data: { user: null },
+                        error: { message: 'Invalid or expired token', status: 401 }
+                    }
+                }
+
+                return { data: { user }, error: null }
+            }
+        }
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Storage Repository Interface
+ *
+ * dbOperations is one of these repositories, picked by STORAGE_ADAPTER:
+ * - supabase (default): PostgREST queries against the Supabase project
+ * - memory: in-process Maps, so the API boots and runs offline (integration
+ *   tests, local development without credentials)
+ *
+ * Routes, services and scripts read and write tables only through these
+ * methods; the Supabase client is used directly for auth alone.
+ *
+ * Contract shared by every implementation:
+ * - Methods are async and throw on storage errors
+ * - Single-row lookups that find nothing throw an error with code
+ *   'PGRST116' (errorHandler turns it into a 404), except the ones noted
+ *   below as returning null
+ * - Unique violations throw code '23505'
+ * - Movies are returned flattened for iOS: channel_title, channel_thumbnail
+ *   and genres instead of nested relations (series likewise: genres, seasons)
+ *
+ * Returning null when not found: getChannelWithMovieCount, getGenreById,
+ * getMovieGroupById, getMovieGroupByTmdbId, getPrimaryMovie,
+ * heartbeatCurationJob, requestCurationJobCancel, resumeCurationJob,
+ * claimCurationJob, getFavorite, updateFavorite, getWatchHistoryItem,
+ * getLibraryTombstone, getSyncDevice, getReviewQueueItem,
+ * getPendingReviewQueueItem, getApiCacheEntry, getSeriesByTmdbId, getSeason,
+ * getEpisode, getEpisodeByYouTubeId.
+ */
+
+// Movie columns getMovieGroups returns for each version of a group
+export const GROUP_VERSION_FIELDS = [
+    'id',
+    'title',
+    'youtube_video_id',
+    'channel_id',
+    'is_primary',
+    'is_available',
+    'quality_score',
+    'view_count',
+    'published_at'
+]
+
+export const REPOSITORY_METHODS = {
+    movies: [
+        'getMovies',
+        'getMovieById',
+        'getMovieByYouTubeId',
+        'getMoviesByIds',
+        'getTopRatedMovies',
+        'createMovie',
+        'updateMovie',
+        'updateMovies',
+        'updateMovieStats',
+        'getMoviesForTitleCleaning',
+        'getMoviesForRecategorization',
+        'getMoviesForEnrichment',
+        'getMovieIdsByGenres',
+        'getMovieIdsByPeople',
+        'getMoviesForValidation',
+        'getCatalogCounts'
+    ],
+    channels: [
+        'getChannels',
+        'getChannelsWithCounts',
+        'getChannelWithMovieCount',
+        'getChannelById',
+        'createChannel',
+        'updateChannel',
+        'deleteChannel'
+    ],
+    genres: [
+        'getGenres',
+        'getGenresWithCounts',
+        'getGenreById',
+        'getMoviesByGenre',
+        'upsertGenres',
+        'addMovieGenres'
+    ],
+    groups: [
+        'getMovieGroups',
+        'getMovieGroupById',
+        'getMovieGroupByTmdbId',
+        'createMovieGroup',
+        'updateMovieGroup',
+        'deleteMovieGroup',
+        'reassignMovieGroupReferences',
+        'findSimilarMovieGroups',
+        'getMovieGroupCandidates',
+        'getMovieVersions',
+        'getPrimaryMovie',
+        'getMovieGroupAuditLog',
+        'addMovieGroupAuditEntry'
+    ],
+    validation: [
+        'logValidationFailure',
+        'logFailoverEvent',
+        'getFailoverEvents',
+        'createAdminAlert',
+        'logValidationRun',
+        'getValidationRuns',
+        'purgeValidationHistory',
+        'getChannelValidationStats'
+    ],
+    jobs: [
+        'createCurationJob',
+        'getCurationJob',
+        'getCurationJobs',
+        'updateCurationJob',
+        'completeCurationJob',
+        'failCurationJob',
+        'updateCurationJobProgress',
+        'claimCurationJob',
+        'heartbeatCurationJob',
+        'retryCurationJob',
+        'releaseCurationJob',
+        'requestCurationJobCancel',
+        'cancelCurationJob',
+        'resumeCurationJob'
+    ],
+    enrichment: [
+        'saveEnrichmentChanges',
+        'getEnrichmentChanges',
+        'createReviewQueueItem',
+        'updateReviewQueueItem',
+        'getReviewQueueItems',
+        'getReviewQueueItem',
+        'getPendingReviewQueueItem',
+        'addMovieEditHistory',
+        'getMovieEditHistory'
+    ],
+    favorites: [
+        'getUserFavorites',
+        'getFavorite',
+        'addToFavorites',
+        'updateFavorite',
+        'removeFromFavorites'
+    ],
+    history: [
+        'getWatchHistory',
+        'getWatchHistoryItem',
+        'getContinueWatching',
+        'addToWatchHistory',
+        'updateWatchHistory',
+        'removeFromWatchHistory',
+        'clearWatchHistory'
+    ],
+    sync: [
+        'getLibraryChanges',
+        'getLibraryTombstone',
+        'upsertLibraryTombstones',
+        'deleteLibraryTombstone',
+        'getSyncDevice',
+        'upsertSyncDevice'
+    ],
+    series: [
+        'getSeriesList',
+        'getSeriesById',
+        'getSeriesByTmdbId',
+        'createSeries',
+        'updateSeries',
+        'addSeriesGenres',
+        'getSeason',
+        'createSeason',
+        'getEpisodes',
+        'getEpisode',
+        'getEpisodeByYouTubeId',
+        'createEpisode',
+        'updateEpisode'
+    ],
+    usage: [
+        'logApiUsage',
+        'incrementApiQuotaUsage',
+        'getApiQuotaUsage'
+    ],
+    cache: [
+        'getApiCacheEntry',
+        'setApiCacheEntry',
+        'getApiCacheStats',
+        'findApiCacheKeys',
+        'deleteApiCacheEntries'
+    ],
+    health: [
+        'ping'
+    ]
+}
+
+/**
+ * Throw if an implementation is missing any interface method
+ *
+ * @param {Object} repository - Repository implementation
+ * @param {string} name - Adapter name for the error message
+ * @returns {Object} The repository
+ */
+export function assertRepository(repository, name) {
+    const missing = Object.values(REPOSITORY_METHODS)
+        .flat()
+        .filter(method => typeof repository[method] !== 'function')
+
+    if (missing.length > 0) {
+        throw new Error(`Storage adapter "${name}" is missing: ${missing.join(', ')}`)
+    }
+
+    return repository
+}
@@ -0,0 +1,108 @@
+/**
+ * Metadata Merger
+ *
+ * Combines the movie fields TMDB, OMDb and YouTube supply into one set of
+ * movie columns, field by field: each field takes the first source in its
+ * FIELD_PRIORITY list that has a value. The winning source of every field is
+ * recorded in movies.field_sources, so it's visible where a description,
+ * runtime, poster or rating came from.
+ *
+ * Fields listed in movies.locked_fields (set by an admin) are never
+ * overwritten, and fields no source supplies keep their current value.
+ * Fields edited by hand (services/movieEditService.js) have the source 'admin'.
+ */
+
+export const METADATA_SOURCES = ['tmdb', 'omdb', 'youtube']
+
+// Sources per field, most trusted first. OMDb titles are never used: imports
+// keep the YouTube title until TMDB matches or the title fixer cleans it.
+export const FIELD_PRIORITY = {
+    title: ['tmdb', 'youtube'],
+    original_title: ['tmdb', 'youtube'],
+    description: ['tmdb', 'omdb', 'youtube'],
+    release_date: ['tmdb', 'omdb'],
+    runtime_minutes: ['tmdb', 'omdb', 'youtube'],
+    poster_path: ['tmdb', 'omdb'],
+    backdrop_path: ['tmdb'],
+    tmdb_id: ['tmdb'],
+    imdb_id: ['tmdb', 'omdb'],
+    vote_average: ['tmdb'],
+    vote_count: ['tmdb'],
+    popularity: ['tmdb'],
+    imdb_rating: ['omdb'],
+    imdb_votes: ['omdb'],
+    rated: ['omdb'],
+    director: ['omdb'],
+    actors: ['omdb'],
+    language: ['omdb'],
+    country: ['omdb'],
+    is_tv_show: ['omdb'],
+    omdb_genres: ['omdb']
+}
+
+// Locking 'categories' keeps all category columns
+const LOCK_GROUPS = {
+    categories: ['category', 'categories', 'category_source']
+}
+
+// Fields an admin can lock (movies.locked_fields)
+export const LOCKABLE_FIELDS = [...Object.keys(FIELD_PRIORITY), ...Object.keys(LOCK_GROUPS)]
+
+export class MetadataMerger {
+    /**
+     * Merge source fields into movie columns
+     *
+     * @param {Object} sources - Movie fields per source: { tmdb, omdb, youtube }, missing sources are skipped
+     * @param {Object} options
+     * @param {Object} options.current - Stored movie (locked_fields, field_sources), null for new movies
+     * @param {Object} options.priority - Per-call FIELD_PRIORITY overrides, e.g. { title: ['omdb'] }
+     * @returns {{fields: Object, provenance: Object, locked: Array<string>}}
+     *   fields: columns to write; provenance: field_sources after the merge;
+     *   locked: locked fields a source would have changed
+     */
+    merge(sources, { current = null, priority = {} } = {}) {
+        const lockedFields = new Set(current?.locked_fields || [])
+        const fields = {}
+        const provenance = { ...(current?.field_sources || {}) }
+        const locked = []
+
+        for (const [field, order] of Object.entries({ ...FIELD_PRIORITY, ...priority })) {
+            const source = order.find(name => hasValue(sources[name]?.[field]))
+
+            if (!source) {
+                continue
+            }
+
+            if (lockedFields.has(field)) {
+                locked.push(field)
+                continue
+            }
+
+            fields[field] = sources[source][field]
+            provenance[field] = source
+        }
+
+        return { fields, provenance, locked }
+    }
+
+    /**
+     * Drop locked fields from an update that doesn't go through merge()
+     * (categories, admin tools)
+     *
+     * @param {Object} update - Movie columns
+     * @param {Object} current - Stored movie (locked_fields)
+     * @returns {Object} update without the locked columns
+     */
+    omitLocked(update, current) {
+        const lockedFields = (current?.locked_fields || []).flatMap(field => LOCK_GROUPS[field] || [field])
+
+        return Object.fromEntries(Object.entries(update).filter(([field]) => !lockedFields.includes(field)))
+    }
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+}
+
+export const metadataMerger = new MetadataMerger()
+export default metadataMerger
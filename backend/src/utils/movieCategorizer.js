@@ -0,0 +1,202 @@
+/**
+ * Movie Categorizer
+ *
+ * Derives the app categories of a movie (movies.category, movies.categories)
+ * from its genres, in order of trust:
+ * 1. TMDB genres (linked through movie_genres)
+ * 2. OMDb genres ("Comedy, Horror", stored in movies.omdb_genres)
+ * 3. Keyword scoring over the title and description
+ * 4. Default: 'classic' for movies released before 2000, otherwise 'drama'
+ *
+ * category is the primary category (the first TMDB/OMDb genre, or the best
+ * keyword score); categories holds every category, primary first.
+ */
+
+export const MOVIE_CATEGORIES = [
+    'action', 'adventure', 'animation', 'comedy', 'crime',
+    'documentary', 'drama', 'family', 'fantasy', 'history',
+    'horror', 'music', 'mystery', 'romance', 'science_fiction',
+    'thriller', 'war', 'western', 'classic'
+]
+
+// TMDB movie genre IDs (GET /genre/movie/list); TV Movie (10770) has no category
+export const TMDB_GENRE_CATEGORIES = {
+    28: 'action',
+    12: 'adventure',
+    16: 'animation',
+    35: 'comedy',
+    80: 'crime',
+    99: 'documentary',
+    18: 'drama',
+    10751: 'family',
+    14: 'fantasy',
+    36: 'history',
+    27: 'horror',
+    10402: 'music',
+    9648: 'mystery',
+    10749: 'romance',
+    878: 'science_fiction',
+    53: 'thriller',
+    10752: 'war',
+    37: 'western'
+}
+
+// Genre names (TMDB and OMDb spellings), lowercased
+const GENRE_NAME_CATEGORIES = {
+    'action': 'action',
+    'adventure': 'adventure',
+    'animation': 'animation',
+    'comedy': 'comedy',
+    'crime': 'crime',
+    'film-noir': 'crime',
+    'documentary': 'documentary',
+    'drama': 'drama',
+    'family': 'family',
+    'fantasy': 'fantasy',
+    'history': 'history',
+    'biography': 'history',
+    'horror': 'horror',
+    'music': 'music',
+    'musical': 'music',
+    'mystery': 'mystery',
+    'romance': 'romance',
+    'science fiction': 'science_fiction',
+    'sci-fi': 'science_fiction',
+    'thriller': 'thriller',
+    'war': 'war',
+    'western': 'western'
+}
+
+// Whole words or phrases; a title hit scores 2, a description hit 1
+export const CATEGORY_KEYWORDS = {
+    'action': ['action', 'fight', 'battle', 'combat', 'martial arts'],
+    'comedy': ['comedy', 'funny', 'humor', 'humour', 'comic'],
+    'drama': ['drama', 'dramatic', 'tragedy'],
+    'horror': ['horror', 'scary', 'ghost', 'monster', 'zombie', 'vampire'],
+    'romance': ['romance', 'romantic', 'love story', 'love affair'],
+    'thriller': ['thriller', 'suspense'],
+    'mystery': ['mystery', 'detective', 'whodunit'],
+    'crime': ['crime', 'gangster', 'heist', 'film noir'],
+    'war': ['war', 'world war', 'soldiers'],
+    'science_fiction': ['sci-fi', 'science fiction', 'alien', 'outer space'],
+    'western': ['western', 'cowboy', 'frontier', 'gunfight'],
+    'documentary': ['documentary', 'true story', 'biography'],
+    'animation': ['animation', 'animated', 'cartoon'],
+    'classic': ['classic', 'golden age']
+}
+
+const KEYWORD_WEIGHTS = { title: 2, description: 1 }
+
+// Keyword categories need this score (one title hit, or two description hits)
+export const KEYWORD_MIN_SCORE = 2
+
+const MAX_KEYWORD_CATEGORIES = 3
+
+const CLASSIC_BEFORE_YEAR = 2000
+
+export class MovieCategorizer {
+    constructor() {
+        this.keywordPatterns = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => ({
+            category,
+            patterns: keywords.map(keyword => new RegExp(`\\b${keyword}\\b`, 'g'))
+        }))
+    }
+
+    /**
+     * Categories for a movie
+     *
+     * @param {Object} movie
+     * @param {Array<{id: number, name: string}>} movie.genres - TMDB genres
+     * @param {string} movie.omdb_genres - OMDb genre list ("Comedy, Horror")
+     * @param {string} movie.title
+     * @param {string} movie.description
+     * @param {string} movie.release_date - Used for the default
+     * @param {string} movie.published_at - YouTube upload date, default when release_date is unknown
+     * @returns {{category: string, categories: Array<string>, source: string, scores: Object|null}}
+     *   source: 'tmdb', 'omdb', 'keywords' or 'default'; scores only for keywords
+     */
+    categorize(movie) {
+        const fromTmdb = this.fromGenres(movie.genres)
+        if (fromTmdb.length > 0) {
+            return this.result(fromTmdb, 'tmdb')
+        }
+
+        const fromOmdb = this.fromGenreNames(movie.omdb_genres)
+        if (fromOmdb.length > 0) {
+            return this.result(fromOmdb, 'omdb')
+        }
+
+        const scores = this.scoreKeywords(movie.title, movie.description)
+        const fromKeywords = Object.entries(scores)
+            .filter(([, score]) => score >= KEYWORD_MIN_SCORE)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_KEYWORD_CATEGORIES)
+            .map(([category]) => category)
+
+        if (fromKeywords.length > 0) {
+            return { ...this.result(fromKeywords, 'keywords'), scores }
+        }
+
+        const year = new Date(movie.release_date || movie.published_at || NaN).getFullYear()
+        return this.result([year < CLASSIC_BEFORE_YEAR ? 'classic' : 'drama'], 'default')
+    }
+
+    /**
+     * @param {Array<{id: number, name: string}>} genres - TMDB genres
+     * @returns {Array<string>} Categories in genre order, without duplicates
+     */
+    fromGenres(genres) {
+        return unique((genres || []).map(genre =>
+            TMDB_GENRE_CATEGORIES[genre.id] || GENRE_NAME_CATEGORIES[genre.name?.toLowerCase()]
+        ))
+    }
+
+    /**
+     * @param {string|Array<string>} names - "Comedy, Horror" or ['Comedy', 'Horror']
+     * @returns {Array<string>}
+     */
+    fromGenreNames(names) {
+        const list = Array.isArray(names) ? names : (names || '').split(',')
+        return unique(list.map(name => GENRE_NAME_CATEGORIES[name.trim().toLowerCase()]))
+    }
+
+    /**
+     * Keyword score per category; whole words only, so "old" doesn't match
+     * "golden" and "war" doesn't match "award"
+     *
+     * @param {string} title
+     * @param {string} description
+     * @returns {Object<string, number>} Only categories that scored
+     */
+    scoreKeywords(title, description) {
+        const texts = { title: (title || '').toLowerCase(), description: (description || '').toLowerCase() }
+        const scores = {}
+
+        for (const { category, patterns } of this.keywordPatterns) {
+            let score = 0
+
+            for (const pattern of patterns) {
+                for (const [field, weight] of Object.entries(KEYWORD_WEIGHTS)) {
+                    score += (texts[field].match(pattern) || []).length * weight
+                }
+            }
+
+            if (score > 0) {
+                scores[category] = score
+            }
+        }
+
+        return scores
+    }
+
+    result(categories, source) {
+        return { category: categories[0], categories, source, scores: null }
+    }
+}
+
+function unique(categories) {
+    return [...new Set(categories.filter(Boolean))]
+}
+
+export const movieCategorizer = new MovieCategorizer()
+export default movieCategorizer
@@ -0,0 +1,419 @@
+import { logger } from './logger.js'
+
+/**
+ * Title Cleaner
+ *
+ * The one engine that turns YouTube upload titles into movie titles, shared
+ * by movieCurator (TMDB search during import) and TitleFixer (bulk re-clean).
+ *
+ * Cleaning happens in two steps:
+ * 1. Segment selection for piped titles, driven by the channel pattern from
+ *    channelPatternDetector ("Movie | Genre | Channel" → first segment,
+ *    "Clickbait | Movie" → last, unknown → shortest of both)
+ * 2. TITLE_RULES, applied in order to every candidate segment
+ *
+ * Channels can also carry explicit extraction rules set by an admin
+ * (channels.title_rules, see validateChannelRules). They take precedence over
+ * the detected pattern; titles they don't match fall back to it.
+ *
+ * Years in parentheses like "(1975)" are kept by default: TMDB matching reads
+ * them back out of the cleaned title.
+ *
+ * TITLE_RULES_VERSION is stored in movies.title_rules_version for every title
+ * the cleaner produced. Bump it whenever the rules or segment selection change
+ * so a bulk re-clean with outdatedOnly only touches rows from older versions.
+ */
+
+export const TITLE_RULES_VERSION = 1
+
+export const TITLE_RULES = [
+    // "FULL MOVIE", "Full Film", ...
+    { name: 'full_movie_phrases', pattern: /\b(full movie|complete film|full film|feature film)\b/gi },
+
+    // Brackets and their content like "[HD]" or "[Restored]"
+    { name: 'brackets', pattern: /\[.*?\]/g },
+
+    // Quality indicators like "HD", "4K", "1080p"
+    { name: 'quality_tags', pattern: /\b(HD|4K|1080p|720p|480p|DVD|BLURAY|BLU-RAY)\b/gi },
+
+    // "Official", "Restored", ...
+    { name: 'edition_words', pattern: /\b(official|original|remastered|restored)\b/gi },
+
+    // Dash at the end (often left before a removed channel name)
+    { name: 'trailing_dash', pattern: /\s*-\s*$/ }
+]
+
+const YEAR_RULE = { name: 'year', pattern: /\(\d{4}\)/g }
+
+const MAX_RULE_PATTERN_LENGTH = 500
+
+// First feature films; anything earlier in a title is not a release year
+const MIN_RELEASE_YEAR = 1888
+
+// "(1975)" or "[1975]" in a title
+const TITLE_YEAR_PATTERN = /[([]((?:18|19|20)\d{2})[)\]]/g
+
+// "Released: 1975", "Release date 1975", "Year of release - 1975" in a description
+const DESCRIPTION_YEAR_PATTERN = /\b(?:released(?: in)?|release date|year of release)\b\s*[:\-]?\s*((?:18|19|20)\d{2})\b/i
+
+// Used when a channel pattern says "no pipes" but the title has them
+const FIRST_SEGMENT_OVERRIDE = {
+    pipe_separator: true,
+    title_position: 'first',
+    type: 'first_segment_override',
+    confidence: 0.6
+}
+
+export class TitleCleaner {
+    /**
+     * @param {Object} options
+     * @param {Array<{name: string, pattern: RegExp, replacement?: string}>} options.rules - Applied in order (default TITLE_RULES)
+     * @param {number} options.version - Rule version recorded on cleaned movies (default TITLE_RULES_VERSION)
+     * @param {boolean} options.keepYear - Keep "(1975)" in the title (default true)
+     */
+    constructor({ rules = TITLE_RULES, version = TITLE_RULES_VERSION, keepYear = true } = {}) {
+        this.rules = keepYear ? [...rules] : [...rules, YEAR_RULE]
+        this.version = version
+    }
+
+    /**
+     * Apply the rule list to one title segment
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    applyRules(text) {
+        let cleaned = text || ''
+
+        for (const rule of this.rules) {
+            cleaned = cleaned.replace(rule.pattern, rule.replacement ?? '')
+        }
+
+        return cleaned.replace(/\s+/g, ' ').trim()
+    }
+
+    /**
+     * Candidate segments that may hold the movie title
+     *
+     * @param {string} title - Raw YouTube title
+     * @param {Object|null} pattern - Channel title pattern (title_position, pipe_separator, confidence)
+     * @returns {Array<string>}
+     */
+    selectSegments(title, pattern = null) {
+        if (!title.includes('|')) {
+            return [title]
+        }
+
+        // SAFETY CHECK: Override pattern if it contradicts actual title structure
+        if (pattern && !pattern.pipe_separator) {
+            logger.warn(`Pattern mismatch detected: pattern says no pipes but title has pipes`, {
+                title,
+                detected_pattern: pattern.type
+            })
+            pattern = FIRST_SEGMENT_OVERRIDE
+        }
+
+        const segments = title.split('|').map(segment => segment.trim())
+        const first = segments[0]
+        const last = segments[segments.length - 1]
+
+        if (pattern?.title_position === 'first') {
+            return [first]
+        }
+
+        if (pattern?.title_position === 'last') {
+            return [last]
+        }
+
+        // Mixed, low confidence or no pattern: try both
+        return [first, last]
+    }
+
+    /**
+     * Clean a YouTube title into a movie title
+     *
+     * @param {string} title - Raw YouTube title
+     * @param {Object|null} pattern - Channel title pattern, see selectSegments;
+     *   pattern.custom_rules (channel rules) are tried first
+     * @returns {string} Shortest non-empty cleaned candidate (usually the bare title)
+     */
+    clean(title, pattern = null) {
+        if (!title) return ''
+
+        if (pattern?.custom_rules) {
+            const { custom_rules: customRules, ...detected } = pattern
+            const extracted = this.applyChannelRules(title, customRules)
+
+            if (extracted) {
+                return extracted
+            }
+
+            pattern = detected.type ? detected : null
+        }
+
+        const candidates = this.selectSegments(title, pattern)
+            .map(segment => this.applyRules(segment))
+            .filter(Boolean)
+
+        if (candidates.length === 0) {
+            return this.applyRules(title.replace(/\|/g, ' '))
+        }
+
+        return candidates.reduce((shortest, current) =>
+            current.length < shortest.length ? current : shortest
+        )
+    }
+
+    /**
+     * Clean a title for a TMDB search: channel rules if they match, otherwise
+     * always the first segment
+     *
+     * @param {string} title - Raw YouTube title
+     * @param {Object|null} customRules - Channel rules (channels.title_rules)
+     * @returns {string}
+     */
+    cleanForSearch(title, customRules = null) {
+        return this.clean(title, {
+            type: 'first_segment',
+            pipe_separator: true,
+            title_position: 'first',
+            ...(customRules && { custom_rules: customRules })
+        })
+    }
+
+    /**
+     * Title without "(1922)" / "[1922]" years (TMDB searches take the year as
+     * a separate param)
+     */
+    withoutYear(title) {
+        return title.replace(/\s*[([]\d{4}[)\]]\s*/g, ' ').trim()
+    }
+
+    /**
+     * Fallback titles an OMDb lookup retries with: without a trailing
+     * "(1922)", then also without a leading "The"
+     *
+     * @returns {{withoutYear: string, withoutThe: string}}
+     */
+    omdbFallbackTitles(title) {
+        const withoutYear = title.replace(/\s*\(\d{4}\)$/, '')
+        return { withoutYear, withoutThe: withoutYear.replace(/^The\s+/i, '') }
+    }
+
+    /**
+     * Every title the TMDB and OMDb lookups may have searched for a movie
+     * (movieCurator.matchWithTMDB/matchWithOMDb), e.g. to find their cached
+     * responses. Imports search the YouTube title cleaned with cleanForSearch
+     * (OMDb also the raw one); bulk enrichment searches the stored title.
+     *
+     * @param {Array<string>} titles - YouTube and stored titles
+     * @param {Object|null} customRules - Channel rules (channels.title_rules)
+     * @returns {{tmdb: Array<string>, omdb: Array<string>}} TMDB query and OMDb t values
+     */
+    lookupTitles(titles, customRules = null) {
+        const searched = [...new Set(titles.filter(Boolean).flatMap(title => [title, this.cleanForSearch(title, customRules)]))]
+
+        return {
+            tmdb: [...new Set(searched.map(title => this.withoutYear(title)))],
+            omdb: [...new Set(searched.flatMap(title => [title, ...Object.values(this.omdbFallbackTitles(title))]))]
+        }
+    }
+
+    // =============================================================================
+    // RELEASE YEAR
+    // =============================================================================
+
+    /**
+     * Release year written in a title as "(1975)" or "[1975]"
+     *
+     * @param {string} title
+     * @returns {number|null} First plausible year (1888 to next year)
+     */
+    extractYear(title) {
+        for (const match of (title || '').matchAll(TITLE_YEAR_PATTERN)) {
+            const year = parseInt(match[1])
+            if (isPlausibleYear(year)) return year
+        }
+
+        return null
+    }
+
+    /**
+     * Release year from a video description: "Released: 1975", or the movie
+     * title followed by "(1975)" as in "Nosferatu (1922) is a ..."
+     *
+     * @param {string} description
+     * @returns {number|null}
+     */
+    extractYearFromDescription(description) {
+        const labelled = (description || '').match(DESCRIPTION_YEAR_PATTERN)
+
+        if (labelled && isPlausibleYear(parseInt(labelled[1]))) {
+            return parseInt(labelled[1])
+        }
+
+        return this.extractYear(description)
+    }
+
+    // =============================================================================
+    // CHANNEL RULES
+    // =============================================================================
+
+    /**
+     * Check admin-supplied channel rules
+     *
+     * Rules: {
+     *   regex: '^Watch (?<title>.+?) Free',  // named group "title" holds the movie title
+     *   flags: 'i',                          // optional regex flags
+     *   separator: ' - ',                    // used when regex is unset or doesn't match
+     *   segment: 0,                          // segment index; negative counts from the end
+     *   strip: ['Grindhouse Classics'],      // phrases removed (case-insensitive)
+     *   stripPatterns: ['\\bcolou?rized\\b']  // regexes removed
+     * }
+     *
+     * @param {Object} rules
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    validateChannelRules(rules) {
+        const errors = []
+
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            return { valid: false, errors: ['rules must be an object'] }
+        }
+
+        if (!rules.regex && !rules.separator) {
+            errors.push('rules need a regex or a separator')
+        }
+
+        if (rules.regex !== undefined && rules.regex !== null) {
+            const regexError = checkPattern(rules.regex, rules.flags, 'regex')
+
+            if (regexError) {
+                errors.push(regexError)
+            } else if (!/\(\?<title>/.test(rules.regex)) {
+                errors.push('regex must contain a named capture group "title", e.g. (?<title>.+)')
+            }
+        }
+
+        if (rules.flags !== undefined && rules.flags !== null &&
+            (typeof rules.flags !== 'string' || !/^[imsu]*$/.test(rules.flags))) {
+            errors.push('flags may only contain i, m, s and u')
+        }
+
+        if (rules.separator !== undefined && rules.separator !== null &&
+            (typeof rules.separator !== 'string' || rules.separator.length === 0)) {
+            errors.push('separator must be a non-empty string')
+        }
+
+        if (rules.segment !== undefined && rules.segment !== null && !Number.isInteger(rules.segment)) {
+            errors.push('segment must be an integer (negative counts from the end)')
+        }
+
+        for (const list of ['strip', 'stripPatterns']) {
+            if (rules[list] === undefined || rules[list] === null) continue
+
+            if (!Array.isArray(rules[list]) || rules[list].some(item => typeof item !== 'string' || item.length === 0)) {
+                errors.push(`${list} must be a list of non-empty strings`)
+            }
+        }
+
+        if (Array.isArray(rules.stripPatterns)) {
+            rules.stripPatterns.forEach((source, index) => {
+                const patternError = typeof source === 'string' && checkPattern(source, 'i', `stripPatterns[${index}]`)
+                if (patternError) errors.push(patternError)
+            })
+        }
+
+        return { valid: errors.length === 0, errors }
+    }
+
+    /**
+     * Keep only the known rule fields (after validateChannelRules)
+     *
+     * @param {Object} rules
+     * @returns {Object}
+     */
+    normalizeChannelRules(rules) {
+        const normalized = {}
+
+        for (const key of ['regex', 'flags', 'separator', 'segment', 'strip', 'stripPatterns']) {
+            if (rules[key] !== undefined && rules[key] !== null) {
+                normalized[key] = rules[key]
+            }
+        }
+
+        return normalized
+    }
+
+    /**
+     * Extract a movie title with channel rules
+     *
+     * @param {string} title - Raw YouTube title
+     * @param {Object} rules - Validated channel rules
+     * @returns {string|null} Cleaned title, or null when the rules don't match
+     */
+    applyChannelRules(title, rules) {
+        let extracted = null
+
+        try {
+            if (rules.regex) {
+                const match = title.match(new RegExp(rules.regex, rules.flags || ''))
+                extracted = match?.groups?.title ?? null
+            }
+
+            if (extracted === null && rules.separator) {
+                const segments = title.split(rules.separator).map(segment => segment.trim())
+                const index = rules.segment ?? 0
+
+                if (segments.length > 1) {
+                    extracted = segments.at(index) ?? null
+                }
+            }
+
+            if (extracted === null) {
+                return null
+            }
+
+            for (const phrase of rules.strip || []) {
+                extracted = extracted.replace(new RegExp(escapeRegex(phrase), 'gi'), '')
+            }
+
+            for (const source of rules.stripPatterns || []) {
+                extracted = extracted.replace(new RegExp(source, 'gi'), '')
+            }
+        } catch (error) {
+            logger.warn(`Channel title rules failed for "${title}": ${error.message}`)
+            return null
+        }
+
+        return this.applyRules(extracted) || null
+    }
+}
+
+function isPlausibleYear(year) {
+    return year >= MIN_RELEASE_YEAR && year <= new Date().getFullYear() + 1
+}
+
+function checkPattern(source, flags, label) {
+    if (typeof source !== 'string' || source.length === 0) {
+        return `${label} must be a non-empty string`
+    }
+
+    if (source.length > MAX_RULE_PATTERN_LENGTH) {
+        return `${label} must be at most ${MAX_RULE_PATTERN_LENGTH} characters`
+    }
+
+    try {
+        new RegExp(source, flags || '')
+        return null
+    } catch (error) {
+        return `${label} is not a valid regular expression: ${error.message}`
+    }
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+export const titleCleaner = new TitleCleaner()
+export default titleCleaner
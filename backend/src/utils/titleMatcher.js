@@ -0,0 +1,153 @@
+/**
+ * Title Matcher
+ *
+ * Pure-JS fuzzy title matching for duplicate detection, used when the
+ * find_similar_movie_groups RPC (pg_trgm) is unavailable and in tests.
+ *
+ * trigramSimilarity() reproduces pg_trgm's similarity(): words are the runs of
+ * letters/digits, lowercased and padded with two leading and one trailing
+ * space; the score is shared trigrams / all distinct trigrams (0-1). A 0.8
+ * here means the same as a 0.8 from Postgres. Jaro-Winkler only breaks ties.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+/**
+ * Distinct trigrams of a string, pg_trgm style
+ *
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export function trigrams(text) {
+    const result = new Set()
+    const words = (text || '').toLowerCase().match(WORD_PATTERN) || []
+
+    for (const word of words) {
+        const padded = `  ${word} `
+        const chars = Array.from(padded)
+
+        for (let i = 0; i <= chars.length - 3; i++) {
+            result.add(chars[i] + chars[i + 1] + chars[i + 2])
+        }
+    }
+
+    return result
+}
+
+/**
+ * pg_trgm similarity (0-1)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function trigramSimilarity(a, b) {
+    const trigramsA = trigrams(a)
+    const trigramsB = trigrams(b)
+
+    if (trigramsA.size === 0 || trigramsB.size === 0) {
+        return 0
+    }
+
+    let shared = 0
+    for (const trigram of trigramsA) {
+        if (trigramsB.has(trigram)) shared++
+    }
+
+    return shared / (trigramsA.size + trigramsB.size - shared)
+}
+
+/**
+ * Jaro-Winkler similarity (0-1), favouring strings with a common prefix
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function jaroWinkler(a, b) {
+    const s1 = Array.from(a || '')
+    const s2 = Array.from(b || '')
+
+    if (s1.length === 0 && s2.length === 0) return 1
+    if (s1.length === 0 || s2.length === 0) return 0
+
+    const matchWindow = Math.max(Math.floor(Math.max(s1.length, s2.length) / 2) - 1, 0)
+    const matched1 = new Array(s1.length).fill(false)
+    const matched2 = new Array(s2.length).fill(false)
+    let matches = 0
+
+    for (let i = 0; i < s1.length; i++) {
+        const start = Math.max(0, i - matchWindow)
+        const end = Math.min(i + matchWindow + 1, s2.length)
+
+        for (let j = start; j < end; j++) {
+            if (!matched2[j] && s1[i] === s2[j]) {
+                matched1[i] = true
+                matched2[j] = true
+                matches++
+                break
+            }
+        }
+    }
+
+    if (matches === 0) return 0
+
+    let transpositions = 0
+    let k = 0
+    for (let i = 0; i < s1.length; i++) {
+        if (!matched1[i]) continue
+        while (!matched2[k]) k++
+        if (s1[i] !== s2[k]) transpositions++
+        k++
+    }
+
+    const jaro = (
+        matches / s1.length +
+        matches / s2.length +
+        (matches - transpositions / 2) / matches
+    ) / 3
+
+    let prefix = 0
+    while (prefix < 4 && prefix < s1.length && prefix < s2.length && s1[prefix] === s2[prefix]) {
+        prefix++
+    }
+
+    return jaro + prefix * 0.1 * (1 - jaro)
+}
+
+/**
+ * Best fuzzy match for a normalized title, mirroring find_similar_movie_groups
+ *
+ * Candidates outside release year ± yearTolerance are skipped (a missing year
+ * on either side matches any year).
+ *
+ * @param {string} normalizedTitle - Output of DuplicateDetector.normalizeTitle
+ * @param {Array<Object>} candidates - Rows with normalized_title and release_year
+ * @param {Object} options
+ * @param {number} options.year - Release year of the title being matched
+ * @param {number} options.yearTolerance - Allowed year difference (default 1)
+ * @param {number} options.threshold - Minimum trigram similarity (default 0.7)
+ * @returns {Object|null} Best candidate with a `similarity` field, or null
+ */
+export function findBestMatch(normalizedTitle, candidates, options = {}) {
+    const { year = null, yearTolerance = 1, threshold = 0.7 } = options
+    let best = null
+
+    for (const candidate of candidates || []) {
+        if (year && candidate.release_year && Math.abs(candidate.release_year - year) > yearTolerance) {
+            continue
+        }
+
+        const similarity = trigramSimilarity(candidate.normalized_title, normalizedTitle)
+        if (similarity < threshold) continue
+
+        const tieBreaker = jaroWinkler(candidate.normalized_title, normalizedTitle)
+
+        if (!best || similarity > best.similarity ||
+            (similarity === best.similarity && tieBreaker > best.tieBreaker)) {
+            best = { candidate, similarity, tieBreaker }
+        }
+    }
+
+    return best ? { ...best.candidate, similarity: best.similarity } : null
+}
@@ -0,0 +1,49 @@
+-- Migration 010: Resumable Playback Position in Watch History
+-- Purpose: Store where the viewer stopped so the Apple TV player can resume,
+--          and mark items finished once most of the runtime has been watched
+-- Date: 2026-10-19
+
+-- =============================================================================
+-- 1. Playback position columns
+-- =============================================================================
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS position_seconds INTEGER DEFAULT 0 CHECK (position_seconds >= 0);
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS duration_seconds INTEGER CHECK (duration_seconds > 0);
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS percent_watched DECIMAL(5,2) DEFAULT 0
+        CHECK (percent_watched >= 0 AND percent_watched <= 100);
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS is_finished BOOLEAN DEFAULT false;
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN watch_history.position_seconds IS 'Last reported playback position (resume point) in seconds';
+COMMENT ON COLUMN watch_history.duration_seconds IS 'Runtime reported by the player in seconds';
+COMMENT ON COLUMN watch_history.percent_watched IS 'position_seconds / duration_seconds as a percentage (0-100)';
+COMMENT ON COLUMN watch_history.is_finished IS 'True once percent_watched passes the finished threshold';
+COMMENT ON COLUMN watch_history.finished_at IS 'When the item was last marked finished';
+
+-- =============================================================================
+-- 2. Continue-watching index (unfinished items by recency)
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_history_continue_watching
+    ON watch_history(user_id, last_watched_at DESC)
+    WHERE is_finished = false AND position_seconds > 0;
+
+-- =============================================================================
+-- 3. Backfill
+-- =============================================================================
+
+-- Existing rows have no position data; repeat views were watched through at
+-- least once, so count them as completions
+UPDATE watch_history
+SET is_finished = true,
+    finished_at = last_watched_at
+WHERE watch_count > 1 AND is_finished = false;
@@ -0,0 +1,83 @@
+-- Migration 011: Two-Way Library Sync
+-- Purpose: Let devices push offline favorites/history changes and pull
+--          everything (including deletions) since their own sync cursor
+-- Date: 2026-10-19
+--
+-- Conflict resolution is last-writer-wins per field:
+--   user_favorites.priority_updated_at  → priority (reorders)
+--   watch_history.progress_updated_at   → position/duration/percent/finished
+--   library_tombstones.deleted_at       → existence (add vs. remove)
+
+-- =============================================================================
+-- 1. Per-field change timestamps
+-- =============================================================================
+
+ALTER TABLE user_favorites
+    ADD COLUMN IF NOT EXISTS priority_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE watch_history
+    ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN user_favorites.priority_updated_at IS 'When priority was last changed on a device (LWW clock)';
+COMMENT ON COLUMN watch_history.progress_updated_at IS 'When playback progress was last reported on a device (LWW clock)';
+
+-- Backfill clocks from existing timestamps
+UPDATE user_favorites SET priority_updated_at = COALESCE(updated_at, added_at)
+WHERE priority_updated_at IS NULL;
+
+UPDATE watch_history SET progress_updated_at = COALESCE(updated_at, last_watched_at)
+WHERE progress_updated_at IS NULL AND position_seconds > 0;
+
+-- Pull queries filter on updated_at
+CREATE INDEX IF NOT EXISTS idx_favorites_user_updated ON user_favorites(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_history_user_updated ON watch_history(user_id, updated_at);
+
+-- =============================================================================
+-- 2. Tombstones for deleted favorites and history entries
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS library_tombstones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    entity TEXT NOT NULL CHECK (entity IN ('favorite', 'history')),
+    content_type TEXT NOT NULL CHECK (content_type IN ('movie', 'series', 'episode')),
+    content_id UUID NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE(user_id, entity, content_type, content_id)
+);
+
+-- Pull queries filter on updated_at: deleted_at is device time and can be
+-- older than the cursor of a device that synced before the change was pushed
+CREATE INDEX IF NOT EXISTS idx_library_tombstones_user_updated ON library_tombstones(user_id, updated_at);
+
+COMMENT ON TABLE library_tombstones IS 'Deleted favorites/history entries, reported to other devices on sync';
+COMMENT ON COLUMN library_tombstones.deleted_at IS 'When the entry was deleted on a device (LWW clock)';
+COMMENT ON COLUMN library_tombstones.updated_at IS 'When the server recorded the deletion (sync cursor)';
+
+-- =============================================================================
+-- 3. Per-device sync cursors
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS user_sync_devices (
+    user_id UUID NOT NULL,
+    device_id TEXT NOT NULL,
+    platform TEXT CHECK (platform IN ('iOS', 'tvOS', 'web')),
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, device_id)
+);
+
+COMMENT ON TABLE user_sync_devices IS 'Sync cursor per user device (server time of the last completed pull)';
+
+-- =============================================================================
+-- 4. Row level security
+-- =============================================================================
+
+ALTER TABLE library_tombstones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_sync_devices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on library_tombstones" ON library_tombstones FOR ALL USING (true);
+CREATE POLICY "Service role full access on user_sync_devices" ON user_sync_devices FOR ALL USING (true);
@@ -0,0 +1,87 @@
+-- Migration 012: Persistent Curation Job Queue
+-- Purpose: Run curation jobs from a DB-backed queue instead of inside the
+--          request process, so a container restart no longer strands jobs
+--          in "running" forever
+-- Date: 2026-10-19
+--
+-- Lifecycle:
+--   pending  → claimed by a worker (lease) → running
+--   running  → completed | failed (after max_attempts) | cancelled
+--   running  → pending again with run_after backoff when an attempt fails
+--   running with an expired lease (worker died) → reclaimed and resumed from checkpoint
+
+-- =============================================================================
+-- 1. Queue columns
+-- =============================================================================
+
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS job_options JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 3;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS locked_by TEXT;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false;
+ALTER TABLE curation_jobs ADD COLUMN IF NOT EXISTS checkpoint JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN curation_jobs.job_options IS 'Handler options (forceReenrich, fullImport, maxResults)';
+COMMENT ON COLUMN curation_jobs.run_after IS 'Earliest time a worker may claim the job (retry backoff)';
+COMMENT ON COLUMN curation_jobs.locked_by IS 'Worker ID holding the lease';
+COMMENT ON COLUMN curation_jobs.locked_until IS 'Lease expiry; extended by heartbeats, reclaimable once passed';
+COMMENT ON COLUMN curation_jobs.cancel_requested IS 'Set by admin; the running worker stops at the next video';
+COMMENT ON COLUMN curation_jobs.checkpoint IS 'Resume point: last processed video and running totals';
+
+-- status is VARCHAR(20) without a check constraint; 'cancelled' joins
+-- pending/running/completed/failed
+
+CREATE INDEX IF NOT EXISTS idx_curation_jobs_claimable
+    ON curation_jobs(run_after)
+    WHERE status IN ('pending', 'running');
+
+-- =============================================================================
+-- 2. Atomic claim
+-- =============================================================================
+
+-- Claim the oldest runnable job: a pending job whose backoff has elapsed, or a
+-- running job whose worker stopped heartbeating. SKIP LOCKED keeps concurrent
+-- workers from claiming the same row.
+CREATE OR REPLACE FUNCTION claim_curation_job(
+    worker_id TEXT,
+    lease_seconds INTEGER DEFAULT 120
+)
+RETURNS SETOF curation_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE curation_jobs
+    SET status = 'running',
+        locked_by = worker_id,
+        locked_until = NOW() + make_interval(secs => lease_seconds),
+        heartbeat_at = NOW(),
+        attempts = COALESCE(attempts, 0) + 1,
+        started_at = COALESCE(started_at, NOW())
+    WHERE id = (
+        SELECT id FROM curation_jobs
+        WHERE cancel_requested = false
+          AND (
+              (status = 'pending' AND run_after <= NOW())
+              OR (status = 'running' AND locked_until < NOW())
+          )
+        ORDER BY run_after ASC, created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION claim_curation_job IS 'Lease the next runnable curation job to a worker';
+
+-- =============================================================================
+-- 3. Backfill
+-- =============================================================================
+
+-- Jobs stranded by earlier restarts: let the queue pick them up again
+UPDATE curation_jobs
+SET run_after = NOW(),
+    locked_until = NOW()
+WHERE status = 'running' AND locked_by IS NULL;
@@ -0,0 +1,17 @@
+-- Migration 013: Incremental Channel Crawl Watermarks
+-- Purpose: Scheduled curation only fetches uploads newer than the channel's
+--          watermark instead of re-searching up to 500 videos (100 quota
+--          units per page) every 6 hours; a periodic deep crawl still
+--          re-scans the back catalog
+-- Date: 2026-10-19
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS last_crawled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS crawl_watermark TIMESTAMP WITH TIME ZONE;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS last_deep_crawl_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN channels.last_crawled_at IS 'When the channel was last crawled (incremental or deep)';
+COMMENT ON COLUMN channels.crawl_watermark IS 'publishedAt of the newest video seen; incremental crawls fetch uploads after this';
+COMMENT ON COLUMN channels.last_deep_crawl_at IS 'When the full back catalog was last re-scanned';
+
+-- No backfill: channels without last_deep_crawl_at get a deep crawl on the
+-- next scheduled run, which sets the watermark
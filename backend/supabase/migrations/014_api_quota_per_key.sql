@@ -0,0 +1,54 @@
+-- Migration 014: Persisted YouTube Quota per API Key
+-- Purpose: Count quota units per API key and Pacific-time day in the database
+--          so restarts and replicas share one counter and key rotation sees
+--          the real usage
+-- Date: 2026-10-19
+--
+-- YouTube resets quota at midnight America/Los_Angeles, so `date` is the
+-- Pacific calendar day. Keys are stored as a short SHA-256 fingerprint, never
+-- the key itself.
+
+-- =============================================================================
+-- 1. Key the usage table by API key
+-- =============================================================================
+
+ALTER TABLE api_quota_usage ADD COLUMN IF NOT EXISTS api_key_id TEXT NOT NULL DEFAULT 'unknown';
+ALTER TABLE api_quota_usage ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE api_quota_usage DROP CONSTRAINT IF EXISTS api_quota_usage_pkey;
+ALTER TABLE api_quota_usage ADD PRIMARY KEY (date, api_key_id, operation);
+
+COMMENT ON COLUMN api_quota_usage.date IS 'Pacific-time day the units count against (YouTube reset boundary)';
+COMMENT ON COLUMN api_quota_usage.api_key_id IS 'SHA-256 fingerprint of the API key that spent the units';
+
+-- =============================================================================
+-- 2. Atomic increment
+-- =============================================================================
+
+-- Add units for one key/operation and return the key's total for the day, so
+-- every instance rotates keys from the same number
+CREATE OR REPLACE FUNCTION increment_api_quota_usage(
+    p_date DATE,
+    p_api_key_id TEXT,
+    p_operation TEXT,
+    p_units INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+    total INTEGER;
+BEGIN
+    INSERT INTO api_quota_usage (date, api_key_id, operation, units, updated_at)
+    VALUES (p_date, p_api_key_id, p_operation, p_units, NOW())
+    ON CONFLICT (date, api_key_id, operation)
+    DO UPDATE SET units = api_quota_usage.units + EXCLUDED.units,
+                  updated_at = NOW();
+
+    SELECT COALESCE(SUM(units), 0) INTO total
+    FROM api_quota_usage
+    WHERE date = p_date AND api_key_id = p_api_key_id;
+
+    RETURN total;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION increment_api_quota_usage IS 'Record YouTube quota units and return the key''s daily total';
@@ -0,0 +1,33 @@
+-- Migration 015: Channel Reputation
+-- Purpose: Store a per-channel reputation score (0-1) used for 30% of the
+--          movie quality score, plus the factors it was computed from
+-- Date: 2026-10-19
+--
+-- Recomputed daily by the job scheduler from subscriber count, verified
+-- status, validation failures, takedowns, failovers and upload yield.
+
+-- =============================================================================
+-- 1. Reputation columns
+-- =============================================================================
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS reputation_score DECIMAL(4,3)
+    CHECK (reputation_score >= 0 AND reputation_score <= 1);
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS reputation_factors JSONB;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS reputation_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN channels.reputation_score IS 'Weighted reputation (0-1); NULL until first computed (treated as 0.5)';
+COMMENT ON COLUMN channels.reputation_factors IS 'Per-factor scores, weights and raw inputs behind reputation_score';
+
+-- =============================================================================
+-- 2. Upload yield from the last deep crawl
+-- =============================================================================
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS upload_stats JSONB;
+
+COMMENT ON COLUMN channels.upload_stats IS 'Last deep crawl census: { scanned, kept, rejected, crawledAt }';
+
+-- =============================================================================
+-- 3. Takedown failure reason
+-- =============================================================================
+
+COMMENT ON COLUMN validation_failures.failure_reason IS 'not_found, private, rejected (taken down by YouTube), not_processed, etc.';
@@ -0,0 +1,48 @@
+-- Migration 016: Movie Group Administration
+-- Purpose: Let admins promote/demote versions, merge and split movie groups,
+--          with an audit trail of every manual change
+-- Date: 2026-10-19
+
+-- =============================================================================
+-- 1. Manually pinned primary
+-- =============================================================================
+
+-- A version promoted by an admin stays primary when a higher-scoring upload
+-- is imported later. The pin lapses once that version stops being primary
+-- (e.g. after a failover).
+ALTER TABLE movie_groups
+    ADD COLUMN IF NOT EXISTS pinned_primary_id UUID REFERENCES movies(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN movie_groups.pinned_primary_id IS 'Version an admin promoted; imports do not replace it as primary';
+
+-- =============================================================================
+-- 2. Audit log
+-- =============================================================================
+
+-- Group IDs are not foreign keys so entries survive merges and deletions
+CREATE TABLE IF NOT EXISTS movie_group_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    action TEXT NOT NULL CHECK (action IN ('promote', 'demote', 'merge', 'split')),
+    movie_group_id UUID NOT NULL,
+    related_group_id UUID,
+    movie_ids UUID[] DEFAULT '{}',
+    actor TEXT NOT NULL DEFAULT 'admin',
+    reason TEXT,
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_group_audit_group ON movie_group_audit_log(movie_group_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_movie_group_audit_related ON movie_group_audit_log(related_group_id) WHERE related_group_id IS NOT NULL;
+
+COMMENT ON TABLE movie_group_audit_log IS 'Manual admin changes to movie groups and their primary/backup versions';
+COMMENT ON COLUMN movie_group_audit_log.related_group_id IS 'Merge: the absorbed group. Split: the newly created group';
+COMMENT ON COLUMN movie_group_audit_log.details IS 'Before/after primary IDs and other action-specific context';
+
+-- =============================================================================
+-- 3. Row level security
+-- =============================================================================
+
+ALTER TABLE movie_group_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on movie_group_audit_log" ON movie_group_audit_log FOR ALL USING (true);
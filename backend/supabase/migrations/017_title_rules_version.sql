@@ -0,0 +1,22 @@
+-- Migration 017: Title Rules Version
+-- Purpose: Record which version of the title-cleaning rules produced each
+--          movie title, so bulk re-cleaning can target outdated rows
+-- Date: 2026-10-19
+--
+-- Versions come from TITLE_RULES_VERSION in backend/src/utils/titleCleaner.js.
+-- NULL means the title was never cleaned by the rules (raw YouTube title,
+-- or a title from before versioning).
+
+-- =============================================================================
+-- 1. Version column
+-- =============================================================================
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS title_rules_version INTEGER;
+
+COMMENT ON COLUMN movies.title_rules_version IS 'titleCleaner rule version that produced title; NULL if never cleaned';
+
+-- =============================================================================
+-- 2. Index for outdated-row lookups
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_movies_title_rules_version ON movies(title_rules_version);
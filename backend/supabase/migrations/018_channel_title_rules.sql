@@ -0,0 +1,18 @@
+-- Migration 018: Channel Title Rules
+-- Purpose: Let admins attach explicit title extraction rules to a channel
+--          (regex with a "title" group, separator + segment, strip lists)
+-- Date: 2026-10-19
+--
+-- Rules take precedence over the auto-detected title_pattern; titles they
+-- don't match fall back to it. Shape and validation: validateChannelRules in
+-- backend/src/utils/titleCleaner.js.
+
+-- =============================================================================
+-- 1. Rule columns
+-- =============================================================================
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS title_rules JSONB;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS title_rules_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN channels.title_rules IS 'Admin title extraction rules: { regex, flags, separator, segment, strip, stripPatterns }; NULL = auto-detected pattern only';
+COMMENT ON COLUMN channels.title_rules_updated_at IS 'When an admin last saved or cleared title_rules';
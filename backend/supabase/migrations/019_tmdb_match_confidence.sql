@@ -0,0 +1,24 @@
+-- Migration 019: TMDB Match Confidence
+-- Purpose: Persist how confident the curator was in each TMDB match and why
+--          (title similarity, release year, runtime agreement)
+-- Date: 2026-10-19
+--
+-- Scored by tmdbService.scoreCandidate; matches below
+-- TMDB_MIN_MATCH_CONFIDENCE (default 0.5) are not applied.
+
+-- =============================================================================
+-- 1. Match columns
+-- =============================================================================
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS match_confidence DECIMAL(4,3)
+    CHECK (match_confidence >= 0 AND match_confidence <= 1);
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS match_reasons JSONB;
+
+COMMENT ON COLUMN movies.match_confidence IS 'TMDB match score 0-1 (title 50%, year 30%, runtime 20%); NULL if not matched by the scorer';
+COMMENT ON COLUMN movies.match_reasons IS 'Per-factor breakdown: [{ factor, points, detail }]';
+
+-- =============================================================================
+-- 2. Index for reviewing weak matches
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_movies_match_confidence ON movies(match_confidence) WHERE match_confidence IS NOT NULL;
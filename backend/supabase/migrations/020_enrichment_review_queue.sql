@@ -0,0 +1,62 @@
+-- Migration 020: Enrichment Review Queue
+-- Purpose: Queue imported movies that TMDB and OMDb could not match confidently
+--          so an admin can pick the right movie or reject the upload
+-- Date: 2026-10-19
+--
+-- Filled by movieCurator.queueForReview when neither source scores at least
+-- TMDB_MIN_MATCH_CONFIDENCE. Replaces tracking failed imports by hand in
+-- FAILED_IMPORTS_MANUAL_REVIEW.md.
+
+-- =============================================================================
+-- 1. Review queue
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS enrichment_review_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    movie_id UUID NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    youtube_video_id TEXT NOT NULL,
+    youtube_title TEXT,
+    search_title TEXT,
+    search_year INTEGER,
+    reason TEXT NOT NULL CHECK (reason IN ('low_confidence', 'no_match')),
+    match_confidence DECIMAL(4,3),
+    candidates JSONB DEFAULT '[]'::jsonb,
+    match_details JSONB DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'rejected')),
+    resolution JSONB,
+    resolved_by TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE enrichment_review_queue IS 'Imported movies without a confident TMDB/OMDb match, waiting for an admin decision';
+COMMENT ON COLUMN enrichment_review_queue.search_title IS 'Cleaned title the curator searched for (year removed)';
+COMMENT ON COLUMN enrichment_review_queue.match_confidence IS 'Best score either source reached; NULL when nothing was found';
+COMMENT ON COLUMN enrichment_review_queue.candidates IS 'Ranked TMDB search results: [{ tmdbId, title, releaseDate, posterPath, confidence }]';
+COMMENT ON COLUMN enrichment_review_queue.match_details IS 'Per-source outcome: { tmdb: { status, confidence, reasons, match }, omdb: {...} }';
+COMMENT ON COLUMN enrichment_review_queue.resolution IS 'Resolved: { source, tmdbId, imdbId, title }. Rejected: { reason }';
+
+-- =============================================================================
+-- 2. Indexes
+-- =============================================================================
+
+-- One open item per movie; re-imports refresh it instead of adding another
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_queue_pending_movie
+    ON enrichment_review_queue(movie_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_status ON enrichment_review_queue(status, created_at DESC);
+
+-- =============================================================================
+-- 3. Match confidence now covers OMDb matches too
+-- =============================================================================
+
+COMMENT ON COLUMN movies.match_confidence IS 'Match score 0-1 (title 50%, year 30%, runtime 20%) of the TMDB or OMDb match; 1 for manual review decisions';
+
+-- =============================================================================
+-- 4. Row level security
+-- =============================================================================
+
+ALTER TABLE enrichment_review_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on enrichment_review_queue" ON enrichment_review_queue FOR ALL USING (true);
@@ -0,0 +1,37 @@
+-- Migration 021: Genre-Based Movie Categories
+-- Purpose: Derive categories from TMDB/OMDb genres instead of title keywords,
+--          with several categories per movie
+-- Date: 2026-10-19
+--
+-- Categories are assigned by utils/movieCategorizer.js at import and by the
+-- 'recategorize' curation job (POST /api/admin/movies/recategorize).
+
+-- =============================================================================
+-- 1. Category columns
+-- =============================================================================
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS categories TEXT[] DEFAULT '{}';
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS category_source VARCHAR(20)
+    CHECK (category_source IN ('tmdb', 'omdb', 'keywords', 'default'));
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS omdb_genres TEXT;
+
+COMMENT ON COLUMN movies.category IS 'Primary category (first of categories), kept for clients that show one';
+COMMENT ON COLUMN movies.categories IS 'All categories, primary first; GET /api/movies?category= matches any of them';
+COMMENT ON COLUMN movies.category_source IS 'What categories were derived from: tmdb or omdb genres, keyword scoring, or the default';
+COMMENT ON COLUMN movies.omdb_genres IS 'OMDb genre list ("Comedy, Horror"); categorizes movies without TMDB genres';
+
+-- =============================================================================
+-- 2. Carry over existing single categories
+-- =============================================================================
+
+-- Keeps category filters working until the recategorize job has run
+UPDATE movies
+SET categories = ARRAY[category]
+WHERE category IS NOT NULL
+  AND (categories IS NULL OR categories = '{}');
+
+-- =============================================================================
+-- 3. Index for category filters
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_movies_categories ON movies USING GIN (categories);
@@ -0,0 +1,41 @@
+-- Migration 022: Metadata Provenance and Locked Fields
+-- Purpose: Record which source (TMDB, OMDb, YouTube) supplied each movie field,
+--          and let admins lock fields against re-enrichment
+-- Date: 2026-10-19
+--
+-- Fields are merged by utils/metadataMerger.js at import, on re-enrichment
+-- (forceReenrich, POST /api/admin/enrich-tmdb, /enrich-omdb) and when a
+-- review queue item is resolved. Locks are set with
+-- PUT /api/admin/movies/:movieId/locked-fields.
+
+-- =============================================================================
+-- 1. Provenance and lock columns
+-- =============================================================================
+
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS field_sources JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS locked_fields TEXT[] DEFAULT '{}';
+
+COMMENT ON COLUMN movies.field_sources IS 'Source of each merged field, e.g. {"description": "tmdb", "imdb_rating": "omdb", "title": "youtube"}';
+COMMENT ON COLUMN movies.locked_fields IS 'Fields set by an admin that re-enrichment never overwrites ("categories" covers category, categories and category_source)';
+COMMENT ON COLUMN movies.enrichment_source IS 'Source of the match (match_confidence): tmdb, or omdb when TMDB had no confident match';
+
+-- =============================================================================
+-- 2. Backfill provenance of enriched movies
+-- =============================================================================
+
+-- Before the merge, the matched source overwrote every field it had
+UPDATE movies
+SET field_sources = jsonb_build_object(
+        'title', CASE WHEN enrichment_source = 'tmdb' THEN 'tmdb' ELSE 'youtube' END,
+        'description', enrichment_source,
+        'runtime_minutes', enrichment_source,
+        'poster_path', enrichment_source
+    )
+WHERE enrichment_source IN ('tmdb', 'omdb')
+  AND (field_sources IS NULL OR field_sources = '{}'::jsonb);
+
+-- =============================================================================
+-- 3. Index for locked movies
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_movies_locked_fields ON movies USING GIN (locked_fields);
@@ -0,0 +1,47 @@
+-- Migration 023: Admin Metadata Overrides
+-- Purpose: History of manual movie edits and field locks, and 'admin' as a
+--          category source
+-- Date: 2026-10-19
+--
+-- Written by services/movieEditService.js for PATCH /api/admin/movies/:movieId
+-- and PUT /api/admin/movies/:movieId/locked-fields.
+
+-- =============================================================================
+-- 1. Edit history
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS movie_edit_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    movie_id UUID NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('edit', 'lock', 'unlock')),
+    field TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    actor TEXT NOT NULL DEFAULT 'admin',
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_edit_history_movie ON movie_edit_history(movie_id, created_at DESC);
+
+COMMENT ON TABLE movie_edit_history IS 'Manual admin edits of movie display fields, and field locks/unlocks';
+COMMENT ON COLUMN movie_edit_history.old_value IS 'Edit: the value before the change (null for lock/unlock)';
+COMMENT ON COLUMN movie_edit_history.new_value IS 'Edit: the value the admin set (null for lock/unlock)';
+
+-- =============================================================================
+-- 2. Categories set by an admin
+-- =============================================================================
+
+ALTER TABLE movies DROP CONSTRAINT IF EXISTS movies_category_source_check;
+ALTER TABLE movies ADD CONSTRAINT movies_category_source_check
+    CHECK (category_source IN ('tmdb', 'omdb', 'keywords', 'default', 'admin'));
+
+COMMENT ON COLUMN movies.category_source IS 'What categories were derived from: tmdb or omdb genres, keyword scoring, the default, or admin (edited by hand)';
+
+-- =============================================================================
+-- 3. Row level security
+-- =============================================================================
+
+ALTER TABLE movie_edit_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on movie_edit_history" ON movie_edit_history FOR ALL USING (true);
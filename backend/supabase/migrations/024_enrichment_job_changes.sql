@@ -0,0 +1,45 @@
+-- Migration 024: Bulk Enrichment Reports
+-- Purpose: Record what each enrichment job changed (or, on a dry run, would
+--          change) per movie, so the diff can be reviewed and downloaded
+-- Date: 2026-10-19
+--
+-- POST /api/admin/enrich-tmdb and /enrich-omdb queue 'enrich_tmdb' /
+-- 'enrich_omdb' curation jobs (scripts/bulkEnrichMovies.js). Reports are read
+-- with GET /api/admin/jobs/:jobId/changes?format=json|csv.
+
+-- =============================================================================
+-- 1. Per-movie job reports
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS enrichment_job_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES curation_jobs(id) ON DELETE CASCADE,
+    movie_id UUID NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    movie_title TEXT,
+    status TEXT NOT NULL CHECK (status IN ('enriched', 'not_found', 'error')),
+    match_confidence DECIMAL(4,3),
+    changes JSONB DEFAULT '[]'::jsonb,
+    error TEXT,
+    dry_run BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- A resumed job re-reports the batch it was interrupted in
+    UNIQUE (job_id, movie_id)
+);
+
+COMMENT ON TABLE enrichment_job_changes IS 'Outcome of each movie in a bulk enrichment job';
+COMMENT ON COLUMN enrichment_job_changes.changes IS 'Changed fields: [{"field", "from", "to", "source"}]; proposed only when dry_run';
+
+-- =============================================================================
+-- 2. Job types
+-- =============================================================================
+
+COMMENT ON COLUMN curation_jobs.job_type IS 'channel_scan, recategorize, enrich_tmdb or enrich_omdb';
+
+-- =============================================================================
+-- 3. Row level security
+-- =============================================================================
+
+ALTER TABLE enrichment_job_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on enrichment_job_changes" ON enrichment_job_changes FOR ALL USING (true);
@@ -0,0 +1,45 @@
+-- Migration 025: API Response Cache
+-- Purpose: Reuse TMDB and OMDb responses across fix-titles and re-enrichment
+--          runs instead of repeating identical lookups, and count cache hits
+-- Date: 2026-10-19
+--
+-- Written by services/apiCacheService.js (tmdbService.makeRequest,
+-- omdbService.request). Inspected and purged with GET/DELETE /api/admin/api-cache.
+
+-- =============================================================================
+-- 1. Cached responses
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS api_response_cache (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    cache_key TEXT NOT NULL UNIQUE,
+    service TEXT NOT NULL CHECK (service IN ('tmdb', 'omdb')),
+    endpoint TEXT NOT NULL,
+    response JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_response_cache_expires ON api_response_cache(expires_at);
+-- Purges by pattern (ILIKE '%...%'; pg_trgm is enabled in 006)
+CREATE INDEX IF NOT EXISTS idx_api_response_cache_key_trgm ON api_response_cache USING GIN (cache_key gin_trgm_ops);
+
+COMMENT ON TABLE api_response_cache IS 'TMDB/OMDb responses reused until expires_at (API_CACHE_TTL_HOURS)';
+COMMENT ON COLUMN api_response_cache.cache_key IS 'service:endpoint?params, params sorted by name, API keys left out';
+
+-- =============================================================================
+-- 2. Cache hits in API usage
+-- =============================================================================
+
+ALTER TABLE IF EXISTS api_usage ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN api_usage.cache_hit IS 'Answered from api_response_cache (quota_cost 0)';
+
+-- =============================================================================
+-- 3. Row level security
+-- =============================================================================
+
+ALTER TABLE api_response_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on api_response_cache" ON api_response_cache FOR ALL USING (true);
@@ -0,0 +1,57 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { bulkEnricher } from '../src/scripts/bulkEnrichMovies.js'
+import { omdbService } from '../src/services/omdbService.js'
+import replay from './helpers/replay.js'
+
+describe('bulkEnricher.toCsv', () => {
+    it('keeps titles from running as spreadsheet formulas', () => {
+        const csv = bulkEnricher.toCsv([
+            { movie_id: 'm1', movie_title: '=HYPERLINK("http://example.com","Nosferatu")', status: 'not_found', changes: [] },
+            { movie_id: 'm2', movie_title: '@SUM(1+1)', status: 'not_found', changes: [] },
+            { movie_id: 'm3', movie_title: 'Nosferatu - Full Movie', status: 'enriched', match_confidence: 1, changes: [{ field: 'runtime_minutes', from: -1, to: 94, source: 'omdb' }] }
+        ])
+        const lines = csv.trim().split('\n')
+
+        assert.equal(lines[1], 'm1,"\'=HYPERLINK(""http://example.com"",""Nosferatu"")",not_found,,,,,,')
+        assert.equal(lines[2], "m2,'@SUM(1+1),not_found,,,,,,")
+        assert.equal(lines[3], 'm3,Nosferatu - Full Movie,enriched,1,runtime_minutes,-1,94,omdb,')
+    })
+})
+
+describe('bulkEnricher.enrichAll (recorded OMDb responses)', () => {
+    before(() => {
+        replay.install()
+        memoryRepository.reset()
+    })
+
+    it('counts an OMDb outage as a failure and leaves the movie out of the review queue', async () => {
+        await memoryRepository.createMovie({ id: 'movie-outage', youtube_video_id: 'movie-outage-upload', channel_id: 'channel-outage', title: 'Metropolis (1927)', is_available: false })
+        omdbService.retryDelayMs = 0
+        replay.reset()
+
+        const results = await bulkEnricher.enrichAll({ source: 'omdb', channelId: 'channel-outage' })
+
+        assert.deepEqual([results.total, results.failed, results.notFound, results.queuedForReview], [1, 1, 0, 0])
+        assert.equal(replay.requests('omdb').length, omdbService.maxRetries + 1)
+        assert.equal(memoryRepository.table('enrichment_review_queue').length, 0)
+    })
+
+    it('stops an OMDb job at the daily limit instead of reporting the rest as not found', async () => {
+        for (const [id, title] of [['movie-a', 'Nosferatu the Vampire (1929)'], ['movie-b', 'The Little Shop of Horrors (1960)']]) {
+            await memoryRepository.createMovie({ id, youtube_video_id: `${id}-upload`, channel_id: 'channel-cap', title, is_available: false })
+        }
+        replay.reset()
+
+        // Room for one request: movie-a's first search misses, its retry hits the cap
+        omdbService.dailyLimit = omdbService.used + 1
+
+        const results = await bulkEnricher.enrichAll({ source: 'omdb', channelId: 'channel-cap' })
+
+        assert.equal(results.stopped, 'omdb_daily_limit')
+        assert.deepEqual([results.total, results.failed, results.notFound, results.queuedForReview], [1, 1, 0, 0])
+        assert.equal(replay.requests('omdb').length, 1)
+        assert.equal(memoryRepository.table('enrichment_review_queue').length, 0)
+    })
+})
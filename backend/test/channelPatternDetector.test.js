@@ -0,0 +1,79 @@
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { channelPatternDetector } from '../src/services/channelPatternDetector.js'
+import replay from './helpers/replay.js'
+
+const CHANNEL_ID = 'UCTESTclassicMovies00000'
+
+describe('channelPatternDetector title analysis', () => {
+    it('detects titles in the first segment', () => {
+        const titles = [
+            'Detour (1945) | Film Noir | Tom Neal | Free Movies Cinema',
+            'Charade (1963) | Thriller | Cary Grant | Free Movies Cinema',
+            'His Girl Friday (1940) | Comedy | Rosalind Russell | Free Movies Cinema',
+            'Scarlet Street (1945) | Drama | Edward G. Robinson | Free Movies Cinema'
+        ]
+
+        const pipeAnalysis = channelPatternDetector.analyzePipeSeparators(titles)
+        const pattern = channelPatternDetector.determineTitlePosition(titles, pipeAnalysis)
+
+        assert.equal(pipeAnalysis.hasPipes, true)
+        assert.equal(pipeAnalysis.channelNameInLast, true)
+        assert.equal(pattern.type, 'first_segment')
+        assert.equal(pattern.title_position, 'first')
+    })
+
+    it('detects titles in the last segment after clickbait', () => {
+        const titles = [
+            'The Most Shocking Heist Ever Put On Film, You Will Not Believe It | Rififi (1955)',
+            'Why This Is The Best Noir Nobody Has Seen Before Today | Detour (1945)',
+            'How One Plant Became The Most Dangerous Thing In Town | The Little Shop of Horrors (1960)'
+        ]
+
+        const pipeAnalysis = channelPatternDetector.analyzePipeSeparators(titles)
+        const pattern = channelPatternDetector.determineTitlePosition(titles, pipeAnalysis)
+
+        assert.equal(pattern.type, 'last_segment')
+        assert.equal(pattern.title_position, 'last')
+    })
+
+    it('needs more than 40% piped titles to use pipe extraction', () => {
+        const titles = ['Detour (1945)', 'Charade (1963)', 'Rififi (1955) | Heist', 'Nosferatu (1922)', 'Metropolis (1927) | Sci-Fi']
+
+        assert.deepEqual(channelPatternDetector.analyzePipeSeparators(titles), { hasPipes: false })
+    })
+
+    it('scores segments with a year above promotional text', () => {
+        const title = channelPatternDetector.scoreSegmentAsTitle('Nosferatu (1922)', 'first')
+        const promo = channelPatternDetector.scoreSegmentAsTitle('Full Movie', 'last')
+
+        assert.ok(title > promo)
+    })
+})
+
+describe('channelPatternDetector.analyzeChannel', () => {
+    before(() => replay.install())
+
+    beforeEach(() => {
+        memoryRepository.reset()
+        memoryRepository.seed({ channels: [{ id: CHANNEL_ID, title: 'Classic Movies Vault' }] })
+    })
+
+    it('analyzes recorded uploads and stores the pattern on the channel', async () => {
+        const result = await channelPatternDetector.analyzeChannel(CHANNEL_ID, 25)
+
+        // 2 of 5 sample titles use pipes, below the 40% threshold
+        assert.equal(result.type, 'no_pipes')
+        assert.equal(result.sample_count, 5)
+
+        const stored = await channelPatternDetector.getPattern(CHANNEL_ID)
+        assert.equal(stored.type, 'no_pipes')
+        assert.equal(stored.title_position, 'full')
+    })
+
+    it('returns null for channels without a stored pattern', async () => {
+        assert.equal(await channelPatternDetector.getPattern(CHANNEL_ID), null)
+        assert.equal(await channelPatternDetector.getPattern('UCmissingChannel00000000'), null)
+    })
+})
@@ -0,0 +1,146 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { movieCurator } from '../src/services/movieCurator.js'
+import curationQueue from '../src/jobs/curationQueue.js'
+import replay from './helpers/replay.js'
+
+const CHANNEL_ID = 'UCTESTclassicMovies00000'
+
+const moviesByVideoId = () => Object.fromEntries(
+    [...memoryRepository.tables.movies.values()].map(movie => [movie.youtube_video_id, movie])
+)
+
+describe('channel curation pipeline (recorded YouTube/TMDB/OMDb responses)', () => {
+    let results
+
+    before(async () => {
+        replay.install()
+        memoryRepository.reset()
+        results = await movieCurator.curateChannelMovies(CHANNEL_ID, { crawlMode: 'auto' })
+    })
+
+    it('creates the channel from channels.list', async () => {
+        const channel = await memoryRepository.getChannelById(CHANNEL_ID)
+
+        assert.equal(channel.title, 'Classic Movies Vault')
+        assert.equal(channel.subscriber_count, 312000)
+        assert.equal(channel.is_verified, true)
+    })
+
+    it('reads the uploads playlist instead of search.list', () => {
+        const youtubeCalls = replay.requests('youtube').map(call => call.path)
+
+        assert.ok(youtubeCalls.includes('/youtube/v3/playlistItems'))
+        assert.ok(!youtubeCalls.includes('/youtube/v3/search'))
+    })
+
+    it('keeps full-length movies and rejects trailers and interviews', () => {
+        assert.equal(results.crawlType, 'deep')
+        assert.equal(results.moviesFound, 3)
+        assert.equal(results.moviesAdded, 3)
+        assert.deepEqual(results.errors, [])
+
+        const movies = moviesByVideoId()
+        assert.deepEqual(Object.keys(movies).sort(), ['Lsh1960Full', 'Nsf1922Orig', 'Nsf1922Rstr'])
+    })
+
+    it('enriches from TMDB and links genres', async () => {
+        const movie = await memoryRepository.getMovieByYouTubeId('Nsf1922Orig')
+
+        assert.equal(movie.title, 'Nosferatu')
+        assert.equal(movie.tmdb_id, 653)
+        assert.equal(movie.imdb_id, 'tt0013442')
+        assert.equal(movie.enrichment_source, 'tmdb')
+        assert.equal(movie.match_confidence, 1)
+        assert.deepEqual(movie.match_reasons.map(reason => reason.factor), ['title', 'year', 'runtime'])
+        assert.equal(movie.youtube_video_title, 'Nosferatu (1922) | Full Movie | Silent Horror Classic')
+        assert.deepEqual(movie.genres.map(genre => genre.name).sort(), ['Fantasy', 'Horror'])
+        assert.deepEqual({ category: movie.category, source: movie.category_source }, { category: 'horror', source: 'tmdb' })
+    })
+
+    it('merges OMDb ratings and credits into TMDB matches with per-field sources', async () => {
+        const movie = await memoryRepository.getMovieByYouTubeId('Nsf1922Orig')
+
+        assert.equal(movie.release_date, '1922-02-16')
+        assert.equal(movie.imdb_rating, 7.8)
+        assert.equal(movie.director, 'F.W. Murnau')
+        assert.deepEqual(
+            [movie.field_sources.title, movie.field_sources.description, movie.field_sources.release_date, movie.field_sources.imdb_rating],
+            ['tmdb', 'tmdb', 'tmdb', 'omdb']
+        )
+        assert.ok(replay.requests('omdb').some(call => call.query.i === 'tt0013442'))
+    })
+
+    it('falls back to OMDb when TMDB has no match', () => {
+        const movie = moviesByVideoId().Lsh1960Full
+
+        assert.equal(movie.imdb_id, 'tt0054033')
+        assert.equal(movie.enrichment_source, 'omdb')
+        assert.equal(movie.director, 'Roger Corman')
+        assert.equal(movie.runtime_minutes, 72)
+        assert.equal(movie.match_confidence, 1)
+        assert.deepEqual(movie.categories, ['comedy', 'horror'])
+        assert.equal(movie.category_source, 'omdb')
+        // OMDb never replaces the title; it stays the YouTube title until fix-titles runs
+        assert.equal(movie.title, movie.youtube_video_title)
+        assert.deepEqual([movie.field_sources.title, movie.field_sources.description], ['youtube', 'omdb'])
+    })
+
+    it('leaves the review queue empty when every upload matched confidently', () => {
+        assert.equal(memoryRepository.table('enrichment_review_queue').length, 0)
+    })
+
+    it('groups the re-upload as a backup of the better-scored primary', () => {
+        const { Nsf1922Orig: original, Nsf1922Rstr: restored } = moviesByVideoId()
+
+        assert.equal(restored.movie_group_id, original.movie_group_id)
+        assert.ok(original.quality_score > restored.quality_score)
+        assert.equal(original.is_primary, true)
+        assert.equal(restored.is_primary, false)
+        assert.equal(memoryRepository.tables.movie_groups.size, 2)
+    })
+
+    it('records the crawl watermark, upload yield and API usage', async () => {
+        const channel = await memoryRepository.getChannelById(CHANNEL_ID)
+
+        assert.equal(channel.crawl_watermark, '2026-10-18T20:00:00Z')
+        assert.ok(channel.last_deep_crawl_at)
+        assert.deepEqual(
+            { scanned: channel.upload_stats.scanned, kept: channel.upload_stats.kept, rejected: channel.upload_stats.rejected },
+            { scanned: 5, kept: 3, rejected: 2 }
+        )
+
+        const services = new Set(memoryRepository.tables.api_usage.map(row => row.service))
+        assert.ok(services.has('youtube') && services.has('tmdb'))
+
+        // channels.list x2 + playlistItems.list + videos.list, 1 unit each
+        const quota = await memoryRepository.getApiQuotaUsage(
+            [...memoryRepository.tables.api_quota_usage.values()][0].date
+        )
+        const youtubeQuota = quota.filter(row => !row.api_key_id.startsWith('omdb-'))
+        assert.equal(youtubeQuota.reduce((sum, row) => sum + row.units, 0), 4)
+    })
+
+    it('only rescans uploads after the watermark on the next scheduled run', async () => {
+        replay.reset()
+
+        const rerun = await movieCurator.curateChannelMovies(CHANNEL_ID, { crawlMode: 'auto' })
+
+        assert.equal(rerun.crawlType, 'incremental')
+        assert.equal(rerun.moviesAdded, 0)
+        assert.equal(rerun.moviesSkipped, 1)
+        assert.deepEqual(
+            replay.requests('youtube').map(call => call.fixture),
+            ['youtube/playlistItems-uploads.json', 'youtube/videos-uploads-since-watermark.json']
+        )
+        assert.equal(replay.requests('tmdb').length, 0)
+    })
+
+    it('ignores the watermark for queued full imports', async () => {
+        const scan = options => curationQueue.handlers.channel_scan({ channel_id: CHANNEL_ID, job_options: options }, null)
+
+        assert.equal((await scan({})).crawlType, 'incremental')
+        assert.equal((await scan({ fullImport: true, maxResults: 1000 })).crawlType, 'deep')
+    })
+})
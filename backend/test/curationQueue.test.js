@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import curationQueue from '../src/jobs/curationQueue.js'
+
+/**
+ * Poll until the condition holds (the worker's heartbeat runs on a timer)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs
+
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the curation worker')
+        await new Promise(resolve => setTimeout(resolve, 5))
+    }
+}
+
+describe('curationQueue.processJob (in-memory database)', () => {
+    const heartbeatInterval = curationQueue.HEARTBEAT_INTERVAL_MS
+
+    before(() => {
+        memoryRepository.reset()
+        curationQueue.HEARTBEAT_INTERVAL_MS = 10
+    })
+
+    after(() => {
+        curationQueue.HEARTBEAT_INTERVAL_MS = heartbeatInterval
+        delete curationQueue.handlers.test_job
+    })
+
+    it('stops without writing once another worker reclaimed the expired lease', async () => {
+        const job = await memoryRepository.createCurationJob({ jobType: 'test_job' })
+        const claimed = await memoryRepository.claimCurationJob(curationQueue.workerId, curationQueue.LEASE_SECONDS)
+        assert.deepEqual([claimed.id, claimed.attempts], [job.id, 1])
+
+        // Nothing else is claimable while the lease holds
+        assert.equal(await memoryRepository.claimCurationJob('worker-b', 120), null)
+
+        curationQueue.handlers.test_job = async (_job, context) => {
+            await memoryRepository.updateCurationJob(job.id, { locked_until: new Date(Date.now() - 1000).toISOString() })
+            await memoryRepository.claimCurationJob('worker-b', 120)
+
+            await waitFor(() => context.isCancelled())
+            return { cancelled: true }
+        }
+
+        await curationQueue.processJob(claimed)
+
+        const stored = await memoryRepository.getCurationJob(job.id)
+        assert.deepEqual([stored.status, stored.locked_by, stored.attempts], ['running', 'worker-b', 2])
+    })
+
+    it('extends the lease on heartbeat and stops a running job on cancel', async () => {
+        const job = await memoryRepository.createCurationJob({ jobType: 'test_job' })
+        const claimed = await memoryRepository.claimCurationJob(curationQueue.workerId, curationQueue.LEASE_SECONDS)
+        let heartbeat = null
+
+        curationQueue.handlers.test_job = async (_job, context) => {
+            await context.saveProgress({ processed: 1, successful: 1, checkpoint: { lastVideoId: 'video-1' } })
+
+            // A live lease only flags the job; the worker stops on its next heartbeat
+            const requested = await memoryRepository.requestCurationJobCancel(job.id)
+            assert.deepEqual([requested.status, requested.cancel_requested], ['running', true])
+
+            await waitFor(() => context.isCancelled())
+            heartbeat = await memoryRepository.getCurationJob(job.id)
+            return { cancelled: true, moviesFound: 1 }
+        }
+
+        await curationQueue.processJob(claimed)
+
+        assert.ok(new Date(heartbeat.heartbeat_at) > new Date(claimed.heartbeat_at))
+        assert.ok(new Date(heartbeat.locked_until) > new Date(claimed.locked_until))
+
+        const stored = await memoryRepository.getCurationJob(job.id)
+        assert.deepEqual([stored.status, stored.locked_by, stored.result_summary.moviesFound], ['cancelled', null, 1])
+    })
+
+    it('resumes a cancelled job from its checkpoint', async () => {
+        const [cancelled] = await memoryRepository.getCurationJobs({ status: 'cancelled' })
+        const resumed = await memoryRepository.resumeCurationJob(cancelled.id)
+        assert.deepEqual([resumed.status, resumed.attempts, resumed.cancel_requested], ['pending', 0, false])
+
+        let checkpoint = null
+        curationQueue.handlers.test_job = async (_job, context) => {
+            checkpoint = context.checkpoint
+            return { moviesFound: 2, moviesAdded: 2 }
+        }
+
+        await curationQueue.processJob(await memoryRepository.claimCurationJob(curationQueue.workerId, curationQueue.LEASE_SECONDS))
+
+        assert.deepEqual(checkpoint, { lastVideoId: 'video-1' })
+        assert.equal((await memoryRepository.getCurationJob(cancelled.id)).status, 'completed')
+    })
+})
@@ -0,0 +1,90 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import duplicateDetector from '../src/services/duplicateDetector.js'
+
+describe('duplicateDetector.calculateQualityScore', () => {
+    beforeEach(() => {
+        memoryRepository.reset()
+        memoryRepository.seed({
+            channels: [
+                { id: 'UCtrustedChannel00000001', title: 'Trusted', reputation_score: 0.8 },
+                { id: 'UCunscoredChannel0000001', title: 'Unscored', reputation_score: null }
+            ]
+        })
+    })
+
+    it('adds views, channel reputation, embeddability and recency', async () => {
+        const score = await duplicateDetector.calculateQualityScore({
+            view_count: 1000000,          // log10(1M) * 5 = 30
+            channel_id: 'UCtrustedChannel00000001', // 0.8 * 30 = 24
+            is_embeddable: true,          // 10
+            published_at: new Date().toISOString() // 20
+        })
+
+        assert.equal(score, 84)
+    })
+
+    it('caps views at 40 points and gives unscored channels a neutral 0.5', async () => {
+        const score = await duplicateDetector.calculateQualityScore({
+            view_count: 500000000,
+            channel_id: 'UCunscoredChannel0000001',
+            is_embeddable: false,
+            published_at: '2019-01-01T00:00:00Z'
+        })
+
+        assert.equal(score, 40 + 15)
+    })
+
+    it('scores a video without stats from reputation alone', async () => {
+        assert.equal(await duplicateDetector.calculateQualityScore({ channel_id: 'UCmissingChannel00000001' }), 15)
+    })
+})
+
+describe('duplicateDetector.normalizeTitle', () => {
+    it('drops punctuation, articles and upload noise', () => {
+        assert.equal(duplicateDetector.normalizeTitle('The Little Shop of Horrors - Full Movie [HD]'), 'little shop of horrors')
+        assert.equal(duplicateDetector.normalizeTitle('Nosferatu: A Symphony of Horror (1922) 1080p'), 'nosferatu symphony of horror 1922')
+        assert.equal(duplicateDetector.normalizeTitle(null), '')
+    })
+})
+
+describe('duplicateDetector movie groups', () => {
+    beforeEach(() => memoryRepository.reset())
+
+    it('matches by TMDB ID before comparing titles', async () => {
+        const first = await duplicateDetector.findOrCreateMovieGroup({ tmdb_id: 653, title: 'Nosferatu', release_year: 1922 })
+        const second = await duplicateDetector.findOrCreateMovieGroup({ tmdb_id: 653, title: 'Nosferatu the Vampire' })
+
+        assert.equal(first.matchType, 'new_group')
+        assert.equal(second.matchType, 'tmdb_id')
+        assert.equal(second.group.id, first.group.id)
+    })
+
+    it('matches re-uploads by fuzzy title within the year tolerance', async () => {
+        const first = await duplicateDetector.findOrCreateMovieGroup({ title: 'The Little Shop of Horrors', release_year: 1960 })
+        const reupload = await duplicateDetector.findOrCreateMovieGroup({ title: 'Little Shop of Horrors - Full Movie HD', release_year: 1961 })
+        const remake = await duplicateDetector.findOrCreateMovieGroup({ title: 'Little Shop of Horrors', release_year: 1986 })
+
+        assert.equal(reupload.matchType, 'title_fuzzy')
+        assert.equal(reupload.group.id, first.group.id)
+        assert.equal(remake.matchType, 'new_group')
+    })
+
+    it('keeps an admin-pinned primary when a better upload arrives', async () => {
+        const group = await memoryRepository.createMovieGroup({ canonical_title: 'Detour', normalized_title: 'detour' })
+        const pinned = await memoryRepository.createMovie({
+            youtube_video_id: 'Dtr1945Orig',
+            title: 'Detour',
+            movie_group_id: group.id,
+            is_primary: true,
+            quality_score: 40
+        })
+
+        assert.deepEqual(await duplicateDetector.shouldBePrimary(group.id, 90), { isPrimary: true, existingPrimaryId: pinned.id })
+
+        await memoryRepository.updateMovieGroup(group.id, { pinned_primary_id: pinned.id })
+
+        assert.deepEqual(await duplicateDetector.shouldBePrimary(group.id, 90), { isPrimary: false, existingPrimaryId: pinned.id })
+    })
+})
@@ -0,0 +1,65 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import feedService from '../src/services/feedService.js'
+
+const USER_ID = '3f8b2d61-9c4e-4a7f-b1d0-6e5c4b3a2f19'
+const CHANNEL_ID = 'UCTESTfeedChannel0000000'
+const HORROR = 27
+
+const film = (id, movieGroupId = null) => ({
+    id,
+    title: id,
+    channel_id: CHANNEL_ID,
+    movie_group_id: movieGroupId,
+    release_year: 1922,
+    is_available: true
+})
+
+const FILMS = [
+    film('feed-nosferatu', 'group-nosferatu'),
+    film('feed-nosferatu-copy', 'group-nosferatu'),
+    film('feed-faust', 'group-faust'),
+    film('feed-faust-copy', 'group-faust'),
+    film('feed-caligari'),
+    film('feed-golem'),
+    film('feed-haxan'),
+    film('feed-vampyr'),
+    film('feed-phantom')
+]
+
+describe('feedService.buildFeed', () => {
+    before(() => {
+        memoryRepository.reset()
+        memoryRepository.seed({
+            genres: [{ id: HORROR, name: 'Horror' }],
+            movies: FILMS,
+            movie_genres: FILMS.map(({ id }) => ({ movie_id: id, genre_id: HORROR })),
+            watch_history: [{
+                id: 'history-nosferatu',
+                user_id: USER_ID,
+                content_type: 'movie',
+                movie_id: 'feed-nosferatu',
+                watch_count: 1,
+                is_finished: true,
+                last_watched_at: new Date().toISOString()
+            }]
+        })
+    })
+
+    it('shows each film once across rows and never another version of a watched one', async () => {
+        feedService.ROW_SIZE = 3
+
+        const feed = await feedService.buildFeed(USER_ID)
+        const shown = feed.rows.flatMap(row => row.movies)
+
+        assert.equal(feed.personalized, true)
+        assert.deepEqual(feed.rows.map(row => row.type), ['because_you_watched', 'genre'])
+        assert.equal(feed.rows[0].title, 'Because you watched feed-nosferatu')
+
+        // 6 of the 7 unwatched films fill two rows; the one left over is too few for a third
+        assert.equal(shown.length, 6)
+        assert.equal(new Set(shown.map(movie => movie.movie_group_id || movie.id)).size, shown.length)
+        assert.ok(!shown.some(movie => movie.movie_group_id === 'group-nosferatu'))
+    })
+})
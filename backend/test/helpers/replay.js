@@ -0,0 +1,253 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import axios, { AxiosError } from 'axios'
+import { google } from 'googleapis'
+
+/**
+ * Recorded API responses for YouTube, TMDB and OMDb
+ *
+ * Hooks the three transports the services use — the googleapis adapter
+ * (youtubeService), global fetch (tmdbService) and the axios adapter
+ * (omdbService) — and answers each request from test/fixtures/<service>/*.json:
+ *
+ *   {
+ *     "request": { "method": "GET", "path": "/3/search/movie", "query": { "query": "Nosferatu" } },
+ *     "response": { "status": 200, "body": { ... } }
+ *   }
+ *
+ * A fixture matches when method and path are equal and every query value it
+ * lists equals the request's (repeated params are joined with commas); the
+ * most specific match wins. API keys are never part of the match.
+ *
+ * A request without a fixture fails the test. With RECORD_FIXTURES=true the
+ * request goes to the real API instead and the response is saved as a new
+ * fixture (API keys stripped) — run once with real keys to refresh them.
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures')
+
+const SERVICES = {
+    'youtube.googleapis.com': 'youtube',
+    'www.googleapis.com': 'youtube',
+    'api.themoviedb.org': 'tmdb',
+    'www.omdbapi.com': 'omdb',
+    'omdbapi.com': 'omdb'
+}
+
+const SECRET_PARAMS = ['key', 'api_key', 'apikey']
+
+// Requests to the API under test pass straight through
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+/**
+ * Normalize a request into { service, method, path, query }
+ */
+function describeRequest(method, url, params = {}) {
+    const parsed = new URL(url)
+    const query = {}
+
+    const add = (name, value) => {
+        if (value === null || value === undefined || SECRET_PARAMS.includes(name)) return
+        const text = Array.isArray(value) ? value.join(',') : String(value)
+        query[name] = query[name] !== undefined ? `${query[name]},${text}` : text
+    }
+
+    for (const [name, value] of parsed.searchParams) {
+        add(name, value)
+    }
+    for (const [name, value] of Object.entries(params || {})) {
+        if (!parsed.searchParams.has(name)) add(name, value)
+    }
+
+    return {
+        host: parsed.hostname,
+        service: SERVICES[parsed.hostname] || null,
+        method: (method || 'GET').toUpperCase(),
+        path: parsed.pathname,
+        query
+    }
+}
+
+function formatRequest(request) {
+    const query = new URLSearchParams(request.query).toString()
+    return `${request.method} ${request.service || request.host} ${request.path}${query ? `?${query}` : ''}`
+}
+
+class FixtureReplay {
+    constructor() {
+        this.fixtures = []
+        this.calls = []
+        this.record = process.env.RECORD_FIXTURES === 'true'
+        this.installed = false
+    }
+
+    /**
+     * Load fixtures and hook the HTTP transports (idempotent)
+     */
+    install() {
+        if (this.installed) return this
+        this.installed = true
+        this.load()
+
+        // googleapis → gaxios adapter
+        google.options({
+            adapter: async (options, defaultAdapter) => {
+                const request = describeRequest(options.method, options.url, options.params)
+                const response = await this.respond(request, async () => {
+                    const live = await defaultAdapter(options)
+                    return { status: live.status, body: live.data }
+                })
+
+                return {
+                    config: options,
+                    data: response.body,
+                    status: response.status,
+                    statusText: response.status < 400 ? 'OK' : 'Error',
+                    headers: { 'content-type': 'application/json' },
+                    request: { responseURL: options.url }
+                }
+            }
+        })
+
+        // tmdbService → fetch
+        const liveFetch = globalThis.fetch
+        globalThis.fetch = async (input, init = {}) => {
+            const url = typeof input === 'string' ? input : input.url
+            const request = describeRequest(init.method, url)
+
+            if (LOOPBACK_HOSTS.includes(request.host)) {
+                return liveFetch(input, init)
+            }
+
+            const response = await this.respond(request, async () => {
+                const live = await liveFetch(input, init)
+                return { status: live.status, body: await live.json() }
+            })
+
+            return new Response(JSON.stringify(response.body), {
+                status: response.status,
+                headers: { 'content-type': 'application/json' }
+            })
+        }
+
+        // omdbService → axios
+        const liveAdapter = axios.getAdapter(axios.defaults.adapter)
+        axios.defaults.adapter = async (config) => {
+            const request = describeRequest(config.method, config.url, config.params)
+            const response = await this.respond(request, async () => {
+                const live = await liveAdapter({ ...config, validateStatus: () => true })
+                return { status: live.status, body: live.data }
+            })
+
+            const axiosResponse = {
+                data: response.body,
+                status: response.status,
+                statusText: response.status < 400 ? 'OK' : 'Error',
+                headers: { 'content-type': 'application/json' },
+                config,
+                request: {}
+            }
+
+            if (!config.validateStatus || config.validateStatus(response.status)) {
+                return axiosResponse
+            }
+
+            throw new AxiosError(
+                `Request failed with status code ${response.status}`,
+                AxiosError.ERR_BAD_RESPONSE,
+                config,
+                null,
+                axiosResponse
+            )
+        }
+
+        return this
+    }
+
+    load() {
+        this.fixtures = []
+
+        for (const service of fs.readdirSync(FIXTURES_DIR)) {
+            const dir = path.join(FIXTURES_DIR, service)
+            if (!fs.statSync(dir).isDirectory()) continue
+
+            for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+                const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+                this.fixtures.push({ ...fixture, service, file: `${service}/${file}` })
+            }
+        }
+    }
+
+    find(request) {
+        let best = null
+
+        for (const fixture of this.fixtures) {
+            const expected = fixture.request
+            if (fixture.service !== request.service) continue
+            if ((expected.method || 'GET') !== request.method || expected.path !== request.path) continue
+
+            const query = expected.query || {}
+            const matches = Object.entries(query).every(([name, value]) => request.query[name] === String(value))
+
+            if (matches && (!best || Object.keys(query).length > Object.keys(best.request.query || {}).length)) {
+                best = fixture
+            }
+        }
+
+        return best
+    }
+
+    async respond(request, live) {
+        if (LOOPBACK_HOSTS.includes(request.host)) {
+            return live()
+        }
+
+        const fixture = this.find(request)
+        this.calls.push({ ...request, fixture: fixture?.file || null })
+
+        if (fixture) {
+            return structuredClone(fixture.response)
+        }
+
+        if (!this.record || !request.service) {
+            throw new Error(`No recorded fixture for ${formatRequest(request)}`)
+        }
+
+        const response = await live()
+        this.save(request, response)
+        return response
+    }
+
+    save(request, response) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify([request.method, request.path, request.query]))
+            .digest('hex')
+            .slice(0, 8)
+        const slug = request.path.split('/').filter(Boolean).slice(-2).join('-') || 'root'
+        const file = path.join(FIXTURES_DIR, request.service, `${slug}-${hash}.json`)
+
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        fs.writeFileSync(file, `${JSON.stringify({
+            request: { method: request.method, path: request.path, query: request.query },
+            response
+        }, null, 2)}\n`)
+
+        this.fixtures.push({ request, response, service: request.service, file: `${request.service}/${path.basename(file)}` })
+    }
+
+    /**
+     * Requests made since the last reset, optionally for one service
+     */
+    requests(service = null) {
+        return this.calls.filter(call => !service || call.service === service)
+    }
+
+    reset() {
+        this.calls = []
+    }
+}
+
+export const replay = new FixtureReplay()
+export default replay
@@ -0,0 +1,56 @@
+import { once } from 'events'
+import { memoryRepository } from '../../src/config/database.js'
+import replay from './replay.js'
+
+/**
+ * Boot the API (src/server.js) on a random port against the in-memory store
+ *
+ * @returns {Promise<{repository: MemoryRepository, request: Function, close: Function}>}
+ */
+export async function startServer() {
+    if (!memoryRepository) {
+        throw new Error('Route tests need STORAGE_ADAPTER=memory (run them with npm test)')
+    }
+
+    replay.install()
+
+    const { server } = await import('../../src/server.js')
+    if (!server.listening) {
+        await once(server, 'listening')
+    }
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+    /**
+     * JSON request against the running API
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - e.g. '/api/movies'
+     * @param {Object} options - { body, token (user bearer token), admin (send the admin key) }
+     * @returns {Promise<{status: number, body: Object|string}>} body is text for non-JSON responses (CSV downloads)
+     */
+    async function request(method, path, { body, token, admin = false } = {}) {
+        const headers = { 'content-type': 'application/json' }
+
+        if (token) headers.authorization = `Bearer ${token}`
+        if (admin) headers['x-admin-api-key'] = process.env.ADMIN_API_KEY
+
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        })
+
+        const isJson = (response.headers.get('content-type') || '').includes('application/json')
+
+        return { status: response.status, body: isJson ? await response.json() : await response.text() }
+    }
+
+    return {
+        repository: memoryRepository,
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    }
+}
+
+export default startServer
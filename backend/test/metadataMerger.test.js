@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { metadataMerger } from '../src/utils/metadataMerger.js'
+
+const youtube = { title: 'Nosferatu (1922) | Full Movie', description: 'Subscribe for more classics!', runtime_minutes: 91 }
+const tmdb = { title: 'Nosferatu', description: 'Vampire Count Orlok...', runtime_minutes: null, tmdb_id: 653, imdb_id: 'tt0013442' }
+const omdb = { description: 'In 1838, Thomas Hutter...', runtime_minutes: 94, imdb_id: 'tt0013442', imdb_rating: 7.8 }
+
+describe('metadataMerger', () => {
+    it('takes each field from the first source that has it', () => {
+        const { fields, provenance } = metadataMerger.merge({ youtube, tmdb, omdb })
+
+        assert.equal(fields.title, 'Nosferatu')
+        assert.equal(fields.description, 'Vampire Count Orlok...')
+        assert.equal(fields.runtime_minutes, 94)
+        assert.equal(fields.imdb_rating, 7.8)
+        assert.deepEqual(
+            [provenance.title, provenance.description, provenance.runtime_minutes, provenance.imdb_rating],
+            ['tmdb', 'tmdb', 'omdb', 'omdb']
+        )
+    })
+
+    it('never takes the title from OMDb unless asked to', () => {
+        const omdbTitled = { ...omdb, title: 'Nosferatu: A Symphony of Horror' }
+
+        assert.equal(metadataMerger.merge({ omdb: omdbTitled }).fields.title, undefined)
+        assert.equal(metadataMerger.merge({ omdb: omdbTitled }, { priority: { title: ['omdb'] } }).fields.title, 'Nosferatu: A Symphony of Horror')
+    })
+
+    it('keeps locked fields and the provenance of fields no source supplies', () => {
+        const current = {
+            title: 'Nosferatu (Restored)',
+            locked_fields: ['title'],
+            field_sources: { title: 'youtube', poster_path: 'tmdb' }
+        }
+
+        const { fields, provenance, locked } = metadataMerger.merge({ tmdb }, { current })
+
+        assert.equal(fields.title, undefined)
+        assert.equal(fields.description, 'Vampire Count Orlok...')
+        assert.deepEqual(locked, ['title'])
+        assert.deepEqual(
+            [provenance.title, provenance.poster_path, provenance.description],
+            ['youtube', 'tmdb', 'tmdb']
+        )
+    })
+
+    it('drops every category column when categories are locked', () => {
+        const update = { category: 'horror', categories: ['horror'], category_source: 'tmdb', description: 'x' }
+
+        assert.deepEqual(metadataMerger.omitLocked(update, { locked_fields: ['categories'] }), { description: 'x' })
+    })
+})
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { movieCategorizer } from '../src/utils/movieCategorizer.js'
+import { movieRecategorizer } from '../src/scripts/recategorizeMovies.js'
+
+describe('movieCategorizer', () => {
+    it('maps TMDB genres to categories in genre order', () => {
+        const result = movieCategorizer.categorize({
+            title: 'A Love Story',
+            genres: [{ id: 27, name: 'Horror' }, { id: 14, name: 'Fantasy' }, { id: 10770, name: 'TV Movie' }]
+        })
+
+        assert.deepEqual(result, { category: 'horror', categories: ['horror', 'fantasy'], source: 'tmdb', scores: null })
+    })
+
+    it('falls back to OMDb genre names', () => {
+        const result = movieCategorizer.categorize({ genres: [], omdb_genres: 'Comedy, Horror, Sci-Fi' })
+
+        assert.equal(result.source, 'omdb')
+        assert.deepEqual(result.categories, ['comedy', 'horror', 'science_fiction'])
+    })
+
+    it('scores whole-word keywords when there are no genres', () => {
+        const result = movieCategorizer.categorize({
+            title: 'Zombie Island',
+            description: 'A ghost haunts the island. A heartfelt tale from the golden era.'
+        })
+
+        assert.equal(result.source, 'keywords')
+        assert.deepEqual(result.categories, ['horror'])
+        assert.deepEqual(result.scores, { horror: 3 })
+    })
+
+    it('ignores single description hits and substrings', () => {
+        const result = movieCategorizer.categorize({
+            title: 'The Hold Out',
+            description: 'An award-winning story told with heart. You will love it.',
+            release_date: '1947-05-01'
+        })
+
+        assert.deepEqual(result, { category: 'classic', categories: ['classic'], source: 'default', scores: null })
+    })
+})
+
+describe('movieRecategorizer backfill', () => {
+    beforeEach(() => {
+        memoryRepository.reset()
+        memoryRepository.seed({
+            genres: [{ id: 27, name: 'Horror' }, { id: 14, name: 'Fantasy' }],
+            movie_genres: [{ movie_id: 'movie-tmdb', genre_id: 27 }, { movie_id: 'movie-tmdb', genre_id: 14 }],
+            movies: [
+                { id: 'movie-tmdb', youtube_video_id: 'Nsf1922Orig', title: 'Nosferatu', description: 'A love story of sorts', category: 'romance' },
+                { id: 'movie-omdb', youtube_video_id: 'Lsh1960Full', title: 'The Little Shop of Horrors', omdb_genres: 'Comedy, Horror', category: 'comedy', categories: ['comedy', 'horror'] }
+            ]
+        })
+    })
+
+    it('reports changes without saving them in a dry run', async () => {
+        const results = await movieRecategorizer.recategorizeAll({ dryRun: true })
+
+        assert.equal(results.total, 2)
+        assert.equal(results.updated, 1)
+        assert.deepEqual(results.bySource, { tmdb: 1, omdb: 1 })
+        assert.deepEqual(results.transitions, { 'romance → horror': 1 })
+        assert.deepEqual(results.changes[0].to, { category: 'horror', categories: ['horror', 'fantasy'], source: 'tmdb' })
+        assert.equal((await memoryRepository.getMovieById('movie-tmdb')).category, 'romance')
+    })
+
+    it('saves new categories and checkpoints each batch', async () => {
+        const progress = []
+        const job = { checkpoint: {}, saveProgress: async update => progress.push(update), isCancelled: () => false }
+
+        await movieRecategorizer.recategorizeAll({ batchSize: 1, job })
+
+        const movie = await memoryRepository.getMovieById('movie-tmdb')
+        assert.deepEqual({ category: movie.category, categories: movie.categories, source: movie.category_source },
+            { category: 'horror', categories: ['horror', 'fantasy'], source: 'tmdb' })
+        assert.equal((await memoryRepository.getMovieById('movie-omdb')).category_source, 'omdb')
+        assert.deepEqual(progress.map(update => update.checkpoint.lastMovieId), ['movie-omdb', 'movie-tmdb'])
+    })
+})
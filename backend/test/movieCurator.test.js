@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { movieCurator } from '../src/services/movieCurator.js'
+
+const video = (overrides = {}) => ({
+    id: 'Nsf1922Orig',
+    title: 'Nosferatu (1922)',
+    description: 'Silent horror classic',
+    duration: 'PT1H34M41S',
+    viewCount: 1250000,
+    uploadStatus: 'processed',
+    privacyStatus: 'public',
+    embeddable: true,
+    ...overrides
+})
+
+describe('movieCurator.isLikelyMovie', () => {
+    it('accepts a public feature-length upload', () => {
+        assert.equal(movieCurator.isLikelyMovie(video()), true)
+    })
+
+    it('ignores embeddability (videos open in the YouTube app)', () => {
+        assert.equal(movieCurator.isLikelyMovie(video({ embeddable: false })), true)
+    })
+
+    it('rejects uploads shorter than the minimum duration', () => {
+        assert.equal(movieCurator.isLikelyMovie(video({ duration: 'PT59M59S' })), false)
+    })
+
+    it('rejects uploads longer than the maximum duration', () => {
+        assert.equal(movieCurator.isLikelyMovie(video({ duration: 'PT6H1M' })), false)
+    })
+
+    it('rejects private or unprocessed uploads', () => {
+        assert.equal(movieCurator.isLikelyMovie(video({ privacyStatus: 'private' })), false)
+        assert.equal(movieCurator.isLikelyMovie(video({ uploadStatus: 'uploaded' })), false)
+    })
+
+    it('rejects titles or descriptions with excluded keywords', () => {
+        assert.equal(movieCurator.isLikelyMovie(video({ title: 'Nosferatu (1922) Official Trailer' })), false)
+        assert.equal(movieCurator.isLikelyMovie(video({ title: 'Movie Night Q&A', description: 'An interview with the team' })), false)
+        assert.equal(movieCurator.isLikelyMovie(video({ title: 'Metropolis Part 1' })), false)
+    })
+})
+
+describe('movieCurator.cleanMovieTitle', () => {
+    it('strips YouTube decorations and keeps the year', () => {
+        assert.equal(movieCurator.cleanMovieTitle('Nosferatu (1922) [Restored] Full Movie HD'), 'Nosferatu (1922)')
+    })
+
+    it('uses the first segment for first-position channels', () => {
+        const pattern = { pipe_separator: true, title_position: 'first', type: 'first_segment', confidence: 0.9 }
+
+        assert.equal(
+            movieCurator.cleanMovieTitle('Charade (1963) | Cary Grant | Classic Movies Vault', pattern),
+            'Charade (1963)'
+        )
+    })
+
+    it('uses the last segment for last-position channels', () => {
+        const pattern = { pipe_separator: true, title_position: 'last', type: 'last_segment', confidence: 0.9 }
+
+        assert.equal(
+            movieCurator.cleanMovieTitle('You Will Not Believe This Ending | His Girl Friday', pattern),
+            'His Girl Friday'
+        )
+    })
+
+    it('picks the shortest candidate when no pattern is known', () => {
+        assert.equal(
+            movieCurator.cleanMovieTitle('The Most Shocking Heist Ever Filmed | Rififi (1955)'),
+            'Rififi (1955)'
+        )
+    })
+
+    it('falls back to pipe extraction when a no-pipes pattern meets a piped title', () => {
+        const pattern = { pipe_separator: false, title_position: 'full', type: 'no_pipes', confidence: 1.0 }
+
+        assert.equal(
+            movieCurator.cleanMovieTitle('Detour (1945) | Film Noir | Classic Movies Vault', pattern),
+            'Detour (1945)'
+        )
+    })
+})
+
+describe('movieCurator.quickCleanForTMDB', () => {
+    it('keeps the first segment and the year for the TMDB search', () => {
+        assert.equal(movieCurator.quickCleanForTMDB('Nosferatu (1922) | Full Movie | Silent Horror Classic'), 'Nosferatu (1922)')
+        assert.equal(movieCurator.quickCleanForTMDB('Nosferatu (1922) [Restored] HD'), 'Nosferatu (1922)')
+    })
+})
+
+describe('movieCurator.planCrawl', () => {
+    it('runs a deep crawl without a watermark or when mode is full', () => {
+        assert.equal(movieCurator.planCrawl({}, 'auto').type, 'deep')
+        assert.equal(movieCurator.planCrawl({
+            crawl_watermark: new Date().toISOString(),
+            last_deep_crawl_at: new Date().toISOString()
+        }, 'full').type, 'deep')
+    })
+
+    it('crawls incrementally from a day before the watermark', () => {
+        const crawl = movieCurator.planCrawl({
+            crawl_watermark: '2026-10-18T20:00:00.000Z',
+            last_deep_crawl_at: new Date().toISOString()
+        }, 'auto')
+
+        assert.deepEqual(crawl, { type: 'incremental', publishedAfter: '2026-10-17T20:00:00.000Z' })
+    })
+})
+
+describe('movieCurator.processedWatermark', () => {
+    const uploads = [
+        { id: 'QnAlive2026', publishedAt: '2026-10-18T20:00:00Z' },
+        { id: 'Lsh1960Full', publishedAt: '2026-09-02T12:00:00Z' },
+        { id: 'Nsf1922Rstr', publishedAt: '2026-06-21T09:00:00Z' },
+        { id: 'Nsf1922Orig', publishedAt: '2026-03-14T18:45:00Z' }
+    ]
+
+    it('moves to the newest upload when every upload was processed', () => {
+        assert.equal(movieCurator.processedWatermark(uploads), '2026-10-18T20:00:00Z')
+    })
+
+    it('stops before the oldest failed upload so the next crawl retries it', () => {
+        assert.equal(movieCurator.processedWatermark(uploads, ['Lsh1960Full']), '2026-06-21T09:00:00Z')
+        assert.equal(movieCurator.processedWatermark(uploads, ['QnAlive2026', 'Nsf1922Rstr']), '2026-03-14T18:45:00Z')
+        assert.equal(movieCurator.processedWatermark(uploads, ['Nsf1922Orig']), null)
+    })
+})
@@ -0,0 +1,40 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { omdbService } from '../src/services/omdbService.js'
+import replay from './helpers/replay.js'
+
+describe('omdbService quota and caching (recorded OMDb responses)', () => {
+    before(() => {
+        replay.install()
+        memoryRepository.reset()
+    })
+
+    it('counts requests against the daily cap and answers repeats from the cache', async () => {
+        const first = await omdbService.getByImdbId('tt0013442')
+        const second = await omdbService.getByImdbId('tt0013442')
+
+        assert.equal(first.imdb_id, 'tt0013442')
+        assert.deepEqual(second, first)
+        assert.equal(replay.requests('omdb').length, 1)
+
+        const quota = await omdbService.quotaCheck()
+        assert.equal(quota.used, 1)
+        assert.equal(quota.remaining, quota.dailyLimit - 1)
+
+        const usage = memoryRepository.tables.api_usage.filter(entry => entry.service === 'omdb')
+        assert.deepEqual(usage.map(entry => [entry.quota_cost, entry.cache_hit]), [[1, false], [0, true]])
+    })
+
+    it('skips lookups once the daily cap is reached, without reporting a miss', async () => {
+        replay.reset()
+        omdbService.dailyLimit = omdbService.used
+
+        await assert.rejects(omdbService.searchByTitle('The Little Shop of Horrors', '1960'), { code: 'OMDB_DAILY_LIMIT' })
+        assert.equal(replay.requests('omdb').length, 0)
+
+        const quota = await omdbService.quotaCheck()
+        assert.equal(quota.exhausted, true)
+        assert.equal(quota.remaining, 0)
+    })
+})
@@ -0,0 +1,57 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import recommendationService from '../src/services/recommendationService.js'
+
+const USER_ID = '7e2a9c14-5b3d-4f60-8a1e-0d9c8b7a6f51'
+const HORROR = 27
+const DRAMA = 18
+
+const film = (id, genreIds, fields = {}) => ({ id, genreIds, title: id, is_available: true, ...fields })
+
+const FILMS = [
+    film('rec-nosferatu', [HORROR, DRAMA], { director: 'F.W. Murnau', actors: 'Max Schreck, Gustav von Wangenheim', release_year: 1922, movie_group_id: 'group-nosferatu' }),
+    film('rec-nosferatu-copy', [HORROR, DRAMA], { director: 'F.W. Murnau', release_year: 1922, movie_group_id: 'group-nosferatu' }),
+    film('rec-faust', [HORROR, DRAMA], { director: 'F.W. Murnau', release_year: 1926 }),
+    film('rec-phantom', [HORROR, DRAMA], { director: 'F.W. Murnau', release_year: 1922 }),
+    film('rec-caligari', [HORROR, DRAMA], { release_year: 1920, movie_group_id: 'group-caligari' }),
+    film('rec-caligari-copy', [HORROR], { release_year: 1920, movie_group_id: 'group-caligari' }),
+    film('rec-golem', [HORROR, DRAMA], { director: 'Paul Wegener', release_year: 1925 }),
+    film('rec-little-shop', [HORROR], { release_year: 1960, vote_average: 8 }),
+    film('rec-safety-last', [], { release_year: 1923 })
+]
+
+describe('recommendationService.getRecommendations', () => {
+    let source
+
+    before(async () => {
+        memoryRepository.reset()
+        memoryRepository.seed({
+            genres: [{ id: HORROR, name: 'Horror' }, { id: DRAMA, name: 'Drama' }],
+            movies: FILMS.map(({ genreIds, ...movie }) => movie),
+            movie_genres: FILMS.flatMap(({ id, genreIds }) => genreIds.map(genreId => ({ movie_id: id, genre_id: genreId }))),
+            watch_history: [{ id: 'history-phantom', user_id: USER_ID, content_type: 'movie', movie_id: 'rec-phantom' }]
+        })
+
+        source = await memoryRepository.getMovieById('rec-nosferatu')
+    })
+
+    it('ranks by shared genres, director and era, one version per film', async () => {
+        const { recommendations, signals } = await recommendationService.getRecommendations(source)
+
+        assert.deepEqual(signals, ['genres', 'director', 'actors'])
+        assert.deepEqual(recommendations.map(movie => [movie.id, movie.recommendation_score]), [
+            ['rec-phantom', 75],
+            ['rec-faust', 72],
+            ['rec-caligari', 53.5],
+            ['rec-golem', 52.8],
+            ['rec-little-shop', 28]
+        ])
+    })
+
+    it('leaves out titles the user has already watched', async () => {
+        const { recommendations } = await recommendationService.getRecommendations(source, { userId: USER_ID })
+
+        assert.deepEqual(recommendations.map(movie => movie.id), ['rec-faust', 'rec-caligari', 'rec-golem', 'rec-little-shop'])
+    })
+})
@@ -0,0 +1,735 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer } from './helpers/server.js'
+import curationQueue from '../src/jobs/curationQueue.js'
+import { tmdbService } from '../src/services/tmdbService.js'
+import { apiCache } from '../src/services/apiCacheService.js'
+import { omdbService } from '../src/services/omdbService.js'
+
+const CHANNEL_ID = 'UCTESTclassicMovies00000'
+const USER_ID = '5b1f4e2a-7c0d-4f6b-9a8e-2d3c4b5a6f70'
+const TOKEN = 'test-user-token'
+
+describe('API routes (in-memory database)', () => {
+    let api
+    let movie
+
+    before(async () => {
+        api = await startServer()
+        api.repository.reset()
+        api.repository.addSession(TOKEN, { id: USER_ID, email: 'viewer@example.com' })
+
+        movie = await api.repository.createMovie({
+            youtube_video_id: 'Nsf1922Orig',
+            youtube_channel_id: CHANNEL_ID,
+            title: 'Nosferatu',
+            release_year: 1922,
+            is_available: true,
+            is_embeddable: true,
+            last_refreshed: new Date().toISOString()
+        })
+    })
+
+    after(() => api.close())
+
+    describe('admin', () => {
+        it('rejects requests without the admin key', async () => {
+            const response = await api.request('GET', `/api/admin/jobs/${USER_ID}`)
+
+            assert.equal(response.status, 401)
+            assert.equal(response.body.success, false)
+        })
+
+        it('imports a channel and queues a curation job', async () => {
+            const imported = await api.request('POST', '/api/admin/channels/import', {
+                body: { channel: CHANNEL_ID },
+                admin: true
+            })
+
+            assert.equal(imported.status, 200)
+            assert.equal(imported.body.data.job.channelTitle, 'Classic Movies Vault')
+            assert.equal(imported.body.data.job.status, 'pending')
+
+            const channel = await api.repository.getChannelById(CHANNEL_ID)
+            assert.equal(channel.subscriber_count, 312000)
+            assert.equal(channel.title_pattern.type, 'no_pipes')
+
+            const job = await api.request('GET', `/api/admin/jobs/${imported.body.data.job.id}`, { admin: true })
+
+            assert.equal(job.status, 200)
+            assert.equal(job.body.data.job.type, 'channel_scan')
+            assert.equal(job.body.data.job.channelId, CHANNEL_ID)
+        })
+
+        it('queues a re-categorization job that reports changes', async () => {
+            const queued = await api.request('POST', '/api/admin/movies/recategorize', { body: { dryRun: true }, admin: true })
+            assert.equal(queued.status, 200)
+            assert.equal(queued.body.data.job.type, 'recategorize')
+
+            await curationQueue.processJob(await api.repository.getCurationJob(queued.body.data.job.id))
+
+            const job = await api.request('GET', `/api/admin/jobs/${queued.body.data.job.id}`, { admin: true })
+            assert.equal(job.body.data.job.status, 'completed')
+            assert.equal(job.body.data.job.results.dryRun, true)
+            assert.deepEqual(job.body.data.job.results.transitions, { 'none → drama': 1 })
+        })
+
+        it('runs a dry-run TMDB enrichment job and serves its diff as CSV', async () => {
+            const unmatched = await api.repository.createMovie({
+                youtube_video_id: 'Enr1922Nsf',
+                channel_id: 'UCenrichmentDryRun000000',
+                title: 'Nosferatu (1922)',
+                runtime_minutes: 94,
+                is_available: false
+            })
+
+            const queued = await api.request('POST', '/api/admin/enrich-tmdb', {
+                body: { dryRun: true, channelId: 'UCenrichmentDryRun000000' },
+                admin: true
+            })
+            assert.equal(queued.body.data.job.type, 'enrich_tmdb')
+
+            const jobId = queued.body.data.job.id
+            await curationQueue.processJob(await api.repository.getCurationJob(jobId))
+
+            const job = await api.request('GET', `/api/admin/jobs/${jobId}`, { admin: true })
+            assert.equal(job.body.data.job.status, 'completed')
+            assert.equal(job.body.data.job.results.enriched, 1)
+
+            const report = await api.request('GET', `/api/admin/jobs/${jobId}/changes`, { admin: true })
+            const changes = Object.fromEntries(report.body.data.changes[0].changes.map(change => [change.field, change]))
+            assert.deepEqual([changes.title.from, changes.title.to, changes.tmdb_id.to], ['Nosferatu (1922)', 'Nosferatu', 653])
+            assert.equal(changes.imdb_rating.source, 'omdb')
+
+            // Nothing is written on a dry run
+            assert.equal((await api.repository.getMovieById(unmatched.id)).tmdb_id, undefined)
+
+            const csv = await api.request('GET', `/api/admin/jobs/${jobId}/changes?format=csv`, { admin: true })
+            const lines = csv.body.trim().split('\n')
+            assert.equal(lines[0], 'movie_id,title,status,match_confidence,field,from,to,source,error')
+            assert.ok(lines.includes(`${unmatched.id},Nosferatu (1922),enriched,1,tmdb_id,,653,tmdb,`))
+        })
+
+        it('answers repeated TMDB lookups from the API cache and purges them by pattern', async () => {
+            const first = await tmdbService.makeRequest('/movie/653', { append_to_response: 'credits,videos,keywords,similar' })
+            const second = await tmdbService.makeRequest('/movie/653', { append_to_response: 'credits,videos,keywords,similar' })
+            assert.deepEqual(second, first)
+
+            const stats = await api.request('GET', '/api/admin/api-cache', { admin: true })
+            assert.ok(stats.body.data.tmdb.entries > 0)
+            assert.ok(stats.body.data.tmdb.cacheHits >= 1)
+
+            const purged = await api.request('DELETE', '/api/admin/api-cache?pattern=/movie/653*', { admin: true })
+            assert.equal(purged.body.data.purged, 1)
+
+            const missingFilter = await api.request('DELETE', '/api/admin/api-cache', { admin: true })
+            assert.equal(missingFilter.status, 400)
+        })
+
+        it('purges the title searches made for a movie and treats LIKE wildcards literally', async () => {
+            const imported = await api.repository.createMovie({
+                youtube_video_id: 'Nsf1922Cach',
+                youtube_channel_id: CHANNEL_ID,
+                youtube_video_title: 'Nosferatu (1922) | Full Movie',
+                title: 'Nosferatu',
+                is_available: false
+            })
+            const seed = ['movie?include_adult=false&page=1&query=Nosferatu&year=1922', 'movie?query=Nosferatu%20the%20Vampyre', 'movie?query=Film_1', 'movie?query=FilmX1']
+            for (const key of seed) {
+                await apiCache.set('tmdb', `/search/${key}`, {}, { results: [] })
+            }
+            await apiCache.set('omdb', '/', { t: 'Nosferatu', y: 1922, plot: 'full' }, { Response: 'False' })
+            const cachedKeys = () => api.repository.tables.api_response_cache.map(entry => entry.cache_key)
+
+            const purged = await api.request('DELETE', `/api/admin/api-cache?movieId=${imported.id}`, { admin: true })
+            assert.equal(purged.body.data.purged, 2)
+            assert.ok(cachedKeys().includes('tmdb:/search/movie?query=Nosferatu%20the%20Vampyre'))
+
+            const literal = await api.request('DELETE', '/api/admin/api-cache?pattern=Film_1', { admin: true })
+            assert.equal(literal.body.data.purged, 1)
+            assert.ok(cachedKeys().includes('tmdb:/search/movie?query=FilmX1'))
+        })
+
+        it('returns 400 without a channel identifier', async () => {
+            const response = await api.request('POST', '/api/admin/channels/import', { body: {}, admin: true })
+
+            assert.equal(response.status, 400)
+            assert.equal(response.body.error, 'Bad Request')
+        })
+    })
+
+    describe('channel title rules', () => {
+        const rules = { regex: '^(?<title>.+?) \\| Full Movie', strip: ['Silent Horror Classic'] }
+
+        it('rejects invalid rules', async () => {
+            const response = await api.request('POST', `/api/admin/channels/${CHANNEL_ID}/title-rules/preview`, {
+                body: { rules: { regex: '^(.+) Full Movie' } },
+                admin: true
+            })
+
+            assert.equal(response.status, 400)
+            assert.equal(response.body.error, 'Invalid Title Rules')
+        })
+
+        it('previews rules against recent uploads', async () => {
+            const response = await api.request('POST', `/api/admin/channels/${CHANNEL_ID}/title-rules/preview`, {
+                body: { rules },
+                admin: true
+            })
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.preview.sampleCount, 5)
+            assert.equal(response.body.data.preview.matched, 1)
+
+            const nosferatu = response.body.data.preview.samples.find(sample => sample.videoId === 'Nsf1922Orig')
+            assert.deepEqual(
+                { matched: nosferatu.matched, preview: nosferatu.preview },
+                { matched: true, preview: 'Nosferatu (1922)' }
+            )
+        })
+
+        it('refuses to save rules that match no recent title unless forced', async () => {
+            const unmatched = { regex: '^Watch (?<title>.+) Free$' }
+
+            const refused = await api.request('PUT', `/api/admin/channels/${CHANNEL_ID}/title-rules`, { body: { rules: unmatched }, admin: true })
+            assert.equal(refused.status, 422)
+
+            const forced = await api.request('PUT', `/api/admin/channels/${CHANNEL_ID}/title-rules`, { body: { rules: unmatched, force: true }, admin: true })
+            assert.equal(forced.status, 200)
+        })
+
+        it('saves, returns and removes rules', async () => {
+            const saved = await api.request('PUT', `/api/admin/channels/${CHANNEL_ID}/title-rules`, { body: { rules }, admin: true })
+            assert.equal(saved.status, 200)
+
+            const current = await api.request('GET', `/api/admin/channels/${CHANNEL_ID}/title-rules`, { admin: true })
+            assert.deepEqual(current.body.data.rules, rules)
+
+            const removed = await api.request('DELETE', `/api/admin/channels/${CHANNEL_ID}/title-rules`, { admin: true })
+            assert.equal(removed.status, 200)
+            assert.equal((await api.repository.getChannelById(CHANNEL_ID)).title_rules, null)
+        })
+    })
+
+    describe('movie edits', () => {
+        let edited
+
+        before(async () => {
+            edited = await api.repository.createMovie({
+                youtube_video_id: 'Edt1927Metr',
+                title: 'METROPOLIS 1927 HD Restored',
+                original_title: 'METROPOLIS 1927 HD Restored',
+                categories: ['drama'],
+                is_available: false
+            })
+        })
+
+        it('edits display fields, locks them and records the history', async () => {
+            const response = await api.request('PATCH', `/api/admin/movies/${edited.id}`, {
+                body: { changes: { title: ' Metropolis ', categories: ['science_fiction', 'drama'] }, actor: 'curator@example.com' },
+                admin: true
+            })
+
+            assert.equal(response.status, 200)
+            assert.deepEqual(response.body.data.changes.map(change => change.field), ['title', 'categories'])
+
+            const movie = await api.repository.getMovieById(edited.id)
+            assert.equal(movie.title, 'Metropolis')
+            assert.deepEqual([movie.category, movie.category_source], ['science_fiction', 'admin'])
+            assert.deepEqual(movie.locked_fields, ['title', 'categories'])
+            assert.equal(movie.field_sources.title, 'admin')
+
+            const history = await api.request('GET', `/api/admin/movies/${edited.id}/history`, { admin: true })
+            assert.deepEqual(
+                history.body.data.entries.map(entry => `${entry.action}:${entry.field}`).sort(),
+                ['edit:categories', 'edit:title', 'lock:categories', 'lock:title']
+            )
+            assert.equal(history.body.data.entries[0].actor, 'curator@example.com')
+        })
+
+        it('keeps locked titles when the title fixer runs', async () => {
+            const response = await api.request('POST', `/api/admin/movies/${edited.id}/fix-title`, { admin: true })
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.locked, true)
+            assert.equal((await api.repository.getMovieById(edited.id)).title, 'Metropolis')
+        })
+
+        it('rejects fields that are not editable', async () => {
+            const response = await api.request('PATCH', `/api/admin/movies/${edited.id}`, {
+                body: { changes: { view_count: 1 } },
+                admin: true
+            })
+
+            assert.equal(response.status, 400)
+        })
+    })
+
+    describe('locked fields', () => {
+        it('locks fields and rejects unknown ones', async () => {
+            const movie = await api.repository.createMovie({ youtube_video_id: 'Lck1931Drac', title: 'Dracula (Restored)', is_available: false })
+
+            const invalid = await api.request('PUT', `/api/admin/movies/${movie.id}/locked-fields`, { body: { fields: ['title', 'view_count'] }, admin: true })
+            assert.equal(invalid.status, 400)
+
+            const response = await api.request('PUT', `/api/admin/movies/${movie.id}/locked-fields`, { body: { fields: ['title', 'categories', 'title'] }, admin: true })
+            assert.equal(response.status, 200)
+            assert.deepEqual(response.body.data.locked_fields, ['title', 'categories'])
+            assert.deepEqual((await api.repository.getMovieById(movie.id)).locked_fields, ['title', 'categories'])
+        })
+
+        it('returns 404 for unknown movies', async () => {
+            const response = await api.request('PUT', '/api/admin/movies/missing/locked-fields', { body: { fields: [] }, admin: true })
+
+            assert.equal(response.status, 404)
+        })
+    })
+
+    describe('movies', () => {
+        it('lists available movies', async () => {
+            const response = await api.request('GET', '/api/movies')
+
+            assert.equal(response.status, 200)
+            assert.deepEqual(response.body.data.movies.map(item => item.id), [movie.id])
+        })
+
+        it('returns movie details after checking availability', async () => {
+            const response = await api.request('GET', `/api/movies/${movie.id}`)
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.youtube_video_id, 'Nsf1922Orig')
+            assert.equal(response.body.data.is_available, true)
+        })
+
+        it('validates the movie ID', async () => {
+            const response = await api.request('GET', '/api/movies/not-a-uuid')
+
+            assert.equal(response.status, 400)
+        })
+    })
+
+    describe('user library', () => {
+        it('requires a bearer token', async () => {
+            assert.equal((await api.request('GET', '/api/user/favorites')).status, 401)
+            assert.equal((await api.request('GET', '/api/user/favorites', { token: 'unknown' })).status, 401)
+        })
+
+        it('adds, lists and removes favorites', async () => {
+            const added = await api.request('POST', '/api/user/favorites', { body: { movieId: movie.id }, token: TOKEN })
+            assert.equal(added.status, 200)
+            assert.equal(added.body.data.favorite.movieId, movie.id)
+
+            const duplicate = await api.request('POST', '/api/user/favorites', { body: { movieId: movie.id }, token: TOKEN })
+            assert.equal(duplicate.status, 409)
+
+            const listed = await api.request('GET', '/api/user/favorites', { token: TOKEN })
+            assert.equal(listed.body.data.total, 1)
+
+            const removed = await api.request('DELETE', `/api/user/favorites/movie/${movie.id}`, { token: TOKEN })
+            assert.equal(removed.status, 200)
+
+            const tombstones = [...api.repository.table('library_tombstones').values()]
+            assert.deepEqual(
+                tombstones.map(({ entity, content_type, content_id }) => ({ entity, content_type, content_id })),
+                [{ entity: 'favorite', content_type: 'movie', content_id: movie.id }]
+            )
+        })
+
+        it('tracks playback progress in watch history', async () => {
+            const tracked = await api.request('POST', '/api/user/history', {
+                body: { movieId: movie.id, platform: 'tvOS', positionSeconds: 1200, durationSeconds: 5640 },
+                token: TOKEN
+            })
+            assert.equal(tracked.status, 200)
+
+            const history = await api.request('GET', '/api/user/history', { token: TOKEN })
+            assert.equal(history.body.data.total, 1)
+            assert.equal(history.body.data.history[0].movieId, movie.id)
+            assert.equal(history.body.data.history[0].positionSeconds, 1200)
+        })
+
+        describe('sync', () => {
+            const SYNC_TOKEN = 'test-sync-token'
+            const SYNC_USER_ID = '0c6d1f7e-3a2b-4e8d-9f10-5a4b3c2d1e0f'
+            const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString()
+            const sync = body => api.request('POST', '/api/user/sync', { body, token: SYNC_TOKEN })
+
+            before(() => {
+                api.repository.addSession(SYNC_TOKEN, { id: SYNC_USER_ID, email: 'sync@example.com' })
+            })
+
+            it('resolves conflicting offline edits last-writer-wins per field', async () => {
+                const phone = await sync({
+                    deviceId: 'phone',
+                    platform: 'iOS',
+                    changes: [
+                        { type: 'favorite.add', movieId: 'sync-metropolis', priority: 2, changedAt: minutesAgo(30) },
+                        { type: 'history.progress', movieId: 'sync-metropolis', positionSeconds: 1800, durationSeconds: 9000, changedAt: minutesAgo(30) }
+                    ]
+                })
+                assert.equal(phone.body.data.push.applied, 2)
+
+                // The TV was offline: its reorder is newer, its playback position older
+                const tv = await sync({
+                    deviceId: 'tv',
+                    platform: 'tvOS',
+                    changes: [
+                        { type: 'history.progress', movieId: 'sync-metropolis', positionSeconds: 300, changedAt: minutesAgo(40) },
+                        { type: 'favorite.reorder', movieId: 'sync-metropolis', priority: 7, changedAt: minutesAgo(20) }
+                    ]
+                })
+
+                assert.equal(tv.body.data.push.applied, 1)
+                assert.deepEqual(tv.body.data.push.skipped, [{ index: 0, type: 'history.progress', reason: 'stale' }])
+
+                const favorite = tv.body.data.favorites.find(item => item.movieId === 'sync-metropolis')
+                const history = tv.body.data.history.find(item => item.movieId === 'sync-metropolis')
+                assert.equal(favorite.priority, 7)
+                assert.equal(history.positionSeconds, 1800)
+                assert.equal(history.platform, 'iOS')
+            })
+
+            it('sends deletions as tombstones and keeps removed titles from coming back', async () => {
+                const removed = await sync({
+                    deviceId: 'phone',
+                    changes: [{ type: 'favorite.remove', movieId: 'sync-metropolis', changedAt: minutesAgo(10) }]
+                })
+                assert.equal(removed.body.data.push.applied, 1)
+
+                // An older offline add from another device loses against the deletion
+                const tv = await sync({
+                    deviceId: 'tv',
+                    changes: [{ type: 'favorite.add', movieId: 'sync-metropolis', changedAt: minutesAgo(15) }]
+                })
+
+                assert.deepEqual(tv.body.data.push.skipped, [{ index: 0, type: 'favorite.add', reason: 'deleted_later' }])
+                assert.ok(!tv.body.data.favorites.some(item => item.movieId === 'sync-metropolis'))
+                assert.deepEqual(
+                    tv.body.data.deleted.favorites.map(({ contentType, contentId }) => ({ contentType, contentId })),
+                    [{ contentType: 'movie', contentId: 'sync-metropolis' }]
+                )
+            })
+
+            it('pulls only what changed since each device last synced', async () => {
+                api.repository.seed({
+                    user_favorites: [{
+                        id: 'fav-sync-sunrise',
+                        user_id: SYNC_USER_ID,
+                        content_type: 'movie',
+                        movie_id: 'sync-sunrise',
+                        priority: 0,
+                        added_at: '2026-01-05T20:00:00.000Z',
+                        priority_updated_at: '2026-01-05T20:00:00.000Z',
+                        updated_at: '2026-01-05T20:00:00.000Z'
+                    }]
+                })
+
+                const first = await sync({ deviceId: 'laptop', platform: 'web' })
+                assert.ok(first.body.data.favorites.some(item => item.movieId === 'sync-sunrise'))
+
+                await sync({
+                    deviceId: 'phone',
+                    changes: [{ type: 'history.remove', movieId: 'sync-metropolis', changedAt: new Date().toISOString() }]
+                })
+
+                const second = await sync({ deviceId: 'laptop' })
+                assert.ok(!second.body.data.favorites.some(item => item.movieId === 'sync-sunrise'))
+                assert.deepEqual(second.body.data.deleted.history.map(item => item.contentId), ['sync-metropolis'])
+
+                const devices = api.repository.table('user_sync_devices').filter(device => device.user_id === SYNC_USER_ID)
+                assert.deepEqual(devices.map(device => device.device_id).sort(), ['laptop', 'phone', 'tv'])
+                assert.equal(devices.find(device => device.device_id === 'laptop').last_synced_at, second.body.data.cursor)
+
+                // fullSync ignores the cursor
+                const full = await sync({ deviceId: 'laptop', fullSync: true })
+                assert.ok(full.body.data.favorites.some(item => item.movieId === 'sync-sunrise'))
+            })
+        })
+    })
+
+    describe('movie groups', () => {
+        it('lists groups with their version counts and primary, filtered by title', async () => {
+            const group = await api.repository.createMovieGroup({ canonical_title: 'Battleship Potemkin', normalized_title: 'battleship potemkin' })
+            await api.repository.createMovieGroup({ canonical_title: 'Strike', normalized_title: 'strike' })
+            const [primary] = await Promise.all([
+                ['Btp1925Rest', true, true],
+                ['Btp1925Cam1', false, false]
+            ].map(([youtubeVideoId, isPrimary, isAvailable]) => api.repository.createMovie({
+                youtube_video_id: youtubeVideoId,
+                title: 'Battleship Potemkin',
+                movie_group_id: group.id,
+                is_primary: isPrimary,
+                is_available: isAvailable
+            })))
+
+            const response = await api.request('GET', '/api/admin/movie-groups?search=potemkin', { admin: true })
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.pagination.total, 1)
+
+            const [listed] = response.body.data.groups
+            assert.equal(listed.id, group.id)
+            assert.equal(listed.versionCount, 2)
+            assert.equal(listed.availableCount, 1)
+            assert.equal(listed.primary.id, primary.id)
+            assert.equal(listed.primary.youtube_video_id, 'Btp1925Rest')
+        })
+
+        it('lists audit entries where the group is the target or the related group', async () => {
+            const target = await api.repository.createMovieGroup({ canonical_title: 'Metropolis', normalized_title: 'metropolis' })
+            const merged = await api.repository.createMovieGroup({ canonical_title: 'Metropolis 1927', normalized_title: 'metropolis 1927' })
+
+            api.repository.seed({
+                movie_group_audit_log: [
+                    { id: 'audit-merge', movie_group_id: target.id, related_group_id: merged.id, action: 'merge', created_at: '2026-10-18T12:00:00Z' },
+                    { id: 'audit-split', movie_group_id: merged.id, related_group_id: target.id, action: 'split', created_at: '2026-10-18T13:00:00Z' },
+                    { id: 'audit-other', movie_group_id: merged.id, action: 'promote', created_at: '2026-10-18T14:00:00Z' }
+                ]
+            })
+
+            const response = await api.request('GET', `/api/admin/movie-groups/${target.id}/audit`, { admin: true })
+            assert.deepEqual(response.body.data.entries.map(entry => entry.id), ['audit-split', 'audit-merge'])
+
+            // The ID is only ever compared, never parsed as a filter
+            const crafted = await api.request('GET', `/api/admin/movie-groups/${encodeURIComponent(`${target.id},movie_group_id.neq.x`)}/audit`, { admin: true })
+            assert.deepEqual(crafted.body.data.entries, [])
+        })
+
+        it('refuses to split versions into a group with a TMDB ID another group has', async () => {
+            const existing = await api.repository.createMovieGroup({ canonical_title: 'Faust', normalized_title: 'faust', tmdb_id: 10728 })
+            const group = await api.repository.createMovieGroup({ canonical_title: 'Sunrise', normalized_title: 'sunrise' })
+            const [kept, moved] = await Promise.all(['Snr1927Orig', 'Fst1926Copy'].map(youtubeVideoId => api.repository.createMovie({
+                youtube_video_id: youtubeVideoId,
+                title: 'Sunrise',
+                movie_group_id: group.id,
+                is_available: false
+            })))
+
+            const response = await api.request('POST', `/api/admin/movie-groups/${group.id}/split`, {
+                body: { movieIds: [moved.id], canonicalTitle: 'Faust', tmdbId: 10728 },
+                admin: true
+            })
+
+            assert.equal(response.status, 409)
+            assert.equal(response.body.error, 'TMDB ID In Use')
+            assert.ok(response.body.message.includes(existing.id))
+            assert.equal((await api.repository.getMovieById(moved.id)).movie_group_id, group.id)
+            assert.equal((await api.repository.getMovieById(kept.id)).movie_group_id, group.id)
+        })
+    })
+
+    describe('review queue', () => {
+        let resolveItem
+        let rejectItem
+
+        before(async () => {
+            const group = await api.repository.createMovieGroup({ canonical_title: 'Nosferatu Eine Symphonie', normalized_title: 'nosferatu eine symphonie' })
+            const unmatched = await api.repository.createMovie({
+                youtube_video_id: 'Nsf1922Germ',
+                title: 'Nosferatu Eine Symphonie des Grauens',
+                movie_group_id: group.id,
+                is_available: true
+            })
+            const notAMovie = await api.repository.createMovie({ youtube_video_id: 'QnAlive2026', title: 'Q&A Live', is_available: true })
+
+            api.repository.seed({
+                enrichment_review_queue: [
+                    {
+                        id: 'review-low-confidence',
+                        movie_id: unmatched.id,
+                        youtube_video_id: 'Nsf1922Germ',
+                        youtube_title: 'Nosferatu Eine Symphonie des Grauens',
+                        reason: 'low_confidence',
+                        match_confidence: 0.42,
+                        candidates: [
+                            { tmdbId: 653, title: 'Nosferatu', releaseDate: '1922-03-04', confidence: 0.42 },
+                            { tmdbId: 6404, title: 'Nosferatu the Vampyre', releaseDate: '1979-01-17', confidence: 0.31 }
+                        ],
+                        status: 'pending',
+                        created_at: '2026-10-18T10:00:00Z'
+                    },
+                    {
+                        id: 'review-no-match',
+                        movie_id: notAMovie.id,
+                        youtube_video_id: 'QnAlive2026',
+                        youtube_title: 'Q&A Live',
+                        reason: 'no_match',
+                        candidates: [],
+                        status: 'pending',
+                        created_at: '2026-10-18T11:00:00Z'
+                    }
+                ]
+            })
+
+            resolveItem = { id: 'review-low-confidence', movieId: unmatched.id, groupId: group.id }
+            rejectItem = { id: 'review-no-match', movieId: notAMovie.id }
+        })
+
+        it('lists pending items with the top candidates', async () => {
+            const response = await api.request('GET', '/api/admin/review-queue?candidates=1', { admin: true })
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.pagination.total, 2)
+            assert.deepEqual(response.body.data.items.map(item => item.id), ['review-low-confidence', 'review-no-match'])
+            assert.deepEqual(response.body.data.items[0].candidates.map(candidate => candidate.tmdbId), [653])
+        })
+
+        it('resolves an item with a TMDB candidate', async () => {
+            const response = await api.request('POST', `/api/admin/review-queue/${resolveItem.id}/resolve`, {
+                body: { tmdbId: 653, actor: 'curator@example.com' },
+                admin: true
+            })
+
+            assert.equal(response.status, 200)
+            assert.equal(response.body.data.item.status, 'resolved')
+
+            const movie = await api.repository.getMovieById(resolveItem.movieId)
+            assert.equal(movie.title, 'Nosferatu')
+            assert.equal(movie.tmdb_id, 653)
+            assert.equal(movie.match_confidence, 1)
+            assert.equal(movie.match_reasons[0].factor, 'manual')
+            assert.deepEqual(movie.genres.map(genre => genre.name).sort(), ['Fantasy', 'Horror'])
+            assert.equal((await api.repository.getMovieGroupById(resolveItem.groupId)).tmdb_id, 653)
+
+            const again = await api.request('POST', `/api/admin/review-queue/${resolveItem.id}/resolve`, { body: { tmdbId: 653 }, admin: true })
+            assert.equal(again.status, 409)
+        })
+
+        it('requires exactly one ID to resolve', async () => {
+            const response = await api.request('POST', `/api/admin/review-queue/${rejectItem.id}/resolve`, {
+                body: { tmdbId: 653, imdbId: 'tt0013442' },
+                admin: true
+            })
+
+            assert.equal(response.status, 400)
+        })
+
+        it('tells an unknown TMDB ID apart from a failed TMDB lookup', async () => {
+            const unknown = await api.request('POST', `/api/admin/review-queue/${rejectItem.id}/resolve`, { body: { tmdbId: 9999999 }, admin: true })
+            assert.equal(unknown.status, 404)
+
+            const unavailable = await api.request('POST', `/api/admin/review-queue/${rejectItem.id}/resolve`, { body: { tmdbId: 653001 }, admin: true })
+            assert.equal(unavailable.status, 502)
+            assert.equal(unavailable.body.error, 'Bad Gateway')
+        })
+
+        it('answers 502, not 404, for IMDb IDs once OMDb hits its daily limit', async () => {
+            const dailyLimit = omdbService.dailyLimit
+            omdbService.dailyLimit = omdbService.used
+
+            try {
+                const response = await api.request('POST', `/api/admin/review-queue/${rejectItem.id}/resolve`, { body: { imdbId: 'tt0019999' }, admin: true })
+                assert.equal(response.status, 502)
+                assert.equal(response.body.error, 'Bad Gateway')
+            } finally {
+                omdbService.dailyLimit = dailyLimit
+            }
+        })
+
+        it('rejects an upload and hides it', async () => {
+            const response = await api.request('POST', `/api/admin/review-queue/${rejectItem.id}/reject`, {
+                body: { reason: 'live stream, not a movie' },
+                admin: true
+            })
+
+            assert.equal(response.status, 200)
+            assert.deepEqual(response.body.data.item.resolution, { reason: 'live stream, not a movie' })
+            assert.equal((await api.repository.getMovieById(rejectItem.movieId)).is_available, false)
+
+            const pending = await api.request('GET', '/api/admin/review-queue', { admin: true })
+            assert.equal(pending.body.data.pagination.total, 0)
+        })
+
+        it('returns 404 for unknown items', async () => {
+            const response = await api.request('POST', '/api/admin/review-queue/missing/reject', { body: {}, admin: true })
+
+            assert.equal(response.status, 404)
+        })
+
+        it('queues low-confidence matches from bulk TMDB enrichment', async () => {
+            const upload = await api.repository.createMovie({
+                youtube_video_id: 'Nsf1929Vamp',
+                channel_id: 'UCenrichmentReview000000',
+                title: 'Nosferatu the Vampire (1929)',
+                runtime_minutes: 94,
+                is_available: false
+            })
+
+            const queued = await api.request('POST', '/api/admin/enrich-tmdb', {
+                body: { channelId: 'UCenrichmentReview000000' },
+                admin: true
+            })
+            await curationQueue.processJob(await api.repository.getCurationJob(queued.body.data.job.id))
+
+            const job = await api.request('GET', `/api/admin/jobs/${queued.body.data.job.id}`, { admin: true })
+            assert.deepEqual([job.body.data.job.results.notFound, job.body.data.job.results.queuedForReview], [1, 1])
+
+            const pending = await api.request('GET', '/api/admin/review-queue', { admin: true })
+            const item = pending.body.data.items.find(entry => entry.movie_id === upload.id)
+            assert.equal(item.reason, 'low_confidence')
+            assert.equal(item.search_title, 'Nosferatu the Vampire')
+            assert.deepEqual(item.candidates.map(candidate => candidate.tmdbId), [653])
+            assert.equal((await api.repository.getMovieById(upload.id)).tmdb_id, undefined)
+        })
+    })
+
+    describe('series', () => {
+        it('confirms an episode link and tells a missing video apart from a failed lookup', async () => {
+            api.repository.seed({
+                tv_series: [{ id: 'series-confirm-link', title: 'Silent Horror Theatre' }],
+                episodes: [{ id: 'episode-confirm-link', series_id: 'series-confirm-link', season_number: 1, episode_number: 1, title: 'Nosferatu', youtube_video_id: null }]
+            })
+            const confirm = videoId => api.request('POST', '/api/admin/series/confirm-link', {
+                body: { episodeId: 'episode-confirm-link', videoId },
+                admin: true
+            })
+
+            const removed = await confirm('Gone1922Vid')
+            assert.equal(removed.status, 404)
+            assert.equal(removed.body.error, 'Video Not Found')
+
+            // Quota exhaustion is not a missing video
+            const quota = await confirm('Quota403Vid')
+            assert.notEqual(quota.status, 404)
+            assert.notEqual(quota.body.error, 'Video Not Found')
+
+            const linked = await confirm('Nsf1922Orig')
+            assert.equal(linked.status, 200)
+            assert.equal(api.repository.tables.episodes.find(episode => episode.id === 'episode-confirm-link').youtube_video_id, 'Nsf1922Orig')
+        })
+    })
+
+    describe('channels', () => {
+        it('clamps the page and page size of channel listings', async () => {
+            const oversized = await api.request('GET', `/api/channels/${CHANNEL_ID}?limit=1000`)
+            assert.equal(oversized.status, 200)
+            assert.equal(oversized.body.data.pagination.limit, 100)
+
+            const negative = await api.request('GET', `/api/channels/${CHANNEL_ID}?limit=-5`)
+            assert.equal(negative.body.data.pagination.limit, 1)
+
+            const negativePage = await api.request('GET', `/api/channels/${CHANNEL_ID}?page=-3`)
+            assert.equal(negativePage.body.data.pagination.page, 1)
+
+            const directory = await api.request('GET', '/api/channels?page=-3')
+            assert.equal(directory.body.data.pagination.page, 1)
+        })
+    })
+
+    describe('health', () => {
+        it('reports OMDb as disabled rather than unhealthy without an API key', async () => {
+            const configured = await api.request('GET', '/api/health/detailed')
+            assert.equal(configured.body.checks.omdb_api.status, 'healthy')
+
+            const apiKey = omdbService.apiKey
+            omdbService.apiKey = undefined
+            try {
+                const unconfigured = await api.request('GET', '/api/health/detailed')
+                assert.equal(unconfigured.status, 200)
+                assert.equal(unconfigured.body.checks.omdb_api.status, 'disabled')
+            } finally {
+                omdbService.apiKey = apiKey
+            }
+        })
+    })
+})
@@ -0,0 +1,34 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { seriesCurator } from '../src/services/seriesCurator.js'
+import replay from './helpers/replay.js'
+
+const CHANNEL_ID = 'UCTESTclassicMovies00000'
+
+describe('seriesCurator.linkYouTubeEpisodes (recorded YouTube responses)', () => {
+    before(() => {
+        replay.install()
+        memoryRepository.reset()
+        memoryRepository.seed({
+            tv_series: [{ id: 'series-silent-horror', title: 'Silent Horror Theatre' }],
+            episodes: [{ id: 'episode-nosferatu', series_id: 'series-silent-horror', season_number: 1, episode_number: 1, title: 'Nosferatu', youtube_video_id: null }]
+        })
+    })
+
+    it('leaves even high-confidence matches for confirmation without autoConfirm', async () => {
+        const result = await seriesCurator.linkYouTubeEpisodes('series-silent-horror', CHANNEL_ID)
+
+        assert.ok(result.matches[0].confidence >= 0.9)
+        assert.equal(result.episodesLinked, 0)
+        assert.deepEqual(result.pendingConfirmation.map(match => match.episodeId), ['episode-nosferatu'])
+        assert.equal(memoryRepository.tables.episodes.find(episode => episode.id === 'episode-nosferatu').youtube_video_id, null)
+    })
+
+    it('links matches with autoConfirm', async () => {
+        const result = await seriesCurator.linkYouTubeEpisodes('series-silent-horror', CHANNEL_ID, { autoConfirm: true })
+
+        assert.equal(result.episodesLinked, 1)
+        assert.deepEqual(result.pendingConfirmation, [])
+    })
+})
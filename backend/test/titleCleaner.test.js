@@ -0,0 +1,118 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import { TitleCleaner, titleCleaner, TITLE_RULES, TITLE_RULES_VERSION } from '../src/utils/titleCleaner.js'
+import { titleFixer } from '../src/scripts/fixMovieTitles.js'
+
+describe('titleCleaner rules', () => {
+    it('strips phrases, brackets, quality tags and edition words but keeps the year', () => {
+        assert.equal(titleCleaner.clean('Nosferatu (1922) [Restored] Full Movie HD'), 'Nosferatu (1922)')
+        assert.equal(titleCleaner.clean('Detour (1945) Remastered 1080p -'), 'Detour (1945)')
+    })
+
+    it('drops the year when configured to', () => {
+        const cleaner = new TitleCleaner({ keepYear: false })
+
+        assert.equal(cleaner.clean('Nosferatu (1922) Full Movie'), 'Nosferatu')
+    })
+
+    it('runs a custom rule list under its own version', () => {
+        const cleaner = new TitleCleaner({
+            rules: [...TITLE_RULES, { name: 'colorized', pattern: /\bcolou?ri[sz]ed\b/gi }],
+            version: TITLE_RULES_VERSION + 1
+        })
+
+        assert.equal(cleaner.clean('Night of the Living Dead (1968) Colorized'), 'Night of the Living Dead (1968)')
+        assert.equal(cleaner.version, TITLE_RULES_VERSION + 1)
+    })
+
+    it('never returns an empty title when a segment is all noise', () => {
+        assert.equal(titleCleaner.clean('Full Movie | Rififi (1955)', { pipe_separator: true, title_position: 'first' }), 'Rififi (1955)')
+    })
+
+    it('cleans the first segment for TMDB searches', () => {
+        assert.equal(titleCleaner.cleanForSearch('Charade (1963) | Thriller | Cary Grant'), 'Charade (1963)')
+    })
+})
+
+describe('titleCleaner release years', () => {
+    it('reads a parenthesized or bracketed year from the title', () => {
+        assert.equal(titleCleaner.extractYear('Nosferatu (1922) | Full Movie'), 1922)
+        assert.equal(titleCleaner.extractYear('Detour [1945] HD'), 1945)
+        assert.equal(titleCleaner.extractYear('2001: A Space Odyssey'), null)
+        assert.equal(titleCleaner.extractYear('Metropolis (1027)'), null)
+    })
+
+    it('reads labelled or parenthesized years from descriptions', () => {
+        assert.equal(titleCleaner.extractYearFromDescription('Roger Corman classic. Released: 1960. Public domain.'), 1960)
+        assert.equal(titleCleaner.extractYearFromDescription('Murnau\'s Nosferatu (1922) is a silent horror film.'), 1922)
+        assert.equal(titleCleaner.extractYearFromDescription('This year we restored it in 4K.'), null)
+    })
+})
+
+describe('titleCleaner channel rules', () => {
+    const rules = {
+        regex: '^Watch (?<title>.+?) Free Online',
+        separator: ' ~ ',
+        segment: -1,
+        strip: ['Grindhouse Classics'],
+        stripPatterns: ['\\bcolou?rized\\b']
+    }
+
+    it('extracts the named title group', () => {
+        assert.equal(titleCleaner.applyChannelRules('Watch Detour (1945) Free Online', rules), 'Detour (1945)')
+    })
+
+    it('falls back to the separator segment and applies the strip lists', () => {
+        assert.equal(
+            titleCleaner.applyChannelRules('Grindhouse Classics ~ Night of the Living Dead (1968) Colorized Grindhouse Classics', rules),
+            'Night of the Living Dead (1968)'
+        )
+        assert.equal(titleCleaner.applyChannelRules('Detour (1945)', rules), null)
+    })
+
+    it('takes precedence over the detected pattern and falls back to it', () => {
+        const pattern = { type: 'first_segment', pipe_separator: true, title_position: 'first', confidence: 0.9, custom_rules: rules }
+
+        assert.equal(titleCleaner.clean('Watch Charade (1963) Free Online | Classic Movies Vault', pattern), 'Charade (1963)')
+        assert.equal(titleCleaner.clean('Rififi (1955) | Heist | Classic Movies Vault', pattern), 'Rififi (1955)')
+    })
+
+    it('rejects rules without a title group or with bad patterns', () => {
+        assert.deepEqual(titleCleaner.validateChannelRules({ separator: ' | ', segment: 1 }), { valid: true, errors: [] })
+        assert.equal(titleCleaner.validateChannelRules({}).valid, false)
+        assert.match(titleCleaner.validateChannelRules({ regex: '^(.+) Free' }).errors[0], /named capture group "title"/)
+        assert.match(titleCleaner.validateChannelRules({ regex: '(?<title>.+', separator: '|' }).errors[0], /not a valid regular expression/)
+        assert.match(titleCleaner.validateChannelRules({ separator: '|', segment: 1.5, strip: [''] }).errors.join(), /segment.*strip/)
+    })
+})
+
+describe('titleFixer rule versions', () => {
+    beforeEach(() => {
+        memoryRepository.reset()
+        memoryRepository.seed({
+            movies: [
+                { id: 'movie-raw', youtube_video_id: 'Dtr1945Orig', title: 'Detour (1945) | Full Movie', original_title: 'Detour (1945) | Full Movie' },
+                { id: 'movie-current', youtube_video_id: 'Chd1963Orig', title: 'Charade (1963)', original_title: 'Charade (1963) HD', title_rules_version: TITLE_RULES_VERSION }
+            ]
+        })
+    })
+
+    it('stamps the rule version on cleaned movies', async () => {
+        const results = await titleFixer.fixAllTitles()
+
+        assert.equal(results.updated, 1)
+        assert.equal(results.rulesVersion, TITLE_RULES_VERSION)
+
+        const movie = await memoryRepository.getMovieById('movie-raw')
+        assert.equal(movie.title, 'Detour (1945)')
+        assert.equal(movie.title_rules_version, TITLE_RULES_VERSION)
+    })
+
+    it('only re-cleans outdated rows with outdatedOnly', async () => {
+        const results = await titleFixer.fixAllTitles({ outdatedOnly: true, dryRun: true })
+
+        assert.equal(results.total, 1)
+        assert.deepEqual(results.changes.map(change => change.id), ['movie-raw'])
+    })
+})
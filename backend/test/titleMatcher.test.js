@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { trigrams, trigramSimilarity, jaroWinkler, findBestMatch } from '../src/utils/titleMatcher.js'
+
+describe('titleMatcher.trigramSimilarity', () => {
+    it('builds padded word trigrams like pg_trgm', () => {
+        assert.deepEqual([...trigrams('Cat')].sort(), ['  c', ' ca', 'at ', 'cat'])
+    })
+
+    it('matches values returned by pg_trgm similarity()', () => {
+        // SELECT similarity('word', 'two words') → 0.36363637
+        assert.equal(trigramSimilarity('word', 'two words').toFixed(4), '0.3636')
+        assert.equal(trigramSimilarity('nosferatu', 'nosferatu'), 1)
+        assert.equal(trigramSimilarity('', 'nosferatu'), 0)
+    })
+})
+
+describe('titleMatcher.jaroWinkler', () => {
+    it('rewards a shared prefix', () => {
+        assert.equal(jaroWinkler('martha', 'marhta').toFixed(4), '0.9611')
+        assert.equal(jaroWinkler('abc', ''), 0)
+    })
+})
+
+describe('titleMatcher.findBestMatch', () => {
+    const candidates = [
+        { id: 'a', normalized_title: 'little shop of horrors', release_year: 1960 },
+        { id: 'b', normalized_title: 'little shop of horrors', release_year: 1986 },
+        { id: 'c', normalized_title: 'nosferatu', release_year: null }
+    ]
+
+    it('skips candidates outside the year tolerance', () => {
+        assert.equal(findBestMatch('little shop of horrors', candidates, { year: 1986 }).id, 'b')
+        assert.equal(findBestMatch('little shop of horrors', candidates, { year: 1961 }).id, 'a')
+    })
+
+    it('treats a missing year as matching any year', () => {
+        const match = findBestMatch('nosferatu', candidates, { year: 1922 })
+
+        assert.equal(match.id, 'c')
+        assert.equal(match.similarity, 1)
+    })
+
+    it('returns null below the threshold', () => {
+        assert.equal(findBestMatch('metropolis', candidates, { threshold: 0.7 }), null)
+    })
+})
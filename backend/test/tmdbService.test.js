@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { tmdbService } from '../src/services/tmdbService.js'
+
+const nosferatu = { id: 653, title: 'Nosferatu', originalTitle: 'Nosferatu, eine Symphonie des Grauens', releaseDate: '1922-02-16' }
+const remake = { id: 6404, title: 'Nosferatu the Vampyre', originalTitle: 'Nosferatu: Phantom der Nacht', releaseDate: '1979-01-17' }
+
+describe('tmdbService.scoreCandidate', () => {
+    it('gives full confidence when title, year and runtime agree', () => {
+        const { confidence, reasons } = tmdbService.scoreCandidate(
+            { ...nosferatu, runtime: 95 },
+            { title: 'Nosferatu', year: 1922, yearSource: 'title', runtimeMinutes: 94 }
+        )
+
+        assert.equal(confidence, 1)
+        assert.deepEqual(reasons.map(reason => reason.points), [0.5, 0.3, 0.2])
+    })
+
+    it('gives unknown year and runtime half their weight', () => {
+        assert.equal(tmdbService.scoreCandidate(nosferatu, { title: 'Nosferatu' }).confidence, 0.75)
+    })
+
+    it('ranks the right year above a remake with a similar title', () => {
+        const upload = { title: 'Nosferatu', year: 1922, runtimeMinutes: 94 }
+
+        assert.ok(tmdbService.scoreCandidate(nosferatu, upload).confidence > tmdbService.scoreCandidate(remake, upload).confidence)
+    })
+
+    it('scores a year off by one and a runtime off by over 15 minutes', () => {
+        const { reasons } = tmdbService.scoreCandidate(
+            { ...nosferatu, runtime: 63 },
+            { title: 'Nosferatu', year: 1923, runtimeMinutes: 94 }
+        )
+
+        assert.deepEqual(reasons.slice(1).map(reason => reason.points), [0.2, 0])
+    })
+})
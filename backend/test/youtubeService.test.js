@@ -0,0 +1,85 @@
+import { describe, it, before, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { memoryRepository } from '../src/config/database.js'
+import replay from './helpers/replay.js'
+
+// A second key, so quota can move from one key to the other
+process.env.YOUTUBE_API_KEY_SECONDARY = 'test-youtube-key-secondary'
+const { youtubeService } = await import('../src/services/youtubeService.js')
+
+const youtubePaths = () => replay.requests('youtube').map(call => call.path)
+
+describe('youtubeService.getChannelVideos (recorded YouTube responses)', () => {
+    before(() => {
+        replay.install()
+        memoryRepository.reset()
+    })
+
+    it('falls back to search.list for a channel without an uploads playlist', async () => {
+        replay.reset()
+
+        assert.deepEqual(await youtubeService.getChannelVideos('UCTESTnoUploadsPlaylist0'), [])
+        assert.deepEqual(youtubePaths(), ['/youtube/v3/channels', '/youtube/v3/search'])
+    })
+
+    it('does not spend search.list units when the playlist read runs out of quota', async () => {
+        replay.reset()
+
+        await assert.rejects(youtubeService.getChannelVideos('UCTESTquotaExhausted0000'))
+        assert.deepEqual(youtubePaths(), ['/youtube/v3/channels'])
+    })
+})
+
+describe('youtubeService quota', () => {
+    before(() => {
+        memoryRepository.reset()
+        youtubeService.quotaPerKey.forEach(quota => { quota.used = 0 })
+        youtubeService.useKey(0)
+    })
+
+    it('persists usage per key and moves on once another instance used up the first key', async () => {
+        const [primary, secondary] = youtubeService.quotaPerKey.map(quota => quota.keyId)
+
+        youtubeService.updateQuotaUsage(100, 'search.list')
+        const { quotaDay } = await youtubeService.quotaCheck()
+        assert.deepEqual(await memoryRepository.getApiQuotaUsage(quotaDay), [{ api_key_id: primary, operation: 'search.list', units: 100 }])
+
+        await memoryRepository.incrementApiQuotaUsage(quotaDay, primary, 'videos.list', youtubeService.dailyQuota - 100)
+        const quota = await youtubeService.quotaCheck()
+
+        assert.equal(quota.currentKey, 2)
+        assert.deepEqual(quota.keys.map(key => [key.used, key.exhausted]), [[youtubeService.dailyQuota, true], [0, false]])
+
+        youtubeService.updateQuotaUsage(1, 'videos.list')
+        const usage = await memoryRepository.getApiQuotaUsage(quotaDay)
+        assert.deepEqual(usage.filter(row => row.api_key_id === secondary), [{ api_key_id: secondary, operation: 'videos.list', units: 1 }])
+    })
+
+    it('starts a fresh count on the first key at Pacific midnight', async () => {
+        // 23:59 PDT on July 14th
+        mock.timers.enable({ apis: ['Date'], now: new Date('2025-07-15T06:59:00Z') })
+
+        try {
+            youtubeService.updateQuotaUsage(500, 'search.list')
+            const before = await youtubeService.quotaCheck()
+
+            assert.deepEqual([before.quotaDay, before.currentKey, before.used], ['2025-07-14', 1, 500])
+            assert.equal(before.resetTime, '2025-07-15T07:00:00.000Z')
+
+            mock.timers.tick(2 * 60 * 1000)
+            const after = await youtubeService.quotaCheck()
+
+            assert.deepEqual([after.quotaDay, after.currentKey, after.totalUsed], ['2025-07-15', 1, 0])
+            assert.equal(after.resetTime, '2025-07-16T07:00:00.000Z')
+            assert.deepEqual((await memoryRepository.getApiQuotaUsage('2025-07-14')).map(row => row.units), [500])
+
+            // Once daylight saving ends, midnight Pacific is 08:00 UTC
+            mock.timers.setTime(new Date('2025-11-03T07:30:00Z').getTime())
+            const winter = await youtubeService.quotaCheck()
+
+            assert.deepEqual([winter.quotaDay, winter.resetTime], ['2025-11-02', '2025-11-03T08:00:00.000Z'])
+        } finally {
+            mock.timers.reset()
+        }
+    })
+})